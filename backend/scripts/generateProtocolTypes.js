@@ -0,0 +1,142 @@
+import fs from 'fs';
+import {
+  PROTOCOL_VERSION,
+  PROTOCOL_ERROR_CODES,
+  CLIENT_MESSAGE_SCHEMAS,
+  SERVER_MESSAGE_SCHEMAS,
+  PROTOCOL_TYPE_REFERENCES,
+  protocolName
+} from '../src/types/websocketProtocol.js';
+import { AUDIO_FRAME_VERSION, AUDIO_FRAME_FIXED_HEADER_BYTES } from '../src/types/audioFrames.js';
+import { AUDIO_ENCODINGS } from '../src/services/audio/formats.js';
+
+/**
+ * Generates frontend/src/types/websocketProtocol.ts from the protocol's Zod
+ * schemas: npm run generate:protocol-types (or --check to fail when the
+ * committed file is out of date).
+ */
+
+export const PROTOCOL_TYPES_PATH = new URL('../../frontend/src/types/websocketProtocol.ts', import.meta.url);
+
+const INDENT = '  ';
+
+const quote = (value) => `'${String(value).replace(/'/g, "\\'")}'`;
+
+// 'session:start' -> 'SessionStart'
+const pascalCase = (type) => type.split(/[^a-z0-9]/i).map(word => word[0].toUpperCase() + word.slice(1)).join('');
+
+/**
+ * The TypeScript type of a Zod schema. Client frames are typed as what the
+ * client may send (defaults optional), server frames as what it receives.
+ */
+const toTypeScript = (schema, depth = 0) => {
+  const reference = PROTOCOL_TYPE_REFERENCES.get(schema);
+  if (reference) {
+    return reference;
+  }
+
+  const def = schema._def;
+  switch (def.typeName) {
+    case 'ZodString':
+      return 'string';
+    case 'ZodNumber':
+      return 'number';
+    case 'ZodBoolean':
+      return 'boolean';
+    case 'ZodAny':
+      return 'any';
+    case 'ZodUnknown':
+      return 'unknown';
+    case 'ZodLiteral':
+      return typeof def.value === 'string' ? quote(def.value) : String(def.value);
+    case 'ZodEnum':
+      return def.values.map(quote).join(' | ');
+    case 'ZodNullable':
+      return `${toTypeScript(def.innerType, depth)} | null`;
+    case 'ZodOptional':
+    case 'ZodDefault':
+      return toTypeScript(def.innerType, depth);
+    case 'ZodEffects':
+      return toTypeScript(def.schema, depth);
+    case 'ZodUnion':
+    case 'ZodDiscriminatedUnion':
+      return def.options.map(option => toTypeScript(option, depth)).join(' | ');
+    case 'ZodArray': {
+      const item = toTypeScript(def.type, depth);
+      return /[|&]/.test(item) ? `Array<${item}>` : `${item}[]`;
+    }
+    case 'ZodRecord':
+      return `Record<string, ${toTypeScript(def.valueType, depth)}>`;
+    case 'ZodObject': {
+      const indent = INDENT.repeat(depth + 1);
+      const fields = Object.entries(schema.shape).map(([key, field]) => {
+        const optional = ['ZodOptional', 'ZodDefault'].includes(field._def.typeName) ? '?' : '';
+        return `${indent}${key}${optional}: ${toTypeScript(field, depth + 1)};`;
+      });
+      if (def.unknownKeys === 'passthrough') {
+        fields.push(`${indent}[key: string]: unknown;`);
+      }
+      return `{\n${fields.join('\n')}\n${INDENT.repeat(depth)}}`;
+    }
+    default:
+      throw new Error(`No TypeScript type for ${def.typeName}`);
+  }
+};
+
+const renderMessages = (schemas, suffix) => schemas.map(schema => {
+  const name = `${pascalCase(schema.shape.type.value)}${suffix}`;
+  return { name, source: `export interface ${name} ${toTypeScript(schema)}\n` };
+});
+
+/**
+ * The contents of the generated TypeScript file
+ */
+export const renderProtocolTypes = () => {
+  const client = renderMessages(CLIENT_MESSAGE_SCHEMAS, 'ClientMessage');
+  const server = renderMessages(SERVER_MESSAGE_SCHEMAS, 'ServerMessage');
+  const references = Array.from(new Set(PROTOCOL_TYPE_REFERENCES.values())).sort();
+
+  return [
+    '// Generated by backend/scripts/generateProtocolTypes.js from backend/src/types/websocketProtocol.js.',
+    '// Do not edit: change the schemas and run `npm run generate:protocol-types` in backend.',
+    `import { ${references.join(', ')} } from './insurance';`,
+    '',
+    `export const PROTOCOL_VERSION = ${PROTOCOL_VERSION};`,
+    `export const PROTOCOL_SUBPROTOCOL = ${quote(protocolName(PROTOCOL_VERSION))};`,
+    '',
+    '// Binary audio frames (backend/src/types/audioFrames.js)',
+    `export const AUDIO_FRAME_VERSION = ${AUDIO_FRAME_VERSION};`,
+    `export const AUDIO_FRAME_FIXED_HEADER_BYTES = ${AUDIO_FRAME_FIXED_HEADER_BYTES};`,
+    `export const AUDIO_ENCODINGS = [${AUDIO_ENCODINGS.map(quote).join(', ')}] as const;`,
+    '',
+    `export type ProtocolErrorCode =\n${PROTOCOL_ERROR_CODES.map(code => `${INDENT}| ${quote(code)}`).join('\n')};`,
+    '',
+    '// Frames the client sends',
+    ...client.map(message => message.source),
+    '// Frames the server sends',
+    ...server.map(message => message.source),
+    `export type ClientMessage =\n${client.map(message => `${INDENT}| ${message.name}`).join('\n')};`,
+    '',
+    `export type ServerMessage =\n${server.map(message => `${INDENT}| ${message.name}`).join('\n')};`,
+    '',
+    "export type ClientMessageType = ClientMessage['type'];",
+    "export type ServerMessageType = ServerMessage['type'];",
+    "export type ServerPayload<T extends ServerMessageType> = Extract<ServerMessage, { type: T }>['payload'];",
+    ''
+  ].join('\n');
+};
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const source = renderProtocolTypes();
+  if (process.argv.includes('--check')) {
+    const current = fs.existsSync(PROTOCOL_TYPES_PATH) ? fs.readFileSync(PROTOCOL_TYPES_PATH, 'utf8') : null;
+    if (current !== source) {
+      console.error('frontend/src/types/websocketProtocol.ts is out of date: run npm run generate:protocol-types');
+      process.exit(1);
+    }
+    console.log('Protocol types are up to date');
+  } else {
+    fs.writeFileSync(PROTOCOL_TYPES_PATH, source);
+    console.log('Wrote frontend/src/types/websocketProtocol.ts');
+  }
+}
@@ -0,0 +1,49 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+
+/**
+ * Runs every test/*-test.js script one after another, each in its own node
+ * process (the scripts exit with their result): npm test, or npm test --
+ * resume to run the scripts whose name contains "resume".
+ */
+
+const TEST_DIR = new URL('../test/', import.meta.url);
+
+// A script that hasn't exited by then is counted as failed
+const TEST_TIMEOUT_MS = 120000;
+
+const filters = process.argv.slice(2);
+const scripts = fs.readdirSync(TEST_DIR)
+  .filter(name => name.endsWith('-test.js'))
+  .filter(name => filters.length === 0 || filters.some(filter => name.includes(filter)))
+  .sort();
+
+// Conversations the scripts log go to a temp dir instead of local-conversations/
+const conversationsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'insurance-voice-tests-'));
+const env = { ...process.env, CONVERSATIONS_DIR: conversationsDir, RECORDINGS_DIR: conversationsDir };
+
+const failed = [];
+try {
+  for (const script of scripts) {
+    console.log(`\n▶️  ${script}`);
+    const result = spawnSync(process.execPath, [new URL(script, TEST_DIR).pathname], {
+      stdio: 'inherit',
+      timeout: TEST_TIMEOUT_MS,
+      env
+    });
+    if (result.status !== 0) {
+      failed.push(result.error?.code === 'ETIMEDOUT' ? `${script} (timed out)` : script);
+    }
+  }
+} finally {
+  fs.rmSync(conversationsDir, { recursive: true, force: true });
+}
+
+console.log('');
+if (failed.length > 0) {
+  console.error(`💥 ${failed.length} of ${scripts.length} test scripts failed: ${failed.join(', ')}`);
+  process.exit(1);
+}
+console.log(`🎊 All ${scripts.length} test scripts passed`);
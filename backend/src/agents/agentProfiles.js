@@ -0,0 +1,175 @@
+import renewalSpecialist from './profiles/renewalSpecialist.js';
+import sarah from './profiles/sarah.js';
+
+/**
+ * Agent profiles: the persona, instructions, voice, turn detection, model,
+ * tools and guardrails of a voice agent in one versioned definition. The
+ * backend RealtimeSession and the browser session token are both built from
+ * a profile, selected by id (AGENT_PROFILE, or per request).
+ */
+
+export const REALTIME_MODEL = 'gpt-4o-realtime-preview-2025-06-03';
+
+export const DEFAULT_AGENT_PROFILE = 'renewal-specialist';
+
+/**
+ * Data no agent may ask a customer for. Instructions may only mention these
+ * to rule them out.
+ */
+export const PROHIBITED_DATA = [
+  { label: 'Social Security Number', pattern: /\b(social security|ssn)\b/i },
+  { label: 'credit score', pattern: /\bcredit (score|check|report)s?\b/i },
+  { label: 'payment card number', pattern: /\b(credit|debit) card\b|\bcard numbers?\b|\bcvv\b/i },
+  { label: 'bank account number', pattern: /\bbank account\b|\brouting numbers?\b/i },
+  { label: 'password or PIN', pattern: /\bpasswords?\b|\bpins?\b/i }
+];
+
+// A negation rules out prohibited data that follows it in the same clause
+// ("Never ask for a PIN"), but not in a condition ("... if they do not have
+// a license") or an encouragement ("Don't forget to ask for the SSN")
+const PROHIBITION = /\b(never|not|don't|no)\b(?!\s+(forget|hesitate|fail|skip|miss)\b)/i;
+const CLAUSE_BREAK = /[.;:!?]|\s[-–—]\s|\b(?:if|unless|when|because|but|so|then|except)\b/i;
+
+const isRuledOut = (line, pattern) => line.split(CLAUSE_BREAK)
+  .filter(clause => pattern.test(clause))
+  .every(clause => {
+    const mentions = [...clause.matchAll(new RegExp(pattern.source, 'gi'))];
+    return mentions.every(mention => PROHIBITION.test(clause.slice(0, mention.index)));
+  });
+
+// Appended to every profile's instructions
+const DATA_HANDLING_RULES = `**Data You Must Never Ask For:**
+- NEVER ask for a Social Security Number (SSN), not even the last four digits
+- Never ask for credit card, debit card or bank account numbers - payment is handled after the quote, not on this call
+- Never ask for passwords, PINs or a credit score
+- If the customer starts sharing any of these, politely stop them and move on`;
+
+/**
+ * Requests for prohibited data in a profile: anything it collects, and any
+ * instruction line that mentions prohibited data without a negation of it
+ */
+export const findProhibitedDataRequests = (profile) => {
+  const findings = [];
+
+  for (const item of profile.collects || []) {
+    for (const { label, pattern } of PROHIBITED_DATA) {
+      if (pattern.test(item)) {
+        findings.push({ label, where: 'collects', text: item });
+      }
+    }
+  }
+
+  const lines = [profile.instructions, profile.toolInstructions].filter(Boolean).join('\n').split('\n');
+  for (const line of lines) {
+    for (const { label, pattern } of PROHIBITED_DATA) {
+      if (pattern.test(line) && !isRuledOut(line, pattern)) {
+        findings.push({ label, where: 'instructions', text: line.trim() });
+      }
+    }
+  }
+
+  return findings;
+};
+
+/**
+ * The full instructions of a profile. Tool instructions are left out for
+ * sessions that run without the tools (a profile with no tools).
+ */
+export const buildProfileInstructions = (profile, { tools = true } = {}) => {
+  return [
+    profile.instructions.trim(),
+    tools && profile.toolInstructions?.trim(),
+    DATA_HANDLING_RULES
+  ].filter(Boolean).join('\n\n');
+};
+
+/**
+ * RealtimeSession config for a backend session with the profile
+ */
+export const buildRealtimeSessionConfig = (profile) => ({
+  inputAudioFormat: 'pcm16',
+  outputAudioFormat: 'pcm16',
+  inputAudioTranscription: profile.transcription,
+  turnDetection: profile.turnDetection,
+  voice: profile.voice,
+  modalities: ['text', 'audio'],
+  instructions: buildProfileInstructions(profile)
+});
+
+/**
+ * Request body for an OpenAI realtime session token with the profile
+ */
+export const buildSessionTokenRequest = (profile) => {
+  const { type, threshold, prefixPaddingMs, silenceDurationMs } = profile.turnDetection;
+  return {
+    model: profile.model,
+    voice: profile.voice,
+    instructions: buildProfileInstructions(profile, { tools: profile.tools.length > 0 }),
+    input_audio_format: 'pcm16',
+    output_audio_format: 'pcm16',
+    input_audio_transcription: profile.transcription,
+    turn_detection: {
+      type,
+      threshold,
+      prefix_padding_ms: prefixPaddingMs,
+      silence_duration_ms: silenceDurationMs
+    }
+  };
+};
+
+/**
+ * Registry of the agent profiles. A profile that asks for prohibited data
+ * can't be registered.
+ */
+class AgentProfileRegistry {
+  constructor() {
+    this.profiles = new Map();
+  }
+
+  register(profile) {
+    if (!profile?.id || !profile.version) {
+      throw new Error('Agent profile must have an id and a version');
+    }
+
+    const findings = findProhibitedDataRequests(profile);
+    if (findings.length > 0) {
+      const details = findings.map(finding => `${finding.label} (${finding.where}: "${finding.text}")`).join('; ');
+      const error = new Error(`Agent profile "${profile.id}" asks for prohibited data: ${details}`);
+      error.code = 'PROHIBITED_DATA';
+      throw error;
+    }
+
+    this.profiles.set(profile.id, { model: REALTIME_MODEL, ...profile });
+    return this;
+  }
+
+  has(id) {
+    return this.profiles.has(id);
+  }
+
+  /**
+   * The profile with the id, or the configured default (AGENT_PROFILE)
+   */
+  get(id = process.env.AGENT_PROFILE || DEFAULT_AGENT_PROFILE) {
+    const profile = this.profiles.get(id);
+    if (!profile) {
+      const error = new Error(`Unknown agent profile "${id}"`);
+      error.code = 'UNKNOWN_PROFILE';
+      throw error;
+    }
+    return profile;
+  }
+
+  list() {
+    return Array.from(this.profiles.values());
+  }
+}
+
+// Create singleton instance with the built-in profiles
+const agentProfiles = new AgentProfileRegistry();
+
+agentProfiles
+  .register(renewalSpecialist)
+  .register(sarah);
+
+export default agentProfiles;
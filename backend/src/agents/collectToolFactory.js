@@ -0,0 +1,183 @@
+import { tool } from '@openai/agents/realtime';
+import { z } from 'zod';
+import sessionManager from '../services/sessionManager.js';
+import { withoutMissing, withCleared } from '../services/mergePolicy.js';
+import {
+  validateSectionUpdate,
+  withoutFields,
+  describeProblems,
+  problemsFromZodError,
+  isValidationError
+} from '../services/applicationValidation.js';
+
+/**
+ * The next few required fields still missing for a section or one vehicle/driver,
+ * as a sentence the agent can turn into its next question. Once everything is
+ * recorded, the answers still to be read back and confirmed.
+ */
+export const describeNextFields = (completionStatus, { section, memberId }, limit = 3) => {
+  const open = (completionStatus.missingFields || [])
+    .filter(field => field.required && field.section === section && (!memberId || field.memberId === memberId));
+  const missing = open.filter(field => !field.status || field.status === 'disputed').slice(0, limit);
+  if (missing.length > 0) {
+    return `Still needed: ${missing.map(field => field.label).join(', ')}.`;
+  }
+  const unconfirmed = open.slice(0, limit);
+  return unconfirmed.length > 0
+    ? `Everything is recorded - read back ${unconfirmed.map(field => field.label).join(', ')} with confirm_fields and have the customer confirm.`
+    : '';
+};
+
+/**
+ * Pick which household member a tool call is about. Without an explicit number
+ * the only member is used; with several the agent has to say which one.
+ */
+const resolveMemberNumber = (members, requestedNumber) => {
+  if (requestedNumber) {
+    return requestedNumber;
+  }
+  return members.length <= 1 ? 1 : null;
+};
+
+const SESSION_NOT_FOUND = 'Error: Session not found. Please start a new session.';
+
+/**
+ * What was wrong and which fields to ask about again
+ */
+const describeRejected = (problems) => {
+  const fields = [...new Set(problems.map(problem => problem.field))];
+  return `${describeProblems(problems)}. Ask the customer again for only ${fields.join(', ')} - nothing else needs repeating.`;
+};
+
+/**
+ * Build a collect_* tool. They all record what the customer said the same way:
+ * drop values the model didn't give, check the rest against the canonical
+ * schema, apply explicit clears, save the valid fields through the merge policy
+ * with the tool as the source, log it and report what is still needed along
+ * with any field that has to be asked again.
+ *
+ * - fields:    zod shape of the values the tool records
+ * - section:   application section they belong to
+ * - household: for vehicles and drivers, which member the call is about:
+ *              { numberParam, memberKey, completionKey,
+ *                save(sessionId, number, updates, options) -> { session, member, number },
+ *                whichOne(members, data) -> question when it is ambiguous }
+ * - logLabel(number):  how the update is named in the conversation log
+ * - prepare(fields, { session, number, notes }): normalize fields before saving;
+ *              return a string to reply with instead of saving
+ * - respond({ session, member, number, completion, nextFields, notes }): the reply
+ * - failureMessage: the reply when saving fails
+ */
+export const createCollectTool = ({
+  name,
+  description,
+  fields,
+  section,
+  household = null,
+  logLabel,
+  prepare = (values) => values,
+  respond,
+  failureMessage
+}) => {
+  const clearable = Object.keys(fields);
+
+  return tool({
+    name,
+    description,
+    parameters: z.object({
+      ...(household ? { [household.numberParam]: z.number().int().min(1).nullable().optional() } : {}),
+      ...fields,
+      clearFields: z.array(z.string())
+        .describe('Fields the customer asked to remove or correct, e.g. ["lienholder"]. A field that is also given a value replaces the stored one instead of being merged with it')
+        .nullable()
+        .optional()
+    }),
+    execute: async ({ clearFields, ...params }, context) => {
+      try {
+        const sessionId = context?.context?.sessionId;
+        const session = await sessionManager.getSession(sessionId);
+        if (!session) {
+          return SESSION_NOT_FOUND;
+        }
+
+        let number = null;
+        if (household) {
+          const members = session.data[section];
+          number = resolveMemberNumber(members, params[household.numberParam]);
+          if (!number) {
+            return household.whichOne(members, session.data);
+          }
+          delete params[household.numberParam];
+        }
+
+        const cleared = clearFields || [];
+        const unknown = cleared.filter(path => !clearable.includes(path.split('.')[0]));
+        if (unknown.length > 0) {
+          return `I can't clear ${unknown.join(', ')} with ${name}. Fields it records: ${clearable.join(', ')}.`;
+        }
+
+        // Filter out values the model didn't give (a null must not wipe a stored answer)
+        const notes = [];
+        const prepared = await prepare(withoutMissing(params), { session, number, notes });
+        if (typeof prepared === 'string') {
+          return prepared;
+        }
+
+        // Invalid fields are not saved; the rest of the answer still is
+        const problems = validateSectionUpdate(section, prepared);
+        const accepted = withoutFields(prepared, problems.map(problem => problem.field));
+        if (Object.keys(accepted).length === 0 && cleared.length === 0) {
+          return `I couldn't save that. ${describeRejected(problems)}`;
+        }
+
+        const updates = withCleared(accepted, cleared);
+        const options = { source: name };
+        let updatedSession;
+        let member = null;
+
+        if (household) {
+          const saved = await household.save(sessionId, number, updates, options);
+          ({ session: updatedSession, member, number } = saved);
+        } else {
+          updatedSession = await sessionManager.updateSessionData(sessionId, { [section]: updates }, options);
+        }
+
+        // Add to conversation history
+        const changed = Object.keys(accepted).join(', ');
+        await sessionManager.addConversationItem(
+          sessionId,
+          'system',
+          `${logLabel(number)} updated: ${changed}${cleared.length > 0 ? `; cleared: ${cleared.join(', ')}` : ''}`,
+          {
+            tool: name,
+            ...(member ? { [household.memberKey]: member.id } : {}),
+            data: accepted,
+            cleared,
+            ...(problems.length > 0 ? { rejected: problems } : {})
+          }
+        );
+
+        const { completionStatus } = updatedSession.data;
+        const completion = member ? completionStatus[household.completionKey][member.id] : completionStatus[section];
+
+        const reply = respond({
+          session: updatedSession,
+          member,
+          number,
+          completion,
+          nextFields: describeNextFields(completionStatus, { section, memberId: member?.id }),
+          notes
+        });
+        return problems.length > 0 ? `${reply} But I couldn't save everything: ${describeRejected(problems)}` : reply;
+      } catch (error) {
+        if (isValidationError(error)) {
+          return `I couldn't save that. ${describeRejected(problemsFromZodError(error))}`;
+        }
+        console.error(`Error in ${name}:`, error);
+        return failureMessage;
+      }
+    }
+  });
+};
+
+export default createCollectTool;
@@ -0,0 +1,108 @@
+import { tool } from '@openai/agents/realtime';
+import { z } from 'zod';
+import sessionManager from '../services/sessionManager.js';
+import { TRACKED_SECTIONS, getPath, fieldPath } from '../services/applicationEvents.js';
+import { fieldLabel, loadCompletionRules, describeMissingField } from '../services/completionRules.js';
+import { formatReadBack } from '../services/fieldConfirmation.js';
+
+/**
+ * Realtime agent tool for reading recorded answers back to the customer.
+ * Completion only counts fields the customer confirmed.
+ */
+
+const MEMBER_LABELS = { vehicles: 'vehicle', drivers: 'driver' };
+
+/**
+ * Where a requested field is in the application and how to name it, or
+ * { question } when it isn't clear which vehicle or driver is meant
+ */
+const locateField = ({ section, field, number }, data) => {
+  const memberLabel = MEMBER_LABELS[section];
+  let memberNumber = null;
+  let label = field ? fieldLabel(section, field) : loadCompletionRules().sections[section]?.label ?? section;
+
+  if (memberLabel) {
+    const members = data[section];
+    memberNumber = number || (members.length === 1 ? 1 : null);
+    if (!memberNumber) {
+      return { question: `Which ${memberLabel} is the ${label} for? There are ${members.length}; pass its number.` };
+    }
+    label = field ? `${label} (${memberLabel} ${memberNumber})` : `${memberLabel} ${memberNumber}`;
+  }
+
+  return { path: fieldPath({ section, number: memberNumber, field }), label };
+};
+
+// Confirm Fields Tool
+export const confirmFieldsTool = tool({
+  name: 'confirm_fields',
+  description: 'Track read-back confirmation of recorded answers. Call with status read_back to get the values to read to the customer (emails, license numbers and VINs come spelled out letter by letter), then confirmed or disputed with their answer. Only confirmed answers count towards completion.',
+  parameters: z.object({
+    fields: z.array(z.object({
+      section: z.enum(TRACKED_SECTIONS),
+      field: z.string()
+        .describe('Field as the collect tools name it, e.g. "email", "address.zipCode", "vin", "licenseNumber". Leave out to cover the whole section, or the whole vehicle or driver')
+        .nullable()
+        .optional(),
+      number: z.number().int().min(1).describe('Vehicle or driver number').nullable().optional()
+    })).min(1),
+    status: z.enum(['read_back', 'confirmed', 'disputed'])
+  }),
+  execute: async ({ fields, status }, context) => {
+    try {
+      const sessionId = context?.context?.sessionId;
+      const session = await sessionManager.getSession(sessionId);
+      if (!session) {
+        return 'Error: Session not found. Please start a new session.';
+      }
+
+      const located = fields.map(field => locateField(field, session.data));
+      const question = located.find(field => field.question);
+      if (question) {
+        return question.question;
+      }
+
+      const { session: updatedSession, recorded, notRecorded } = await sessionManager.confirmFields(
+        sessionId,
+        located.map(field => field.path),
+        status
+      );
+      const labelOf = path => located.find(field => field.path === path).label;
+      const labels = recorded.map(labelOf);
+
+      await sessionManager.addConversationItem(
+        sessionId,
+        'system',
+        `Fields ${status.replace('_', ' ')}: ${labels.join(', ') || 'none'}`,
+        { tool: 'confirm_fields', status, fields: recorded }
+      );
+
+      const notes = [];
+      if (recorded.length > 0 && status === 'read_back') {
+        const readBack = recorded.map(path => `${labelOf(path)}: ${formatReadBack(path, getPath(updatedSession.data, path))}`);
+        notes.push(`Read this back and ask whether it is right - ${readBack.join('; ')}. Then call confirm_fields again with confirmed or disputed.`);
+      } else if (recorded.length > 0 && status === 'confirmed') {
+        const { overall, missingFields } = updatedSession.data.completionStatus;
+        const unconfirmed = missingFields.filter(field => field.required && field.status);
+        notes.push(`Confirmed: ${labels.join(', ')}. The application is now ${overall}% complete.`);
+        if (unconfirmed.length > 0) {
+          notes.push(`Other answers not confirmed yet: ${unconfirmed.slice(0, 5).map(describeMissingField).join(', ')}.`);
+        }
+      } else if (recorded.length > 0) {
+        notes.push(`Marked as wrong: ${labels.join(', ')}. Ask for the correct value, record it with the collect tool for that section, then read it back again.`);
+      }
+      if (notRecorded.length > 0) {
+        notes.push(`Nothing is recorded yet for ${notRecorded.map(labelOf).join(', ')}.`);
+      }
+
+      return notes.join(' ');
+    } catch (error) {
+      console.error('Error in confirm_fields:', error);
+      return 'I had trouble updating the confirmation. Please continue and read the details back again later.';
+    }
+  }
+});
+
+export default {
+  confirmFieldsTool
+};
@@ -1,29 +1,250 @@
+import { tool } from '@openai/agents/realtime';
+import { z } from 'zod';
+import sessionManager from '../services/sessionManager.js';
+import { matchTrim, ACCEPT_CONFIDENCE } from '../services/vehicleCatalog/vehicleMatcher.js';
+import { normalizeSpokenVin, decodeVin, findVinConflicts } from '../services/vehicleCatalog/vinDecoder.js';
 import {
   validateZipCode,
   validateVehicleYear,
-  getValidVehicleMakes,
   validateVehicleMake,
-  getValidVehicleModels,
   validateVehicleModel,
-  getValidVehicleTrims
+  getValidVehicleTrims,
+  formatDidYouMean
 } from './validationTools.js';
 
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-export default {};
+/**
+ * Realtime agent tools wrapping the QuoteWizard validators.
+ * The agent calls these while the caller is speaking to confirm what it heard
+ * before anything is stored with collect_vehicle_info / collect_personal_info.
+ */
+
+/**
+ * A failed make/model lookup already carries the ranked "Did you mean ...?" follow-up
+ */
+const describeVehicleMismatch = (result) => {
+  if (result.availableModels || result.availableMakes) {
+    return result.error;
+  }
+  return null;
+};
+
+/**
+ * Mention what was actually heard when it was matched to a different catalog name
+ */
+const heardNote = (result, field) => {
+  if (!result.heard || result.matchType === 'exact') {
+    return '';
+  }
+  return ` (heard "${result.heard}", matched to ${result[field]})`;
+};
+
+// Zip Code Validation Tool
+export const validateZipCodeTool = tool({
+  name: 'validate_zip_code',
+  description: 'Check that a ZIP code the customer said is valid and serviceable before recording their address',
+  parameters: z.object({
+    zipCode: z.string()
+  }),
+  execute: async ({ zipCode }) => {
+    try {
+      const result = await validateZipCode(zipCode.trim());
+
+      if (result.valid) {
+        return `ZIP code ${result.zipcode} is valid.`;
+      }
+
+      return `ZIP code "${zipCode}" could not be confirmed: ${result.error} Please ask the customer to repeat it.`;
+    } catch (error) {
+      console.error('Error in validate_zip_code:', error);
+      return 'I was unable to check that ZIP code right now. Continue and confirm it with the customer.';
+    }
+  }
+});
+
+// Vehicle Year Validation Tool
+export const validateVehicleYearTool = tool({
+  name: 'validate_vehicle_year',
+  description: 'Check that a vehicle model year is one we can insure',
+  parameters: z.object({
+    year: z.number()
+  }),
+  execute: async ({ year }) => {
+    const result = validateVehicleYear(year);
+
+    if (result.valid) {
+      return `${result.year} is a valid vehicle year.`;
+    }
+
+    return `The year ${year} is not valid: ${result.error}`;
+  }
+});
+
+// Vehicle Make Validation Tool
+export const validateVehicleMakeTool = tool({
+  name: 'validate_vehicle_make',
+  description: 'Confirm a vehicle make against the catalog for the given year and suggest close matches if it was misheard',
+  parameters: z.object({
+    year: z.number(),
+    make: z.string()
+  }),
+  execute: async ({ year, make }) => {
+    try {
+      const result = await validateVehicleMake(year, make);
+
+      if (result.valid) {
+        return `Confirmed: ${result.make} is a valid make for ${result.year}${heardNote(result, 'make')}.`;
+      }
+
+      const mismatch = describeVehicleMismatch(result);
+      if (mismatch) {
+        return mismatch;
+      }
+
+      return `I couldn't confirm the make: ${result.error}`;
+    } catch (error) {
+      console.error('Error in validate_vehicle_make:', error);
+      return 'I was unable to check the vehicle make right now. Continue and confirm it with the customer.';
+    }
+  }
+});
+
+// Vehicle Model Validation Tool
+export const validateVehicleModelTool = tool({
+  name: 'validate_vehicle_model',
+  description: 'Confirm a vehicle model against the catalog for the given year and make and suggest close matches if it was misheard',
+  parameters: z.object({
+    year: z.number(),
+    make: z.string(),
+    model: z.string()
+  }),
+  execute: async ({ year, make, model }) => {
+    try {
+      const result = await validateVehicleModel(year, make, model);
+
+      if (result.valid) {
+        return `Confirmed: the ${result.year} ${result.make} ${result.model} is in our catalog${heardNote(result, 'model')}.`;
+      }
+
+      const mismatch = describeVehicleMismatch(result);
+      if (mismatch) {
+        return mismatch;
+      }
+
+      return `I couldn't confirm the model: ${result.error}`;
+    } catch (error) {
+      console.error('Error in validate_vehicle_model:', error);
+      return 'I was unable to check the vehicle model right now. Continue and confirm it with the customer.';
+    }
+  }
+});
+
+// Vehicle Trim Lookup Tool
+export const getVehicleTrimsTool = tool({
+  name: 'get_vehicle_trims',
+  description: 'List the trims for a year, make and model, or confirm a specific trim such as "2019 Honda Civic EX"',
+  parameters: z.object({
+    year: z.number(),
+    make: z.string(),
+    model: z.string(),
+    trim: z.string().nullable().optional()
+  }),
+  execute: async ({ year, make, model, trim }) => {
+    try {
+      const result = await getValidVehicleTrims(year, make, model);
+
+      if (!result.valid) {
+        const mismatch = describeVehicleMismatch(result);
+        if (mismatch) {
+          return mismatch;
+        }
+        return `I couldn't look up trims: ${result.error}`;
+      }
+
+      const vehicle = `${result.year} ${result.make} ${result.model}`;
+
+      if (trim) {
+        const match = matchTrim(trim, result.trims);
+        if (match.best && match.confidence >= ACCEPT_CONFIDENCE) {
+          return `Confirmed: the ${vehicle} ${match.best.name} is in our catalog.`;
+        }
+        const suggestions = match.candidates.length > 0
+          ? formatDidYouMean(match.candidates.map(c => c.name))
+          : ` Available trims: ${result.trims.slice(0, 5).join(', ')}.`;
+        return `"${trim}" is not a trim we have for the ${vehicle}.${suggestions}`;
+      }
+
+      if (result.trims.length === 0) {
+        return `The ${vehicle} is valid, but no trims are listed for it.`;
+      }
+
+      return `Trims for the ${vehicle}: ${result.trims.join(', ')}.`;
+    } catch (error) {
+      console.error('Error in get_vehicle_trims:', error);
+      return 'I was unable to look up trims right now. Continue and confirm the trim with the customer.';
+    }
+  }
+});
+
+// VIN Decoding Tool
+export const decodeVinTool = tool({
+  name: 'decode_vin',
+  description: 'Validate a VIN (typed or read aloud, e.g. "victor one hotel ...") with its check digit, decode the manufacturer, model year and plant, and compare them with the vehicle the customer described',
+  parameters: z.object({
+    vin: z.string(),
+    vehicleNumber: z.number().int().min(1).nullable().optional(),
+    year: z.number().nullable().optional(),
+    make: z.string().nullable().optional()
+  }),
+  execute: async ({ vin, vehicleNumber, year, make }, context) => {
+    try {
+      const spokenVin = normalizeSpokenVin(vin);
+      const result = decodeVin(spokenVin);
+
+      if (!result.valid) {
+        return `The VIN "${result.vin}" doesn't look right: ${result.errors.join(' ')} Please ask the customer to read it again, one character at a time.`;
+      }
+
+      // Compare against the vehicle being discussed, or the only one on the application
+      const vehicles = (await sessionManager.getSession(context?.context?.sessionId))?.data?.vehicles || [];
+      const sessionVehicle = (vehicleNumber ? vehicles[vehicleNumber - 1] : vehicles.length === 1 && vehicles[0]) || {};
+      const conflicts = findVinConflicts(result, {
+        year: year ?? sessionVehicle.year,
+        make: make ?? sessionVehicle.make
+      });
+
+      const decodedYear = result.modelYearCandidates.length > 1
+        ? result.modelYearCandidates.join(' or ')
+        : result.modelYear;
+      const details = [
+        result.make ? `make ${result.makes.join(' / ')}` : `an unlisted manufacturer code (${result.wmi})`,
+        `model year ${decodedYear}`,
+        result.plant ? `built in ${result.plant}` : null
+      ].filter(Boolean).join(', ');
+
+      let response = `VIN ${result.vin} is valid: ${details}.`;
+
+      if (conflicts.length > 0) {
+        const described = conflicts
+          .map(conflict => `the customer said ${conflict.field} ${conflict.stated} but the VIN shows ${conflict.decoded}`)
+          .join('; ');
+        response += ` However, ${described}. Read the VIN back and confirm which is correct before saving it.`;
+      } else {
+        response += ' Read it back to the customer, then save it with collect_vehicle_info.';
+      }
+
+      return response;
+    } catch (error) {
+      console.error('Error in decode_vin:', error);
+      return 'I was unable to check that VIN right now. Read it back to the customer to confirm it.';
+    }
+  }
+});
+
+export default {
+  validateZipCodeTool,
+  validateVehicleYearTool,
+  validateVehicleMakeTool,
+  validateVehicleModelTool,
+  getVehicleTrimsTool,
+  decodeVinTool
+};
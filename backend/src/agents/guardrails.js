@@ -0,0 +1,101 @@
+import sessionManager from '../services/sessionManager.js';
+import conversationLogger from '../services/conversationLogger.js';
+import { loadGuardrailPolicy, evaluateGuardrails, guardrailMonitor } from '../services/guardrailPolicy.js';
+
+// Agent output checked so far per run context: the SDK re-checks the whole
+// transcript as it grows, and each match should only be counted once
+const checkedOutput = new WeakMap();
+
+/**
+ * Record guardrail matches: rule counters and the event log, the
+ * conversation record, and a review flag on the session for escalations
+ */
+export const recordGuardrailMatches = async (sessionId, role, matches) => {
+  if (!sessionId || matches.length === 0) {
+    return [];
+  }
+
+  const events = guardrailMonitor.record(sessionId, role, matches);
+  conversationLogger.logGuardrailEvents(sessionId, events);
+
+  const escalations = events.filter(event => event.action === 'escalate');
+  if (escalations.length > 0) {
+    try {
+      await sessionManager.escalateSession(sessionId, escalations.map(({ ruleId }) => ({ ruleId, role })));
+    } catch (error) {
+      console.error('❌ Error escalating session:', error);
+    }
+  }
+  return events;
+};
+
+/**
+ * The output guardrail enforcing the policy rules a profile enables; unknown
+ * rules, or rules that don't apply to the agent, are an error so a profile
+ * can't silently run without a guardrail it asked for
+ */
+export const buildOutputGuardrails = (ruleIds = []) => {
+  const { rules } = loadGuardrailPolicy();
+  for (const ruleId of ruleIds) {
+    const rule = rules.find(candidate => candidate.id === ruleId);
+    if (!rule || !rule.roles.includes('assistant')) {
+      throw new Error(`Unknown output guardrail "${ruleId}"`);
+    }
+  }
+  if (ruleIds.length === 0) {
+    return [];
+  }
+
+  return [{
+    name: 'guardrail_policy',
+    policyHint: 'Keep a professional tone and never say Social Security, card or bank account numbers, or phone numbers other than the customer\'s own',
+    async execute({ agentOutput, context }) {
+      const runContext = context?.context;
+      const sessionId = runContext?.sessionId;
+      const session = sessionId ? await sessionManager.getSession(sessionId) : null;
+      const result = evaluateGuardrails(agentOutput, { role: 'assistant', application: session?.data, ruleIds });
+
+      let alreadyChecked = 0;
+      if (runContext && typeof runContext === 'object') {
+        const previous = checkedOutput.get(runContext);
+        alreadyChecked = previous && agentOutput.startsWith(previous) ? previous.length : 0;
+        checkedOutput.set(runContext, agentOutput);
+      }
+      await recordGuardrailMatches(sessionId, 'assistant', result.matches.filter(match => match.end > alreadyChecked));
+
+      const blocking = result.matches.filter(match => match.action === 'block');
+      return {
+        tripwireTriggered: result.blocked,
+        outputInfo: { rules: [...new Set(blocking.map(match => match.ruleId))] }
+      };
+    }
+  }];
+};
+
+/**
+ * Input guardrail on what the caller says or types, with the application as
+ * field context. Blocked and redacted matches are replaced in text before it
+ * reaches the session store or any log, only blocked ones in agentText for
+ * the model; for blocked data (SSN, card and bank numbers) notice tells the
+ * agent to say we don't take it.
+ */
+export const screenUserInput = (text, { application = null } = {}) => {
+  const result = evaluateGuardrails(text, { role: 'user', application });
+  const blocked = [...new Set(result.matches.filter(match => match.action === 'block').map(match => match.label))];
+
+  return {
+    text: result.text,
+    agentText: result.agentText,
+    matches: result.matches,
+    escalated: result.escalated,
+    notice: blocked.length > 0
+      ? `The customer just read out their ${blocked.join(' and ')}. It was not recorded. Without repeating any of it, tell them you don't need that information for a quote and they shouldn't share it on this call, then carry on where you left off.`
+      : null
+  };
+};
+
+export default {
+  recordGuardrailMatches,
+  buildOutputGuardrails,
+  screenUserInput
+};
@@ -1,129 +1,144 @@
 import { tool } from '@openai/agents/realtime';
 import { z } from 'zod';
 import sessionManager from '../services/sessionManager.js';
+import { normalizeSpokenVin, validateVin } from '../services/vehicleCatalog/vinDecoder.js';
+import {
+  normalizeCarrier,
+  annualizePremium,
+  parseLiabilityLimits,
+  formatLiabilityLimits,
+  daysUntilExpiration,
+  RENEWAL_WINDOW_DAYS
+} from '../services/currentPolicy.js';
+import { describeMissingField } from '../services/completionRules.js';
+import { createCollectTool } from './collectToolFactory.js';
+import {
+  DRIVER_RELATIONSHIPS,
+  BILLING_PERIODS,
+  SWITCH_REASONS,
+  MARITAL_STATUSES,
+  OWNERSHIP_STATUSES,
+  PARKING_LOCATIONS,
+  VEHICLE_USES
+} from '../types/insurance.js';
+
+/**
+ * "vehicle 2 (2019 Honda Civic)" - how vehicles are referred to back to the agent
+ */
+export const describeVehicle = (vehicle, number) => {
+  const name = [vehicle?.year, vehicle?.make, vehicle?.model].filter(Boolean).join(' ');
+  return name ? `vehicle ${number} (${name})` : `vehicle ${number}`;
+};
+
+/**
+ * "Jane Smith, spouse"; the applicant's name comes from personalInfo
+ */
+const driverDetails = (driver, personalInfo = {}) => {
+  const isApplicant = driver?.relationship === 'self';
+  const firstName = driver?.firstName || (isApplicant ? personalInfo.firstName : null);
+  const lastName = driver?.lastName || (isApplicant ? personalInfo.lastName : null);
+  return [[firstName, lastName].filter(Boolean).join(' '), driver?.relationship].filter(Boolean).join(', ');
+};
+
+/**
+ * "driver 2 (Jane Smith, spouse)"; driver 1 is the applicant
+ */
+export const describeDriver = (driver, number, personalInfo = {}) => {
+  const details = driverDetails(driver, personalInfo);
+  return details ? `driver ${number} (${details})` : `driver ${number}`;
+};
 
 // Personal Information Collection Tool
-export const collectPersonalInfoTool = tool({
+export const collectPersonalInfoTool = createCollectTool({
   name: 'collect_personal_info',
   description: 'Collect and store personal information for insurance application',
-  parameters: z.object({
+  section: 'personalInfo',
+  fields: {
     firstName: z.string().nullable().optional(),
     lastName: z.string().nullable().optional(),
     dateOfBirth: z.string().nullable().optional(),
     address: z.object({
-      street: z.string(),
-      city: z.string(),
-      state: z.string(),
-      zipCode: z.string()
+      street: z.string().nullable().optional(),
+      city: z.string().nullable().optional(),
+      state: z.string().nullable().optional(),
+      zipCode: z.string().nullable().optional()
     }).nullable().optional(),
     phone: z.string().nullable().optional(),
     email: z.string().nullable().optional(),
-    maritalStatus: z.enum(['single', 'married', 'divorced', 'widowed']).nullable().optional(),
-    occupation: z.string().nullable().optional(),
-    previousInsurer: z.string().nullable().optional()
-  }),
-  execute: async (params, context) => {
-    try {
-      const sessionId = context?.context?.sessionId;
-      if (!sessionId) {
-        return 'Error: Session not found. Please start a new session.';
-      }
-
-      // Filter out undefined values
-      const personalInfo = Object.fromEntries(
-        Object.entries(params).filter(([_, value]) => value !== undefined)
-      );
-
-      // Update session with personal information
-      const updatedSession = sessionManager.updateSessionData(sessionId, {
-        personalInfo: {
-          ...sessionManager.getSession(sessionId)?.data?.personalInfo,
-          ...personalInfo
-        }
-      });
-
-      // Add to conversation history
-      sessionManager.addConversationItem(
-        sessionId,
-        'system',
-        `Personal information updated: ${Object.keys(personalInfo).join(', ')}`,
-        { tool: 'collect_personal_info', data: personalInfo }
-      );
-
-      const completionStatus = updatedSession.data.completionStatus.personalInfo;
-      
-      return `Thank you! I've recorded your personal information. Your personal details are now ${completionStatus}% complete. ${
-        completionStatus < 100 ? 'I may need a few more details as we continue.' : 'Your personal information section is complete!'
-      }`;
-    } catch (error) {
-      console.error('Error in collect_personal_info:', error);
-      return 'I apologize, but I had trouble saving that information. Could you please repeat it?';
-    }
-  }
+    maritalStatus: z.enum(MARITAL_STATUSES).nullable().optional(),
+    occupation: z.string().nullable().optional()
+  },
+  logLabel: () => 'Personal information',
+  respond: ({ completion, nextFields }) => (
+    `Thank you! I've recorded your personal information. Your personal details are now ${completion}% complete. ${
+      completion < 100 ? nextFields : 'Your personal information section is complete!'
+    }`
+  ),
+  failureMessage: 'I apologize, but I had trouble saving that information. Could you please repeat it?'
 });
 
 // Vehicle Information Collection Tool
-export const collectVehicleInfoTool = tool({
+export const collectVehicleInfoTool = createCollectTool({
   name: 'collect_vehicle_info',
-  description: 'Collect and store vehicle information for insurance application',
-  parameters: z.object({
+  description: 'Collect and store information about one household vehicle. Use vehicleNumber 1 for the first vehicle, 2 for the second and so on; the next unused number adds a vehicle.',
+  section: 'vehicles',
+  household: {
+    numberParam: 'vehicleNumber',
+    memberKey: 'vehicleId',
+    completionKey: 'byVehicle',
+    save: (sessionId, number, updates, options) => sessionManager.updateVehicle(sessionId, number, updates, options),
+    whichOne: (vehicles) => `There are ${vehicles.length} vehicles on this application: ${vehicles.map((v, i) => describeVehicle(v, i + 1)).join(', ')}. Ask which one this is about and call collect_vehicle_info again with its vehicleNumber.`
+  },
+  fields: {
+    primaryDriverNumber: z.number().int().min(1).nullable().optional(),
     make: z.string().nullable().optional(),
     model: z.string().nullable().optional(),
     year: z.number().nullable().optional(),
     vin: z.string().nullable().optional(),
     currentMileage: z.number().nullable().optional(),
     annualMileage: z.number().nullable().optional(),
-    ownershipStatus: z.enum(['owned', 'leased', 'financed']).nullable().optional(),
+    ownershipStatus: z.enum(OWNERSHIP_STATUSES).nullable().optional(),
+    lienholder: z.string().nullable().optional(),
     safetyFeatures: z.array(z.string()).nullable().optional(),
     modifications: z.array(z.string()).nullable().optional(),
-    parkingLocation: z.enum(['garage', 'driveway', 'street', 'lot']).nullable().optional(),
-    primaryUse: z.enum(['commuting', 'pleasure', 'business']).nullable().optional()
-  }),
-  execute: async (params, context) => {
-    try {
-      const sessionId = context?.context?.sessionId;
-      if (!sessionId) {
-        return 'Error: Session not found. Please start a new session.';
+    parkingLocation: z.enum(PARKING_LOCATIONS).nullable().optional(),
+    primaryUse: z.enum(VEHICLE_USES).nullable().optional()
+  },
+  prepare: ({ primaryDriverNumber, ...vehicleInfo }, { session }) => {
+    // VINs may arrive spelled out ("victor one hotel ...")
+    if (vehicleInfo.vin) {
+      const vinCheck = validateVin(normalizeSpokenVin(vehicleInfo.vin));
+      if (!vinCheck.valid) {
+        return `I couldn't save the VIN "${vinCheck.vin}": ${vinCheck.errors.join(' ')} Please ask the customer to read it again.`;
       }
+      vehicleInfo.vin = vinCheck.vin;
+    }
 
-      // Filter out undefined values
-      const vehicleInfo = Object.fromEntries(
-        Object.entries(params).filter(([_, value]) => value !== undefined)
-      );
-
-      // Update session with vehicle information
-      const updatedSession = sessionManager.updateSessionData(sessionId, {
-        vehicleInfo: {
-          ...sessionManager.getSession(sessionId)?.data?.vehicleInfo,
-          ...vehicleInfo
-        }
-      });
-
-      // Add to conversation history
-      sessionManager.addConversationItem(
-        sessionId,
-        'system',
-        `Vehicle information updated: ${Object.keys(vehicleInfo).join(', ')}`,
-        { tool: 'collect_vehicle_info', data: vehicleInfo }
-      );
-
-      const completionStatus = updatedSession.data.completionStatus.vehicleInfo;
-      
-      return `Perfect! I've recorded your vehicle information. Your vehicle details are now ${completionStatus}% complete. ${
-        completionStatus < 100 ? 'I may need a few more vehicle details.' : 'Your vehicle information section is complete!'
-      }`;
-    } catch (error) {
-      console.error('Error in collect_vehicle_info:', error);
-      return 'I apologize, but I had trouble saving that vehicle information. Could you please repeat it?';
+    if (primaryDriverNumber) {
+      const driver = session.data.drivers[primaryDriverNumber - 1];
+      if (!driver) {
+        return `Driver ${primaryDriverNumber} hasn't been added yet. Record them with collect_driving_history first, then assign the vehicle.`;
+      }
+      vehicleInfo.primaryDriverId = driver.id;
     }
-  }
+
+    return vehicleInfo;
+  },
+  logLabel: (number) => `Vehicle ${number} information`,
+  respond: ({ member: vehicle, number, completion, nextFields }) => (
+    `Perfect! I've recorded the details for ${describeVehicle(vehicle, number)}. That vehicle is now ${completion}% complete. ${
+      completion < 100 ? nextFields : 'That vehicle is complete! Ask whether there are any other vehicles in the household.'
+    }`
+  ),
+  failureMessage: 'I apologize, but I had trouble saving that vehicle information. Could you please repeat it?'
 });
 
 // Coverage Preferences Collection Tool
-export const collectCoveragePreferencesTool = tool({
+export const collectCoveragePreferencesTool = createCollectTool({
   name: 'collect_coverage_preferences',
   description: 'Collect and store coverage preferences for insurance application',
-  parameters: z.object({
+  section: 'coveragePrefs',
+  fields: {
     liabilityLimits: z.object({
       bodilyInjury: z.number().nullable().optional(),
       propertyDamage: z.number().nullable().optional()
@@ -141,53 +156,35 @@ export const collectCoveragePreferencesTool = tool({
       roadside: z.boolean().nullable().optional(),
       gapCoverage: z.boolean().nullable().optional()
     }).nullable().optional(),
-    policyStartDate: z.string().nullable().optional()
-  }),
-  execute: async (params, context) => {
-    try {
-      const sessionId = context?.context?.sessionId;
-      if (!sessionId) {
-        return 'Error: Session not found. Please start a new session.';
-      }
-
-      // Filter out undefined values
-      const coveragePrefs = Object.fromEntries(
-        Object.entries(params).filter(([_, value]) => value !== undefined)
-      );
-
-      // Update session with coverage preferences
-      const updatedSession = sessionManager.updateSessionData(sessionId, {
-        coveragePrefs: {
-          ...sessionManager.getSession(sessionId)?.data?.coveragePrefs,
-          ...coveragePrefs
-        }
-      });
-
-      // Add to conversation history
-      sessionManager.addConversationItem(
-        sessionId,
-        'system',
-        `Coverage preferences updated: ${Object.keys(coveragePrefs).join(', ')}`,
-        { tool: 'collect_coverage_preferences', data: coveragePrefs }
-      );
-
-      const completionStatus = updatedSession.data.completionStatus.coveragePrefs;
-      
-      return `Excellent! I've recorded your coverage preferences. Your coverage selection is now ${completionStatus}% complete. ${
-        completionStatus < 100 ? 'We may need to discuss a few more coverage options.' : 'Your coverage preferences are all set!'
-      }`;
-    } catch (error) {
-      console.error('Error in collect_coverage_preferences:', error);
-      return 'I apologize, but I had trouble saving those coverage preferences. Could you please repeat them?';
-    }
-  }
+    policyStartDate: z.string().nullable().optional(),
+    payInFull: z.boolean().nullable().optional()
+  },
+  logLabel: () => 'Coverage preferences',
+  respond: ({ completion, nextFields }) => (
+    `Excellent! I've recorded your coverage preferences. Your coverage selection is now ${completion}% complete. ${
+      completion < 100 ? nextFields : 'Your coverage preferences are all set!'
+    }`
+  ),
+  failureMessage: 'I apologize, but I had trouble saving those coverage preferences. Could you please repeat them?'
 });
 
 // Driving History Collection Tool
-export const collectDrivingHistoryTool = tool({
+export const collectDrivingHistoryTool = createCollectTool({
   name: 'collect_driving_history',
-  description: 'Collect and store driving history information for insurance application',
-  parameters: z.object({
+  description: 'Collect and store license and driving history for one household driver. Driver 1 is the applicant; use driverNumber 2, 3 and so on for other household drivers. Accidents, violations and claims are added to the ones already recorded.',
+  section: 'drivers',
+  household: {
+    numberParam: 'driverNumber',
+    memberKey: 'driverId',
+    completionKey: 'byDriver',
+    save: (sessionId, number, updates, options) => sessionManager.updateDriver(sessionId, number, updates, options),
+    whichOne: (drivers, { personalInfo }) => `There are ${drivers.length} drivers on this application: ${drivers.map((d, i) => describeDriver(d, i + 1, personalInfo)).join(', ')}. Ask who this is about and call collect_driving_history again with their driverNumber.`
+  },
+  fields: {
+    firstName: z.string().nullable().optional(),
+    lastName: z.string().nullable().optional(),
+    dateOfBirth: z.string().nullable().optional(),
+    relationship: z.enum(DRIVER_RELATIONSHIPS).nullable().optional(),
     licenseNumber: z.string().nullable().optional(),
     licenseState: z.string().nullable().optional(),
     yearsLicensed: z.number().nullable().optional(),
@@ -207,45 +204,83 @@ export const collectDrivingHistoryTool = tool({
       amount: z.number()
     })).nullable().optional(),
     defensiveDriving: z.boolean().nullable().optional()
-  }),
-  execute: async (params, context) => {
-    try {
-      const sessionId = context?.context?.sessionId;
-      if (!sessionId) {
-        return 'Error: Session not found. Please start a new session.';
+  },
+  prepare: (drivingHistory) => {
+    // An empty list is an answer too: the customer was asked and had nothing to report
+    if (drivingHistory.accidents || drivingHistory.violations || drivingHistory.claims) {
+      drivingHistory.incidentsReviewed = true;
+    }
+    return drivingHistory;
+  },
+  logLabel: (number) => `Driver ${number} information`,
+  respond: ({ session, member: driver, number, completion, nextFields }) => (
+    `Thank you! I've recorded the driving history for ${describeDriver(driver, number, session.data.personalInfo)}. Their driving record information is now ${completion}% complete. ${
+      completion < 100 ? nextFields : 'That driver is complete! Ask whether anyone else in the household drives the vehicles.'
+    }`
+  ),
+  failureMessage: 'I apologize, but I had trouble saving that driving history information. Could you please repeat it?'
+});
+
+// Current Policy Collection Tool
+export const collectCurrentPolicyTool = createCollectTool({
+  name: 'collect_current_policy',
+  description: 'Collect and store details of the customer\'s current auto insurance policy: insurer, premium and billing period, expiration date, years with the insurer, liability limits and why they are shopping',
+  section: 'currentPolicy',
+  fields: {
+    currentlyInsured: z.boolean().nullable().optional(),
+    insurer: z.string().nullable().optional(),
+    premium: z.number().nullable().optional(),
+    billingPeriod: z.enum(BILLING_PERIODS).nullable().optional(),
+    expirationDate: z.string().describe('YYYY-MM-DD').nullable().optional(),
+    yearsWithInsurer: z.number().nullable().optional(),
+    liabilityLimits: z.string().describe('Limits as the customer said them, e.g. "100/300/50"').nullable().optional(),
+    switchReason: z.enum(SWITCH_REASONS).nullable().optional(),
+    switchReasonDetails: z.string().nullable().optional()
+  },
+  prepare: (currentPolicy, { notes }) => {
+    if (currentPolicy.insurer) {
+      const carrier = normalizeCarrier(currentPolicy.insurer);
+      currentPolicy.insurer = carrier.insurer;
+      currentPolicy.insurerRecognized = carrier.recognized;
+      if (!carrier.recognized && carrier.suggestions.length > 0) {
+        notes.push(`I didn't recognize the insurer "${carrier.heard}" - did they mean ${carrier.suggestions.join(' or ')}?`);
       }
+    }
 
-      // Filter out undefined values
-      const drivingHistory = Object.fromEntries(
-        Object.entries(params).filter(([_, value]) => value !== undefined)
-      );
+    if (currentPolicy.liabilityLimits) {
+      const limits = parseLiabilityLimits(currentPolicy.liabilityLimits);
+      if (!limits) {
+        return `I couldn't read the liability limits "${currentPolicy.liabilityLimits}". Ask for them as three numbers, like 100/300/50.`;
+      }
+      currentPolicy.liabilityLimits = limits;
+    }
 
-      // Update session with driving history
-      const updatedSession = sessionManager.updateSessionData(sessionId, {
-        drivingHistory: {
-          ...sessionManager.getSession(sessionId)?.data?.drivingHistory,
-          ...drivingHistory
-        }
-      });
+    if (currentPolicy.insurer || currentPolicy.premium !== undefined) {
+      currentPolicy.currentlyInsured = currentPolicy.currentlyInsured ?? true;
+    }
 
-      // Add to conversation history
-      sessionManager.addConversationItem(
-        sessionId,
-        'system',
-        `Driving history updated: ${Object.keys(drivingHistory).join(', ')}`,
-        { tool: 'collect_driving_history', data: drivingHistory }
-      );
+    return currentPolicy;
+  },
+  logLabel: () => 'Current policy',
+  respond: ({ session, completion, nextFields, notes }) => {
+    const policy = session.data.currentPolicy;
+    const annualPremium = annualizePremium(policy.premium, policy.billingPeriod);
+    if (annualPremium !== null) {
+      notes.push(`They are paying about $${annualPremium.toLocaleString()} a year.`);
+    }
 
-      const completionStatus = updatedSession.data.completionStatus.drivingHistory;
-      
-      return `Thank you! I've recorded your driving history. Your driving record information is now ${completionStatus}% complete. ${
-        completionStatus < 100 ? 'I may need a few more details about your driving history.' : 'Your driving history section is complete!'
-      }`;
-    } catch (error) {
-      console.error('Error in collect_driving_history:', error);
-      return 'I apologize, but I had trouble saving that driving history information. Could you please repeat it?';
+    const daysLeft = daysUntilExpiration(policy.expirationDate);
+    if (daysLeft !== null && daysLeft < 0) {
+      notes.push(`Their policy expired ${-daysLeft} days ago - ask whether they have had any gap in coverage.`);
+    } else if (daysLeft !== null && daysLeft <= RENEWAL_WINDOW_DAYS) {
+      notes.push(`Their policy renews in ${daysLeft} days - a great time to lock in savings before renewal.`);
     }
-  }
+
+    notes.push(nextFields);
+
+    return `Got it! I've recorded the current policy details. That section is now ${completion}% complete. ${notes.filter(Boolean).join(' ')}`.trim();
+  },
+  failureMessage: 'I apologize, but I had trouble saving those policy details. Could you please repeat them?'
 });
 
 // Summary and Validation Tool
@@ -262,7 +297,7 @@ export const validateAndSummarizeTool = tool({
         return 'Error: Session not found. Please start a new session.';
       }
 
-      const session = sessionManager.getSession(sessionId);
+      const session = await sessionManager.getSession(sessionId);
       if (!session) {
         return 'Error: Session not found. Please start a new session.';
       }
@@ -282,7 +317,9 @@ export const validateAndSummarizeTool = tool({
         summary += `- Date of Birth: ${data.personalInfo.dateOfBirth}\n`;
       }
       if (data.personalInfo.address) {
-        summary += `- Address: ${data.personalInfo.address.street}, ${data.personalInfo.address.city}, ${data.personalInfo.address.state} ${data.personalInfo.address.zipCode}\n`;
+        const { street, city, state, zipCode } = data.personalInfo.address;
+        const address = [street, city, [state, zipCode].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+        summary += `- Address: ${address}\n`;
       }
       if (data.personalInfo.phone) {
         summary += `- Phone: ${data.personalInfo.phone}\n`;
@@ -292,19 +329,34 @@ export const validateAndSummarizeTool = tool({
       }
 
       // Vehicle Information Summary
-      summary += `\n**Vehicle Information (${completionStatus.vehicleInfo}% complete):**\n`;
-      if (data.vehicleInfo.year && data.vehicleInfo.make && data.vehicleInfo.model) {
-        summary += `- Vehicle: ${data.vehicleInfo.year} ${data.vehicleInfo.make} ${data.vehicleInfo.model}\n`;
-      }
-      if (data.vehicleInfo.vin) {
-        summary += `- VIN: ${data.vehicleInfo.vin}\n`;
-      }
-      if (data.vehicleInfo.currentMileage) {
-        summary += `- Current Mileage: ${data.vehicleInfo.currentMileage.toLocaleString()}\n`;
-      }
-      if (data.vehicleInfo.annualMileage) {
-        summary += `- Annual Mileage: ${data.vehicleInfo.annualMileage.toLocaleString()}\n`;
+      summary += `\n**Vehicles (${completionStatus.vehicles}% complete):**\n`;
+      if (data.vehicles.length === 0) {
+        summary += '- No vehicles recorded yet\n';
       }
+      data.vehicles.forEach((vehicle, index) => {
+        const number = index + 1;
+        summary += `- Vehicle ${number} (${completionStatus.byVehicle[vehicle.id] ?? 0}% complete):`;
+        if (vehicle.year && vehicle.make && vehicle.model) {
+          summary += ` ${vehicle.year} ${vehicle.make} ${vehicle.model}`;
+        }
+        summary += '\n';
+        if (vehicle.vin) {
+          summary += `  - VIN: ${vehicle.vin}\n`;
+        }
+        if (vehicle.currentMileage) {
+          summary += `  - Current Mileage: ${vehicle.currentMileage.toLocaleString()}\n`;
+        }
+        if (vehicle.annualMileage) {
+          summary += `  - Annual Mileage: ${vehicle.annualMileage.toLocaleString()}\n`;
+        }
+        if (vehicle.ownershipStatus) {
+          summary += `  - Ownership: ${vehicle.ownershipStatus}${vehicle.lienholder ? ` (${vehicle.lienholder})` : ''}\n`;
+        }
+        const primaryDriverIndex = data.drivers.findIndex(driver => driver.id === vehicle.primaryDriverId);
+        if (primaryDriverIndex !== -1) {
+          summary += `  - Primary Driver: ${describeDriver(data.drivers[primaryDriverIndex], primaryDriverIndex + 1, data.personalInfo)}\n`;
+        }
+      });
 
       // Coverage Preferences Summary
       summary += `\n**Coverage Preferences (${completionStatus.coveragePrefs}% complete):**\n`;
@@ -318,28 +370,61 @@ export const validateAndSummarizeTool = tool({
         summary += `- Collision: Yes (Deductible: $${data.coveragePrefs.collision.deductible || 'TBD'})\n`;
       }
 
-      // Driving History Summary
-      summary += `\n**Driving History (${completionStatus.drivingHistory}% complete):**\n`;
-      if (data.drivingHistory.yearsLicensed) {
-        summary += `- Years Licensed: ${data.drivingHistory.yearsLicensed}\n`;
+      // Driver Summary
+      summary += `\n**Drivers (${completionStatus.drivers}% complete):**\n`;
+      if (data.drivers.length === 0) {
+        summary += '- No drivers recorded yet\n';
       }
-      if (data.drivingHistory.accidents?.length > 0) {
-        summary += `- Accidents: ${data.drivingHistory.accidents.length}\n`;
+      data.drivers.forEach((driver, index) => {
+        summary += `- Driver ${index + 1} (${completionStatus.byDriver[driver.id] ?? 0}% complete): ${driverDetails(driver, data.personalInfo)}\n`;
+        if (driver.yearsLicensed) {
+          summary += `  - Years Licensed: ${driver.yearsLicensed}\n`;
+        }
+        if (driver.accidents?.length > 0) {
+          summary += `  - Accidents: ${driver.accidents.length}\n`;
+        }
+        if (driver.violations?.length > 0) {
+          summary += `  - Violations: ${driver.violations.length}\n`;
+        }
+      });
+
+      // Current Policy Summary
+      const policy = data.currentPolicy;
+      summary += `\n**Current Insurance (${completionStatus.currentPolicy}% complete):**\n`;
+      if (policy.currentlyInsured === false) {
+        summary += '- Not currently insured\n';
+      }
+      if (policy.insurer) {
+        summary += `- Insurer: ${policy.insurer}${policy.yearsWithInsurer !== undefined ? ` (${policy.yearsWithInsurer} years)` : ''}\n`;
+      }
+      if (policy.premium !== undefined) {
+        const annualPremium = annualizePremium(policy.premium, policy.billingPeriod);
+        summary += `- Premium: $${policy.premium.toLocaleString()}${policy.billingPeriod ? ` ${policy.billingPeriod}` : ''}${annualPremium !== null ? ` ($${annualPremium.toLocaleString()} per year)` : ''}\n`;
       }
-      if (data.drivingHistory.violations?.length > 0) {
-        summary += `- Violations: ${data.drivingHistory.violations.length}\n`;
+      if (policy.expirationDate) {
+        summary += `- Expires: ${policy.expirationDate}\n`;
+      }
+      if (policy.liabilityLimits) {
+        summary += `- Liability Limits: ${formatLiabilityLimits(policy.liabilityLimits)}\n`;
+      }
+      if (policy.switchReason) {
+        summary += `- Reason for Shopping: ${policy.switchReason.replace(/_/g, ' ')}${policy.switchReasonDetails ? ` (${policy.switchReasonDetails})` : ''}\n`;
       }
 
       summary += `\n**Overall Completion: ${completionStatus.overall}%**\n`;
 
+      const stillNeeded = (completionStatus.missingFields || []).filter(field => field.required);
       if (completionStatus.overall < 100) {
         summary += "\nWe still need to collect some additional information to complete your application.";
+        if (stillNeeded.length > 0) {
+          summary += `\nNext to ask about: ${stillNeeded.slice(0, 5).map(describeMissingField).join(', ')}`;
+        }
       } else {
         summary += "\nYour application is complete! We have all the information needed to provide you with a quote.";
       }
 
       // Add to conversation history
-      sessionManager.addConversationItem(
+      await sessionManager.addConversationItem(
         sessionId,
         'system',
         'Application summary generated',
@@ -0,0 +1,137 @@
+import { tool } from '@openai/agents/realtime';
+import { z } from 'zod';
+import sessionManager from '../services/sessionManager.js';
+import { rateApplication } from '../services/rating/ratingEngine.js';
+import { evaluateDiscounts, applyDiscountsToQuote } from '../services/rating/discountEngine.js';
+
+/**
+ * Realtime agent tools that price the application collected so far
+ */
+
+const MISSING_INPUT_LABELS = {
+  'personalInfo.address.zipCode': 'their ZIP code',
+  'personalInfo.dateOfBirth': 'their date of birth',
+  vehicles: 'at least one vehicle'
+};
+
+/**
+ * "vehicles.1.year" -> "the year of vehicle 2"
+ */
+export const describeMissingInput = (path) => {
+  if (MISSING_INPUT_LABELS[path]) {
+    return MISSING_INPUT_LABELS[path];
+  }
+
+  const match = path.match(/^(vehicles|drivers)\.(\d+)\.(\w+)$/);
+  if (match) {
+    const [, list, index, field] = match;
+    const member = `${list === 'vehicles' ? 'vehicle' : 'driver'} ${Number(index) + 1}`;
+    return field === 'dateOfBirth' ? `the date of birth of ${member}` : `the ${field} of ${member}`;
+  }
+
+  return path;
+};
+
+const formatMoney = (amount) => `$${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Quote Generation Tool
+export const generateQuoteTool = tool({
+  name: 'generate_quote',
+  description: 'Estimate an indicative six-month premium from the information collected so far, with a per-vehicle, per-coverage breakdown',
+  parameters: z.object({
+    includeBreakdown: z.boolean().nullable().optional()
+  }),
+  execute: async ({ includeBreakdown }, context) => {
+    try {
+      const sessionId = context?.context?.sessionId;
+      const session = await sessionManager.getSession(sessionId);
+      if (!session) {
+        return 'Error: Session not found. Please start a new session.';
+      }
+
+      const quote = rateApplication(session.data);
+
+      if (!quote.quotable) {
+        return `I need a few more details before I can estimate a premium: ${quote.missing.map(describeMissingInput).join(', ')}.`;
+      }
+
+      await sessionManager.addConversationItem(
+        sessionId,
+        'system',
+        `Indicative quote generated: ${formatMoney(quote.totalPremium)} per six months`,
+        { tool: 'generate_quote', rateTableVersion: quote.rateTableVersion, totalPremium: quote.totalPremium }
+      );
+
+      let response = `Indicative six-month premium: ${formatMoney(quote.totalPremium)} (about ${formatMoney(quote.monthlyEstimate)} a month) for ${quote.vehicles.length} vehicle${quote.vehicles.length === 1 ? '' : 's'}.`;
+
+      const savings = applyDiscountsToQuote(quote, evaluateDiscounts(session.data));
+      if (savings.totalSavings > 0) {
+        response += ` With discounts (${savings.discounts.map(discount => discount.name).join(', ')}) that comes to ${formatMoney(savings.discountedPremium)}.`;
+      }
+
+      if (includeBreakdown !== false) {
+        for (const vehicle of quote.vehicles) {
+          const items = vehicle.lineItems.map(item => `${item.label} ${formatMoney(item.premium)}`).join(', ');
+          response += `\n- ${vehicle.description}: ${formatMoney(vehicle.subtotal)} (${items})`;
+        }
+        for (const fee of quote.fees) {
+          response += `\n- ${fee.label}: ${formatMoney(fee.amount)}`;
+        }
+      }
+
+      if (quote.assumptions.length > 0) {
+        response += `\nAssumptions: ${quote.assumptions.join(' ')}`;
+      }
+
+      response += '\nThis is an estimate from our rate table, not a final offer - tell the customer the final price is confirmed when the policy is written.';
+      return response;
+    } catch (error) {
+      console.error('Error in generate_quote:', error);
+      return 'I was unable to calculate a quote right now. Let the customer know we will follow up with their price.';
+    }
+  }
+});
+
+// Discount Eligibility Tool
+export const checkDiscountsTool = tool({
+  name: 'check_discounts',
+  description: 'Check which discounts the customer qualifies for, why, and which questions would unlock more of them',
+  parameters: z.object({}),
+  execute: async (_, context) => {
+    try {
+      const sessionId = context?.context?.sessionId;
+      const session = await sessionManager.getSession(sessionId);
+      if (!session) {
+        return 'Error: Session not found. Please start a new session.';
+      }
+
+      const evaluation = evaluateDiscounts(session.data);
+      const eligible = evaluation.discounts.filter(discount => discount.status === 'eligible');
+      const unknown = evaluation.discounts.filter(discount => discount.status === 'unknown');
+
+      let response = eligible.length > 0
+        ? `Discounts they qualify for:${eligible.map(discount => `\n- ${discount.name} (${discount.percent}%): ${discount.explanation}`).join('')}`
+        : 'No discounts confirmed yet.';
+
+      if (unknown.length > 0) {
+        response += `\nTo check more discounts:${unknown.map(discount => `\n- ${discount.name}: ${discount.explanation}`).join('')}`;
+      }
+
+      const quote = rateApplication(session.data);
+      if (quote.quotable && eligible.length > 0) {
+        const savings = applyDiscountsToQuote(quote, evaluation);
+        response += `\nEstimated savings: ${formatMoney(savings.totalSavings)} per six months.`;
+      }
+
+      return response;
+    } catch (error) {
+      console.error('Error in check_discounts:', error);
+      return 'I was unable to check discounts right now. Let the customer know we will apply every discount they qualify for.';
+    }
+  }
+});
+
+export default {
+  generateQuoteTool,
+  checkDiscountsTool
+};
@@ -0,0 +1,100 @@
+import { describeVehicle, describeDriver } from './insuranceTools.js';
+import { describeMissingField } from '../services/completionRules.js';
+import { formatResumeCodeForSpeech } from '../services/resumeCodes.js';
+
+const SPEAKERS = { user: 'Customer', agent: 'You', assistant: 'You' };
+
+/**
+ * The last few spoken turns as "Customer: ..." / "You: ..." lines; system
+ * events are left out and long turns are shortened
+ */
+export const summarizeConversation = (conversationHistory = [], { maxTurns = 12, maxLength = 200 } = {}) => {
+  return conversationHistory
+    .filter(item => SPEAKERS[item.type] && item.content?.trim())
+    .slice(-maxTurns)
+    .map(item => {
+      const content = item.content.trim().replace(/\s+/g, ' ');
+      const text = content.length > maxLength ? `${content.slice(0, maxLength - 1)}…` : content;
+      return `${SPEAKERS[item.type]}: ${text}`;
+    });
+};
+
+/**
+ * One line per section of what has been collected, so the agent does not ask again
+ */
+export const describeCollectedData = (data) => {
+  const { personalInfo, vehicles, drivers, coveragePrefs, currentPolicy, completionStatus } = data;
+  const lines = [];
+
+  const name = [personalInfo.firstName, personalInfo.lastName].filter(Boolean).join(' ');
+  const address = personalInfo.address
+    ? [personalInfo.address.city, personalInfo.address.state, personalInfo.address.zipCode].filter(Boolean).join(' ')
+    : '';
+  const personal = [
+    name,
+    personalInfo.dateOfBirth && `born ${personalInfo.dateOfBirth}`,
+    address,
+    personalInfo.phone && `phone ${personalInfo.phone}`,
+    personalInfo.email && `email ${personalInfo.email}`
+  ].filter(Boolean);
+  lines.push(`- Personal info (${completionStatus.personalInfo}%): ${personal.join(', ') || 'nothing yet'}`);
+
+  const vehicleNames = vehicles.map((vehicle, index) => describeVehicle(vehicle, index + 1));
+  lines.push(`- Vehicles (${completionStatus.vehicles}%): ${vehicleNames.join(', ') || 'none yet'}`);
+
+  const driverNames = drivers.map((driver, index) => describeDriver(driver, index + 1, personalInfo));
+  lines.push(`- Drivers (${completionStatus.drivers}%): ${driverNames.join(', ') || 'none yet'}`);
+
+  const coverages = [
+    coveragePrefs.liabilityLimits && 'liability limits',
+    coveragePrefs.comprehensive?.selected && 'comprehensive',
+    coveragePrefs.collision?.selected && 'collision'
+  ].filter(Boolean);
+  lines.push(`- Coverage (${completionStatus.coveragePrefs}%): ${coverages.join(', ') || 'not discussed yet'}`);
+
+  const policy = currentPolicy.currentlyInsured === false
+    ? 'not currently insured'
+    : [currentPolicy.insurer, currentPolicy.premium !== undefined && `$${currentPolicy.premium} ${currentPolicy.billingPeriod || ''}`.trim()]
+      .filter(Boolean).join(', ');
+  lines.push(`- Current insurance (${completionStatus.currentPolicy}%): ${policy || 'not discussed yet'}`);
+
+  return lines;
+};
+
+/**
+ * Instructions for one customer's RealtimeSession: the agent's own instructions
+ * plus the resume code to give out, and for a resumed session the application
+ * and conversation so far.
+ */
+export const buildSessionInstructions = (baseInstructions, session, { resumed = false } = {}) => {
+  const sections = [baseInstructions.trim()];
+
+  if (session.resumeCode) {
+    sections.push(`**Resume Code:**
+This customer's resume code is ${session.resumeCode}. If the call gets cut off or they need to step away, they can call back with it and carry on where they left off. Offer it when they mention needing to go, and before wrapping up an unfinished application, spelling it out: "${formatResumeCodeForSpeech(session.resumeCode)}".`);
+  }
+
+  if (resumed) {
+    const { data } = session;
+    const nextFields = (data.completionStatus.missingFields || [])
+      .filter(field => field.required)
+      .slice(0, 5)
+      .map(describeMissingField);
+    const conversation = summarizeConversation(session.conversationHistory);
+
+    sections.push(`**Resuming An Earlier Conversation:**
+The customer is calling back to finish the application they started on ${session.createdAt.toISOString().slice(0, 10)} (${data.completionStatus.overall}% complete). Do not start over or ask again for anything already collected. Welcome them back (by name if you know it), recap in a sentence where you left off, and continue with what is still needed. Call validate_and_summarize if you need the full details.
+
+Collected so far:
+${describeCollectedData(data).join('\n')}
+
+${nextFields.length > 0 ? `Still needed next: ${nextFields.join(', ')}` : 'All required information has been collected - offer a quote and wrap up.'}${conversation.length > 0 ? `
+
+End of the earlier conversation:
+${conversation.join('\n')}` : ''}`);
+  }
+
+  return sections.join('\n\n');
+};
+
+export default buildSessionInstructions;
@@ -0,0 +1,167 @@
+import {
+  collectPersonalInfoTool,
+  collectVehicleInfoTool,
+  collectCoveragePreferencesTool,
+  collectDrivingHistoryTool,
+  collectCurrentPolicyTool,
+  validateAndSummarizeTool
+} from './insuranceTools.js';
+import {
+  validateZipCodeTool,
+  validateVehicleYearTool,
+  validateVehicleMakeTool,
+  validateVehicleModelTool,
+  getVehicleTrimsTool,
+  decodeVinTool
+} from './enhancedTools.js';
+import { generateQuoteTool, checkDiscountsTool } from './quoteTools.js';
+import { confirmFieldsTool } from './confirmationTools.js';
+import { RunContext } from '@openai/agents';
+
+/**
+ * Tool names enabled when AGENT_TOOLS is not set
+ */
+export const DEFAULT_AGENT_TOOLS = [
+  'collect_personal_info',
+  'collect_vehicle_info',
+  'collect_coverage_preferences',
+  'collect_driving_history',
+  'collect_current_policy',
+  'confirm_fields',
+  'validate_and_summarize',
+  'validate_zip_code',
+  'validate_vehicle_year',
+  'validate_vehicle_make',
+  'validate_vehicle_model',
+  'get_vehicle_trims',
+  'decode_vin',
+  'generate_quote',
+  'check_discounts'
+];
+
+/**
+ * Registry of the tools the realtime agent can be configured with.
+ * Tools are registered by name and the agent's tool list is built from
+ * configuration (AGENT_TOOLS env var, comma separated) at agent creation time.
+ */
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * Register a tool created with tool() under its own name
+   */
+  register(toolDefinition) {
+    if (!toolDefinition?.name) {
+      throw new Error('Tool definition must have a name');
+    }
+
+    if (this.tools.has(toolDefinition.name)) {
+      console.warn(`Tool ${toolDefinition.name} is already registered, replacing it`);
+    }
+
+    this.tools.set(toolDefinition.name, toolDefinition);
+    return this;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  getToolNames() {
+    return Array.from(this.tools.keys());
+  }
+
+  /**
+   * Resolve the configured tool names; AGENT_TOOLS overrides the given defaults
+   */
+  getConfiguredToolNames(defaults = DEFAULT_AGENT_TOOLS) {
+    const configured = process.env.AGENT_TOOLS;
+    if (!configured) {
+      return defaults;
+    }
+
+    if (configured.trim() === '*') {
+      return this.getToolNames();
+    }
+
+    return configured
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Build the tool list for an agent. Unknown tool names are skipped with a warning
+   * so a typo in configuration doesn't prevent the agent from starting.
+   */
+  buildTools(toolNames = this.getConfiguredToolNames()) {
+    const tools = [];
+
+    for (const name of toolNames) {
+      const toolDefinition = this.tools.get(name);
+      if (!toolDefinition) {
+        console.warn(`Unknown agent tool "${name}" in configuration, skipping`);
+        continue;
+      }
+      if (!tools.includes(toolDefinition)) {
+        tools.push(toolDefinition);
+      }
+    }
+
+    console.log(`Built agent tool list: ${tools.map(t => t.name).join(', ') || '(none)'}`);
+    return tools;
+  }
+
+  /**
+   * Name, description and JSON schema of the tools, for a browser session
+   * that declares them itself and runs them through the backend
+   */
+  describeTools(toolNames = this.getConfiguredToolNames()) {
+    return this.buildTools(toolNames).map(({ name, description, parameters, strict }) => ({
+      name,
+      description,
+      parameters,
+      strict
+    }));
+  }
+
+  /**
+   * Run a tool outside a RealtimeSession with the same run context
+   * ({ sessionId }); args are the arguments the model called it with
+   */
+  async invoke(name, args, context) {
+    const toolDefinition = this.tools.get(name);
+    if (!toolDefinition) {
+      throw new Error(`Unknown agent tool "${name}"`);
+    }
+    return toolDefinition.invoke(new RunContext(context), JSON.stringify(args ?? {}));
+  }
+}
+
+// Create singleton instance with the built-in insurance tools
+const toolRegistry = new ToolRegistry();
+
+toolRegistry
+  .register(collectPersonalInfoTool)
+  .register(collectVehicleInfoTool)
+  .register(collectCoveragePreferencesTool)
+  .register(collectDrivingHistoryTool)
+  .register(collectCurrentPolicyTool)
+  .register(confirmFieldsTool)
+  .register(validateAndSummarizeTool)
+  .register(validateZipCodeTool)
+  .register(validateVehicleYearTool)
+  .register(validateVehicleMakeTool)
+  .register(validateVehicleModelTool)
+  .register(getVehicleTrimsTool)
+  .register(decodeVinTool)
+  .register(generateQuoteTool)
+  .register(checkDiscountsTool);
+
+export default toolRegistry;
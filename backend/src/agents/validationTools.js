@@ -1,9 +1,27 @@
+import { getVehicleCatalogProvider } from '../services/vehicleCatalog/index.js';
+import { matchMake, matchModel, ACCEPT_CONFIDENCE } from '../services/vehicleCatalog/vehicleMatcher.js';
+
+/**
+ * Data validation tools using the vehicle catalog provider
+ * (QuoteWizard APIs, offline snapshot, or both behind a cache - see services/vehicleCatalog)
+ */
+
 /**
- * Data validation tools using QuoteWizard APIs
+ * Build the "Did you mean ...?" follow-up for ranked suggestions
  */
+export const formatDidYouMean = (names, article = '') => {
+  if (names.length === 0) {
+    return ' Please ask the customer to repeat or spell it.';
+  }
+  const options = names.map(name => `${article}${name}`);
+  if (options.length === 1) {
+    return ` Did you mean ${options[0]}?`;
+  }
+  return ` Did you mean ${options.slice(0, -1).join(', ')} or ${options[options.length - 1]}?`;
+};
 
 /**
- * Validate zip code using QuoteWizard API
+ * Validate zip code using the catalog provider
  */
 export const validateZipCode = async (zipcode) => {
   try {
@@ -18,24 +36,12 @@ export const validateZipCode = async (zipcode) => {
       };
     }
 
-    // Use only the 5-digit portion for API call
+    // Use only the 5-digit portion for the lookup
     const fiveDigitZip = zipcode.split('-')[0];
-    
-    const response = await fetch(`https://form.quotewizard.com/kube/nxrdzipcode/${fiveDigitZip}.json`);
-    
-    if (!response.ok) {
-      console.error(`Zip code validation failed: ${response.status}`);
-      return {
-        valid: false,
-        error: 'Unable to validate zip code. Please check and try again.',
-        zipcode: zipcode
-      };
-    }
 
-    const data = await response.json();
-    
-    // Check if zip code is valid based on response
-    if (data && (data.valid !== false)) {
+    const data = await getVehicleCatalogProvider().lookupZipCode(fiveDigitZip);
+
+    if (data) {
       console.log(`Zip code ${zipcode} is valid`);
       return {
         valid: true,
@@ -108,33 +114,7 @@ export const getValidVehicleMakes = async (year) => {
       return yearValidation;
     }
 
-    console.log(`Fetching vehicle makes for year: ${year}`);
-    
-    const response = await fetch(`https://form.quotewizard.com/kube/nxrdpolk/curated/${year}.json`);
-    
-    if (!response.ok) {
-      console.error(`Failed to fetch makes for year ${year}: ${response.status}`);
-      return {
-        valid: false,
-        error: `Unable to fetch vehicle makes for ${year}`,
-        makes: []
-      };
-    }
-
-    const data = await response.json();
-    
-    // Extract makes from the response
-    let makes = [];
-    if (Array.isArray(data)) {
-      makes = data.map(item => typeof item === 'string' ? item : item.make || item.name).filter(Boolean);
-    } else if (data.makes) {
-      makes = data.makes;
-    } else if (data.data) {
-      makes = data.data.map(item => item.make || item.name).filter(Boolean);
-    }
-
-    // Remove duplicates and sort
-    makes = [...new Set(makes)].sort();
+    const makes = await getVehicleCatalogProvider().getMakes(year);
 
     console.log(`Found ${makes.length} makes for year ${year}`);
     
@@ -166,22 +146,26 @@ export const validateVehicleMake = async (year, make) => {
       return makesData;
     }
     
-    // Check if the provided make exists in the valid makes list
-    const normalizedMake = make.trim().toLowerCase();
-    const validMake = makesData.makes.find(m => m.toLowerCase() === normalizedMake);
-    
-    if (validMake) {
+    // Rank the valid makes against what was heard (aliases, spelling, sound-alikes)
+    const match = matchMake(make, makesData.makes);
+
+    if (match.best && match.confidence >= ACCEPT_CONFIDENCE) {
       return {
         valid: true,
         year: year,
-        make: validMake
+        make: match.best.name,
+        heard: make,
+        confidence: match.confidence,
+        matchType: match.best.matchType
       };
     } else {
       return {
         valid: false,
-        error: `"${make}" is not a valid make for ${year}. Available makes include: ${makesData.makes.slice(0, 5).join(', ')}${makesData.makes.length > 5 ? '...' : ''}`,
+        error: `"${make}" is not a valid make for ${year}.${formatDidYouMean(match.candidates.map(c => c.name))}`,
         year: year,
         make: make,
+        confidence: match.confidence,
+        suggestions: match.candidates,
         availableMakes: makesData.makes
       };
     }
@@ -209,36 +193,7 @@ export const getValidVehicleModels = async (year, make) => {
     }
 
     const validMake = makeValidation.make;
-    console.log(`Fetching vehicle models for ${year} ${validMake}`);
-    
-    // Clean up the make name for URL
-    const cleanMake = validMake.toLowerCase().replace(/\s+/g, '');
-    
-    const response = await fetch(`https://form.quotewizard.com/kube/nxrdpolk/curated/${year}/${cleanMake}.json`);
-    
-    if (!response.ok) {
-      console.error(`Failed to fetch models for ${year} ${validMake}: ${response.status}`);
-      return {
-        valid: false,
-        error: `Unable to fetch vehicle models for ${year} ${validMake}`,
-        models: []
-      };
-    }
-
-    const data = await response.json();
-    
-    // Extract models from the response
-    let models = [];
-    if (Array.isArray(data)) {
-      models = data.map(item => typeof item === 'string' ? item : item.model || item.name).filter(Boolean);
-    } else if (data.models) {
-      models = data.models;
-    } else if (data.data) {
-      models = data.data.map(item => item.model || item.name).filter(Boolean);
-    }
-
-    // Remove duplicates and sort
-    models = [...new Set(models)].sort();
+    const models = await getVehicleCatalogProvider().getModels(year, validMake);
 
     console.log(`Found ${models.length} models for ${year} ${validMake}`);
     
@@ -271,24 +226,28 @@ export const validateVehicleModel = async (year, make, model) => {
       return modelsData;
     }
     
-    // Check if the provided model exists in the valid models list
-    const normalizedModel = model.trim().toLowerCase();
-    const validModel = modelsData.models.find(m => m.toLowerCase() === normalizedModel);
-    
-    if (validModel) {
+    // Rank the valid models against what was heard ("Camery", "F one fifty", "four runner")
+    const match = matchModel(model, modelsData.models, modelsData.make);
+
+    if (match.best && match.confidence >= ACCEPT_CONFIDENCE) {
       return {
         valid: true,
         year: year,
         make: modelsData.make,
-        model: validModel
+        model: match.best.name,
+        heard: model,
+        confidence: match.confidence,
+        matchType: match.best.matchType
       };
     } else {
       return {
         valid: false,
-        error: `"${model}" is not a valid model for ${year} ${modelsData.make}. Available models include: ${modelsData.models.slice(0, 5).join(', ')}${modelsData.models.length > 5 ? '...' : ''}`,
+        error: `"${model}" is not a valid model for ${year} ${modelsData.make}.${formatDidYouMean(match.candidates.map(c => `${modelsData.make} ${c.name}`), 'the ')}`,
         year: year,
         make: modelsData.make,
         model: model,
+        confidence: match.confidence,
+        suggestions: match.candidates,
         availableModels: modelsData.models
       };
     }
@@ -318,37 +277,7 @@ export const getValidVehicleTrims = async (year, make, model) => {
 
     const validMake = modelValidation.make;
     const validModel = modelValidation.model;
-    console.log(`Fetching vehicle trims for ${year} ${validMake} ${validModel}`);
-    
-    // Clean up names for URL
-    const cleanMake = validMake.toLowerCase().replace(/\s+/g, '');
-    const cleanModel = validModel.toLowerCase().replace(/\s+/g, '');
-    
-    const response = await fetch(`https://form.quotewizard.com/kube/nxrdpolk/curated/${year}/${cleanMake}/${cleanModel}.json`);
-    
-    if (!response.ok) {
-      console.error(`Failed to fetch trims for ${year} ${validMake} ${validModel}: ${response.status}`);
-      return {
-        valid: false,
-        error: `Unable to fetch vehicle trims for ${year} ${validMake} ${validModel}`,
-        trims: []
-      };
-    }
-
-    const data = await response.json();
-    
-    // Extract trims from the response
-    let trims = [];
-    if (Array.isArray(data)) {
-      trims = data.map(item => typeof item === 'string' ? item : item.trim || item.name).filter(Boolean);
-    } else if (data.trims) {
-      trims = data.trims;
-    } else if (data.data) {
-      trims = data.data.map(item => item.trim || item.name).filter(Boolean);
-    }
-
-    // Remove duplicates and sort
-    trims = [...new Set(trims)].sort();
+    const trims = await getVehicleCatalogProvider().getTrims(year, validMake, validModel);
 
     console.log(`Found ${trims.length} trims for ${year} ${validMake} ${validModel}`);
     
@@ -1,4 +1,6 @@
-import { RealtimeAgent, RealtimeSession } from '@openai/agents/realtime';
+import { RealtimeSession } from '@openai/agents/realtime';
+import { createInsuranceAgent } from '../agents/insuranceAgent.js';
+import agentProfiles, { buildRealtimeSessionConfig } from '../agents/agentProfiles.js';
 import localConversationLogger from '../services/localConversationLogger.js';
 
 /**
@@ -12,49 +14,14 @@ import localConversationLogger from '../services/localConversationLogger.js';
 // Example usage in your WebSocket server or API endpoint
 export async function setupVoiceAgentWithLocalLogging(req, res) {
   try {
-    // 1. Create your voice agent (same as before)
-    const insuranceAgent = new RealtimeAgent({
-      name: 'QuoteWizard Insurance Agent',
-      instructions: `You are a friendly and professional insurance agent helping customers get auto insurance quotes.
-
-Your primary goals:
-- Collect comprehensive auto insurance information
-- Provide excellent customer service
-- Guide customers through the quote process naturally
-
-Key Information to Collect:
-1. **Insurance Purpose**: Ask about their insurance needs (new policy, renewal, adding vehicle, etc.)
-2. **Personal Information**: Name, email, phone, address, date of birth, gender, marital status
-3. **Vehicle Information**: Year, make, model, VIN (if available)
-4. **Current Insurance**: Current insurer, coverage details, claims history
-5. **Driving History**: License information, accidents, violations
-
-Remember:
-- START TALKING FIRST - don't wait for the customer
-- Be conversational and natural
-- Ask follow-up questions to get complete information
-- Confirm important details
-- ALWAYS ask about their insurance purpose first!`,
-    });
+    // 1. Create your voice agent from its agent profile (same as the WebSocket server)
+    const profile = agentProfiles.get();
+    const insuranceAgent = createInsuranceAgent({ profile });
 
     // 2. Create RealtimeSession with transcription enabled
     const realtimeSession = new RealtimeSession(insuranceAgent, {
-      model: 'gpt-4o-realtime-preview-2025-06-03',
-      config: {
-        inputAudioFormat: 'pcm16',
-        outputAudioFormat: 'pcm16',
-        inputAudioTranscription: {
-          model: 'whisper-1' // Enable transcription for conversation logging
-        },
-        turnDetection: {
-          type: 'server_vad',
-          threshold: 0.3,
-          prefixPaddingMs: 300,
-          silenceDurationMs: 200
-        },
-        voice: 'alloy',
-        modalities: ['text', 'audio']
-      }
+      model: profile.model,
+      config: buildRealtimeSessionConfig(profile) // includes whisper transcription for conversation logging
     });
 
     // 3. Start local conversation logging
@@ -1,16 +1,37 @@
+// Load environment variables before any module reads them at import time
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import VoiceAgentWebSocketServer from './services/websocketServer.js';
 import sessionManager from './services/sessionManager.js';
+import { isVersionConflict } from './services/sessionStore/index.js';
+import { withCleared } from './services/mergePolicy.js';
+import agentProfiles, { buildProfileInstructions, buildSessionTokenRequest } from './agents/agentProfiles.js';
+import toolRegistry from './agents/toolRegistry.js';
+import { isValidationError, problemsFromZodError } from './services/applicationValidation.js';
 import { getOpenAIApiKey, isLambdaEnvironment, getLambdaContext } from './config/aws.js';
 import conversationLogger from './services/conversationLogger.js';
+import {
+  buildExperimentReport,
+  experimentProfileId,
+  experimentsForProfile,
+  describeSessionOutcome
+} from './services/experiments.js';
+import { loadGuardrailPolicy, guardrailMonitor, redactDeep } from './services/guardrailPolicy.js';
+import { getConnectionTokens, readConnectionToken } from './services/connectionTokens.js';
+import {
+  authenticateRequest,
+  authorizeSession,
+  requireConnectionToken,
+  requireSessionOwner
+} from './services/sessionAccess.js';
+import { requireAdmin } from './services/adminAccess.js';
+import { rateApplication, listRateTableVersions } from './services/rating/ratingEngine.js';
+import { evaluateDiscounts, applyDiscountsToQuote } from './services/rating/discountEngine.js';
+import { AUDIO_ENCODINGS, SUPPORTED_SAMPLE_RATES } from './services/audio/formats.js';
 import fs from 'fs/promises';
 import path from 'path';
 
-// Load environment variables
-dotenv.config();
-
 // Global variable to store OpenAI API key
 let openaiApiKey = null;
 
@@ -60,15 +81,19 @@ app.use((req, res, next) => {
 });
 
 // Health check endpoint
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
-    activeSessions: sessionManager.getActiveSessionsCount(),
+    activeSessions: await sessionManager.getActiveSessionsCount(),
+    sessionStore: sessionManager.store.name,
     uptime: process.uptime()
   });
 });
 
+// Debug endpoints show what callers said; they take the admin token like /api/admin
+app.use('/api/debug', requireAdmin);
+
 // Debug endpoint to check active conversations
 app.get('/api/debug/conversations', async (req, res) => {
   try {
@@ -111,12 +136,21 @@ app.post('/api/debug/capture/:sessionId', async (req, res) => {
   }
 });
 
-// Endpoint to save conversation from frontend
+// Endpoint to save conversation from frontend: a browser call's conversation,
+// saved under the backend session it recorded the application in; only the
+// session's owner can save it. The session's agent profile, experiments and
+// outcome go with it for experiment reports.
 app.post('/api/conversations/save', async (req, res) => {
   try {
     const conversationData = req.body;
+    const session = await authorizeSession(authenticateRequest(req), conversationData.sessionId);
+    const profile = agentProfiles.get(session.metadata?.agentProfile || undefined);
     const conversationLogger = (await import('./services/conversationLogger.js')).default;
 
+    // What the caller said is stored like the backend's own logs: redacted
+    const history = redactDeep(conversationData.conversationData || []);
+    const events = redactDeep(conversationData.events || []);
+
     console.log('💾 Received conversation data from frontend:', {
       sessionId: conversationData.sessionId,
       messageCount: conversationData.conversationData?.length || 0,
@@ -133,23 +167,27 @@ app.post('/api/conversations/save', async (req, res) => {
         source: 'frontend_realtime_session',
         userAgent: req.headers['user-agent'] || 'unknown',
         ipAddress: req.ip || 'unknown',
-        ...conversationData.statistics
+        ...conversationData.statistics,
+        agentProfile: `${profile.id}@${profile.version}`,
+        experiments: experimentsForProfile(session.metadata?.experiments, profile.id),
+        outcome: describeSessionOutcome(session)
       },
       historySnapshots: [{
         id: Date.now().toString(),
         timestamp: conversationData.endTime,
         eventType: 'conversation_end',
-        historyLength: conversationData.conversationData?.length || 0,
-        history: conversationData.conversationData || [],
+        historyLength: history.length,
+        history,
         conversationState: {
           totalMessages: conversationData.statistics?.totalMessages || 0,
           userMessages: conversationData.statistics?.userMessages || 0,
           assistantMessages: conversationData.statistics?.agentMessages || 0,
-          conversationText: generateReadableConversation(conversationData.conversationData || []),
-          messageDetails: conversationData.conversationData || []
+          conversationText: generateReadableConversation(history),
+          messageDetails: history
         }
       }],
-      events: conversationData.events || []
+      events,
+      guardrailEvents: []
     };
 
     // Save using the existing conversation logger
@@ -163,7 +201,7 @@ app.post('/api/conversations/save', async (req, res) => {
     });
   } catch (error) {
     console.error('Error saving frontend conversation:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
@@ -214,16 +252,19 @@ function generateReadableConversation(conversationData) {
     .join('\n\n');
 }
 
-// Session management endpoints
-app.post('/api/sessions', (req, res) => {
+// Session management endpoints. They take a connection token (see
+// /api/connection-token) as "Authorization: Bearer": a new session belongs to
+// the token's principal and only that principal can use it.
+app.post('/api/sessions', requireConnectionToken, async (req, res) => {
   try {
-    const { userId } = req.body;
-    const session = sessionManager.createSession(userId);
+    const session = await sessionManager.createSession(res.locals.principal);
     
     res.json({
       success: true,
       sessionId: session.id,
       status: session.status,
+      version: session.version,
+      resumeCode: session.resumeCode,
       data: session.data
     });
   } catch (error) {
@@ -235,23 +276,16 @@ app.post('/api/sessions', (req, res) => {
   }
 });
 
-app.get('/api/sessions/:sessionId', (req, res) => {
+app.get('/api/sessions/:sessionId', requireSessionOwner, async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    const session = sessionManager.getSession(sessionId);
-    
-    if (!session) {
-      return res.status(404).json({
-        success: false,
-        error: 'Session not found or expired'
-      });
-    }
-    
+    const { session } = res.locals;
+
     res.json({
       success: true,
       session: {
         id: session.id,
         status: session.status,
+        version: session.version,
         data: session.data,
         completionStatus: session.data.completionStatus,
         createdAt: session.createdAt,
@@ -268,19 +302,38 @@ app.get('/api/sessions/:sessionId', (req, res) => {
   }
 });
 
-app.patch('/api/sessions/:sessionId', (req, res) => {
+// Pass the version read with the session to reject edits to a stale copy
+app.patch('/api/sessions/:sessionId', requireSessionOwner, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { data } = req.body;
+    const { data, clear = [], version } = req.body;
     
-    const updatedSession = sessionManager.updateSessionData(sessionId, data);
+    const updatedSession = await sessionManager.updateSessionData(sessionId, withCleared(data, clear), {
+      expectedVersion: version,
+      source: 'api',
+      confirmed: true
+    });
     
     res.json({
       success: true,
+      version: updatedSession.version,
       data: updatedSession.data,
       completionStatus: updatedSession.data.completionStatus
     });
   } catch (error) {
+    if (isVersionConflict(error)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Session was changed by someone else - reload it and try again'
+      });
+    }
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some fields are not valid',
+        problems: problemsFromZodError(error)
+      });
+    }
     console.error('Error updating session:', error);
     res.status(500).json({
       success: false,
@@ -289,10 +342,10 @@ app.patch('/api/sessions/:sessionId', (req, res) => {
   }
 });
 
-app.delete('/api/sessions/:sessionId', (req, res) => {
+app.delete('/api/sessions/:sessionId', requireSessionOwner, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const deleted = sessionManager.deleteSession(sessionId);
+    const deleted = await sessionManager.deleteSession(sessionId);
     
     if (!deleted) {
       return res.status(404).json({
@@ -315,24 +368,41 @@ app.delete('/api/sessions/:sessionId', (req, res) => {
 });
 
 // Get session conversation history
-app.get('/api/sessions/:sessionId/history', (req, res) => {
+app.get('/api/sessions/:sessionId/history', requireSessionOwner, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      history: res.locals.session.conversationHistory
+    });
+  } catch (error) {
+    console.error('Error retrieving conversation history:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Recorded changes to the application, optionally only those touching ?path=vehicles.0.vin
+app.get('/api/sessions/:sessionId/events', requireSessionOwner, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const session = sessionManager.getSession(sessionId);
-    
-    if (!session) {
+    const { path } = req.query;
+    const events = await sessionManager.getApplicationEvents(sessionId, { path });
+
+    if (!events) {
       return res.status(404).json({
         success: false,
         error: 'Session not found or expired'
       });
     }
-    
+
     res.json({
       success: true,
-      history: session.conversationHistory
+      events
     });
   } catch (error) {
-    console.error('Error retrieving conversation history:', error);
+    console.error('Error retrieving application events:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -340,10 +410,198 @@ app.get('/api/sessions/:sessionId/history', (req, res) => {
   }
 });
 
-// Session token endpoint for OpenAI Realtime API
+// Who set a field (?path=personalInfo.address.zipCode) and from which utterance
+app.get('/api/sessions/:sessionId/provenance', requireSessionOwner, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { path } = req.query;
+
+    if (!path) {
+      return res.status(400).json({
+        success: false,
+        error: 'path is required, e.g. personalInfo.address.zipCode'
+      });
+    }
+
+    const provenance = await sessionManager.getFieldProvenance(sessionId, path);
+
+    if (!provenance) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found or expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      provenance
+    });
+  } catch (error) {
+    console.error('Error retrieving field provenance:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Undo the most recent change to the application; pass version like PATCH
+app.post('/api/sessions/:sessionId/undo', requireSessionOwner, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { version } = req.body || {};
+
+    const { session, undone } = await sessionManager.undoLastChange(sessionId, { expectedVersion: version });
+
+    if (!undone) {
+      return res.status(409).json({
+        success: false,
+        error: 'There are no changes to undo'
+      });
+    }
+
+    res.json({
+      success: true,
+      version: session.version,
+      undone: {
+        changeId: undone.changeId,
+        source: undone.events[0].source,
+        paths: undone.events.map(event => event.path)
+      },
+      data: session.data,
+      completionStatus: session.data.completionStatus
+    });
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Session was changed by someone else - reload it and try again'
+      });
+    }
+    if (error.message === 'Session not found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found or expired'
+      });
+    }
+    console.error('Error undoing change:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Indicative quote for the data collected in a session
+app.get('/api/sessions/:sessionId/quote', requireSessionOwner, async (req, res) => {
+  try {
+    const { asOf, rateTableVersion } = req.query;
+    const { session } = res.locals;
+
+    const asOfDate = asOf ? new Date(asOf) : new Date();
+    if (Number.isNaN(asOfDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'asOf must be a date (YYYY-MM-DD)'
+      });
+    }
+
+    if (rateTableVersion && !listRateTableVersions().includes(rateTableVersion)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown rate table version: ${rateTableVersion}`
+      });
+    }
+
+    const quote = rateApplication(session.data, { asOf: asOfDate, rateTableVersion });
+
+    if (!quote.quotable) {
+      return res.status(422).json({
+        success: false,
+        error: 'Not enough information to rate this application',
+        missing: quote.missing
+      });
+    }
+
+    const discounts = evaluateDiscounts(session.data, { asOf: asOfDate });
+
+    res.json({
+      success: true,
+      quote,
+      discounts: {
+        ...applyDiscountsToQuote(quote, discounts),
+        eligibility: discounts.discounts
+      }
+    });
+  } catch (error) {
+    console.error('Error generating quote:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Run one of the agent's tools for a browser session: its RealtimeAgent declares
+// the tools from /api/session-token and calls them here. Replies with the tool's
+// output and the application like a data:updated frame.
+app.post('/api/sessions/:sessionId/tools/:toolName', requireSessionOwner, async (req, res) => {
+  try {
+    const { sessionId, toolName } = req.params;
+    const profile = agentProfiles.get(res.locals.session.metadata?.agentProfile || undefined);
+
+    if (!toolRegistry.getConfiguredToolNames(profile.tools).includes(toolName)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown tool: ${toolName}`
+      });
+    }
+
+    const output = await toolRegistry.invoke(toolName, req.body?.arguments, { sessionId });
+    const session = await sessionManager.getSession(sessionId);
+
+    res.json({
+      success: true,
+      sessionId,
+      toolName,
+      output,
+      data: session.data,
+      completionStatus: session.data.completionStatus,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error running agent tool:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Session token endpoint for OpenAI Realtime API. The backend session is
+// created first so its experiment variant can pick the agent profile, like it
+// does for WebSocket sessions; a profileId in the body overrides it.
 app.post('/api/session-token', async (req, res) => {
+  const profileId = req.body?.profileId;
+  if (profileId && !agentProfiles.has(profileId)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown agent profile: ${profileId}`
+    });
+  }
+
+  let backendSession;
   try {
-    console.log('Creating session token with OpenAI...');
+    // The browser talks to OpenAI directly but records the application in a
+    // backend session of its own, through the tools route above
+    const connection = getConnectionTokens().issue();
+    backendSession = await sessionManager.createSession(connection.principal);
+    const profile = agentProfiles.get(profileId || experimentProfileId(backendSession.metadata.experiments) || undefined);
+    backendSession = await sessionManager.updateSession(backendSession.id, {
+      metadata: { ...backendSession.metadata, agentProfile: profile.id }
+    });
+
+    console.log(`Creating session token with OpenAI for agent profile ${profile.id}@${profile.version}...`);
     const apiKey = await getApiKey();
     const response = await fetch('https://api.openai.com/v1/realtime/sessions', {
       method: 'POST',
@@ -351,123 +609,7 @@ app.post('/api/session-token', async (req, res) => {
         'Authorization': `Bearer ${apiKey}`,
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({
-        model: 'gpt-4o-realtime-preview-2025-06-03',
-        voice: 'alloy', // Female voice - warm and professional
-        instructions: `You are Sarah, a friendly and experienced auto insurance specialist who genuinely cares about helping people find the right coverage. You have a warm, conversational style and make insurance feel approachable and easy to understand.
-
-Your personality:
-- Warm, friendly, and genuinely interested in helping - with a pleasant, professional female voice
-- Great at building rapport and making people feel comfortable and at ease
-- Excellent at explaining complex insurance concepts in simple, relatable terms
-- Patient and never pushy - you let conversations flow naturally with feminine grace
-- Professional but personable - like talking to a knowledgeable, caring female friend
-
-Your natural speaking style (VERY IMPORTANT):
-- Use natural speech patterns with occasional "um", "uh", "you know", "let's see", "hmm"
-- Add thoughtful pauses like "well..." or "so..." when transitioning topics
-- Use conversational fillers: "actually", "honestly", "I mean", "basically"
-- Include natural reactions: "oh that's great!", "mm-hmm", "I see", "gotcha"
-- Use gentle hesitations when thinking: "let me think...", "hmm, okay so..."
-- Sound like you're genuinely processing information: "alright, so you mentioned..."
-- Use natural confirmations: "perfect", "wonderful", "that makes sense"
-
-Your conversational approach:
-- Start with a warm, personal greeting and ask how their day is going
-- Show genuine interest in their situation and needs with natural reactions
-- Use natural conversation flow with realistic pauses and thinking sounds
-- Share relevant insights and tips that show your expertise
-- Use analogies and examples to explain insurance concepts
-- Ask follow-up questions that show you're listening and processing
-- Acknowledge their concerns and validate their feelings about insurance
-- Sound like you're having a real conversation, not reading from a script
-
-Information you need to collect naturally through conversation (like QuoteWizard and major insurers require):
-
-**Personal Information:**
-- Full name and preferred name
-- Age or date of birth
-- Current address (complete street, city, state, ZIP code)
-- Phone number and email address
-- Marital status (married, single, divorced, widowed)
-- Occupation/employment details
-- Social Security Number (for credit check and verification)
-- How long they've lived at current address
-
-**Driver's License Information:**
-- Driver's license number and issuing state
-- How long they've been licensed to drive
-
-**Vehicle Information (Ask about ALL vehicles in household):**
-- What they drive (year, make, model - be specific for each vehicle)
-- Ask specifically: "Do you have any other vehicles that need coverage?" or "Does anyone else in your household drive a different car?"
-- VIN (Vehicle Identification Number) for each vehicle if available
-- How each vehicle is used (commuting to work, pleasure/personal use, business)
-- Annual mileage driven for each vehicle (approximate miles per year)
-- Where each vehicle is parked overnight (garage, driveway, street, parking lot)
-- Any financing or loan information (lender name if applicable)
-- Safety features or modifications for each vehicle
-- Primary driver for each vehicle
-
-**Current Insurance Status:**
-- Current insurance company name
-- Policy expiration date
-- Current coverage levels and limits
-- Reason for shopping (price, service, moving, claim issues, etc.)
-- When they need new coverage to start
-
-**Comprehensive Driving History (Past 3-5 years):**
-- Total years of driving experience
-- Any accidents, collisions, or claims filed
-- Any traffic violations, tickets, or citations
-- Any license suspensions, DUI/DWI, or serious violations
-- Claims history with previous insurers
-
-**Household Information:**
-- Other drivers in household (spouse, children, etc.) and their ages
-- Other vehicles that need coverage
-- Homeowner or renter status
-- Number of total drivers in household
-
-**Coverage Preferences & Financial:**
-- Desired coverage types (liability limits, comprehensive, collision)
-- Preferred deductible amounts ($500, $1000, etc.)
-- Budget considerations and payment preferences
-- Any specific coverage needs or add-ons (roadside assistance, rental car, etc.)
-- Credit score range (if comfortable sharing)
-- Any discounts they might qualify for (military, student, multi-policy, etc.)
-
-**Natural Conversation Flow Examples:**
-- Let them share their story first: "So, um, tell me - what's got you looking for new insurance today?"
-- Build naturally: "Oh, I see... and, let's see, how long have you been with your current company?"
-- Use natural transitions: "Mm-hmm, that makes total sense. So, uh, what are you driving these days?"
-- Natural reactions: "Oh wow, a 2020 Honda Civic - those are great cars! And, um, do you use it mainly for..."
-- Thinking sounds: "Hmm, okay so you mentioned you commute to work... let me ask you this..."
-- Natural confirmations: "Perfect, gotcha. And, uh, where do you usually park it overnight?"
-- Show you're listening: "Alright, so you've got the Civic for commuting... do you happen to have any other vehicles in the household?"
-- Natural empathy: "Oh, I totally understand that. Actually, you know what, many of my clients feel the same way..."
-
-Example natural opening: "Hi there! I'm Sarah, and, um, I'm here to help you find some great auto insurance coverage. Before we dive into all that though, how's your day treating you so far?"
-
-**Additional Natural Speech Guidelines:**
-- Vary your sentence structure - don't always use complete sentences
-- Use contractions naturally: "you're", "that's", "I'll", "we'll", "can't"
-- Add natural interruptions to your own thoughts: "So you mentioned... oh, and actually..."
-- Use realistic time fillers: "give me just a second to...", "let me see here..."
-- Include natural clarifications: "sorry, when you say...", "just to make sure I understand..."
-- React authentically: "oh that's interesting!", "really?", "no way!", "that's awesome!"
-- Use gentle corrections: "actually, let me rephrase that...", "or, um, maybe I should ask..."
-
-Remember: Sound like a real person having a genuine conversation! Use natural speech patterns, thinking pauses, and conversational fillers. This should feel like chatting with a knowledgeable friend over coffee, not a formal business interview. Be authentically human!`,
-        input_audio_format: 'pcm16',
-        output_audio_format: 'pcm16',
-        turn_detection: {
-          type: 'server_vad',
-          threshold: 0.3,
-          prefix_padding_ms: 300,
-          silence_duration_ms: 200
-        }
-      })
+      body: JSON.stringify(buildSessionTokenRequest(profile))
     });
 
     if (!response.ok) {
@@ -478,13 +620,70 @@ Remember: Sound like a real person having a genuine conversation! Use natural sp
 
     const session = await response.json();
     console.log('Session token created successfully:', session.id);
+
     res.json({
       success: true,
       token: session.client_secret.value,
-      sessionId: session.id
+      sessionId: session.id,
+      backendSession: {
+        sessionId: backendSession.id,
+        resumeCode: backendSession.resumeCode,
+        // Renewed through /api/connection-token like a WebSocket client's
+        connectionToken: connection.token,
+        expiresAt: connection.expiresAt
+      },
+      // The browser configures its RealtimeAgent with the same profile
+      profile: {
+        id: profile.id,
+        version: profile.version,
+        name: profile.name,
+        model: profile.model,
+        voice: profile.voice,
+        turnDetection: profile.turnDetection,
+        instructions: buildProfileInstructions(profile),
+        tools: toolRegistry.describeTools(toolRegistry.getConfiguredToolNames(profile.tools))
+      }
     });
   } catch (error) {
     console.error('Error creating session token:', error);
+    if (backendSession) {
+      await sessionManager.deleteSession(backendSession.id).catch(() => {});
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Short-lived token for opening the voice WebSocket (ws://...?token=...). Sending a
+// still valid token as "Authorization: Bearer" renews it for the same principal,
+// so the connection can reattach to the sessions it started.
+app.post('/api/connection-token', (req, res) => {
+  try {
+    const tokens = getConnectionTokens();
+    const current = readConnectionToken(req);
+    let principal;
+    if (current) {
+      try {
+        principal = tokens.verify(current).principal;
+      } catch (error) {
+        return res.status(401).json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+
+    const { token, expiresAt } = tokens.issue(principal);
+    res.json({
+      success: true,
+      token,
+      expiresAt,
+      websocketUrl: `ws://localhost:${WS_PORT}`
+    });
+  } catch (error) {
+    console.error('Error issuing connection token:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -494,30 +693,38 @@ Remember: Sound like a real person having a genuine conversation! Use natural sp
 
 // Agent configuration endpoint
 app.get('/api/config', (req, res) => {
+  const profile = agentProfiles.get();
   res.json({
     agentConfig: {
-      name: 'Insurance Specialist',
-      model: 'gpt-4o-realtime-preview-2025-06-03',
+      name: profile.name,
+      model: profile.model,
+      profile: { id: profile.id, version: profile.version },
+      profiles: agentProfiles.list().map(({ id, version, name }) => ({ id, version, name })),
       capabilities: [
         'voice_interaction',
         'data_collection',
         'real_time_validation',
         'conversation_management'
       ],
-      supportedFormats: ['pcm16'],
+      supportedFormats: AUDIO_ENCODINGS,
+      supportedSampleRates: SUPPORTED_SAMPLE_RATES,
       maxSessionDuration: parseInt(process.env.SESSION_TIMEOUT) || 1800000
     },
     websocketUrl: `ws://localhost:${WS_PORT}`
   });
 });
 
-// Admin endpoints for monitoring
-app.get('/api/admin/sessions', (req, res) => {
+// Admin endpoints for monitoring, with the ADMIN_API_TOKEN as "Authorization: Bearer"
+app.use('/api/admin', requireAdmin);
+
+app.get('/api/admin/sessions', async (req, res) => {
   try {
-    const sessions = sessionManager.getAllSessions().map(session => ({
+    const sessions = (await sessionManager.getAllSessions()).map(session => ({
       id: session.id,
       status: session.status,
       completionStatus: session.data.completionStatus,
+      experiments: session.metadata?.experiments || [],
+      escalations: session.metadata?.escalations || [],
       createdAt: session.createdAt,
       lastActivity: session.lastActivity,
       expiresAt: session.expiresAt
@@ -537,8 +744,49 @@ app.get('/api/admin/sessions', (req, res) => {
   }
 });
 
-// Conversation History endpoints
-app.get('/api/conversations', async (req, res) => {
+// Completion rate, time to quote, duration and guardrail trips per experiment variant, from saved conversations
+app.get('/api/admin/experiments', async (req, res) => {
+  try {
+    const report = buildExperimentReport(await getConversationList());
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error building experiment report:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Guardrail policy rules with their counters and the latest guardrail events since startup
+app.get('/api/admin/guardrails', (req, res) => {
+  try {
+    const policy = loadGuardrailPolicy();
+
+    res.json({
+      success: true,
+      version: policy.version,
+      rules: guardrailMonitor.getRuleCounters(policy),
+      events: guardrailMonitor.getRecentEvents({
+        sessionId: req.query.sessionId || null,
+        limit: parseInt(req.query.limit) || 50
+      })
+    });
+  } catch (error) {
+    console.error('Error retrieving guardrail events:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Conversation History endpoints; saved conversations span every caller, so reading them takes the admin token
+app.get('/api/conversations', requireAdmin, async (req, res) => {
   try {
     const conversations = await getConversationList();
     res.json({
@@ -555,7 +803,7 @@ app.get('/api/conversations', async (req, res) => {
   }
 });
 
-app.get('/api/conversations/:conversationId', async (req, res) => {
+app.get('/api/conversations/:conversationId', requireAdmin, async (req, res) => {
   try {
     const { conversationId } = req.params;
     const conversation = await getConversationDetails(conversationId);
@@ -580,7 +828,7 @@ app.get('/api/conversations/:conversationId', async (req, res) => {
   }
 });
 
-app.get('/api/conversations/:conversationId/summary', async (req, res) => {
+app.get('/api/conversations/:conversationId/summary', requireAdmin, async (req, res) => {
   try {
     const { conversationId } = req.params;
     const summary = await getConversationSummary(conversationId);
@@ -605,7 +853,7 @@ app.get('/api/conversations/:conversationId/summary', async (req, res) => {
   }
 });
 
-app.get('/api/conversations/:conversationId/insurance-data', async (req, res) => {
+app.get('/api/conversations/:conversationId/insurance-data', requireAdmin, async (req, res) => {
   try {
     const { conversationId } = req.params;
     const insuranceData = await getConversationInsuranceData(conversationId);
@@ -680,7 +928,7 @@ if (!isLambdaEnvironment()) {
 // Helper functions for conversation history
 async function getConversationList() {
   const conversations = [];
-  const localStorageDir = './local-conversations';
+  const localStorageDir = process.env.CONVERSATIONS_DIR || './local-conversations';
 
   try {
     // Check if local storage directory exists
@@ -721,6 +969,10 @@ async function getConversationList() {
                   duration: conversationData.metadata?.duration,
                   totalEvents: conversationData.events?.length || 0,
                   totalSnapshots: conversationData.historySnapshots?.length || 0,
+                  experiments: conversationData.metadata?.experiments || [],
+                  outcome: conversationData.metadata?.outcome || null,
+                  guardrailTrips: (conversationData.events || []).filter(event => event.type === 'guardrail_tripped').length,
+                  guardrailEvents: conversationData.guardrailEvents?.length || 0,
                   date: dateDir,
                   filePath: conversationPath
                 });
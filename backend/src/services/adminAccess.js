@@ -0,0 +1,40 @@
+import crypto from 'crypto';
+
+/**
+ * Who may use the /api/admin routes: requests carrying ADMIN_API_TOKEN as
+ * "Authorization: Bearer". Without ADMIN_API_TOKEN the admin API is off.
+ * Connection tokens only ever grant access to their own sessions.
+ */
+
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * Whether the request carries the admin token
+ */
+export const isAdminRequest = (req, env = process.env) => {
+  const adminToken = env.ADMIN_API_TOKEN;
+  const authorization = req.headers?.authorization;
+  if (!adminToken || !authorization?.startsWith('Bearer ')) {
+    return false;
+  }
+  return crypto.timingSafeEqual(digest(authorization.slice('Bearer '.length).trim()), digest(adminToken));
+};
+
+/**
+ * Express middleware for the admin routes; answers 401 without the admin token
+ */
+export const requireAdmin = (req, res, next) => {
+  if (isAdminRequest(req)) {
+    next();
+    return;
+  }
+  res.status(401).json({
+    success: false,
+    error: process.env.ADMIN_API_TOKEN ? 'The admin token is required' : 'The admin API is off; set ADMIN_API_TOKEN'
+  });
+};
+
+export default {
+  isAdminRequest,
+  requireAdmin
+};
@@ -0,0 +1,193 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Event-sourced application data.
+ *
+ * Every change to the customer's answers is recorded as an event:
+ *   { id, changeId, sequence, op: 'set'|'unset', path, oldValue, newValue,
+ *     source, transcriptItemId, timestamp }
+ * where path is dotted ("vehicles.0.vin") and changeId groups the events
+ * written by one update. The application is a projection: replaying the events
+ * over an empty application gives the current answers.
+ *
+ * Derived values (completion, discounts, timestamps) are not events; they are
+ * recomputed from the projection.
+ */
+
+export const TRACKED_SECTIONS = ['personalInfo', 'vehicles', 'drivers', 'coveragePrefs', 'currentPolicy'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// Both sides are objects, or lists holding records, so they are compared field by field
+const bothRecords = (a, b) => (isPlainObject(a) && isPlainObject(b))
+  || (Array.isArray(a) && Array.isArray(b) && (a.some(isPlainObject) || b.some(isPlainObject)));
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+export const getPath = (value, path) => {
+  return path.split('.').reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), value);
+};
+
+/**
+ * The dotted path of a field named the way confirm_fields takes it:
+ * { section: 'vehicles', number: 2, field: 'vin' } -> "vehicles.1.vin".
+ * Completion, confirmation and rating all report fields by this path.
+ */
+export const fieldPath = ({ section, number, field }) => {
+  return [section, number ? number - 1 : null, field].filter(part => part !== null && part !== undefined).join('.');
+};
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  let node = target;
+  keys.slice(0, -1).forEach((key, index) => {
+    if (node[key] === null || typeof node[key] !== 'object') {
+      node[key] = /^\d+$/.test(keys[index + 1]) ? [] : {};
+    }
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = clone(value);
+};
+
+const unsetPath = (target, path) => {
+  const keys = path.split('.');
+  const parent = keys.length > 1 ? getPath(target, keys.slice(0, -1).join('.')) : target;
+  const key = keys[keys.length - 1];
+  if (Array.isArray(parent)) {
+    parent.splice(Number(key), 1);
+  } else if (parent) {
+    delete parent[key];
+  }
+};
+
+/**
+ * The field-level differences between two versions of the answers. Objects
+ * and lists of records are compared field by field; a new object or list item
+ * is one 'set' and one that disappears is one 'unset', so undoing either
+ * leaves nothing half-empty behind.
+ */
+export const diffApplication = (before, after, path = '') => {
+  const changes = [];
+  const removedItems = [];
+  const isList = Array.isArray(after) || Array.isArray(before);
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const ordered = isList ? Array.from(keys).sort((a, b) => Number(a) - Number(b)) : Array.from(keys);
+
+  for (const key of ordered) {
+    const childPath = path ? `${path}.${key}` : key;
+    const oldValue = before?.[key];
+    const newValue = after?.[key];
+
+    if (newValue === undefined) {
+      if (oldValue !== undefined) {
+        (isList ? removedItems : changes).push({ op: 'unset', path: childPath, oldValue: clone(oldValue) });
+      }
+    } else if (bothRecords(oldValue, newValue)) {
+      changes.push(...diffApplication(oldValue, newValue, childPath));
+    } else if (!sameValue(oldValue, newValue)) {
+      changes.push({ op: 'set', path: childPath, oldValue: clone(oldValue), newValue: clone(newValue) });
+    }
+  }
+
+  // List items are removed from the end so the remaining indexes stay valid
+  return [...changes, ...removedItems.reverse()];
+};
+
+export const applyEvent = (application, event) => {
+  if (event.op === 'unset') {
+    unsetPath(application, event.path);
+  } else {
+    setPath(application, event.path, event.newValue);
+  }
+  return application;
+};
+
+/**
+ * Replay events over an application with empty sections
+ */
+export const projectApplication = (events = []) => {
+  const application = { personalInfo: {}, vehicles: [], drivers: [], coveragePrefs: {}, currentPolicy: {} };
+  events.forEach(event => applyEvent(application, event));
+  return application;
+};
+
+/**
+ * Only the customer's answers from an update; derived fields sent back by a
+ * client are ignored
+ */
+export const pickTrackedSections = (updates = {}) => {
+  return Object.fromEntries(TRACKED_SECTIONS.filter(section => section in updates).map(section => [section, updates[section]]));
+};
+
+/**
+ * Turn changes into events for one update
+ */
+export const createEvents = (changes, {
+  source = 'system',
+  transcriptItemId = null,
+  revertsChangeId,
+  startSequence = 1,
+  timestamp = new Date()
+} = {}) => {
+  const changeId = uuidv4();
+  return changes.map((change, index) => ({
+    id: uuidv4(),
+    changeId,
+    sequence: startSequence + index,
+    ...change,
+    source,
+    transcriptItemId,
+    ...(revertsChangeId ? { revertsChangeId } : {}),
+    timestamp
+  }));
+};
+
+/**
+ * The most recent change that has not been undone, or null
+ */
+export const findLastChange = (events) => {
+  const undone = new Set(events.filter(event => event.revertsChangeId).map(event => event.revertsChangeId));
+  for (let i = events.length - 1; i >= 0; i--) {
+    const { changeId, revertsChangeId } = events[i];
+    if (!revertsChangeId && !undone.has(changeId)) {
+      return { changeId, events: events.filter(event => event.changeId === changeId) };
+    }
+  }
+  return null;
+};
+
+/**
+ * The changes that put every field of a change back the way it was
+ */
+export const invertChange = (changeEvents) => {
+  return [...changeEvents].reverse().map(event => (
+    event.oldValue === undefined
+      ? { op: 'unset', path: event.path, oldValue: clone(event.newValue) }
+      : { op: 'set', path: event.path, oldValue: clone(event.newValue), newValue: clone(event.oldValue) }
+  ));
+};
+
+/**
+ * Events that touched path: the field itself, a section containing it, or a
+ * field inside it
+ */
+export const eventsForPath = (events, path) => {
+  return events.filter(event => (
+    event.path === path || path.startsWith(`${event.path}.`) || event.path.startsWith(`${path}.`)
+  ));
+};
+
+export default {
+  TRACKED_SECTIONS,
+  diffApplication,
+  projectApplication,
+  pickTrackedSections,
+  createEvents,
+  findLastChange,
+  invertChange,
+  eventsForPath,
+  getPath,
+  fieldPath
+};
@@ -0,0 +1,137 @@
+import { z } from 'zod';
+import {
+  PersonalInfoSchema,
+  VehicleSchema,
+  DriverSchema,
+  CoveragePrefsSchema,
+  CurrentPolicySchema
+} from '../types/insurance.js';
+
+/**
+ * Field-level validation of the customer's answers against the canonical
+ * schemas in types/insurance.js.
+ *
+ * Updates are partial, so only the fields an update gives are checked. Each
+ * problem is { field, message, heard }: the dotted field within the section
+ * ("address.zipCode"), the schema's message and the value that was given, so
+ * the agent can re-ask just that field.
+ */
+
+// Schema of the values in each section; vehicles and drivers are checked one member at a time
+export const SECTION_SCHEMAS = {
+  personalInfo: PersonalInfoSchema,
+  vehicles: VehicleSchema,
+  drivers: DriverSchema,
+  coveragePrefs: CoveragePrefsSchema,
+  currentPolicy: CurrentPolicySchema
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// The schema under optional/nullable/default wrappers
+const unwrap = (schema) => {
+  let inner = schema;
+  while (inner instanceof z.ZodOptional || inner instanceof z.ZodNullable || inner instanceof z.ZodDefault) {
+    inner = inner._def.innerType;
+  }
+  return inner;
+};
+
+const valueAt = (value, path) => path.reduce((node, key) => (node == null ? undefined : node[key]), value);
+
+/**
+ * Problems with the fields given in values, at most one per field. Objects
+ * are checked field by field; anything else (strings, numbers, lists) is
+ * checked as one field.
+ */
+export const validateFields = (schema, values, path = '') => {
+  const inner = unwrap(schema);
+
+  if (inner instanceof z.ZodObject && isPlainObject(values)) {
+    return Object.entries(values).flatMap(([key, value]) => {
+      const fieldSchema = inner.shape[key];
+      return fieldSchema ? validateFields(fieldSchema, value, path ? `${path}.${key}` : key) : [];
+    });
+  }
+
+  const result = inner.safeParse(values);
+  if (result.success) {
+    return [];
+  }
+  // The first issue is enough to re-ask the field
+  const [issue] = result.error.issues;
+  return [{ field: path, message: issue.message, heard: valueAt(values, issue.path) }];
+};
+
+/**
+ * Problems with an update to one section (for vehicles and drivers, to one member)
+ */
+export const validateSectionUpdate = (section, values) => {
+  const schema = SECTION_SCHEMAS[section];
+  return schema ? validateFields(schema, values) : [];
+};
+
+/**
+ * The update without the fields that had problems; objects left empty are dropped too
+ */
+export const withoutFields = (values, fields) => {
+  const kept = { ...values };
+  for (const field of fields) {
+    const keys = field.split('.');
+    const parents = [kept];
+    for (const key of keys.slice(0, -1)) {
+      const node = parents[parents.length - 1];
+      if (!isPlainObject(node[key])) {
+        break;
+      }
+      node[key] = { ...node[key] };
+      parents.push(node[key]);
+    }
+    if (parents.length !== keys.length) {
+      continue;
+    }
+    delete parents[parents.length - 1][keys[keys.length - 1]];
+    for (let depth = parents.length - 1; depth > 0 && Object.keys(parents[depth]).length === 0; depth--) {
+      delete parents[depth - 1][keys[depth - 1]];
+    }
+  }
+  return kept;
+};
+
+/**
+ * Problems from a failed parse of a whole session. path is the full path in
+ * the application ("vehicles.0.year"), field the part within the section or member.
+ */
+export const problemsFromZodError = (error) => {
+  return error.issues.map(issue => {
+    const path = issue.path[0] === 'data' ? issue.path.slice(1) : issue.path;
+    const inSection = typeof path[1] === 'number' ? path.slice(2) : path.slice(1);
+    return { path: path.join('.'), field: inSection.join('.') || path.join('.'), message: issue.message };
+  });
+};
+
+export const isValidationError = (error) => error instanceof z.ZodError;
+
+const formatHeard = (heard) => {
+  if (heard === undefined) {
+    return '';
+  }
+  return `; I heard ${typeof heard === 'string' ? `"${heard}"` : JSON.stringify(heard)}`;
+};
+
+/**
+ * "ZIP code must be 5 digits, like 90210...; I heard "9021"" - one line per problem
+ */
+export const describeProblems = (problems) => {
+  return problems.map(problem => `${problem.message}${formatHeard(problem.heard)}`).join('. ');
+};
+
+export default {
+  SECTION_SCHEMAS,
+  validateFields,
+  validateSectionUpdate,
+  withoutFields,
+  problemsFromZodError,
+  isValidationError,
+  describeProblems
+};
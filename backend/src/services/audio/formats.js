@@ -0,0 +1,21 @@
+/**
+ * Audio formats a client can declare in session:start. The realtime model
+ * only takes and gives REALTIME_AUDIO_FORMAT; everything else is converted on
+ * the way in and out (see ./index.js).
+ *
+ * pcm16: 16-bit little-endian samples
+ * mulaw: G.711 μ-law, a byte a sample (telephony, usually 8kHz)
+ * alaw:  G.711 A-law, a byte a sample
+ * opus:  one Opus packet of 20ms per audio frame
+ */
+
+// The position is the encoding's id in binary audio frames
+export const AUDIO_ENCODINGS = ['pcm16', 'mulaw', 'alaw', 'opus'];
+
+export const SUPPORTED_SAMPLE_RATES = [8000, 16000, 24000, 48000];
+
+export const REALTIME_SAMPLE_RATE = 24000;
+
+export const REALTIME_AUDIO_FORMAT = Object.freeze({ encoding: 'pcm16', sampleRate: REALTIME_SAMPLE_RATE });
+
+export const describeAudioFormat = ({ encoding, sampleRate }) => `${encoding}@${sampleRate}Hz`;
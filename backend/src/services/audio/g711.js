@@ -0,0 +1,64 @@
+/**
+ * G.711 companding (ITU-T G.711): μ-law and A-law, one byte a sample,
+ * to and from PCM16.
+ */
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+const encodeMulawSample = (sample) => {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+};
+
+const decodeMulawSample = (byte) => {
+  const value = ~byte & 0xff;
+  const exponent = (value >> 4) & 0x07;
+  const magnitude = ((((value & 0x0f) << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  return value & 0x80 ? -magnitude : magnitude;
+};
+
+const encodeAlawSample = (sample) => {
+  const sign = sample >= 0 ? 0x80 : 0;
+  const magnitude = Math.min(sample >= 0 ? sample : -sample - 1, 32767) >> 3;
+
+  let byte;
+  if (magnitude < 32) {
+    byte = magnitude >> 1;
+  } else {
+    let exponent = 1;
+    while (exponent < 7 && magnitude >= (64 << (exponent - 1))) {
+      exponent++;
+    }
+    byte = (exponent << 4) | ((magnitude >> exponent) & 0x0f);
+  }
+  return (sign | byte) ^ 0x55;
+};
+
+const decodeAlawSample = (byte) => {
+  const value = byte ^ 0x55;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+  const magnitude = exponent === 0
+    ? (mantissa << 4) + 8
+    : ((mantissa << 4) + 0x108) << (exponent - 1);
+  return value & 0x80 ? magnitude : -magnitude;
+};
+
+// Decoding is a lookup: 256 possible bytes
+const MULAW_TABLE = Int16Array.from({ length: 256 }, (_, byte) => decodeMulawSample(byte));
+const ALAW_TABLE = Int16Array.from({ length: 256 }, (_, byte) => decodeAlawSample(byte));
+
+export const encodeMulaw = (samples) => Uint8Array.from(samples, encodeMulawSample);
+export const decodeMulaw = (bytes) => Int16Array.from(bytes, byte => MULAW_TABLE[byte]);
+export const encodeAlaw = (samples) => Uint8Array.from(samples, encodeAlawSample);
+export const decodeAlaw = (bytes) => Int16Array.from(bytes, byte => ALAW_TABLE[byte]);
+
+export default { encodeMulaw, decodeMulaw, encodeAlaw, decodeAlaw };
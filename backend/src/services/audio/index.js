@@ -0,0 +1,90 @@
+import { Resampler } from './resampler.js';
+import { OpusCodec } from './opusCodec.js';
+import { encodeMulaw, decodeMulaw, encodeAlaw, decodeAlaw } from './g711.js';
+import {
+  AUDIO_ENCODINGS,
+  SUPPORTED_SAMPLE_RATES,
+  REALTIME_SAMPLE_RATE,
+  REALTIME_AUDIO_FORMAT,
+  describeAudioFormat
+} from './formats.js';
+import { toPcm16Samples } from '../../types/audioFrames.js';
+
+export {
+  Resampler,
+  OpusCodec,
+  encodeMulaw,
+  decodeMulaw,
+  encodeAlaw,
+  decodeAlaw,
+  AUDIO_ENCODINGS,
+  SUPPORTED_SAMPLE_RATES,
+  REALTIME_SAMPLE_RATE,
+  REALTIME_AUDIO_FORMAT,
+  describeAudioFormat
+};
+
+const pcm16Bytes = (samples) => Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+
+/**
+ * Converts a client's audio (its declared format, see formats.js) to what the
+ * realtime model takes: convert(bytes) returns PCM16 samples at 24kHz.
+ * Opus input is one packet per call. One converter per stream; close() it.
+ */
+export function createInputConverter(format = REALTIME_AUDIO_FORMAT) {
+  const resampler = new Resampler(format.sampleRate, REALTIME_SAMPLE_RATE);
+  const opus = format.encoding === 'opus' ? new OpusCodec(format.sampleRate) : null;
+
+  const decode = {
+    pcm16: (data) => toPcm16Samples(data),
+    mulaw: (data) => decodeMulaw(data),
+    alaw: (data) => decodeAlaw(data),
+    opus: (data) => opus.decode(data)
+  }[format.encoding];
+
+  if (!decode) {
+    throw new Error(`Unsupported audio encoding: ${format.encoding}`);
+  }
+
+  return {
+    format,
+    convert: (data) => resampler.process(decode(data)),
+    close: () => opus?.close()
+  };
+}
+
+/**
+ * Converts the realtime model's audio (PCM16 at 24kHz) to a client's format:
+ * convert(samples) returns the payloads to send, one per audio frame. Opus
+ * holds back partial frames until the next call; reset() drops them.
+ */
+export function createOutputConverter(format = REALTIME_AUDIO_FORMAT) {
+  const resampler = new Resampler(REALTIME_SAMPLE_RATE, format.sampleRate);
+  const opus = format.encoding === 'opus' ? new OpusCodec(format.sampleRate) : null;
+
+  const encode = {
+    pcm16: (samples) => [pcm16Bytes(samples)],
+    mulaw: (samples) => [Buffer.from(encodeMulaw(samples))],
+    alaw: (samples) => [Buffer.from(encodeAlaw(samples))],
+    opus: (samples) => opus.encode(samples)
+  }[format.encoding];
+
+  if (!encode) {
+    throw new Error(`Unsupported audio encoding: ${format.encoding}`);
+  }
+
+  return {
+    format,
+    convert: (samples) => {
+      const resampled = resampler.process(samples);
+      return resampled.length > 0 ? encode(resampled) : [];
+    },
+    reset: () => {
+      resampler.reset();
+      opus?.reset();
+    },
+    close: () => opus?.close()
+  };
+}
+
+export default { createInputConverter, createOutputConverter };
@@ -0,0 +1,60 @@
+import OpusScript from 'opusscript';
+
+/**
+ * Opus for one audio stream: packets of 20ms mono PCM16. The encoder holds
+ * back samples until it has a whole frame; call close() to free the codec.
+ */
+
+export const OPUS_FRAME_MS = 20;
+
+export class OpusCodec {
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+    this.frameSize = sampleRate * OPUS_FRAME_MS / 1000;
+    this.codec = new OpusScript(sampleRate, 1, OpusScript.Application.VOIP);
+    this.pending = new Int16Array(0);
+  }
+
+  /**
+   * The PCM16 samples of one packet
+   */
+  decode(packet) {
+    const pcm = this.codec.decode(Buffer.from(packet));
+    const samples = new Int16Array(pcm.length / 2);
+    Buffer.from(samples.buffer).set(pcm);
+    return samples;
+  }
+
+  /**
+   * Packets for every whole frame buffered so far
+   */
+  encode(samples) {
+    const buffered = new Int16Array(this.pending.length + samples.length);
+    buffered.set(this.pending);
+    buffered.set(samples, this.pending.length);
+
+    const packets = [];
+    let offset = 0;
+    for (; offset + this.frameSize <= buffered.length; offset += this.frameSize) {
+      const frame = buffered.subarray(offset, offset + this.frameSize);
+      const packet = this.codec.encode(Buffer.from(frame.buffer, frame.byteOffset, frame.byteLength), this.frameSize);
+      packets.push(Buffer.from(packet));
+    }
+    this.pending = buffered.slice(offset);
+    return packets;
+  }
+
+  /**
+   * Forget buffered samples (the audio was cut off)
+   */
+  reset() {
+    this.pending = new Int16Array(0);
+  }
+
+  close() {
+    this.codec?.delete();
+    this.codec = null;
+  }
+}
+
+export default OpusCodec;
@@ -0,0 +1,74 @@
+/**
+ * Streaming sample rate conversion of PCM16 mono audio by linear
+ * interpolation. It keeps state between chunks, so audio resampled chunk by
+ * chunk comes out the same as in one piece; use one Resampler per stream.
+ * Downsampling averages over the input samples of each output sample first
+ * so high frequencies don't fold back as noise.
+ */
+export class Resampler {
+  constructor(fromRate, toRate) {
+    this.fromRate = fromRate;
+    this.toRate = toRate;
+    this.filterWidth = Math.max(1, Math.round(fromRate / toRate));
+    this.history = []; // last input samples, for the averaging filter
+    // Where the next output sample falls from the chunk start, in 1/toRate of
+    // an input sample so it adds up exactly (each output sample is fromRate on).
+    // Output runs one input sample behind so it never waits on the next chunk.
+    this.position = -toRate;
+    this.previous = 0; // last filtered input sample of the previous chunk
+  }
+
+  /**
+   * Resample a chunk; returns an Int16Array at toRate
+   */
+  process(samples) {
+    if (this.fromRate === this.toRate) {
+      return samples;
+    }
+
+    const input = this.filterWidth > 1 ? this.lowPass(samples) : samples;
+    const output = [];
+    let position = this.position;
+
+    // Positions before the chunk start fall between the previous chunk's last sample and this one's first
+    const end = (input.length - 1) * this.toRate;
+    while (position < end) {
+      const index = Math.floor(position / this.toRate);
+      const fraction = (position - index * this.toRate) / this.toRate;
+      const from = index < 0 ? this.previous : input[index];
+      const to = input[index + 1];
+      output.push(Math.round(from + (to - from) * fraction));
+      position += this.fromRate;
+    }
+
+    if (input.length > 0) {
+      this.previous = input[input.length - 1];
+    }
+    this.position = position - input.length * this.toRate;
+    return Int16Array.from(output);
+  }
+
+  lowPass(samples) {
+    const filtered = new Int16Array(samples.length);
+    const window = this.history;
+    let sum = window.reduce((total, sample) => total + sample, 0);
+
+    for (let i = 0; i < samples.length; i++) {
+      window.push(samples[i]);
+      sum += samples[i];
+      if (window.length > this.filterWidth) {
+        sum -= window.shift();
+      }
+      filtered[i] = Math.round(sum / window.length);
+    }
+    return filtered;
+  }
+
+  reset() {
+    this.history = [];
+    this.position = -this.toRate;
+    this.previous = 0;
+  }
+}
+
+export default Resampler;
@@ -0,0 +1,150 @@
+import { toPcm16Samples } from '../types/audioFrames.js';
+import { REALTIME_SAMPLE_RATE } from './audio/formats.js';
+
+/**
+ * The agent's audio on its way to one connection.
+ *
+ * The realtime session reports the same audio more than once (its 'audio'
+ * event and the raw response.audio.delta transport event), so the first
+ * source that delivers audio for a response is the only one used for it.
+ * Chunks get a sequence number per connection and wait in a queue while the
+ * socket is backed up. When the caller barges in, the queued audio of the
+ * response is dropped, its late deltas are ignored, and the client is told
+ * where the audio stopped so it can drop what it hasn't played yet.
+ *
+ * An encoder (see audio/index.js createOutputConverter) turns the model's
+ * samples into the client's format; a chunk can become several frames or none.
+ */
+
+// Responses remembered at once. The last one is kept after response.done: the
+// client is usually still playing it when the caller barges in.
+const MAX_TRACKED_RESPONSES = 16;
+const DRAIN_INTERVAL_MS = 20;
+
+export class AudioOutputPipeline {
+  /**
+   * @param {object} options
+   * @param {(chunk: { data: Buffer, sequence: number, responseId: string|null, itemId: string|null }) => void} options.sendAudio
+   * @param {(truncation: { responseId: string|null, itemId: string|null, lastSequence: number|null, audioEndMs: number }) => void} options.sendTruncate
+   * @param {() => boolean} [options.isBackpressured] - hold chunks back while true
+   * @param {{ convert: (samples: Int16Array) => Buffer[], reset: () => void, close: () => void }} [options.encoder] - PCM16 bytes if not given
+   */
+  constructor({ sendAudio, sendTruncate, isBackpressured = () => false, encoder = null }) {
+    this.sendAudio = sendAudio;
+    this.encoder = encoder;
+    this.sendTruncate = sendTruncate;
+    this.isBackpressured = isBackpressured;
+    this.responses = new Map(); // responseId -> { source, itemId, samplesSent, lastSequence, interrupted }
+    this.queue = [];
+    this.nextSequence = 0;
+    this.currentResponseId = null;
+    this.drainTimer = null;
+  }
+
+  /**
+   * Offer a chunk of agent audio from one of the session's sources; returns
+   * whether it was queued
+   */
+  push({ source, responseId = null, itemId = null, audio }) {
+    const response = this.trackResponse(responseId);
+    if (itemId) {
+      response.itemId = itemId;
+    }
+
+    if (response.interrupted) {
+      return false;
+    }
+    if (response.source && response.source !== source) {
+      return false;
+    }
+
+    const samples = audio ? toPcm16Samples(audio) : null;
+    if (!samples || samples.length === 0) {
+      return false;
+    }
+
+    response.source = source;
+    this.currentResponseId = responseId;
+    this.queue.push({ responseId, samples });
+    this.drain();
+    return true;
+  }
+
+  /**
+   * Stop the current response's audio (the caller started talking); returns
+   * the truncation sent to the client, or null if there was nothing to stop
+   */
+  interrupt() {
+    const responseId = this.currentResponseId;
+    const response = this.responses.get(responseId);
+    if (!response || response.interrupted) {
+      return null;
+    }
+
+    response.interrupted = true;
+    this.queue = this.queue.filter(chunk => chunk.responseId !== responseId);
+    this.currentResponseId = null;
+    this.encoder?.reset();
+
+    const truncation = {
+      responseId,
+      itemId: response.itemId,
+      lastSequence: response.lastSequence,
+      audioEndMs: Math.round(response.samplesSent * 1000 / REALTIME_SAMPLE_RATE)
+    };
+    this.sendTruncate(truncation);
+    return truncation;
+  }
+
+  drain() {
+    while (this.queue.length > 0 && !this.isBackpressured()) {
+      const { responseId, samples } = this.queue.shift();
+      const response = this.trackResponse(responseId);
+      response.samplesSent += samples.length;
+
+      const payloads = this.encoder
+        ? this.encoder.convert(samples)
+        : [Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength)];
+      for (const data of payloads) {
+        const sequence = this.nextSequence;
+        this.nextSequence = (this.nextSequence + 1) >>> 0;
+        response.lastSequence = sequence;
+        this.sendAudio({ data, sequence, responseId, itemId: response.itemId });
+      }
+    }
+
+    if (this.queue.length > 0 && !this.drainTimer) {
+      this.drainTimer = setTimeout(() => {
+        this.drainTimer = null;
+        this.drain();
+      }, DRAIN_INTERVAL_MS);
+    }
+  }
+
+  trackResponse(responseId) {
+    if (!this.responses.has(responseId)) {
+      if (this.responses.size >= MAX_TRACKED_RESPONSES) {
+        this.responses.delete(this.responses.keys().next().value);
+      }
+      this.responses.set(responseId, { source: null, itemId: null, samplesSent: 0, lastSequence: null, interrupted: false });
+    }
+    return this.responses.get(responseId);
+  }
+
+  /**
+   * Drop everything queued (the connection or session is gone)
+   */
+  close() {
+    if (this.drainTimer) {
+      clearTimeout(this.drainTimer);
+      this.drainTimer = null;
+    }
+    this.queue = [];
+    this.responses.clear();
+    this.currentResponseId = null;
+    this.encoder?.close();
+    this.encoder = null;
+  }
+}
+
+export default AudioOutputPipeline;
@@ -0,0 +1,185 @@
+import fs from 'fs';
+import { fieldStatus } from './fieldConfirmation.js';
+import { fieldPath } from './applicationEvents.js';
+
+/**
+ * Application completion driven by data/completionRules.json.
+ *
+ * Each section lists its fields with a weight, whether it is required, and an
+ * optional "when" condition (e.g. lienholder only for financed or leased vehicles).
+ * Sections with a memberLabel (vehicles, drivers) hold a list and are scored per
+ * member, with each member's percentage under memberStatus (byVehicle, byDriver).
+ * With requireConfirmation a field only counts once the customer confirmed it
+ * (see services/fieldConfirmation.js); recorded but unconfirmed fields are
+ * listed in missingFields with their status.
+ *
+ * Each missing field carries section, field and (for a vehicle or driver)
+ * number as confirm_fields takes them, and its dotted path ("vehicles.0.vin").
+ */
+
+const DEFAULT_RULES_PATH = new URL('../data/completionRules.json', import.meta.url);
+
+let completionRules = null;
+
+export const loadCompletionRules = () => {
+  if (!completionRules) {
+    completionRules = JSON.parse(fs.readFileSync(DEFAULT_RULES_PATH, 'utf8'));
+  }
+  return completionRules;
+};
+
+const getPath = (target, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), target);
+};
+
+/**
+ * Empty strings and empty lists count as missing; false and 0 are answers
+ */
+const isPresent = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return false;
+  }
+  return !Array.isArray(value) || value.length > 0;
+};
+
+const resolve = (path, target, application) => {
+  return path.startsWith('application.')
+    ? getPath(application, path.slice('application.'.length))
+    : getPath(target, path);
+};
+
+const conditionHolds = (condition, target, application) => {
+  const value = resolve(condition.path, target, application);
+  if ('equals' in condition) return value === condition.equals;
+  if ('in' in condition) return condition.in.includes(value);
+  if ('notIn' in condition) return !condition.notIn.includes(value);
+  if ('min' in condition) return typeof value === 'number' && value >= condition.min;
+  if ('present' in condition) return isPresent(value) === condition.present;
+  throw new Error(`Unsupported completion condition on ${condition.path}`);
+};
+
+/**
+ * Score one section (or one vehicle/driver) against its field rules.
+ * basePath is where target sits in the application ("vehicles.1").
+ * @returns {{ percent: number, missing: Object[] }}
+ */
+const scoreFields = (fields, target, application, basePath, requireConfirmation) => {
+  const applicable = fields.filter(field => !field.when || conditionHolds(field.when, target, application));
+  const scored = applicable.map(field => {
+    if (!isPresent(getPath(target, field.path))) {
+      return { field, complete: false };
+    }
+    const status = requireConfirmation ? fieldStatus(application, `${basePath}.${field.path}`) : 'confirmed';
+    return { field, status, complete: status === 'confirmed' };
+  });
+
+  const required = scored.filter(({ field }) => field.required);
+  const totalWeight = required.reduce((sum, { field }) => sum + field.weight, 0);
+  const completeWeight = required
+    .filter(({ complete }) => complete)
+    .reduce((sum, { field }) => sum + field.weight, 0);
+
+  return {
+    percent: totalWeight > 0 ? Math.round((completeWeight / totalWeight) * 100) : 100,
+    missing: scored
+      .filter(({ complete }) => !complete)
+      .map(({ field: { path, label, required: isRequired }, status }) => ({
+        field: path,
+        label,
+        required: isRequired,
+        ...(status ? { status } : {})
+      }))
+  };
+};
+
+const weightedAverage = (entries) => {
+  const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  return totalWeight > 0
+    ? Math.round(entries.reduce((sum, entry) => sum + entry.value * entry.weight, 0) / totalWeight)
+    : 0;
+};
+
+/**
+ * Completion percentages for each section, vehicle and driver, plus the fields
+ * still missing - required ones first, then unanswered before unconfirmed, in
+ * the order the rules list them.
+ *
+ * @param {Object} application - Session data
+ * @returns {Object} completionStatus
+ */
+export const calculateCompletion = (application, rules = loadCompletionRules()) => {
+  const status = { byVehicle: {}, byDriver: {}, overall: 0, missingFields: [] };
+  const sectionScores = [];
+
+  for (const [sectionName, section] of Object.entries(rules.sections)) {
+    const data = application?.[sectionName] ?? (section.memberLabel ? [] : {});
+
+    if (section.completeWhen && conditionHolds(section.completeWhen, data, application)) {
+      status[sectionName] = 100;
+    } else if (section.memberLabel) {
+      const memberKey = section.memberStatus;
+      data.forEach((member, index) => {
+        const { percent, missing } = scoreFields(section.fields, member, application, `${sectionName}.${index}`, rules.requireConfirmation);
+        status[memberKey][member.id] = percent;
+        status.missingFields.push(...missing.map(field => ({
+          section: sectionName,
+          number: index + 1,
+          memberId: member.id,
+          member: `${section.memberLabel} ${index + 1}`,
+          ...field,
+          path: fieldPath({ section: sectionName, number: index + 1, field: field.field })
+        })));
+      });
+
+      if (data.length < (section.minMembers || 0)) {
+        status.missingFields.push({ section: sectionName, path: sectionName, label: section.emptyLabel, required: true });
+      }
+      status[sectionName] = data.length > 0
+        ? Math.round(Object.values(status[memberKey]).reduce((sum, value) => sum + value, 0) / data.length)
+        : 0;
+    } else {
+      const { percent, missing } = scoreFields(section.fields, data, application, sectionName, rules.requireConfirmation);
+      status[sectionName] = percent;
+      status.missingFields.push(...missing.map(field => ({
+        section: sectionName,
+        ...field,
+        path: fieldPath({ section: sectionName, field: field.field })
+      })));
+    }
+
+    sectionScores.push({ value: status[sectionName], weight: section.weight });
+  }
+
+  status.overall = weightedAverage(sectionScores);
+  // Required first; fields never answered (or disputed) before ones only waiting on a read-back
+  const awaitingReadBack = field => Number(Boolean(field.status) && field.status !== 'disputed');
+  status.missingFields.sort((a, b) => (Number(b.required) - Number(a.required)) || (awaitingReadBack(a) - awaitingReadBack(b)));
+  return status;
+};
+
+/**
+ * "annual mileage (vehicle 2)" - how a missing field is read back to the agent;
+ * recorded fields still waiting on the customer say so ("VIN (vehicle 1) - to confirm")
+ */
+export const describeMissingField = (field) => {
+  const label = field.member ? `${field.label} (${field.member})` : field.label;
+  if (field.status === 'disputed') {
+    return `${label} - disputed`;
+  }
+  return field.status ? `${label} - to confirm` : label;
+};
+
+/**
+ * The rules' label for a field of a section ("address.zipCode" -> "ZIP code"),
+ * or the field path itself when the rules don't list it
+ */
+export const fieldLabel = (section, path, rules = loadCompletionRules()) => {
+  return rules.sections[section]?.fields.find(field => field.path === path)?.label ?? path;
+};
+
+export default {
+  loadCompletionRules,
+  calculateCompletion,
+  describeMissingField,
+  fieldLabel
+};
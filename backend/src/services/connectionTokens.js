@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+
+/**
+ * Short-lived signed tokens for opening a voice WebSocket connection.
+ *
+ * POST /api/connection-token issues a token for a principal (a fresh
+ * anonymous id, or the principal of a still valid token being renewed) and
+ * the WebSocket server checks it before accepting the upgrade. Sessions are
+ * owned by the principal that created them. A token is
+ * base64url(JSON { sub, iat, exp }) "." base64url(HMAC-SHA256 of that part).
+ *
+ * WS_TOKEN_SECRET: signing secret, required in production (every instance
+ *                  has to verify the others' tokens)
+ * WS_TOKEN_TTL:    token lifetime in ms (default 5 minutes)
+ */
+
+export const DEFAULT_CONNECTION_TOKEN_TTL = 5 * 60 * 1000;
+
+const sign = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+const tokenError = (message, code) => Object.assign(new Error(message), { code });
+
+export function createConnectionTokens(env = process.env) {
+  let secret = env.WS_TOKEN_SECRET;
+  if (!secret) {
+    if (env.NODE_ENV === 'production') {
+      throw new Error('WS_TOKEN_SECRET is required in production');
+    }
+    console.warn('WS_TOKEN_SECRET not set - connection tokens are only valid until this process restarts');
+    secret = crypto.randomBytes(32).toString('hex');
+  }
+  const ttlMs = parseInt(env.WS_TOKEN_TTL) || DEFAULT_CONNECTION_TOKEN_TTL;
+
+  return {
+    ttlMs,
+
+    /**
+     * A token for the principal; without one a new anonymous principal is made up
+     */
+    issue(principal = crypto.randomUUID(), now = Date.now()) {
+      const payload = { sub: principal, iat: now, exp: now + ttlMs };
+      const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+      return {
+        token: `${data}.${sign(data, secret)}`,
+        principal,
+        expiresAt: new Date(payload.exp)
+      };
+    },
+
+    /**
+     * The principal of a valid token; throws with code INVALID_TOKEN or TOKEN_EXPIRED
+     */
+    verify(token, now = Date.now()) {
+      const parts = typeof token === 'string' ? token.split('.') : [];
+      if (parts.length !== 2) {
+        throw tokenError('Malformed connection token', 'INVALID_TOKEN');
+      }
+
+      const [data, signature] = parts;
+      const expected = Buffer.from(sign(data, secret));
+      const given = Buffer.from(signature);
+      if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        throw tokenError('Invalid connection token signature', 'INVALID_TOKEN');
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+      } catch (error) {
+        throw tokenError('Malformed connection token', 'INVALID_TOKEN');
+      }
+      if (typeof payload.sub !== 'string' || typeof payload.exp !== 'number') {
+        throw tokenError('Malformed connection token', 'INVALID_TOKEN');
+      }
+      if (payload.exp <= now) {
+        throw tokenError('Connection token expired', 'TOKEN_EXPIRED');
+      }
+
+      return { principal: payload.sub, expiresAt: new Date(payload.exp) };
+    }
+  };
+}
+
+/**
+ * The token of an HTTP or upgrade request: an "Authorization: Bearer" header,
+ * or the token query parameter (browsers can't set headers on a WebSocket)
+ */
+export function readConnectionToken(request) {
+  const authorization = request.headers?.authorization;
+  if (authorization?.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return new URL(request.url || '/', 'http://localhost').searchParams.get('token');
+}
+
+let connectionTokens = null;
+
+/**
+ * Shared token issuer and verifier, created on first use
+ */
+export function getConnectionTokens() {
+  if (!connectionTokens) {
+    connectionTokens = createConnectionTokens();
+  }
+  return connectionTokens;
+}
+
+/**
+ * Replace the shared issuer and verifier (tests)
+ */
+export function setConnectionTokens(tokens) {
+  connectionTokens = tokens;
+}
@@ -2,6 +2,7 @@ import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs/promises';
 import path from 'path';
+import { redactDeep } from './guardrailPolicy.js';
 
 /**
  * Enhanced conversation logger using OpenAI's built-in tracing and history management
@@ -11,7 +12,7 @@ class ConversationLogger {
   constructor() {
     // Use local storage for development, S3 for production
     this.useLocalStorage = process.env.NODE_ENV === 'development' || !process.env.CONVERSATIONS_BUCKET;
-    this.localStorageDir = './local-conversations';
+    this.localStorageDir = process.env.CONVERSATIONS_DIR || './local-conversations';
 
     if (!this.useLocalStorage) {
       this.s3Client = new S3Client({
@@ -57,7 +58,8 @@ class ConversationLogger {
       },
       // OpenAI RealtimeSession will manage the actual history
       historySnapshots: [],
-      events: []
+      events: [],
+      guardrailEvents: []
     };
 
     this.activeConversations.set(sessionId, conversation);
@@ -83,7 +85,7 @@ class ConversationLogger {
       eventType,
       historyLength: history.length,
       history: this.sanitizeHistory(history), // Clean sensitive data if needed
-      conversationState: this.extractConversationState(history)
+      conversationState: this.extractConversationState(redactDeep(history))
     };
 
     conversation.historySnapshots.push(snapshot);
@@ -106,7 +108,7 @@ class ConversationLogger {
       id: uuidv4(),
       timestamp: new Date().toISOString(),
       type: eventType,
-      data: eventData
+      data: redactDeep(eventData)
     };
 
     conversation.events.push(event);
@@ -115,6 +117,19 @@ class ConversationLogger {
     return event;
   }
 
+  /**
+   * Log guardrail policy matches (see guardrailPolicy.js) with the conversation
+   */
+  logGuardrailEvents(sessionId, events) {
+    const conversation = this.activeConversations.get(sessionId);
+    if (!conversation) {
+      console.warn(`No active conversation found for session ${sessionId}`);
+      return;
+    }
+
+    conversation.guardrailEvents.push(...events);
+  }
+
   /**
    * Extract meaningful conversation state from OpenAI history
    */
@@ -214,7 +229,8 @@ class ConversationLogger {
    */
   sanitizeHistory(history) {
     return history.map(item => {
-      const sanitized = { ...item };
+      // SSNs, card, bank and license numbers never reach a log
+      const sanitized = redactDeep({ ...item });
       
       // Remove or mask sensitive data based on your requirements
       if (sanitized.content && typeof sanitized.content === 'string') {
@@ -439,8 +455,13 @@ class ConversationLogger {
         assistantMessages: state.assistantMessages || 0,
         toolCalls: state.toolCalls || 0,
         historySnapshots: conversation.historySnapshots.length,
-        events: conversation.events.length
+        events: conversation.events.length,
+        guardrailEvents: conversation.guardrailEvents.length
       },
+      guardrails: conversation.guardrailEvents.reduce((counts, event) => {
+        counts[event.ruleId] = (counts[event.ruleId] || 0) + 1;
+        return counts;
+      }, {}),
       lastActivity: state.lastActivity,
       topics: state.topics || [],
       metadata: conversation.metadata
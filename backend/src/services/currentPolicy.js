@@ -0,0 +1,114 @@
+import fs from 'fs';
+import { matchVehicleName, ACCEPT_CONFIDENCE } from './vehicleCatalog/vehicleMatcher.js';
+
+/**
+ * Helpers for the customer's current auto policy: carrier name normalization,
+ * premium annualization, spoken liability limits and renewal timing.
+ */
+
+const DEFAULT_CARRIERS_PATH = new URL('../data/insuranceCarriers.json', import.meta.url);
+
+let carrierData = null;
+
+const loadCarriers = () => {
+  if (!carrierData) {
+    carrierData = JSON.parse(fs.readFileSync(DEFAULT_CARRIERS_PATH, 'utf8')).carriers;
+  }
+  return carrierData;
+};
+
+const PAYMENTS_PER_YEAR = {
+  monthly: 12,
+  quarterly: 4,
+  semiannual: 2,
+  annual: 1
+};
+
+// Days before expiration when the renewal-savings pitch applies
+export const RENEWAL_WINDOW_DAYS = 45;
+
+/**
+ * Match a spoken carrier name against the carrier list.
+ * @returns {{ insurer: string, recognized: boolean, heard: string, confidence: number, suggestions: string[] }}
+ */
+export const normalizeCarrier = (input) => {
+  const carriers = loadCarriers();
+  const match = matchVehicleName(input, Object.keys(carriers), { aliases: carriers });
+  const recognized = Boolean(match.best) && match.confidence >= ACCEPT_CONFIDENCE;
+
+  return {
+    insurer: recognized ? match.best.name : String(input || '').trim(),
+    recognized,
+    heard: input,
+    confidence: match.confidence,
+    suggestions: recognized ? [] : match.candidates.map(candidate => candidate.name)
+  };
+};
+
+/**
+ * Yearly cost of a premium paid per billing period
+ */
+export const annualizePremium = (premium, billingPeriod) => {
+  if (typeof premium !== 'number' || !PAYMENTS_PER_YEAR[billingPeriod]) {
+    return null;
+  }
+  return Math.round(premium * PAYMENTS_PER_YEAR[billingPeriod] * 100) / 100;
+};
+
+/**
+ * Parse limits as people say them ("100/300/50", "100 300 100", "25 50 25")
+ * into dollar amounts. Values under 1000 are read as thousands.
+ * @returns {{ bodilyInjuryPerPerson: number, bodilyInjuryPerAccident: number, propertyDamage: number }|null}
+ */
+export const parseLiabilityLimits = (value) => {
+  const numbers = String(value || '')
+    .replace(/[$,]/g, '')
+    .split(/[^\dk.]+/i)
+    .filter(Boolean)
+    .map(part => parseFloat(part) * (/k$/i.test(part) ? 1000 : 1))
+    .map(amount => (amount < 1000 ? amount * 1000 : amount));
+
+  if (numbers.length !== 3 || numbers.some(Number.isNaN)) {
+    return null;
+  }
+
+  const [bodilyInjuryPerPerson, bodilyInjuryPerAccident, propertyDamage] = numbers;
+  return { bodilyInjuryPerPerson, bodilyInjuryPerAccident, propertyDamage };
+};
+
+/**
+ * "100/300/50" for display
+ */
+export const formatLiabilityLimits = (limits) => {
+  if (!limits) {
+    return null;
+  }
+  return [limits.bodilyInjuryPerPerson, limits.bodilyInjuryPerAccident, limits.propertyDamage]
+    .map(amount => (amount ? Math.round(amount / 1000) : '?'))
+    .join('/');
+};
+
+/**
+ * Whole days from today until a YYYY-MM-DD expiration date (negative once expired)
+ */
+export const daysUntilExpiration = (expirationDate, now = new Date()) => {
+  if (!expirationDate) {
+    return null;
+  }
+
+  const expires = new Date(`${expirationDate}T00:00:00`);
+  if (Number.isNaN(expires.getTime())) {
+    return null;
+  }
+
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((expires - today) / 86400000);
+};
+
+export default {
+  normalizeCarrier,
+  annualizePremium,
+  parseLiabilityLimits,
+  formatLiabilityLimits,
+  daysUntilExpiration
+};
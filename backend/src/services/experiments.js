@@ -0,0 +1,167 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+/**
+ * Agent profile A/B experiments driven by data/experiments.json.
+ *
+ * Every new session gets one variant of each active experiment, picked by a
+ * hash of the experiment and session ids so the same session always lands in
+ * the same variant. A variant can run the session with a different agent
+ * profile. The assignments are kept in session.metadata.experiments and in
+ * the conversation log, together with the session's outcome when the
+ * conversation is saved; reports are computed from the saved conversations.
+ */
+
+const DEFAULT_EXPERIMENTS_PATH = new URL('../data/experiments.json', import.meta.url);
+
+let experimentConfig = null;
+
+export const loadExperiments = () => {
+  if (!experimentConfig) {
+    experimentConfig = JSON.parse(fs.readFileSync(DEFAULT_EXPERIMENTS_PATH, 'utf8'));
+  }
+  return experimentConfig;
+};
+
+/**
+ * The variant of the experiment a session belongs to
+ */
+export const assignVariant = (experiment, sessionId) => {
+  const totalWeight = experiment.variants.reduce((total, variant) => total + variant.weight, 0);
+  const hash = crypto.createHash('sha256').update(`${experiment.id}:${sessionId}`).digest();
+  let bucket = hash.readUInt32BE(0) % totalWeight;
+
+  for (const variant of experiment.variants) {
+    if (bucket < variant.weight) {
+      return variant;
+    }
+    bucket -= variant.weight;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+};
+
+/**
+ * Assignments of a new session to the active experiments
+ */
+export const assignExperiments = (sessionId, config = loadExperiments()) => {
+  return config.experiments
+    .filter(experiment => experiment.active)
+    .map(experiment => {
+      const variant = assignVariant(experiment, sessionId);
+      return {
+        experimentId: experiment.id,
+        variantId: variant.id,
+        ...(variant.profileId && { profileId: variant.profileId })
+      };
+    });
+};
+
+/**
+ * The agent profile the session's experiments put it on, if any
+ */
+export const experimentProfileId = (assignments = []) => {
+  return assignments.find(assignment => assignment.profileId)?.profileId;
+};
+
+/**
+ * The assignments a session run with the profile still measures; a session
+ * moved to another profile by hand no longer measures its variant
+ */
+export const experimentsForProfile = (assignments = [], profileId) => {
+  return assignments.filter(assignment => !assignment.profileId || assignment.profileId === profileId);
+};
+
+/**
+ * How far a session got, saved with its conversation: completion percentage
+ * and the time from the start of the session to the first quote
+ */
+export const describeSessionOutcome = (session) => {
+  const firstQuote = session.conversationHistory.find(item => item.metadata?.tool === 'generate_quote');
+  return {
+    completion: session.data.completionStatus.overall,
+    quoted: Boolean(firstQuote),
+    timeToQuoteMs: firstQuote ? new Date(firstQuote.timestamp) - new Date(session.createdAt) : null
+  };
+};
+
+const average = (values) => {
+  return values.length > 0 ? Math.round(values.reduce((total, value) => total + value, 0) / values.length) : null;
+};
+
+/**
+ * Saved conversations grouped by session. A session can span several
+ * conversations (reconnects, resumes): durations and guardrail trips add up
+ * and the outcome of the latest conversation counts.
+ */
+const summarizeSessions = (conversations) => {
+  const sessions = new Map();
+  const byStartTime = [...conversations].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+  for (const conversation of byStartTime) {
+    const summary = sessions.get(conversation.sessionId) || { experiments: [], durationMs: 0, guardrailTrips: 0, outcome: null };
+    summary.durationMs += conversation.duration?.milliseconds || 0;
+    summary.guardrailTrips += conversation.guardrailTrips || 0;
+    if (conversation.experiments?.length > 0) {
+      summary.experiments = conversation.experiments;
+    }
+    if (conversation.outcome) {
+      summary.outcome = conversation.outcome;
+    }
+    sessions.set(conversation.sessionId, summary);
+  }
+
+  return Array.from(sessions.values());
+};
+
+/**
+ * Per variant: sessions, completion rate (share of sessions at 100%), average
+ * completion, average time to quote, average duration and guardrail trips
+ */
+export const buildExperimentReport = (conversations, config = loadExperiments()) => {
+  const sessions = summarizeSessions(conversations);
+
+  const experiments = config.experiments.map(experiment => ({
+    id: experiment.id,
+    description: experiment.description,
+    active: experiment.active,
+    variants: experiment.variants.map(variant => {
+      const inVariant = sessions.filter(session => session.experiments.some(assignment =>
+        assignment.experimentId === experiment.id && assignment.variantId === variant.id
+      ));
+      const withOutcome = inVariant.filter(session => session.outcome);
+      const completed = withOutcome.filter(session => session.outcome.completion === 100);
+      const quoted = withOutcome.filter(session => session.outcome.quoted);
+      const guardrailTrips = inVariant.reduce((total, session) => total + session.guardrailTrips, 0);
+
+      return {
+        id: variant.id,
+        profileId: variant.profileId || null,
+        sessions: inVariant.length,
+        completed: completed.length,
+        completionRate: withOutcome.length > 0 ? Math.round((completed.length / withOutcome.length) * 100) : null,
+        averageCompletion: average(withOutcome.map(session => session.outcome.completion)),
+        quoted: quoted.length,
+        averageTimeToQuoteMs: average(quoted.map(session => session.outcome.timeToQuoteMs)),
+        averageDurationMs: average(inVariant.map(session => session.durationMs)),
+        guardrailTrips,
+        guardrailTripsPerSession: inVariant.length > 0 ? Math.round((guardrailTrips / inVariant.length) * 100) / 100 : null
+      };
+    })
+  }));
+
+  return {
+    version: config.version,
+    conversationsAnalyzed: conversations.length,
+    experiments
+  };
+};
+
+export default {
+  loadExperiments,
+  assignVariant,
+  assignExperiments,
+  experimentProfileId,
+  experimentsForProfile,
+  describeSessionOutcome,
+  buildExperimentReport
+};
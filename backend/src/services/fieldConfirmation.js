@@ -0,0 +1,90 @@
+import { getPath } from './applicationEvents.js';
+import { spellForSpeech } from './vehicleCatalog/vinDecoder.js';
+
+/**
+ * Read-back confirmation of what was heard.
+ *
+ * Every recorded field starts out 'captured'. The agent reads it back
+ * ('read_back') and the customer confirms or disputes it. Confirmations are
+ * kept in application.confirmations by field path together with the value
+ * the customer was asked about, so they stop applying as soon as the value
+ * changes. A confirmation of a section or member ("vehicles.0") covers every
+ * field in it.
+ */
+
+// Values transcription gets wrong most often; they are read back letter by letter
+export const SPELLED_FIELDS = ['email', 'licenseNumber', 'vin'];
+
+// Weakest first, for a field made of several confirmed parts
+const STATUS_ORDER = ['disputed', 'captured', 'read_back', 'confirmed'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Confirmation state of the field at path, or null when nothing is recorded there
+ */
+export const fieldStatus = (application, path) => {
+  const value = getPath(application, path);
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  // The field's own confirmation, else the nearest confirmed section or member containing it
+  const confirmations = application.confirmations || {};
+  const keys = path.split('.');
+  for (let depth = keys.length; depth > 0; depth--) {
+    const entry = confirmations[keys.slice(0, depth).join('.')];
+    const confirmedValue = depth === keys.length ? entry?.value : getPath(entry?.value, keys.slice(depth).join('.'));
+    if (entry && sameValue(confirmedValue, value)) {
+      return entry.status;
+    }
+  }
+
+  // An object confirmed part by part is as confirmed as its weakest part
+  if (isPlainObject(value)) {
+    const statuses = Object.keys(value).map(key => fieldStatus(application, `${path}.${key}`)).filter(Boolean);
+    if (statuses.length > 0) {
+      return STATUS_ORDER.find(status => statuses.includes(status));
+    }
+  }
+
+  return 'captured';
+};
+
+/**
+ * The confirmations with status recorded for each path that has a value
+ */
+export const recordConfirmations = (application, paths, status, { source, at = new Date() } = {}) => {
+  const confirmations = { ...(application.confirmations || {}) };
+  for (const path of paths) {
+    const value = getPath(application, path);
+    if (value !== undefined && value !== null) {
+      confirmations[path] = { status, value: JSON.parse(JSON.stringify(value)), source, updatedAt: at };
+    }
+  }
+  return confirmations;
+};
+
+/**
+ * How a value is read back: emails, license numbers and VINs are also spelled
+ * with the NATO alphabet ("jo@x.io, spelled J as in Juliet, O as in Oscar, at, ...")
+ */
+export const formatReadBack = (field, value) => {
+  const key = field.split('.').pop();
+  if (isPlainObject(value)) {
+    return Object.entries(value).map(([part, partValue]) => `${part} ${formatReadBack(part, partValue)}`).join(', ');
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.map(item => (isPlainObject(item) ? formatReadBack(field, item) : item)).join('; ') : 'none';
+  }
+  return SPELLED_FIELDS.includes(key) ? `${value}, spelled ${spellForSpeech(value)}` : String(value);
+};
+
+export default {
+  SPELLED_FIELDS,
+  fieldStatus,
+  recordConfirmations,
+  formatReadBack
+};
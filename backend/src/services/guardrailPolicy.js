@@ -0,0 +1,246 @@
+import fs from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+import { SENSITIVE_DATA_TYPES, detectSensitiveData } from './sensitiveData.js';
+
+/**
+ * Guardrail policy driven by data/guardrailPolicy.json.
+ *
+ * Each rule applies to what the caller says (role "user") or what the agent
+ * says ("assistant"), matches a pattern or a sensitive data detector, and has
+ * an action: block, redact, warn or escalate. allowRecordedFields scopes a
+ * rule by field context: a match equal to a value recorded at one of those
+ * application paths is allowed. guardrailMonitor keeps per-rule counters and
+ * a log of recent guardrail events.
+ */
+
+export const GUARDRAIL_ACTIONS = ['block', 'redact', 'warn', 'escalate'];
+
+export const GUARDRAIL_ROLES = ['user', 'assistant'];
+
+// Actions that keep the matched text out of the session store and logs
+const REDACTING_ACTIONS = ['block', 'redact'];
+
+const DEFAULT_POLICY_PATH = new URL('../data/guardrailPolicy.json', import.meta.url);
+
+// Guardrail events kept for the admin API
+const RECENT_EVENT_LIMIT = 200;
+
+let guardrailPolicy = null;
+
+/**
+ * Check a policy: every rule needs an id, known roles and action, and a pattern or detector
+ */
+export const validateGuardrailPolicy = (policy) => {
+  const ids = new Set();
+  for (const rule of policy.rules) {
+    const problems = [];
+    if (!rule.id || ids.has(rule.id)) {
+      problems.push('needs a unique id');
+    }
+    if (!GUARDRAIL_ACTIONS.includes(rule.action)) {
+      problems.push(`has unknown action "${rule.action}"`);
+    }
+    if (!rule.roles?.length || rule.roles.some(role => !GUARDRAIL_ROLES.includes(role))) {
+      problems.push('needs roles from user and assistant');
+    }
+    if (Boolean(rule.pattern) === Boolean(rule.detector)) {
+      problems.push('needs either a pattern or a detector');
+    }
+    if (rule.detector && !SENSITIVE_DATA_TYPES[rule.detector]) {
+      problems.push(`has unknown detector "${rule.detector}"`);
+    }
+    if (problems.length > 0) {
+      throw new Error(`Guardrail rule ${rule.id || '(no id)'} ${problems.join(', ')}`);
+    }
+    ids.add(rule.id);
+  }
+  return policy;
+};
+
+export const loadGuardrailPolicy = () => {
+  if (!guardrailPolicy) {
+    guardrailPolicy = validateGuardrailPolicy(JSON.parse(fs.readFileSync(DEFAULT_POLICY_PATH, 'utf8')));
+  }
+  return guardrailPolicy;
+};
+
+/**
+ * Values recorded at a path of the application; "*" stands for every vehicle or driver
+ */
+const recordedValues = (application, path) => {
+  return path.split('.').reduce((values, key) => values.flatMap(value => {
+    if (key === '*') {
+      return Array.isArray(value) ? value : [];
+    }
+    const next = value?.[key];
+    return next === undefined || next === null ? [] : [next];
+  }), [application]);
+};
+
+// Phone numbers, license numbers etc. compare without punctuation or spacing,
+// and phone numbers without the +1 country code ("+1 (512) 555-0100" is 512-555-0100)
+const normalize = (value) => String(value).replace(/[^0-9a-z]/gi, '').toLowerCase().replace(/^1(\d{10})$/, '$1');
+
+const findMatches = (rule, text) => {
+  if (rule.detector) {
+    return detectSensitiveData(text, rule.detector);
+  }
+  return Array.from(text.matchAll(new RegExp(rule.pattern, 'gi')), match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    value: match[0]
+  }));
+};
+
+/**
+ * What the rule is about, for telling the agent
+ */
+export const describeRule = (rule) => {
+  return SENSITIVE_DATA_TYPES[rule.detector]?.label ?? rule.description;
+};
+
+const replaceRanges = (text, ranges) => {
+  let replaced = text;
+  for (const { rule, start, end } of [...ranges].sort((a, b) => b.start - a.start)) {
+    const placeholder = SENSITIVE_DATA_TYPES[rule.detector]?.placeholder ?? '[redacted]';
+    replaced = replaced.slice(0, start) + placeholder + replaced.slice(end);
+  }
+  return replaced;
+};
+
+/**
+ * The rules that apply to text said by role. Returns the text for the session
+ * store and logs, with blocked and redacted matches replaced by placeholders;
+ * agentText, with only blocked matches replaced, for the model (it needs a
+ * typed license number to record it); and the matches (without the matched
+ * text) by rule.
+ */
+export const evaluateGuardrails = (text, { role, application = null, ruleIds = null, policy = loadGuardrailPolicy() } = {}) => {
+  if (typeof text !== 'string' || text.length === 0) {
+    return { text, agentText: text, matches: [], blocked: false, escalated: false };
+  }
+
+  const matches = [];
+  for (const rule of policy.rules) {
+    if (!rule.roles.includes(role) || (ruleIds && !ruleIds.includes(rule.id))) {
+      continue;
+    }
+
+    const allowed = (rule.allowRecordedFields || [])
+      .flatMap(path => recordedValues(application, path))
+      .map(normalize);
+    for (const range of findMatches(rule, text)) {
+      if (!allowed.includes(normalize(range.value))) {
+        matches.push({ rule, start: range.start, end: range.end });
+      }
+    }
+  }
+
+  // Earlier rules win where redacted ranges overlap
+  const redactions = [];
+  for (const match of matches.filter(candidate => REDACTING_ACTIONS.includes(candidate.rule.action))) {
+    if (!redactions.some(taken => match.start < taken.end && taken.start < match.end)) {
+      redactions.push(match);
+    }
+  }
+
+  return {
+    text: replaceRanges(text, redactions),
+    agentText: replaceRanges(text, redactions.filter(({ rule }) => rule.action === 'block')),
+    matches: matches.map(({ rule, start, end }) => ({ ruleId: rule.id, action: rule.action, label: describeRule(rule), start, end })),
+    blocked: matches.some(match => match.rule.action === 'block'),
+    escalated: matches.some(match => match.rule.action === 'escalate')
+  };
+};
+
+/**
+ * A copy of value with every string in it redacted by the caller's rules, for
+ * the session store, log records and history snapshots. Stored and logged text
+ * can hold anything the caller said, whoever's item it ended up in.
+ */
+export const redactDeep = (value, { application = null, policy = loadGuardrailPolicy() } = {}) => {
+  if (typeof value === 'string') {
+    return evaluateGuardrails(value, { role: 'user', application, policy }).text;
+  }
+  if (Array.isArray(value)) {
+    return value.map(entry => redactDeep(entry, { application, policy }));
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, redactDeep(entry, { application, policy })]));
+  }
+  return value;
+};
+
+/**
+ * Per-rule counters and a log of recent guardrail events since startup
+ */
+class GuardrailMonitor {
+  constructor() {
+    this.counters = new Map();
+    this.recentEvents = [];
+  }
+
+  /**
+   * Count matches and log them as events; returns the events
+   */
+  record(sessionId, role, matches) {
+    const timestamp = new Date().toISOString();
+    const events = matches.map(({ ruleId, action }) => ({ id: uuidv4(), sessionId, ruleId, action, role, timestamp }));
+
+    for (const event of events) {
+      const counter = this.counters.get(event.ruleId) || { total: 0, user: 0, assistant: 0 };
+      counter.total++;
+      counter[role]++;
+      this.counters.set(event.ruleId, counter);
+      console.warn(`Guardrail ${event.ruleId} (${event.action}) matched ${role} text in session ${sessionId}`);
+    }
+
+    this.recentEvents.push(...events);
+    if (this.recentEvents.length > RECENT_EVENT_LIMIT) {
+      this.recentEvents.splice(0, this.recentEvents.length - RECENT_EVENT_LIMIT);
+    }
+    return events;
+  }
+
+  /**
+   * Every rule of the policy with its counts
+   */
+  getRuleCounters(policy = loadGuardrailPolicy()) {
+    return policy.rules.map(rule => ({
+      id: rule.id,
+      description: rule.description,
+      roles: rule.roles,
+      action: rule.action,
+      counts: this.counters.get(rule.id) || { total: 0, user: 0, assistant: 0 }
+    }));
+  }
+
+  /**
+   * Most recent events first, optionally for one session
+   */
+  getRecentEvents({ sessionId = null, limit = 50 } = {}) {
+    return this.recentEvents
+      .filter(event => !sessionId || event.sessionId === sessionId)
+      .slice(-limit)
+      .reverse();
+  }
+
+  reset() {
+    this.counters.clear();
+    this.recentEvents = [];
+  }
+}
+
+// Create singleton instance
+export const guardrailMonitor = new GuardrailMonitor();
+
+export default {
+  GUARDRAIL_ACTIONS,
+  GUARDRAIL_ROLES,
+  validateGuardrailPolicy,
+  loadGuardrailPolicy,
+  describeRule,
+  evaluateGuardrails,
+  redactDeep,
+  guardrailMonitor
+};
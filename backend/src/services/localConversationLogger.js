@@ -1,6 +1,7 @@
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs/promises';
 import path from 'path';
+import { redactDeep } from './guardrailPolicy.js';
 
 /**
  * Local File System Conversation Logger
@@ -237,7 +238,7 @@ class LocalConversationLogger {
       id: uuidv4(),
       timestamp: new Date().toISOString(),
       type: eventType,
-      data: eventData
+      data: redactDeep(eventData)
     };
 
     sessionData.events.push(event);
@@ -338,7 +339,7 @@ class LocalConversationLogger {
         endTime: sessionData.endTime,
         metadata: sessionData.metadata,
         finalHistory: this.sanitizeHistory(finalHistory),
-        conversationText: this.generateReadableConversation(finalHistory)
+        conversationText: this.generateReadableConversation(redactDeep(finalHistory))
       };
       
       await fs.writeFile(conversationPath, JSON.stringify(conversationData, null, 2));
@@ -402,7 +403,7 @@ class LocalConversationLogger {
       itemId: item.itemId,
       type: item.type,
       role: item.role,
-      content: item.content,
+      content: redactDeep(item.content),
       timestamp: item.timestamp || new Date().toISOString(),
       // Add other relevant fields but exclude sensitive data
     }));
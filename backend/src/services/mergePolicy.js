@@ -0,0 +1,171 @@
+/**
+ * How updates to the customer's answers combine with what is already stored.
+ *
+ * - Objects are merged field by field, at any depth (an address update with
+ *   only a ZIP code keeps the street)
+ * - null and undefined mean "not provided" and never change a stored value
+ * - CLEAR explicitly removes a value (the customer withdrew an answer) and
+ *   replaceWith(value) sets a value without merging it with the stored one
+ * - Lists follow the mode configured for their path below; anything not
+ *   listed is replaced
+ */
+
+export const CLEAR = Symbol('clear');
+
+class Replacement {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+export const replaceWith = (value) => new Replacement(value);
+
+/**
+ * List paths ('*' matches any list position) and how updates are combined:
+ * - replace: the update is the new list
+ * - append:  update items are added after the stored ones
+ * - dedupe:  like append, skipping items equal to a stored one (on `key` fields when given)
+ * - byIndex: item N of the update is merged into stored item N (household members)
+ */
+export const MERGE_POLICY = {
+  vehicles: { mode: 'byIndex' },
+  drivers: { mode: 'byIndex' },
+  'vehicles.*.safetyFeatures': { mode: 'dedupe' },
+  'vehicles.*.modifications': { mode: 'dedupe' },
+  'drivers.*.accidents': { mode: 'dedupe', key: ['date', 'description'] },
+  'drivers.*.violations': { mode: 'dedupe', key: ['date', 'type'] },
+  'drivers.*.claims': { mode: 'dedupe', key: ['date', 'type'] }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+  && !(value instanceof Date) && !(value instanceof Replacement);
+
+const isMissing = (value) => value === null || value === undefined;
+
+export const arrayRule = (path, policy = MERGE_POLICY) => {
+  return policy[path.replace(/\.\d+(?=\.|$)/g, '.*')] || { mode: 'replace' };
+};
+
+// Comparable form of a list item: trimmed, case-insensitive, only the key fields
+const identity = (item, key) => {
+  const normalize = value => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+  if (isPlainObject(item) && key) {
+    return JSON.stringify(key.map(field => normalize(item[field])));
+  }
+  return JSON.stringify(normalize(item));
+};
+
+const mergeArray = (current, updates, policy, path) => {
+  const stored = Array.isArray(current) ? current : [];
+  const rule = arrayRule(path, policy);
+
+  if (rule.mode === 'byIndex') {
+    const merged = [...stored];
+    updates.forEach((item, index) => {
+      merged[index] = mergeApplicationData(merged[index], item, policy, `${path}.${index}`);
+    });
+    return merged.filter(item => item !== undefined);
+  }
+
+  const items = updates
+    .filter(item => !isMissing(item) && item !== CLEAR)
+    .map((item, index) => mergeApplicationData(undefined, item, policy, `${path}.${stored.length + index}`));
+
+  switch (rule.mode) {
+    case 'append':
+      return [...stored, ...items];
+
+    case 'dedupe': {
+      const seen = new Set(stored.map(item => identity(item, rule.key)));
+      const added = items.filter(item => {
+        const id = identity(item, rule.key);
+        if (seen.has(id)) {
+          return false;
+        }
+        seen.add(id);
+        return true;
+      });
+      return [...stored, ...added];
+    }
+
+    default:
+      return items;
+  }
+};
+
+/**
+ * Merge updates into the stored answers according to the policy
+ */
+export const mergeApplicationData = (current, updates, policy = MERGE_POLICY, path = '') => {
+  if (isMissing(updates)) {
+    return current;
+  }
+  if (updates === CLEAR) {
+    return undefined;
+  }
+  if (updates instanceof Replacement) {
+    return mergeApplicationData(undefined, updates.value, policy, path);
+  }
+  if (isPlainObject(updates)) {
+    const merged = isPlainObject(current) ? { ...current } : {};
+    for (const [key, value] of Object.entries(updates)) {
+      const next = mergeApplicationData(merged[key], value, policy, path ? `${path}.${key}` : key);
+      if (next === undefined) {
+        delete merged[key];
+      } else {
+        merged[key] = next;
+      }
+    }
+    return merged;
+  }
+  if (Array.isArray(updates)) {
+    return mergeArray(current, updates, policy, path);
+  }
+  return updates;
+};
+
+/**
+ * Mark dotted paths ("address", "liabilityLimits.propertyDamage") of an update
+ * as cleared, so explicit removals travel with the values being set. A cleared
+ * path that the update also gives a value for is replaced by that value.
+ */
+export const withCleared = (updates = {}, paths = []) => {
+  const marked = { ...updates };
+  for (const path of paths) {
+    const keys = path.split('.');
+    let node = marked;
+    keys.slice(0, -1).forEach(key => {
+      node[key] = isPlainObject(node[key]) ? { ...node[key] } : {};
+      node = node[key];
+    });
+    const key = keys[keys.length - 1];
+    node[key] = isMissing(node[key]) ? CLEAR : replaceWith(node[key]);
+  }
+  return marked;
+};
+
+/**
+ * The values an update actually provides: nulls are dropped at every depth
+ * (in objects and in list items), and so are objects left empty by that
+ */
+export const withoutMissing = (values = {}) => {
+  const provided = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(item => (isPlainObject(item) ? withoutMissing(item) : item));
+    }
+    return isPlainObject(value) ? withoutMissing(value) : value;
+  };
+  return Object.fromEntries(Object.entries(values)
+    .filter(([_, value]) => !isMissing(value))
+    .map(([key, value]) => [key, provided(value)])
+    .filter(([_, value]) => !isPlainObject(value) || Object.keys(value).length > 0));
+};
+
+export default {
+  CLEAR,
+  MERGE_POLICY,
+  replaceWith,
+  mergeApplicationData,
+  withCleared,
+  withoutMissing
+};
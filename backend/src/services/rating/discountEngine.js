@@ -0,0 +1,267 @@
+import fs from 'fs';
+import { ratedDriverFor, driverAgeOn } from './ratingEngine.js';
+
+/**
+ * Rules-driven discount eligibility (data/discounts/*.json).
+ *
+ * default.json holds the rules; a state file (CA.json, NY.json, ...) extends it and
+ * overrides individual rules by id, or removes them with null. Each rule has a scope:
+ * - policy:  evaluated once against the application
+ * - vehicle: evaluated per vehicle, with that vehicle's primary driver as "driver"
+ *
+ * Conditions evaluate to true, false or null (not enough data yet). Unknown
+ * results come back with a prompt so the agent knows what to ask next.
+ */
+
+const DISCOUNTS_DIR = new URL('../../data/discounts/', import.meta.url);
+
+const ruleSets = new Map();
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+const readRuleFile = (name) => {
+  const url = new URL(`${name}.json`, DISCOUNTS_DIR);
+  return fs.existsSync(url) ? JSON.parse(fs.readFileSync(url, 'utf8')) : null;
+};
+
+/**
+ * Rules for a state, falling back to default.json
+ */
+export const loadDiscountRules = (state) => {
+  const key = state ? state.toUpperCase() : 'default';
+  if (ruleSets.has(key)) {
+    return ruleSets.get(key);
+  }
+
+  const base = readRuleFile('default');
+  const stateFile = key !== 'default' ? readRuleFile(key) : null;
+  let ruleSet = { ...base, state: 'default' };
+
+  if (stateFile) {
+    const overrides = stateFile.overrides || {};
+    ruleSet = {
+      ...base,
+      ...stateFile,
+      state: key,
+      rules: base.rules
+        .filter(rule => overrides[rule.id] !== null)
+        .map(rule => ({ ...rule, ...(overrides[rule.id] || {}) }))
+        .concat(stateFile.rules || [])
+    };
+  }
+
+  ruleSets.set(key, ruleSet);
+  return ruleSet;
+};
+
+const getPath = (context, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+};
+
+const normalizeFeature = (feature) => String(feature).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const withinYears = (dateValue, years, asOf) => {
+  const date = new Date(dateValue);
+  if (!dateValue || Number.isNaN(date.getTime())) {
+    return true;
+  }
+  const cutoff = new Date(asOf);
+  cutoff.setUTCFullYear(cutoff.getUTCFullYear() - years);
+  return date >= cutoff;
+};
+
+/**
+ * Evaluate a condition against the application, plus vehicle and driver for vehicle rules
+ * @returns {{ result: boolean|null, features?: string[] }}
+ */
+const evaluateCondition = (condition, context, asOf) => {
+  switch (condition.type) {
+    case 'equals':
+    case 'min':
+    case 'max': {
+      const value = getPath(context, condition.path);
+      if (value === undefined || value === null) {
+        return { result: null };
+      }
+      if (condition.type === 'equals') {
+        return { result: value === condition.value };
+      }
+      return { result: condition.type === 'min' ? value >= condition.value : value <= condition.value };
+    }
+
+    case 'includesAny': {
+      const values = getPath(context, condition.path);
+      if (!Array.isArray(values) || values.length === 0) {
+        return { result: null };
+      }
+      const qualifying = condition.values.map(normalizeFeature);
+      const features = values.filter(value => qualifying.includes(normalizeFeature(value)));
+      return { result: features.length > 0, features };
+    }
+
+    case 'cleanRecord': {
+      const { driver } = context;
+      if (!driver || driver.yearsLicensed === undefined) {
+        return { result: null };
+      }
+      const recentAccidents = (driver.accidents || [])
+        .filter(accident => accident.atFault && withinYears(accident.date, condition.years, asOf));
+      const recentViolations = (driver.violations || [])
+        .filter(violation => withinYears(violation.date, condition.years, asOf));
+      return {
+        result: driver.yearsLicensed >= (condition.minYearsLicensed || 0)
+          && recentAccidents.length === 0
+          && recentViolations.length === 0
+      };
+    }
+
+    case 'all': {
+      const results = condition.conditions.map(inner => evaluateCondition(inner, context, asOf));
+      if (results.some(inner => inner.result === false)) {
+        return { result: false };
+      }
+      return {
+        result: results.some(inner => inner.result === null) ? null : true,
+        features: results.flatMap(inner => inner.features || [])
+      };
+    }
+
+    default:
+      throw new Error(`Unknown discount condition type: ${condition.type}`);
+  }
+};
+
+const describeVehicle = (vehicle, index) => {
+  const name = [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ');
+  return name || `vehicle ${index + 1}`;
+};
+
+const fillTemplate = (template, values) => {
+  return template.replace(/\{(\w+)\}/g, (_, key) => values[key] ?? '');
+};
+
+/**
+ * Which discounts the application qualifies for.
+ *
+ * @param {Object} application - Session data
+ * @param {Object} options
+ * @param {Date} options.asOf - Date incident lookbacks and ages are measured from
+ * @param {string} options.state - Rule file to use instead of the applicant's state
+ * @returns {{ state: string, version: string, maxTotalPercent: number, discounts: Object[] }}
+ */
+export const evaluateDiscounts = (application, { asOf = new Date(), state } = {}) => {
+  const { personalInfo = {}, vehicles = [], drivers = [] } = application || {};
+  const ruleSet = loadDiscountRules(state || personalInfo.address?.state);
+
+  const discounts = ruleSet.rules.map(rule => {
+    let status;
+    let vehicleIds = [];
+    let features = [];
+    let eligibleNames = [];
+
+    if (rule.scope === 'vehicle') {
+      const results = vehicles.map((vehicle, index) => {
+        const driver = ratedDriverFor(vehicle, drivers);
+        const context = {
+          ...application,
+          vehicle,
+          driver: driver ? { ...driver, age: driverAgeOn(driver, personalInfo, asOf) } : null
+        };
+        return { vehicle, index, ...evaluateCondition(rule.condition, context, asOf) };
+      });
+
+      const eligible = results.filter(result => result.result === true);
+      vehicleIds = eligible.map(result => result.vehicle.id);
+      eligibleNames = eligible.map(result => describeVehicle(result.vehicle, result.index));
+      features = [...new Set(eligible.flatMap(result => result.features || []))];
+      if (eligible.length > 0) {
+        status = 'eligible';
+      } else {
+        status = results.length === 0 || results.some(result => result.result === null) ? 'unknown' : 'ineligible';
+      }
+    } else {
+      const result = evaluateCondition(rule.condition, application, asOf);
+      status = result.result === true ? 'eligible' : (result.result === null ? 'unknown' : 'ineligible');
+      vehicleIds = status === 'eligible' ? vehicles.map(vehicle => vehicle.id) : [];
+      features = result.features || [];
+    }
+
+    const explanation = status === 'eligible'
+      ? fillTemplate(rule.explanation, {
+        count: vehicles.length,
+        vehicles: eligibleNames.join(', '),
+        features: features.join(', ')
+      })
+      : (status === 'ineligible' ? rule.ineligibleExplanation : rule.unknownPrompt);
+
+    return {
+      id: rule.id,
+      name: rule.name,
+      percent: rule.percent,
+      status,
+      explanation,
+      vehicleIds,
+      coverages: rule.coverages
+    };
+  });
+
+  return {
+    state: ruleSet.state,
+    version: ruleSet.version,
+    maxTotalPercent: ruleSet.maxTotalPercent,
+    discounts
+  };
+};
+
+/**
+ * Estimated savings of the eligible discounts on a rateApplication() quote.
+ * Discounts stack multiplicatively per line item, capped at maxTotalPercent.
+ */
+export const applyDiscountsToQuote = (quote, evaluation) => {
+  const savingsById = {};
+  const eligible = evaluation.discounts.filter(discount => discount.status === 'eligible');
+
+  for (const vehicle of quote.vehicles) {
+    for (const item of vehicle.lineItems) {
+      const applicable = eligible.filter(discount =>
+        discount.vehicleIds.includes(vehicle.vehicleId)
+        && (discount.coverages === 'all' || discount.coverages.includes(item.coverage))
+      );
+
+      let remaining = item.premium;
+      const lineSavings = applicable.map(discount => {
+        const saving = remaining * (discount.percent / 100);
+        remaining -= saving;
+        return { id: discount.id, saving };
+      });
+
+      const total = item.premium - remaining;
+      const cap = item.premium * (evaluation.maxTotalPercent / 100);
+      const scale = total > cap ? cap / total : 1;
+
+      for (const { id, saving } of lineSavings) {
+        savingsById[id] = (savingsById[id] || 0) + saving * scale;
+      }
+    }
+  }
+
+  const lines = eligible.map(discount => ({
+    id: discount.id,
+    name: discount.name,
+    percent: discount.percent,
+    savings: roundCents(savingsById[discount.id] || 0)
+  }));
+  const totalSavings = roundCents(lines.reduce((sum, line) => sum + line.savings, 0));
+
+  return {
+    discounts: lines,
+    totalSavings,
+    discountedPremium: roundCents(quote.totalPremium - totalSavings)
+  };
+};
+
+export default {
+  loadDiscountRules,
+  evaluateDiscounts,
+  applyDiscountsToQuote
+};
@@ -0,0 +1,351 @@
+import fs from 'fs';
+import { fieldPath } from '../applicationEvents.js';
+
+/**
+ * Indicative six-month premium from a versioned rate table (data/rateTables/*.json).
+ *
+ * Each vehicle is rated separately with its primary driver (or the applicant):
+ *   premium = base rate x territory x limit/deductible x use x vehicle age x driver age
+ *             x years licensed x (1 + accident and violation surcharges)
+ * Which factors apply to which coverage is set by the table's appliesTo block.
+ *
+ * Rating is a pure function of the application, the rate table and the asOf date,
+ * so the same inputs always produce the same quote.
+ */
+
+const RATE_TABLES_DIR = new URL('../../data/rateTables/', import.meta.url);
+
+const PHYSICAL_DAMAGE_COVERAGES = ['comprehensive', 'collision'];
+const ADDITIONAL_COVERAGES = ['rental', 'roadside', 'gapCoverage'];
+
+const COVERAGE_LABELS = {
+  bodilyInjury: 'Bodily Injury Liability',
+  propertyDamage: 'Property Damage Liability',
+  comprehensive: 'Comprehensive',
+  collision: 'Collision',
+  rental: 'Rental Reimbursement',
+  roadside: 'Roadside Assistance',
+  gapCoverage: 'Gap Coverage'
+};
+
+const rateTables = new Map();
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+const roundFactor = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Versions of the bundled rate tables, oldest first
+ */
+export const listRateTableVersions = () => {
+  return fs.readdirSync(RATE_TABLES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.replace(/\.json$/, ''))
+    .sort();
+};
+
+/**
+ * Load a rate table by version. Without a version, RATE_TABLE_VERSION is used,
+ * then the newest table already in effect on asOf.
+ */
+export const loadRateTable = (version = process.env.RATE_TABLE_VERSION, asOf = new Date()) => {
+  const versions = listRateTableVersions();
+  const asOfDate = asOf.toISOString().slice(0, 10);
+  const selected = version || [...versions].reverse().find(candidate => candidate <= asOfDate) || versions[0];
+
+  if (!versions.includes(selected)) {
+    throw new Error(`Unknown rate table version: ${selected}`);
+  }
+
+  if (!rateTables.has(selected)) {
+    rateTables.set(selected, JSON.parse(fs.readFileSync(new URL(`${selected}.json`, RATE_TABLES_DIR), 'utf8')));
+  }
+  return rateTables.get(selected);
+};
+
+/**
+ * Factor for the largest table key at or below the amount ("100000" for $100k limits)
+ */
+const steppedFactor = (table, amount) => {
+  const keys = Object.keys(table).map(Number).sort((a, b) => a - b);
+  const key = [...keys].reverse().find(candidate => candidate <= amount) ?? keys[0];
+  return table[String(key)];
+};
+
+const bandFactor = (bands, value, field) => {
+  return (bands.find(band => value <= band[field]) || bands[bands.length - 1]).factor;
+};
+
+const parseDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Dates are compared in UTC so a quote doesn't depend on the server's time zone
+const yearsBetween = (from, to) => {
+  let years = to.getUTCFullYear() - from.getUTCFullYear();
+  if (to.getUTCMonth() < from.getUTCMonth() || (to.getUTCMonth() === from.getUTCMonth() && to.getUTCDate() < from.getUTCDate())) {
+    years--;
+  }
+  return years;
+};
+
+/**
+ * Accidents and violations inside the lookback window. Undated incidents count.
+ */
+const incidentSurcharge = (driver, surcharges, asOf) => {
+  const cutoff = new Date(asOf);
+  cutoff.setUTCFullYear(cutoff.getUTCFullYear() - surcharges.lookbackYears);
+  const recent = (incident) => {
+    const date = parseDate(incident.date);
+    return !date || date >= cutoff;
+  };
+
+  const accidents = (driver?.accidents || []).filter(recent);
+  const violations = (driver?.violations || []).filter(recent);
+
+  const accidentSurcharge = accidents.reduce(
+    (sum, accident) => sum + (accident.atFault ? surcharges.accident.atFault : surcharges.accident.notAtFault),
+    0
+  );
+  const violationSurcharge = violations.reduce((sum, violation) => {
+    const type = String(violation.type || '').toLowerCase();
+    const key = Object.keys(surcharges.violation).find(name => name !== 'default' && type.includes(name));
+    return sum + surcharges.violation[key || 'default'];
+  }, 0);
+
+  return {
+    factor: roundFactor(1 + accidentSurcharge + violationSurcharge),
+    accidents: accidents.length,
+    violations: violations.length
+  };
+};
+
+const territoryFactor = (table, personalInfo) => {
+  const zipCode = personalInfo?.address?.zipCode;
+  const state = personalInfo?.address?.state?.toUpperCase();
+  const byZip = zipCode ? table.territory.zipPrefixes[zipCode.slice(0, 3)] : undefined;
+
+  if (byZip !== undefined) {
+    return { factor: byZip, territory: `ZIP ${zipCode.slice(0, 3)}xx` };
+  }
+  if (state && table.territory.states[state] !== undefined) {
+    return { factor: table.territory.states[state], territory: state };
+  }
+  return { factor: table.territory.default, territory: 'default' };
+};
+
+/**
+ * The driver a vehicle is rated on: its primary driver, else the applicant, else driver 1
+ */
+export const ratedDriverFor = (vehicle, drivers) => {
+  return drivers.find(driver => driver.id === vehicle.primaryDriverId)
+    || drivers.find(driver => driver.relationship === 'self')
+    || drivers[0]
+    || null;
+};
+
+/**
+ * A driver's birth date; the applicant's lives in personalInfo
+ */
+const driverBirthDate = (driver, personalInfo) => {
+  const isApplicant = !driver || driver.relationship === 'self';
+  return parseDate(driver?.dateOfBirth || (isApplicant ? personalInfo?.dateOfBirth : null));
+};
+
+/**
+ * Age in whole years on asOf, or null when the birth date is unknown
+ */
+export const driverAgeOn = (driver, personalInfo, asOf) => {
+  const dateOfBirth = driverBirthDate(driver, personalInfo);
+  return dateOfBirth ? yearsBetween(dateOfBirth, asOf) : null;
+};
+
+/**
+ * Paths of the fields the engine can't rate without, dotted like completion's
+ * missingFields ("vehicles.0.year")
+ */
+export const findMissingRatingInputs = (application) => {
+  const missing = [];
+  const { personalInfo = {}, vehicles = [], drivers = [] } = application || {};
+
+  if (!personalInfo.address?.zipCode && !personalInfo.address?.state) {
+    missing.push('personalInfo.address.zipCode');
+  }
+  if (vehicles.length === 0) {
+    missing.push('vehicles');
+  }
+
+  vehicles.forEach((vehicle, index) => {
+    if (!vehicle.year) {
+      missing.push(fieldPath({ section: 'vehicles', number: index + 1, field: 'year' }));
+    }
+
+    const driver = ratedDriverFor(vehicle, drivers);
+    if (!driverBirthDate(driver, personalInfo)) {
+      const driverIndex = driver ? drivers.indexOf(driver) : -1;
+      missing.push(driverIndex > 0
+        ? fieldPath({ section: 'drivers', number: driverIndex + 1, field: 'dateOfBirth' })
+        : 'personalInfo.dateOfBirth');
+    }
+  });
+
+  return [...new Set(missing)];
+};
+
+const rateCoverage = (coverage, baseRate, factors, appliesTo) => {
+  const applied = Object.fromEntries(
+    Object.entries(factors).filter(([name]) => !appliesTo[name] || appliesTo[name].includes(coverage))
+  );
+  const premium = Object.values(applied).reduce((total, factor) => total * factor, baseRate);
+
+  return {
+    coverage,
+    label: COVERAGE_LABELS[coverage],
+    baseRate,
+    factors: applied,
+    premium: roundCents(premium)
+  };
+};
+
+/**
+ * Rate an InsuranceApplication.
+ *
+ * @param {Object} application - Session data (personalInfo, vehicles, drivers, coveragePrefs)
+ * @param {Object} options
+ * @param {Date} options.asOf - Date ages and lookback windows are measured from
+ * @param {string} options.rateTableVersion - Rate table to use instead of the current one
+ * @returns {Object} { quotable, missing } when inputs are missing, otherwise the quote with line items
+ */
+export const rateApplication = (application, { asOf = new Date(), rateTableVersion } = {}) => {
+  const missing = findMissingRatingInputs(application);
+  if (missing.length > 0) {
+    return { quotable: false, missing };
+  }
+
+  const table = loadRateTable(rateTableVersion, asOf);
+  const { personalInfo = {}, vehicles, drivers = [], coveragePrefs = {} } = application;
+  const assumptions = [];
+
+  const limits = {
+    bodilyInjury: coveragePrefs.liabilityLimits?.bodilyInjury ?? table.defaultLimits.bodilyInjury,
+    propertyDamage: coveragePrefs.liabilityLimits?.propertyDamage ?? table.defaultLimits.propertyDamage
+  };
+  if (!coveragePrefs.liabilityLimits?.bodilyInjury || !coveragePrefs.liabilityLimits?.propertyDamage) {
+    assumptions.push(`Liability limits not chosen yet - rated at $${limits.bodilyInjury.toLocaleString()} bodily injury / $${limits.propertyDamage.toLocaleString()} property damage.`);
+  }
+
+  const territory = territoryFactor(table, personalInfo);
+  if (territory.territory === 'default') {
+    assumptions.push('No rating territory for this address - the default territory factor was used.');
+  }
+
+  const vehicleQuotes = vehicles.map((vehicle, index) => {
+    const driver = ratedDriverFor(vehicle, drivers);
+    const driverAge = driverAgeOn(driver, personalInfo, asOf);
+    const vehicleAge = Math.max(0, asOf.getUTCFullYear() - vehicle.year);
+
+    if (driver?.yearsLicensed === undefined) {
+      assumptions.push(`Years licensed unknown for the driver of vehicle ${index + 1} - rated as experienced.`);
+    }
+    if (!vehicle.primaryUse) {
+      assumptions.push(`Primary use unknown for vehicle ${index + 1} - rated with the default use factor.`);
+    }
+
+    const incidents = incidentSurcharge(driver, table.surcharges, asOf);
+    const factors = {
+      territory: territory.factor,
+      vehicleUse: table.factors.vehicleUse[vehicle.primaryUse] ?? table.factors.vehicleUse.default,
+      vehicleAge: bandFactor(table.factors.vehicleAge, vehicleAge, 'maxAge'),
+      driverAge: bandFactor(table.factors.driverAge, driverAge, 'maxAge'),
+      yearsLicensed: driver?.yearsLicensed === undefined
+        ? 1
+        : bandFactor(table.factors.yearsLicensed, driver.yearsLicensed, 'maxYears'),
+      incidents: incidents.factor
+    };
+    const appliesTo = {
+      vehicleAge: table.appliesTo.vehicleAge,
+      driverAge: table.appliesTo.driver,
+      yearsLicensed: table.appliesTo.driver,
+      incidents: table.appliesTo.driver
+    };
+
+    const lineItems = [
+      rateCoverage('bodilyInjury', table.baseRates.bodilyInjury, {
+        ...factors,
+        limit: steppedFactor(table.factors.bodilyInjuryLimit, limits.bodilyInjury)
+      }, appliesTo),
+      rateCoverage('propertyDamage', table.baseRates.propertyDamage, {
+        ...factors,
+        limit: steppedFactor(table.factors.propertyDamageLimit, limits.propertyDamage)
+      }, appliesTo)
+    ];
+
+    for (const coverage of PHYSICAL_DAMAGE_COVERAGES) {
+      const preference = coveragePrefs[coverage];
+      if (preference?.selected) {
+        const deductible = preference.deductible ?? 500;
+        if (preference.deductible === undefined) {
+          assumptions.push(`No ${coverage} deductible chosen - rated with $500.`);
+        }
+        lineItems.push({
+          ...rateCoverage(coverage, table.baseRates[coverage], {
+            ...factors,
+            deductible: steppedFactor(table.factors[`${coverage}Deductible`], deductible)
+          }, appliesTo),
+          deductible
+        });
+      }
+    }
+
+    for (const coverage of ADDITIONAL_COVERAGES) {
+      if (coveragePrefs.additionalCoverage?.[coverage]) {
+        lineItems.push(rateCoverage(coverage, table.baseRates[coverage], {}, {}));
+      }
+    }
+
+    return {
+      vehicleId: vehicle.id,
+      description: [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' '),
+      ratedDriverId: driver?.id || null,
+      driverAge,
+      vehicleAge,
+      accidents: incidents.accidents,
+      violations: incidents.violations,
+      lineItems,
+      subtotal: roundCents(lineItems.reduce((sum, item) => sum + item.premium, 0))
+    };
+  });
+
+  const coveragePremium = roundCents(vehicleQuotes.reduce((sum, vehicle) => sum + vehicle.subtotal, 0));
+  const fees = [{ label: 'Policy Fee', amount: table.policyFee }];
+  if (coveragePremium + table.policyFee < table.minimumPremium) {
+    fees.push({ label: 'Minimum Premium Adjustment', amount: roundCents(table.minimumPremium - coveragePremium - table.policyFee) });
+  }
+  const totalPremium = roundCents(coveragePremium + fees.reduce((sum, fee) => sum + fee.amount, 0));
+
+  return {
+    quotable: true,
+    rateTableVersion: table.version,
+    term: table.term,
+    currency: table.currency,
+    asOf: asOf.toISOString().slice(0, 10),
+    territory: territory.territory,
+    limits,
+    vehicles: vehicleQuotes,
+    fees,
+    coveragePremium,
+    totalPremium,
+    monthlyEstimate: roundCents(totalPremium / 6),
+    assumptions: [...new Set(assumptions)]
+  };
+};
+
+export default {
+  rateApplication,
+  findMissingRatingInputs,
+  loadRateTable,
+  listRateTableVersions
+};
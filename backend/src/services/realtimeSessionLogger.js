@@ -1,4 +1,5 @@
 import conversationLogger from './conversationLogger.js';
+import { redactDeep } from './guardrailPolicy.js';
 
 /**
  * Integration service for OpenAI RealtimeSession with conversation logging
@@ -68,7 +69,7 @@ class RealtimeSessionLogger {
 
     // Listen for transcript events
     session.on('transcript', (transcriptEvent) => {
-      console.log(`📄 Transcript event for session ${sessionId}:`, transcriptEvent.transcript);
+      console.log(`📄 Transcript event for session ${sessionId}:`, redactDeep(transcriptEvent.transcript));
       conversationLogger.logEvent(sessionId, 'transcript', {
         transcript: transcriptEvent.transcript,
         speaker: transcriptEvent.speaker || 'user',
@@ -159,7 +160,7 @@ class RealtimeSessionLogger {
 
     // Listen for all events (catch-all for debugging)
     session.on('*', (eventName, eventData) => {
-      console.log(`🎯 Event '${eventName}' for session ${sessionId}:`, eventData);
+      console.log(`🎯 Event '${eventName}' for session ${sessionId}:`, redactDeep(eventData));
       conversationLogger.logEvent(sessionId, `raw_event_${eventName}`, {
         eventName,
         eventData,
@@ -168,10 +169,11 @@ class RealtimeSessionLogger {
     });
 
     // Listen for guardrail events
-    session.on('guardrail_tripped', (guardrailEvent) => {
+    session.on('guardrail_tripped', (context, agent, error, details) => {
       conversationLogger.logEvent(sessionId, 'guardrail_tripped', {
-        guardrailName: guardrailEvent.name,
-        reason: guardrailEvent.reason,
+        guardrailName: error?.result?.guardrail?.name,
+        rules: error?.result?.output?.outputInfo?.rules || [],
+        itemId: details?.itemId ?? null,
         timestamp: new Date().toISOString()
       });
     });
@@ -195,7 +197,7 @@ class RealtimeSessionLogger {
 
       // Log the actual history content for debugging
       if (history.length > 0) {
-        console.log(`📋 Latest history items:`, history.slice(-2));
+        console.log(`📋 Latest history items:`, redactDeep(history.slice(-2)));
       }
     }
   }
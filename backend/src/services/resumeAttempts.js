@@ -0,0 +1,96 @@
+/**
+ * Limits on failed session:resume attempts, so resume codes can't be guessed
+ * one after another. Failures are counted per key (the connection's principal
+ * and its IP address); a key with too many failures within the window is
+ * locked out until the lockout ends. A successful resume clears the keys.
+ *
+ * RESUME_MAX_ATTEMPTS:       failures per principal before a lockout (default 5)
+ * RESUME_MAX_ATTEMPTS_PER_IP: failures per IP address before a lockout (default 20)
+ * RESUME_ATTEMPT_WINDOW:     ms in which failures add up (default 15 minutes)
+ * RESUME_LOCKOUT:            ms a locked key has to wait (default 15 minutes)
+ *
+ * Counters live in this process; instances behind a load balancer each keep their own.
+ */
+
+export const DEFAULT_RESUME_MAX_ATTEMPTS = 5;
+export const DEFAULT_RESUME_MAX_ATTEMPTS_PER_IP = 20;
+export const DEFAULT_RESUME_ATTEMPT_WINDOW = 15 * 60 * 1000;
+export const DEFAULT_RESUME_LOCKOUT = 15 * 60 * 1000;
+
+export function createResumeAttemptLimiter(env = process.env) {
+  const limits = {
+    principal: parseInt(env.RESUME_MAX_ATTEMPTS) || DEFAULT_RESUME_MAX_ATTEMPTS,
+    ip: parseInt(env.RESUME_MAX_ATTEMPTS_PER_IP) || DEFAULT_RESUME_MAX_ATTEMPTS_PER_IP
+  };
+  const windowMs = parseInt(env.RESUME_ATTEMPT_WINDOW) || DEFAULT_RESUME_ATTEMPT_WINDOW;
+  const lockoutMs = parseInt(env.RESUME_LOCKOUT) || DEFAULT_RESUME_LOCKOUT;
+  const attempts = new Map(); // "principal:..." / "ip:..." -> { failures, windowStart, lockedUntil }
+
+  // Forget counters whose window and lockout are over
+  const prune = (now) => {
+    for (const [key, entry] of attempts) {
+      if (now - entry.windowStart > windowMs && entry.lockedUntil <= now) {
+        attempts.delete(key);
+      }
+    }
+  };
+
+  const keysOf = ({ principal, ip }) => [
+    principal && { key: `principal:${principal}`, limit: limits.principal },
+    ip && { key: `ip:${ip}`, limit: limits.ip }
+  ].filter(Boolean);
+
+  return {
+    /**
+     * When the caller may try again, or null if it isn't locked out
+     */
+    lockedUntil(caller, now = Date.now()) {
+      const until = keysOf(caller)
+        .map(({ key }) => attempts.get(key)?.lockedUntil ?? 0)
+        .reduce((latest, time) => Math.max(latest, time), 0);
+      return until > now ? new Date(until) : null;
+    },
+
+    recordFailure(caller, now = Date.now()) {
+      prune(now);
+      for (const { key, limit } of keysOf(caller)) {
+        let entry = attempts.get(key);
+        if (!entry || now - entry.windowStart > windowMs) {
+          entry = { failures: 0, windowStart: now, lockedUntil: 0 };
+          attempts.set(key, entry);
+        }
+        entry.failures += 1;
+        if (entry.failures >= limit) {
+          entry.lockedUntil = now + lockoutMs;
+          entry.failures = 0;
+          entry.windowStart = now;
+        }
+      }
+    },
+
+    recordSuccess(caller) {
+      for (const { key } of keysOf(caller)) {
+        attempts.delete(key);
+      }
+    }
+  };
+}
+
+let resumeAttemptLimiter = null;
+
+/**
+ * Shared limiter, created on first use
+ */
+export function getResumeAttemptLimiter() {
+  if (!resumeAttemptLimiter) {
+    resumeAttemptLimiter = createResumeAttemptLimiter();
+  }
+  return resumeAttemptLimiter;
+}
+
+/**
+ * Replace the shared limiter (tests)
+ */
+export function setResumeAttemptLimiter(limiter) {
+  resumeAttemptLimiter = limiter;
+}
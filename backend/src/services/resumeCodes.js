@@ -0,0 +1,75 @@
+import { randomInt } from 'crypto';
+import { normalizeSpokenVin, spellForSpeech } from './vehicleCatalog/vinDecoder.js';
+
+/**
+ * Short callback codes that let a customer pick an interrupted application
+ * back up ("your code is K as in Kilo, 7, ...").
+ *
+ * Codes avoid characters that are easy to confuse when spoken or written
+ * down (0/O, 1/I/L), so 6 characters still give ~887 million combinations.
+ */
+
+export const RESUME_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+export const RESUME_CODE_LENGTH = 6;
+
+export const generateResumeCode = (random = randomInt) => {
+  let code = '';
+  for (let i = 0; i < RESUME_CODE_LENGTH; i++) {
+    code += RESUME_CODE_ALPHABET[random(RESUME_CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+/**
+ * Turn a typed or spoken code ("kilo seven, double x-ray...") into "K7XX..."
+ */
+export const normalizeResumeCode = (value) => normalizeSpokenVin(value);
+
+export const isValidResumeCode = (code) => {
+  return typeof code === 'string'
+    && code.length === RESUME_CODE_LENGTH
+    && code.split('').every(char => RESUME_CODE_ALPHABET.includes(char));
+};
+
+// "1985-03-07", "3/7/1985" or "03-07-1985" -> "1985-03-07"
+const normalizeDate = (value) => {
+  const text = String(value ?? '').trim();
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const us = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  const [year, month, day] = iso ? iso.slice(1) : us ? [us[3], us[1], us[2]] : [];
+  return year ? `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}` : null;
+};
+
+const normalizeZipCode = (value) => String(value ?? '').replace(/\D/g, '').slice(0, 5) || null;
+
+/**
+ * Whether the caller's answer matches what the application has on file: its
+ * ZIP code or its date of birth, so a guessed or overheard code alone isn't
+ * enough. An application with neither on file has nothing to check yet.
+ */
+export const verifyResumeCaller = (application, { zipCode, dateOfBirth } = {}) => {
+  const onFile = {
+    zipCode: normalizeZipCode(application.personalInfo?.address?.zipCode),
+    dateOfBirth: normalizeDate(application.personalInfo?.dateOfBirth)
+  };
+  if (!onFile.zipCode && !onFile.dateOfBirth) {
+    return true;
+  }
+  return Boolean(
+    (onFile.zipCode && normalizeZipCode(zipCode) === onFile.zipCode) ||
+    (onFile.dateOfBirth && normalizeDate(dateOfBirth) === onFile.dateOfBirth)
+  );
+};
+
+/**
+ * "K as in Kilo, 7, X as in X-ray, ..." - how the agent reads a code out
+ */
+export const formatResumeCodeForSpeech = (code) => spellForSpeech(code);
+
+export default {
+  generateResumeCode,
+  normalizeResumeCode,
+  isValidResumeCode,
+  verifyResumeCaller,
+  formatResumeCodeForSpeech
+};
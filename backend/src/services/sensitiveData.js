@@ -0,0 +1,102 @@
+/**
+ * Detection of sensitive numbers callers read out: Social Security Numbers,
+ * card numbers (Luhn checked), bank account and routing numbers and driver's
+ * license numbers. The guardrail policy's detector rules use them to redact
+ * (guardrailPolicy.js); redacted text keeps a placeholder so transcripts
+ * still read naturally ("my social is [SSN redacted]").
+ */
+
+export const SENSITIVE_DATA_TYPES = {
+  ssn: {
+    label: 'Social Security Number',
+    placeholder: '[SSN redacted]'
+  },
+  cardNumber: {
+    label: 'card number',
+    placeholder: '[card number redacted]'
+  },
+  bankAccount: {
+    label: 'bank account number',
+    placeholder: '[bank account number redacted]'
+  },
+  driversLicense: {
+    label: "driver's license number",
+    placeholder: '[license number redacted]'
+  }
+};
+
+/**
+ * Luhn checksum of a card number (digits only)
+ */
+export const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+// Each detector finds { start, end } ranges to redact in the text
+const DETECTORS = {
+  // 123-45-6789 or 123 45 6789 anywhere; nine digits in a row only when an SSN was mentioned
+  // (policy numbers are often nine digits). Never-issued area and group numbers don't count.
+  ssn: (text) => [
+    ...matchRanges(text, /\b(?!000|666|9\d\d)\d{3}([-\s.])(?!00)\d{2}\1(?!0000)\d{4}\b/g),
+    ...matchRanges(text, /\b(?:social|ssn|security)\b[^\d]{0,30}\b((?!000|666|9\d\d)\d{3}(?!00)\d{2}(?!0000)\d{4})\b/gi, 1)
+  ],
+
+  cardNumber: (text) => matchRanges(text, /\b\d(?:[-\s]?\d){12,18}\b/g)
+    .filter(({ value }) => passesLuhn(value.replace(/\D/g, ''))),
+
+  // Only numbers said right after "account" or "routing", so policy and phone numbers are left alone
+  bankAccount: (text) => matchRanges(
+    text,
+    /\b(?:account|acct|routing)(?:\s+(?:number|no\.?|#))?(?:\s+is)?[\s:#-]*((?:\d[\s-]?){5,16}\d)\b/gi,
+    1
+  ),
+
+  // After "license number/no./#" any ID; after a bare "license" only one starting with letters
+  // ("D1234567"), so years ("my license in 2015") are left alone
+  driversLicense: (text) => matchRanges(
+    text,
+    /\blicen[cs]e(?:(?:\s+(?:number|no\.?)|\s*#)(?:\s+is)?[\s:#-]*|(?:\s+is)?[\s:#-]*(?=[a-z]{1,2}-?\d))((?:[a-z]{1,2}[\s-]?)?\d(?:[\s-]?\d){3,15})\b/gi,
+    1
+  )
+};
+
+/**
+ * Ranges of the whole match, or of one capture group, of every match of pattern
+ */
+const matchRanges = (text, pattern, group = 0) => {
+  const ranges = [];
+  for (const match of text.matchAll(pattern)) {
+    const value = match[group];
+    const start = match.index + match[0].lastIndexOf(value);
+    ranges.push({ start, end: start + value.length, value });
+  }
+  return ranges;
+};
+
+/**
+ * Where the text has sensitive data of one type, as { start, end, value } ranges
+ */
+export const detectSensitiveData = (text, type) => {
+  const detect = DETECTORS[type];
+  if (!detect) {
+    throw new Error(`Unknown sensitive data type "${type}"`);
+  }
+  return typeof text === 'string' ? detect(text) : [];
+};
+
+export default {
+  SENSITIVE_DATA_TYPES,
+  passesLuhn,
+  detectSensitiveData
+};
@@ -0,0 +1,84 @@
+import sessionManager from './sessionManager.js';
+import { getConnectionTokens, readConnectionToken } from './connectionTokens.js';
+
+/**
+ * Who may use a session over HTTP. Requests carry a connection token (see
+ * connectionTokens.js) as "Authorization: Bearer" and only the principal that
+ * owns a session may read or change it - the same rule the WebSocket server
+ * applies to its connections.
+ */
+
+const accessError = (message, code, status) => Object.assign(new Error(message), { code, status });
+
+/**
+ * The principal of the request's connection token; throws with status 401
+ */
+export const authenticateRequest = (req) => {
+  const token = readConnectionToken(req);
+  if (!token) {
+    throw accessError('A connection token is required', 'UNAUTHORIZED', 401);
+  }
+  try {
+    return getConnectionTokens().verify(token).principal;
+  } catch (error) {
+    throw accessError(error.message, error.code, 401);
+  }
+};
+
+/**
+ * The session if the principal owns it; other principals' sessions look the
+ * same as unknown ones (status 404)
+ */
+export const authorizeSession = async (principal, sessionId) => {
+  const session = await sessionManager.getSession(sessionId);
+  if (!session || session.userId !== principal) {
+    throw accessError('Session not found or expired', 'SESSION_NOT_FOUND', 404);
+  }
+  return session;
+};
+
+const sendAccessError = (res, next, error) => {
+  if (!error.status) {
+    next(error);
+    return;
+  }
+  res.status(error.status).json({
+    success: false,
+    error: error.message
+  });
+};
+
+/**
+ * Express middleware for routes that act for a principal, like creating a
+ * session: sets res.locals.principal, or answers 401
+ */
+export const requireConnectionToken = (req, res, next) => {
+  try {
+    res.locals.principal = authenticateRequest(req);
+    next();
+  } catch (error) {
+    sendAccessError(res, next, error);
+  }
+};
+
+/**
+ * Express middleware for /api/sessions/:sessionId routes: sets
+ * res.locals.principal and res.locals.session, or answers 401 or 404
+ */
+export const requireSessionOwner = async (req, res, next) => {
+  try {
+    const principal = authenticateRequest(req);
+    res.locals.principal = principal;
+    res.locals.session = await authorizeSession(principal, req.params.sessionId);
+    next();
+  } catch (error) {
+    sendAccessError(res, next, error);
+  }
+};
+
+export default {
+  authenticateRequest,
+  authorizeSession,
+  requireConnectionToken,
+  requireSessionOwner
+};
@@ -1,19 +1,60 @@
 import { v4 as uuidv4 } from 'uuid';
-import { createEmptyApplication, VoiceSessionSchema } from '../types/insurance.js';
+import { createEmptyApplication, migrateApplicationData, VoiceSessionSchema } from '../types/insurance.js';
+import { evaluateDiscounts } from './rating/discountEngine.js';
+import { calculateCompletion } from './completionRules.js';
+import { mergeApplicationData } from './mergePolicy.js';
+import { recordConfirmations } from './fieldConfirmation.js';
+import { assignExperiments } from './experiments.js';
+import { evaluateGuardrails } from './guardrailPolicy.js';
+import {
+  diffApplication,
+  projectApplication,
+  pickTrackedSections,
+  createEvents,
+  findLastChange,
+  invertChange,
+  eventsForPath,
+  getPath
+} from './applicationEvents.js';
+import { createSessionStore, isVersionConflict } from './sessionStore/index.js';
+import {
+  generateResumeCode,
+  normalizeResumeCode,
+  isValidResumeCode,
+  verifyResumeCaller
+} from './resumeCodes.js';
+
+// Attempts for a read-modify-write before a version conflict is given up on
+const MAX_WRITE_ATTEMPTS = 5;
 
 class SessionManager {
-  constructor() {
-    this.sessions = new Map();
+  constructor(store = createSessionStore()) {
+    this.store = store;
     this.sessionTimeout = parseInt(process.env.SESSION_TIMEOUT) || 1800000; // 30 minutes
     this.maxSessions = parseInt(process.env.MAX_CONCURRENT_SESSIONS) || 50;
-    
+    this.resumeRetention = parseInt(process.env.SESSION_RESUME_RETENTION) || 604800000; // 7 days
+
     // Cleanup expired sessions every 5 minutes
-    setInterval(() => this.cleanupExpiredSessions(), 300000);
+    setInterval(() => {
+      this.cleanupExpiredSessions().catch(error => console.error('Error cleaning up sessions:', error));
+    }, 300000);
+  }
+
+  /**
+   * Swap the backing store (tests, or a store configured at startup)
+   */
+  setStore(store) {
+    this.store = store;
   }
 
-  createSession(userId = null) {
-    // Check if we've reached max sessions
-    if (this.sessions.size >= this.maxSessions) {
+  /**
+   * New session owned by userId (a connection token principal); agentProfile
+   * records the profile a browser session was issued with
+   */
+  async createSession(userId = null, { agentProfile } = {}) {
+    // Check if we've reached max sessions; paused sessions waiting to be resumed don't count
+    const sessions = await this.store.list();
+    if (sessions.filter(session => session.status === 'active').length >= this.maxSessions) {
       throw new Error('Maximum concurrent sessions reached');
     }
 
@@ -27,184 +68,401 @@ class SessionManager {
       userId,
       agentId,
       status: 'active',
+      resumeCode: this.generateUniqueResumeCode(sessions),
       data: createEmptyApplication(sessionId),
       conversationHistory: [],
+      events: [],
+      metadata: {
+        ...(agentProfile && { agentProfile }),
+        experiments: assignExperiments(sessionId)
+      },
       createdAt: now,
       lastActivity: now,
       expiresAt
     };
 
     // Validate session structure
-    const validatedSession = VoiceSessionSchema.parse(session);
-    this.sessions.set(sessionId, validatedSession);
+    const validatedSession = await this.store.put(VoiceSessionSchema.parse(session));
 
     console.log(`Created new session: ${sessionId}`);
     return validatedSession;
   }
 
-  getSession(sessionId) {
-    const session = this.sessions.get(sessionId);
+  generateUniqueResumeCode(sessions) {
+    const inUse = new Set(sessions.map(session => session.resumeCode));
+    let code;
+    do {
+      code = generateResumeCode();
+    } while (inUse.has(code));
+    return code;
+  }
+
+  /**
+   * Find the session a typed or spoken resume code belongs to
+   */
+  async findSessionByResumeCode(resumeCode) {
+    const code = normalizeResumeCode(resumeCode);
+    if (!isValidResumeCode(code)) {
+      return null;
+    }
+
+    const session = (await this.store.list()).find(candidate => candidate.resumeCode === code);
+    return session ? this.getSession(session.id) : null;
+  }
+
+  /**
+   * The customer dropped off before finishing: keep the application for the
+   * resume retention window instead of the normal session timeout
+   */
+  async pauseSession(sessionId) {
+    return this.updateSession(sessionId, {
+      status: 'paused',
+      expiresAt: new Date(Date.now() + this.resumeRetention)
+    });
+  }
+
+  /**
+   * Reactivate a paused session for a resume code. With userId the session
+   * moves to that owner, so the caller must also answer with the ZIP code or
+   * date of birth on file (see verifyResumeCaller). isAvailable is asked
+   * only once the caller is verified. Returns null for an unknown or expired
+   * code, a session that isn't paused or available and a wrong answer alike,
+   * so none of them tells a guesser more than the others.
+   */
+  async resumeSession(resumeCode, { userId, verification, isAvailable = () => true } = {}) {
+    const session = await this.findSessionByResumeCode(resumeCode);
+    if (!session || session.status !== 'paused' || !verifyResumeCaller(session.data, verification) || !isAvailable(session)) {
+      return null;
+    }
+
+    const now = new Date();
+    return this.updateSession(session.id, {
+      status: 'active',
+      resumedAt: now,
+      expiresAt: new Date(now.getTime() + this.sessionTimeout),
+      ...(userId !== undefined && { userId })
+    });
+  }
+
+  async getSession(sessionId) {
+    if (!sessionId) {
+      return null;
+    }
+
+    const session = await this.store.get(sessionId);
     if (!session) {
       return null;
     }
 
     // Check if session has expired
     if (new Date() > session.expiresAt) {
-      this.deleteSession(sessionId);
+      await this.deleteSession(sessionId);
       return null;
     }
 
-    // Update last activity
-    session.lastActivity = new Date();
-    return session;
+    return this.withImportedAnswers(session);
   }
 
-  updateSession(sessionId, updates) {
-    const session = this.getSession(sessionId);
-    if (!session) {
-      throw new Error('Session not found');
+  /**
+   * A session stored with answers but no events (saved before answers were
+   * events, or still in the vehicleInfo shape) gets one 'imported' change
+   * recreating them, so its first update doesn't start from nothing
+   */
+  withImportedAnswers(session) {
+    if (session.events?.length > 0) {
+      return session;
     }
+    const answers = pickTrackedSections(migrateApplicationData(session.data || {}));
+    const changes = diffApplication(projectApplication([]), answers);
+    return changes.length > 0
+      ? { ...session, events: createEvents(changes, { source: 'imported' }) }
+      : session;
+  }
 
-    // Update the session data
-    const updatedSession = {
-      ...session,
-      ...updates,
-      updatedAt: new Date(),
-      lastActivity: new Date()
-    };
+  /**
+   * Read the session, apply change(session) -> updates, and write it back with
+   * an optimistic version check. On a conflict the change is re-applied to the
+   * fresh session, so concurrent writers never overwrite each other.
+   *
+   * With expectedVersion the caller's own read is checked instead and a
+   * conflict is thrown straight back (e.g. a client editing a stale copy).
+   */
+  async modifySession(sessionId, change, { expectedVersion } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      const session = await this.getSession(sessionId);
+      if (!session) {
+        throw new Error('Session not found');
+      }
+
+      const updatedSession = VoiceSessionSchema.parse({
+        ...session,
+        ...change(session),
+        lastActivity: new Date()
+      });
+
+      try {
+        return await this.store.put(updatedSession, { expectedVersion: expectedVersion ?? session.version });
+      } catch (error) {
+        if (!isVersionConflict(error) || expectedVersion !== undefined || attempt >= MAX_WRITE_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
 
-    // Validate updated session
-    const validatedSession = VoiceSessionSchema.parse(updatedSession);
-    this.sessions.set(sessionId, validatedSession);
+  async updateSession(sessionId, updates, options = {}) {
+    return this.modifySession(sessionId, () => updates, options);
+  }
 
-    return validatedSession;
+  /**
+   * Record changes to the customer's answers as events. dataUpdates may be a
+   * function of the current data, so it is recomputed if the write has to be
+   * retried; it is combined with the stored answers by the merge policy.
+   *
+   * options.source names what made the change (a tool name, 'api') and
+   * options.transcriptItemId the conversation item it came from, by default
+   * the latest thing the customer said. Values heard over the phone still have
+   * to be read back and confirmed; options.confirmed marks the changed fields
+   * as confirmed straight away (e.g. typed in by the customer).
+   */
+  async updateSessionData(sessionId, dataUpdates, { source, transcriptItemId, confirmed = false, ...options } = {}) {
+    return this.modifySession(sessionId, session => {
+      const answers = projectApplication(session.events);
+      const updates = typeof dataUpdates === 'function' ? dataUpdates({ ...session.data, ...answers }) : dataUpdates;
+      const changes = diffApplication(answers, mergeApplicationData(answers, pickTrackedSections(updates)));
+      return this.recordChanges(session, changes, { source, transcriptItemId, confirmed });
+    }, options);
   }
 
-  updateSessionData(sessionId, dataUpdates) {
-    const session = this.getSession(sessionId);
-    if (!session) {
-      throw new Error('Session not found');
+  recordChanges(session, changes, { source, transcriptItemId, revertsChangeId, confirmed = false } = {}) {
+    const events = [
+      ...session.events,
+      ...createEvents(changes, {
+        source,
+        transcriptItemId: transcriptItemId ?? this.latestUtteranceId(session),
+        revertsChangeId,
+        startSequence: session.events.length + 1
+      })
+    ];
+    const data = { ...session.data, ...projectApplication(events) };
+    if (confirmed) {
+      const setPaths = changes.filter(change => change.op === 'set').map(change => change.path);
+      data.confirmations = recordConfirmations(data, setPaths, 'confirmed', { source });
     }
+    return { events, data: this.projectSessionData(data, events) };
+  }
+
+  /**
+   * Record the customer's answer to a read-back: status is 'read_back',
+   * 'confirmed' or 'disputed' for each field path ("personalInfo.email",
+   * "vehicles.0.vin"). Returns { session, recorded, notRecorded } where
+   * notRecorded lists paths that hold no value yet.
+   */
+  async confirmFields(sessionId, paths, status, { source = 'confirm_fields', ...options } = {}) {
+    let recorded = [];
+    let notRecorded = [];
+
+    const session = await this.modifySession(sessionId, current => {
+      const answers = { ...current.data, ...projectApplication(current.events) };
+      recorded = paths.filter(path => getPath(answers, path) !== undefined && getPath(answers, path) !== null);
+      notRecorded = paths.filter(path => !recorded.includes(path));
+      const confirmations = recordConfirmations(answers, recorded, status, { source });
+      return { data: this.projectSessionData({ ...current.data, confirmations }, current.events) };
+    }, options);
+
+    return { session, recorded, notRecorded };
+  }
 
-    // Deep merge the data updates
+  /**
+   * The application is the projection of its events plus derived fields
+   */
+  projectSessionData(data, events) {
     const updatedData = {
-      ...session.data,
-      ...dataUpdates,
+      ...data,
+      ...projectApplication(events),
       updatedAt: new Date()
     };
 
     // Calculate completion status
     updatedData.completionStatus = this.calculateCompletionStatus(updatedData);
+    updatedData.discounts = this.calculateDiscounts(updatedData);
 
-    return this.updateSession(sessionId, { data: updatedData });
+    return updatedData;
   }
 
-  addConversationItem(sessionId, type, content, metadata = {}) {
-    const session = this.getSession(sessionId);
+  latestUtteranceId(session) {
+    const utterance = session.conversationHistory.findLast(item => item.type === 'user');
+    return utterance?.id ?? null;
+  }
+
+  /**
+   * Recorded changes, optionally only those touching a field path
+   */
+  async getApplicationEvents(sessionId, { path } = {}) {
+    const session = await this.getSession(sessionId);
     if (!session) {
-      throw new Error('Session not found');
+      return null;
     }
+    return path ? eventsForPath(session.events, path) : session.events;
+  }
+
+  /**
+   * Who set a field and from which utterance: its current value, the change
+   * that produced it and every earlier change, newest first
+   */
+  async getFieldProvenance(sessionId, path) {
+    const session = await this.getSession(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const utterances = new Map(session.conversationHistory.map(item => [item.id, item.content]));
+    const changes = eventsForPath(session.events, path).reverse().map(event => ({
+      ...event,
+      utterance: event.transcriptItemId ? utterances.get(event.transcriptItemId) ?? null : null
+    }));
+
+    return {
+      path,
+      value: getPath(projectApplication(session.events), path),
+      setBy: changes[0] ?? null,
+      changes
+    };
+  }
+
+  /**
+   * Revert the most recent change that has not been undone yet. The undo is
+   * recorded as events of its own; returns { session, undone } or
+   * { session, undone: null } when there is nothing left to undo.
+   */
+  async undoLastChange(sessionId, { source = 'undo', ...options } = {}) {
+    let undone = null;
+
+    const session = await this.modifySession(sessionId, current => {
+      const lastChange = findLastChange(current.events);
+      undone = lastChange;
+      if (!lastChange) {
+        return {};
+      }
+      return this.recordChanges(current, invertChange(lastChange.events), {
+        source,
+        transcriptItemId: null,
+        revertsChangeId: lastChange.changeId
+      });
+    }, options);
+
+    return { session, undone };
+  }
 
+  async addConversationItem(sessionId, type, content, metadata = {}) {
     const conversationItem = {
       id: uuidv4(),
       type,
-      content,
+      // What the guardrail policy redacts from callers is never stored, whichever path the text came by
+      content: type === 'user' ? evaluateGuardrails(content, { role: 'user' }).text : content,
       timestamp: new Date(),
       metadata
     };
 
-    session.conversationHistory.push(conversationItem);
-    session.lastActivity = new Date();
-
-    this.sessions.set(sessionId, session);
+    await this.modifySession(sessionId, session => ({
+      conversationHistory: [...session.conversationHistory, conversationItem]
+    }));
     return conversationItem;
   }
 
-  deleteSession(sessionId) {
-    const deleted = this.sessions.delete(sessionId);
+  /**
+   * Flag the session for review after escalate guardrail rules matched
+   */
+  async escalateSession(sessionId, escalations) {
+    const at = new Date();
+    return this.modifySession(sessionId, session => ({
+      metadata: {
+        ...session.metadata,
+        escalations: [...(session.metadata?.escalations || []), ...escalations.map(escalation => ({ ...escalation, at }))]
+      }
+    }));
+  }
+
+  async deleteSession(sessionId) {
+    const deleted = await this.store.delete(sessionId);
     if (deleted) {
       console.log(`Deleted session: ${sessionId}`);
     }
     return deleted;
   }
 
-  getAllSessions() {
-    return Array.from(this.sessions.values());
+  async getAllSessions() {
+    return this.store.list();
   }
 
-  getActiveSessionsCount() {
-    return this.sessions.size;
+  async getActiveSessionsCount() {
+    return this.store.count();
   }
 
-  cleanupExpiredSessions() {
-    const now = new Date();
-    let cleanedCount = 0;
-
-    for (const [sessionId, session] of this.sessions.entries()) {
-      if (now > session.expiresAt) {
-        this.sessions.delete(sessionId);
-        cleanedCount++;
-      }
-    }
+  async cleanupExpiredSessions() {
+    const cleanedCount = await this.store.deleteExpired(new Date());
 
     if (cleanedCount > 0) {
       console.log(`Cleaned up ${cleanedCount} expired sessions`);
     }
+    return cleanedCount;
   }
 
-  calculateCompletionStatus(data) {
-    const status = {
-      personalInfo: 0,
-      vehicleInfo: 0,
-      coveragePrefs: 0,
-      drivingHistory: 0,
-      overall: 0
-    };
-
-    // Calculate personal info completion
-    const personalFields = ['firstName', 'lastName', 'dateOfBirth', 'address', 'phone', 'email'];
-    const personalCompleted = personalFields.filter(field => {
-      if (field === 'address') {
-        return data.personalInfo?.address?.street && data.personalInfo?.address?.city;
-      }
-      return data.personalInfo?.[field];
-    }).length;
-    status.personalInfo = Math.round((personalCompleted / personalFields.length) * 100);
+  /**
+   * Add or update a household vehicle. vehicleNumber is 1-based; a number past
+   * the end of the list adds a new vehicle.
+   */
+  async updateVehicle(sessionId, vehicleNumber, vehicleUpdates, options = {}) {
+    return this.updateHouseholdMember(sessionId, 'vehicles', 'vehicle', vehicleNumber, vehicleUpdates, {}, options);
+  }
 
-    // Calculate vehicle info completion
-    const vehicleFields = ['make', 'model', 'year', 'vin', 'currentMileage', 'annualMileage'];
-    const vehicleCompleted = vehicleFields.filter(field => data.vehicleInfo?.[field]).length;
-    status.vehicleInfo = Math.round((vehicleCompleted / vehicleFields.length) * 100);
+  /**
+   * Add or update a household driver. Driver 1 is the applicant.
+   */
+  async updateDriver(sessionId, driverNumber, driverUpdates, options = {}) {
+    return this.updateHouseholdMember(sessionId, 'drivers', 'driver', driverNumber, driverUpdates, {
+      relationship: driverNumber === 1 ? 'self' : 'other'
+    }, options);
+  }
 
-    // Calculate coverage preferences completion
-    const coverageCompleted = (data.coveragePrefs?.liabilityLimits ? 1 : 0) +
-                             (data.coveragePrefs?.comprehensive ? 1 : 0) +
-                             (data.coveragePrefs?.collision ? 1 : 0);
-    status.coveragePrefs = Math.round((coverageCompleted / 3) * 100);
+  async updateHouseholdMember(sessionId, listName, idPrefix, number, updates, defaults = {}, options = {}) {
+    let index;
+
+    const updatedSession = await this.updateSessionData(sessionId, data => {
+      const members = data[listName];
+      index = Math.min(Math.max(number, 1), members.length + 1) - 1;
+
+      // Only the member being changed is sent; the merge policy combines it with what is stored
+      const memberUpdates = members.map(() => undefined);
+      if (index < members.length) {
+        memberUpdates[index] = updates;
+      } else {
+        const highest = members.reduce((max, member) => {
+          const suffix = parseInt(member.id.replace(`${idPrefix}-`, ''), 10);
+          return Number.isNaN(suffix) ? max : Math.max(max, suffix);
+        }, 0);
+        memberUpdates.push({ id: `${idPrefix}-${highest + 1}`, ...defaults, ...updates });
+      }
 
-    // Calculate driving history completion
-    const drivingFields = ['licenseNumber', 'licenseState', 'yearsLicensed'];
-    const drivingCompleted = drivingFields.filter(field => data.drivingHistory?.[field]).length;
-    status.drivingHistory = Math.round((drivingCompleted / drivingFields.length) * 100);
+      return { [listName]: memberUpdates };
+    }, options);
 
-    // Calculate overall completion
-    status.overall = Math.round((status.personalInfo + status.vehicleInfo + status.coveragePrefs + status.drivingHistory) / 4);
+    return { session: updatedSession, member: updatedSession.data[listName][index], number: index + 1 };
+  }
 
-    return status;
+  calculateDiscounts(data) {
+    return evaluateDiscounts(data).discounts.map(({ id, name, percent, status, explanation, vehicleIds }) => ({
+      id, name, percent, status, explanation, vehicleIds
+    }));
   }
 
-  extendSession(sessionId, additionalTime = null) {
-    const session = this.getSession(sessionId);
-    if (!session) {
-      throw new Error('Session not found');
-    }
+  calculateCompletionStatus(data) {
+    return calculateCompletion(data);
+  }
 
+  async extendSession(sessionId, additionalTime = null) {
     const extension = additionalTime || this.sessionTimeout;
-    session.expiresAt = new Date(Date.now() + extension);
-    session.lastActivity = new Date();
-
-    this.sessions.set(sessionId, session);
-    return session;
+    return this.updateSession(sessionId, { expiresAt: new Date(Date.now() + extension) });
   }
 }
 
@@ -0,0 +1,116 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { SessionStore } from './sessionStore.js';
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
+/**
+ * One JSON file per session in a directory. Survives restarts and can be shared
+ * by processes on the same host (or a mounted volume).
+ *
+ * Writes go to a temporary file that is renamed into place, so readers never
+ * see a half-written session. Version checks and writes for a session are
+ * serialized within this process; processes sharing a directory can still race
+ * between the check and the rename, so use a KvSessionStore for several instances.
+ */
+export class FileSessionStore extends SessionStore {
+  constructor({ directory = './data/sessions' } = {}) {
+    super('file');
+    this.directory = directory;
+    this.locks = new Map();
+  }
+
+  filePath(sessionId) {
+    if (!SESSION_ID_PATTERN.test(sessionId)) {
+      throw new Error(`Invalid session id: ${sessionId}`);
+    }
+    return path.join(this.directory, `${sessionId}.json`);
+  }
+
+  async readFile(filePath) {
+    try {
+      return SessionStore.deserialize(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run fn after any pending write to the same session has finished
+   */
+  async withLock(sessionId, fn) {
+    const previous = this.locks.get(sessionId) || Promise.resolve();
+    const current = previous.then(fn, fn);
+    const settled = current.catch(() => {});
+    this.locks.set(sessionId, settled);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(sessionId) === settled) {
+        this.locks.delete(sessionId);
+      }
+    }
+  }
+
+  async get(sessionId) {
+    if (!SESSION_ID_PATTERN.test(sessionId || '')) {
+      return null;
+    }
+    return this.readFile(this.filePath(sessionId));
+  }
+
+  async put(session, { expectedVersion } = {}) {
+    const filePath = this.filePath(session.id);
+
+    return this.withLock(session.id, async () => {
+      const stored = await this.readFile(filePath);
+      SessionStore.checkVersion(session.id, stored?.version, expectedVersion);
+
+      const saved = { ...session, version: (expectedVersion ?? 0) + 1 };
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(tempPath, SessionStore.serialize(saved));
+      await fs.rename(tempPath, filePath);
+      return saved;
+    });
+  }
+
+  async delete(sessionId) {
+    return this.withLock(sessionId, async () => {
+      try {
+        await fs.unlink(this.filePath(sessionId));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      }
+    });
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const sessions = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.readFile(path.join(this.directory, file)))
+    );
+    return sessions.filter(Boolean);
+  }
+}
+
+export default FileSessionStore;
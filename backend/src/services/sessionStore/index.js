@@ -0,0 +1,39 @@
+import { SessionStore, isVersionConflict, VERSION_CONFLICT } from './sessionStore.js';
+import { MemorySessionStore } from './memorySessionStore.js';
+import { FileSessionStore } from './fileSessionStore.js';
+import { KvSessionStore, LocalKvClient } from './kvSessionStore.js';
+
+export {
+  SessionStore,
+  MemorySessionStore,
+  FileSessionStore,
+  KvSessionStore,
+  LocalKvClient,
+  isVersionConflict,
+  VERSION_CONFLICT
+};
+
+/**
+ * Create the session store selected by environment configuration.
+ *
+ * SESSION_STORE:
+ * - memory: in-process Map (default); sessions are lost on restart
+ * - file:   one JSON file per session under SESSION_STORE_DIR
+ *
+ * KvSessionStore needs a key-value client (Redis, DynamoDB) and is not
+ * selectable here; construct it with one and hand it to sessionManager.setStore.
+ */
+export function createSessionStore(env = process.env) {
+  const type = env.SESSION_STORE || 'memory';
+
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore();
+
+    case 'file':
+      return new FileSessionStore(env.SESSION_STORE_DIR ? { directory: env.SESSION_STORE_DIR } : {});
+
+    default:
+      throw new Error(`Unknown SESSION_STORE: ${type}`);
+  }
+}
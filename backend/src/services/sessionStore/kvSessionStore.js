@@ -0,0 +1,108 @@
+import { SessionStore } from './sessionStore.js';
+
+/**
+ * In-process stand-in for a key-value service with per-key TTL (Redis,
+ * DynamoDB with a TTL attribute). Implements the client contract KvSessionStore
+ * relies on:
+ * - get(key)                                      -> Promise<string|null>
+ * - compareAndSwap(key, expected, value, { ttlMs }) -> Promise<boolean>
+ *     writes value only if the current value is still expected (null = key absent)
+ * - delete(key)                                   -> Promise<boolean>
+ * - keys(prefix)                                  -> Promise<string[]>
+ *
+ * A Redis client maps compareAndSwap onto WATCH/GET/MULTI/SET PX/EXEC and
+ * DynamoDB onto a conditional PutItem.
+ */
+export class LocalKvClient {
+  constructor({ now = () => Date.now() } = {}) {
+    this.entries = new Map();
+    this.now = now;
+  }
+
+  live(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async get(key) {
+    return this.live(key)?.value ?? null;
+  }
+
+  async compareAndSwap(key, expected, value, { ttlMs } = {}) {
+    if ((this.live(key)?.value ?? null) !== expected) {
+      return false;
+    }
+    this.entries.set(key, { value, expiresAt: ttlMs ? this.now() + ttlMs : Infinity });
+    return true;
+  }
+
+  async delete(key) {
+    return this.live(key) ? this.entries.delete(key) : false;
+  }
+
+  async keys(prefix) {
+    return Array.from(this.entries.keys()).filter(key => key.startsWith(prefix) && this.live(key));
+  }
+}
+
+/**
+ * Sessions in a key-value store. Each key expires with its session, so no
+ * cleanup sweep is needed and every instance sees the same sessions.
+ * client implements the LocalKvClient contract above.
+ */
+export class KvSessionStore extends SessionStore {
+  constructor({ client, prefix = 'session:', now = () => Date.now() } = {}) {
+    super('kv');
+
+    if (!client) {
+      throw new Error('KvSessionStore requires a key-value client');
+    }
+    this.client = client;
+    this.prefix = prefix;
+    this.now = now;
+  }
+
+  key(sessionId) {
+    return `${this.prefix}${sessionId}`;
+  }
+
+  async get(sessionId) {
+    const json = await this.client.get(this.key(sessionId));
+    return json ? SessionStore.deserialize(json) : null;
+  }
+
+  async put(session, { expectedVersion } = {}) {
+    const key = this.key(session.id);
+    const current = await this.client.get(key);
+    SessionStore.checkVersion(session.id, current ? SessionStore.deserialize(current).version : undefined, expectedVersion);
+
+    const saved = { ...session, version: (expectedVersion ?? 0) + 1 };
+    const ttlMs = Math.max(new Date(session.expiresAt).getTime() - this.now(), 1);
+
+    // Another instance may have written between the read and the swap
+    if (!await this.client.compareAndSwap(key, current, SessionStore.serialize(saved), { ttlMs })) {
+      throw SessionStore.versionConflict(session.id, expectedVersion, 'a concurrent write');
+    }
+    return saved;
+  }
+
+  async delete(sessionId) {
+    return this.client.delete(this.key(sessionId));
+  }
+
+  async list() {
+    const keys = await this.client.keys(this.prefix);
+    const sessions = await Promise.all(keys.map(key => this.client.get(key)));
+    return sessions.filter(Boolean).map(json => SessionStore.deserialize(json));
+  }
+
+  async deleteExpired() {
+    return 0;
+  }
+}
+
+export default KvSessionStore;
@@ -0,0 +1,42 @@
+import { SessionStore } from './sessionStore.js';
+
+/**
+ * In-process store. Fast, but every session is lost on restart and is not
+ * shared between instances - fine for local development and tests.
+ *
+ * Sessions are stored serialized so callers can't change stored state by
+ * mutating an object they were handed.
+ */
+export class MemorySessionStore extends SessionStore {
+  constructor() {
+    super('memory');
+    this.sessions = new Map();
+  }
+
+  async get(sessionId) {
+    const entry = this.sessions.get(sessionId);
+    return entry ? SessionStore.deserialize(entry.json) : null;
+  }
+
+  async put(session, { expectedVersion } = {}) {
+    SessionStore.checkVersion(session.id, this.sessions.get(session.id)?.version, expectedVersion);
+
+    const saved = { ...session, version: (expectedVersion ?? 0) + 1 };
+    this.sessions.set(session.id, { version: saved.version, json: SessionStore.serialize(saved) });
+    return SessionStore.deserialize(SessionStore.serialize(saved));
+  }
+
+  async delete(sessionId) {
+    return this.sessions.delete(sessionId);
+  }
+
+  async list() {
+    return Array.from(this.sessions.values(), entry => SessionStore.deserialize(entry.json));
+  }
+
+  async count() {
+    return this.sessions.size;
+  }
+}
+
+export default MemorySessionStore;
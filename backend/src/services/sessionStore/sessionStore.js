@@ -0,0 +1,86 @@
+/**
+ * Base class for session persistence.
+ *
+ * Implementations store whole sessions keyed by id:
+ * - get(sessionId)                   -> Promise<session|null>
+ * - put(session, { expectedVersion }) -> Promise<session> with version incremented
+ * - delete(sessionId)                -> Promise<boolean>
+ * - list()                           -> Promise<session[]>
+ * - deleteExpired(now)               -> Promise<number> sessions removed
+ *
+ * Every put is an optimistic check: it succeeds only while the stored version
+ * still equals expectedVersion (undefined for a new session), otherwise it
+ * rejects with a version conflict error and nothing is written.
+ */
+export class SessionStore {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async get(sessionId) {
+    throw new Error(`${this.name} session store does not implement get`);
+  }
+
+  async put(session, { expectedVersion } = {}) {
+    throw new Error(`${this.name} session store does not implement put`);
+  }
+
+  async delete(sessionId) {
+    throw new Error(`${this.name} session store does not implement delete`);
+  }
+
+  async list() {
+    throw new Error(`${this.name} session store does not implement list`);
+  }
+
+  async count() {
+    return (await this.list()).length;
+  }
+
+  async deleteExpired(now = new Date()) {
+    const expired = (await this.list()).filter(session => now > session.expiresAt);
+    for (const session of expired) {
+      await this.delete(session.id);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Throw unless the stored version matches what the caller read
+   */
+  static checkVersion(sessionId, storedVersion, expectedVersion) {
+    if (storedVersion !== expectedVersion) {
+      throw SessionStore.versionConflict(sessionId, expectedVersion, storedVersion);
+    }
+  }
+
+  static versionConflict(sessionId, expectedVersion, storedVersion) {
+    const error = new Error(
+      `Session ${sessionId} was modified concurrently (expected version ${expectedVersion ?? 'none'}, found ${storedVersion ?? 'none'})`
+    );
+    error.code = VERSION_CONFLICT;
+    return error;
+  }
+
+  /**
+   * Sessions are stored as JSON; timestamps come back as Date objects
+   */
+  static serialize(session) {
+    return JSON.stringify(session);
+  }
+
+  static deserialize(json) {
+    return JSON.parse(json, (key, value) => (
+      typeof value === 'string' && ISO_TIMESTAMP.test(value) ? new Date(value) : value
+    ));
+  }
+}
+
+export const VERSION_CONFLICT = 'SESSION_VERSION_CONFLICT';
+
+// Only full timestamps written by Date#toJSON; customer dates like "2026-12-01" stay strings
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+export const isVersionConflict = (error) => error?.code === VERSION_CONFLICT;
+
+export default SessionStore;
@@ -0,0 +1,131 @@
+import { VehicleCatalogProvider } from './vehicleCatalogProvider.js';
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+const FIVE_MINUTES = 5 * 60 * 1000;
+
+/**
+ * Composite provider that asks each backing provider in order (e.g. http, then
+ * snapshot) and caches the answers.
+ *
+ * - Fresh entries (younger than ttlMs) are returned straight from the cache
+ * - Stale entries (younger than ttlMs + staleTtlMs) are returned immediately and
+ *   refreshed in the background (stale-while-revalidate)
+ * - Concurrent lookups for the same key share one in-flight request
+ * - Answers from a fallback provider (any but the first) are only kept for
+ *   fallbackTtlMs and never served stale, so the primary is asked again soon
+ * - If every provider fails, an expired entry is still better than no answer
+ */
+export class CachedCatalogProvider extends VehicleCatalogProvider {
+  constructor({ providers, ttlMs = ONE_DAY, staleTtlMs = 7 * ONE_DAY, fallbackTtlMs = FIVE_MINUTES, now = () => Date.now() } = {}) {
+    super('cached');
+
+    if (!providers || providers.length === 0) {
+      throw new Error('CachedCatalogProvider requires at least one provider');
+    }
+
+    this.providers = providers;
+    this.ttlMs = ttlMs;
+    this.staleTtlMs = staleTtlMs;
+    this.fallbackTtlMs = fallbackTtlMs;
+    this.now = now;
+    this.cache = new Map();
+    this.inFlight = new Map();
+  }
+
+  getMakes(year) {
+    return this.cached(`makes:${year}`, 'getMakes', [year]);
+  }
+
+  getModels(year, make) {
+    return this.cached(`models:${year}:${make.toLowerCase()}`, 'getModels', [year, make]);
+  }
+
+  getTrims(year, make, model) {
+    return this.cached(`trims:${year}:${make.toLowerCase()}:${model.toLowerCase()}`, 'getTrims', [year, make, model]);
+  }
+
+  lookupZipCode(zipcode) {
+    return this.cached(`zip:${zipcode}`, 'lookupZipCode', [zipcode]);
+  }
+
+  async cached(key, method, args) {
+    const entry = this.cache.get(key);
+    const age = entry ? this.now() - entry.storedAt : Infinity;
+
+    if (age < entry?.ttlMs) {
+      return entry.value;
+    }
+
+    if (age < entry?.ttlMs + entry?.staleTtlMs) {
+      this.revalidate(key, method, args).catch(error => {
+        console.warn(`Background refresh of ${key} failed:`, error.message);
+      });
+      return entry.value;
+    }
+
+    try {
+      return await this.revalidate(key, method, args);
+    } catch (error) {
+      if (entry) {
+        console.warn(`Serving expired catalog entry ${key}: ${error.message}`);
+        return entry.value;
+      }
+      throw error;
+    }
+  }
+
+  revalidate(key, method, args) {
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const request = this.loadFromProviders(method, args)
+      .then(({ value, provider }) => {
+        const fromFallback = provider !== this.providers[0].name;
+        this.cache.set(key, {
+          value,
+          storedAt: this.now(),
+          provider,
+          ttlMs: fromFallback ? this.fallbackTtlMs : this.ttlMs,
+          staleTtlMs: fromFallback ? 0 : this.staleTtlMs
+        });
+        return value;
+      })
+      .finally(() => {
+        this.inFlight.delete(key);
+      });
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  async loadFromProviders(method, args) {
+    let lastError = null;
+
+    for (const provider of this.providers) {
+      try {
+        const value = await provider[method](...args);
+        return { value, provider: provider.name };
+      } catch (error) {
+        console.warn(`${provider.name} catalog provider failed for ${method}:`, error.message);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  clear() {
+    this.cache.clear();
+  }
+
+  getCacheStats() {
+    return {
+      entries: this.cache.size,
+      inFlight: this.inFlight.size,
+      providers: this.providers.map(p => p.name)
+    };
+  }
+}
+
+export default CachedCatalogProvider;
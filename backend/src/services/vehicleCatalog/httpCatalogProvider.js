@@ -0,0 +1,72 @@
+import { VehicleCatalogProvider } from './vehicleCatalogProvider.js';
+
+const DEFAULT_BASE_URL = 'https://form.quotewizard.com/kube';
+
+/**
+ * Live lookups against the QuoteWizard form APIs
+ */
+export class HttpCatalogProvider extends VehicleCatalogProvider {
+  constructor({ baseUrl = DEFAULT_BASE_URL, fetchImpl = fetch } = {}) {
+    super('http');
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.fetch = fetchImpl;
+  }
+
+  async fetchJson(path) {
+    const url = `${this.baseUrl}${path}`;
+    const response = await this.fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`Catalog request failed: ${response.status} ${url}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Clean up a make/model name for use in a URL
+   */
+  cleanName(name) {
+    return name.toLowerCase().replace(/\s+/g, '');
+  }
+
+  /**
+   * Extract names from the different response shapes the API returns
+   */
+  extractNames(data, key) {
+    let names = [];
+    if (Array.isArray(data)) {
+      names = data.map(item => typeof item === 'string' ? item : item[key] || item.name);
+    } else if (data?.[`${key}s`]) {
+      names = data[`${key}s`];
+    } else if (data?.data) {
+      names = data.data.map(item => item[key] || item.name);
+    }
+    return VehicleCatalogProvider.toSortedList(names);
+  }
+
+  async getMakes(year) {
+    console.log(`Fetching vehicle makes for year: ${year}`);
+    const data = await this.fetchJson(`/nxrdpolk/curated/${year}.json`);
+    return this.extractNames(data, 'make');
+  }
+
+  async getModels(year, make) {
+    console.log(`Fetching vehicle models for ${year} ${make}`);
+    const data = await this.fetchJson(`/nxrdpolk/curated/${year}/${this.cleanName(make)}.json`);
+    return this.extractNames(data, 'model');
+  }
+
+  async getTrims(year, make, model) {
+    console.log(`Fetching vehicle trims for ${year} ${make} ${model}`);
+    const data = await this.fetchJson(`/nxrdpolk/curated/${year}/${this.cleanName(make)}/${this.cleanName(model)}.json`);
+    return this.extractNames(data, 'trim');
+  }
+
+  async lookupZipCode(zipcode) {
+    const data = await this.fetchJson(`/nxrdzipcode/${zipcode}.json`);
+    return data && data.valid !== false ? data : null;
+  }
+}
+
+export default HttpCatalogProvider;
@@ -0,0 +1,64 @@
+import { VehicleCatalogProvider } from './vehicleCatalogProvider.js';
+import { HttpCatalogProvider } from './httpCatalogProvider.js';
+import { SnapshotCatalogProvider } from './snapshotCatalogProvider.js';
+import { CachedCatalogProvider } from './cachedCatalogProvider.js';
+
+export { VehicleCatalogProvider, HttpCatalogProvider, SnapshotCatalogProvider, CachedCatalogProvider };
+
+/**
+ * Create the catalog provider selected by environment configuration.
+ *
+ * VEHICLE_CATALOG_PROVIDER:
+ * - snapshot: bundled offline snapshot only (default outside production)
+ * - http:     live QuoteWizard lookups only
+ * - cached:   http with snapshot fallback, TTL cache and stale-while-revalidate (default in production)
+ */
+export function createVehicleCatalogProvider(env = process.env) {
+  const type = env.VEHICLE_CATALOG_PROVIDER || (env.NODE_ENV === 'production' ? 'cached' : 'snapshot');
+
+  const snapshotProvider = () => new SnapshotCatalogProvider(
+    env.VEHICLE_CATALOG_SNAPSHOT_PATH ? { catalogPath: env.VEHICLE_CATALOG_SNAPSHOT_PATH } : {}
+  );
+  const httpProvider = () => new HttpCatalogProvider(
+    env.VEHICLE_CATALOG_BASE_URL ? { baseUrl: env.VEHICLE_CATALOG_BASE_URL } : {}
+  );
+
+  switch (type) {
+    case 'snapshot':
+      return snapshotProvider();
+
+    case 'http':
+      return httpProvider();
+
+    case 'cached':
+      return new CachedCatalogProvider({
+        providers: [httpProvider(), snapshotProvider()],
+        ...(env.VEHICLE_CATALOG_CACHE_TTL && { ttlMs: parseInt(env.VEHICLE_CATALOG_CACHE_TTL) }),
+        ...(env.VEHICLE_CATALOG_STALE_TTL && { staleTtlMs: parseInt(env.VEHICLE_CATALOG_STALE_TTL) }),
+        ...(env.VEHICLE_CATALOG_FALLBACK_TTL && { fallbackTtlMs: parseInt(env.VEHICLE_CATALOG_FALLBACK_TTL) })
+      });
+
+    default:
+      throw new Error(`Unknown VEHICLE_CATALOG_PROVIDER: ${type}`);
+  }
+}
+
+let catalogProvider = null;
+
+/**
+ * Shared provider instance, created on first use
+ */
+export function getVehicleCatalogProvider() {
+  if (!catalogProvider) {
+    catalogProvider = createVehicleCatalogProvider();
+    console.log(`Using ${catalogProvider.name} vehicle catalog provider`);
+  }
+  return catalogProvider;
+}
+
+/**
+ * Replace the shared provider (tests, or custom backends)
+ */
+export function setVehicleCatalogProvider(provider) {
+  catalogProvider = provider;
+}
@@ -0,0 +1,102 @@
+import fs from 'fs';
+import { VehicleCatalogProvider } from './vehicleCatalogProvider.js';
+
+const DEFAULT_CATALOG_PATH = new URL('../../data/vehicleCatalog.json', import.meta.url);
+const DEFAULT_ZIP_PREFIXES_PATH = new URL('../../data/zipPrefixes.json', import.meta.url);
+
+/**
+ * Offline lookups against a bundled JSON snapshot of the catalog.
+ * Used in development and CI so validation works without network access
+ * and returns the same results on every run.
+ */
+export class SnapshotCatalogProvider extends VehicleCatalogProvider {
+  constructor({ catalogPath = DEFAULT_CATALOG_PATH, zipPrefixesPath = DEFAULT_ZIP_PREFIXES_PATH, catalog = null, zipPrefixes = null } = {}) {
+    super('snapshot');
+    this.catalogPath = catalogPath;
+    this.zipPrefixesPath = zipPrefixesPath;
+    this.catalog = catalog;
+    this.zipPrefixes = zipPrefixes;
+  }
+
+  loadCatalog() {
+    if (!this.catalog) {
+      this.catalog = JSON.parse(fs.readFileSync(this.catalogPath, 'utf8'));
+      console.log(`Loaded vehicle catalog snapshot ${this.catalog.version || 'unversioned'}`);
+    }
+    return this.catalog;
+  }
+
+  loadZipPrefixes() {
+    if (!this.zipPrefixes) {
+      this.zipPrefixes = JSON.parse(fs.readFileSync(this.zipPrefixesPath, 'utf8'));
+    }
+    return this.zipPrefixes;
+  }
+
+  /**
+   * Check whether a model year range covers the requested year.
+   * An open-ended range (null end) runs through next model year.
+   */
+  coversYear([from, to], year) {
+    const lastYear = to ?? new Date().getFullYear() + 1;
+    return year >= from && year <= lastYear;
+  }
+
+  findEntry(entries, name) {
+    const normalizedName = String(name).trim().toLowerCase();
+    const key = Object.keys(entries).find(k => k.toLowerCase() === normalizedName);
+    return key ? entries[key] : null;
+  }
+
+  async getMakes(year) {
+    const yearNum = parseInt(year);
+    const { makes } = this.loadCatalog();
+
+    return VehicleCatalogProvider.toSortedList(
+      Object.entries(makes)
+        .filter(([_, make]) => Object.values(make.models).some(model => this.coversYear(model.years, yearNum)))
+        .map(([name]) => name)
+    );
+  }
+
+  async getModels(year, make) {
+    const yearNum = parseInt(year);
+    const makeEntry = this.findEntry(this.loadCatalog().makes, make);
+    if (!makeEntry) {
+      return [];
+    }
+
+    return VehicleCatalogProvider.toSortedList(
+      Object.entries(makeEntry.models)
+        .filter(([_, model]) => this.coversYear(model.years, yearNum))
+        .map(([name]) => name)
+    );
+  }
+
+  async getTrims(year, make, model) {
+    const yearNum = parseInt(year);
+    const makeEntry = this.findEntry(this.loadCatalog().makes, make);
+    const modelEntry = makeEntry ? this.findEntry(makeEntry.models, model) : null;
+    if (!modelEntry || !this.coversYear(modelEntry.years, yearNum)) {
+      return [];
+    }
+
+    return VehicleCatalogProvider.toSortedList(modelEntry.trims);
+  }
+
+  async lookupZipCode(zipcode) {
+    const prefix = String(zipcode).slice(0, 3);
+    const range = this.loadZipPrefixes().ranges.find(r => prefix >= r.from && prefix <= r.to);
+    if (!range) {
+      return null;
+    }
+
+    return {
+      zipcode,
+      state: range.state,
+      source: 'snapshot'
+    };
+  }
+}
+
+export default SnapshotCatalogProvider;
@@ -0,0 +1,43 @@
+/**
+ * Base class for vehicle catalog lookups.
+ *
+ * Implementations resolve the lists used to validate what a caller says about
+ * their vehicle and location:
+ * - getMakes(year)                  -> Promise<string[]>
+ * - getModels(year, make)           -> Promise<string[]>
+ * - getTrims(year, make, model)     -> Promise<string[]>
+ * - lookupZipCode(zipcode)          -> Promise<object|null> (null when not valid/serviceable)
+ *
+ * Lists are de-duplicated and sorted. A lookup that cannot be answered
+ * (network failure, missing data source) rejects with an Error.
+ */
+export class VehicleCatalogProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async getMakes(year) {
+    throw new Error(`${this.name} provider does not implement getMakes`);
+  }
+
+  async getModels(year, make) {
+    throw new Error(`${this.name} provider does not implement getModels`);
+  }
+
+  async getTrims(year, make, model) {
+    throw new Error(`${this.name} provider does not implement getTrims`);
+  }
+
+  async lookupZipCode(zipcode) {
+    throw new Error(`${this.name} provider does not implement lookupZipCode`);
+  }
+
+  /**
+   * Remove duplicates and sort a list of names
+   */
+  static toSortedList(items) {
+    return [...new Set(items.filter(Boolean))].sort();
+  }
+}
+
+export default VehicleCatalogProvider;
@@ -0,0 +1,318 @@
+import fs from 'fs';
+
+/**
+ * Ranked matching of spoken vehicle makes/models/trims against catalog lists.
+ *
+ * Transcripts rarely match the catalog spelling ("Chevy", "Camery", "F one fifty"),
+ * so every candidate is scored with several signals and the best one wins:
+ * - exact:    same name after spoken-number and punctuation normalization
+ * - alias:    a known nickname or mis-transcription (data/vehicleAliases.json)
+ * - prefix:   the caller said the start of the name ("Chev", "Silverado")
+ * - phonetic: same Soundex key ("Camery" / "Camry")
+ * - fuzzy:    edit distance similarity
+ *
+ * Confidence is 0-1. Matches at or above ACCEPT_CONFIDENCE are safe to store;
+ * anything lower should be read back to the caller as "Did you mean ...?".
+ */
+
+export const ACCEPT_CONFIDENCE = 0.9;
+export const SUGGEST_CONFIDENCE = 0.55;
+
+const DEFAULT_ALIASES_PATH = new URL('../../data/vehicleAliases.json', import.meta.url);
+
+let aliasData = null;
+
+const loadAliases = () => {
+  if (!aliasData) {
+    aliasData = JSON.parse(fs.readFileSync(DEFAULT_ALIASES_PATH, 'utf8'));
+  }
+  return aliasData;
+};
+
+const UNITS = {
+  zero: 0, oh: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9
+};
+const TEENS = {
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS = {
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+const isNumberWord = (word) => word in UNITS || word in TEENS || word in TENS || word === 'hundred' || word === 'thousand';
+
+/**
+ * Convert a run of number words to digits the way people say model numbers:
+ * "one fifty" -> 150, "fifteen hundred" -> 1500, "three hundred" -> 300,
+ * "twenty five hundred" -> 2500, "one hundred fifty" -> 150, "three" -> 3
+ */
+const numberWordsToDigits = (words) => {
+  const groups = [];
+  let current = null;
+  let afterHundred = false;
+
+  const flush = () => {
+    if (current !== null) {
+      groups.push(String(current));
+    }
+    current = null;
+    afterHundred = false;
+  };
+
+  for (const word of words) {
+    if (word === 'hundred' || word === 'thousand') {
+      current = (current ?? 1) * (word === 'hundred' ? 100 : 1000);
+      afterHundred = true;
+      continue;
+    }
+
+    const value = UNITS[word] ?? TEENS[word] ?? TENS[word];
+
+    if (current === null) {
+      current = value;
+    } else if (afterHundred && value < 100) {
+      // "one hundred fifty" -> 150
+      current += value;
+      afterHundred = !(word in TENS) ? false : afterHundred;
+    } else if (current % 10 === 0 && current >= 20 && current < 100 && word in UNITS && value > 0) {
+      // "twenty five" -> 25
+      current += value;
+    } else {
+      // "one fifty" -> "1" + "50", "mazda three" handled by caller
+      flush();
+      current = value;
+    }
+  }
+
+  flush();
+  return groups.join('');
+};
+
+/**
+ * Lowercase, turn spoken numbers into digits and split into tokens
+ */
+export const normalizeSpoken = (value) => {
+  const words = String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const tokens = [];
+  let numberRun = [];
+
+  for (const word of words) {
+    if (isNumberWord(word) && !(word === 'oh' && numberRun.length === 0)) {
+      numberRun.push(word);
+      continue;
+    }
+    if (numberRun.length > 0) {
+      tokens.push(numberWordsToDigits(numberRun));
+      numberRun = [];
+    }
+    tokens.push(word);
+  }
+  if (numberRun.length > 0) {
+    tokens.push(numberWordsToDigits(numberRun));
+  }
+
+  return tokens.join(' ');
+};
+
+/**
+ * Comparison key: normalized, with spaces and punctuation removed ("F-150" -> "f150")
+ */
+export const compactKey = (value) => normalizeSpoken(value).replace(/\s+/g, '');
+
+/**
+ * American Soundex of the letters in a string
+ */
+export const soundex = (value) => {
+  const letters = String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (!letters) {
+    return '';
+  }
+
+  const codes = {
+    b: 1, f: 1, p: 1, v: 1,
+    c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2,
+    d: 3, t: 3,
+    l: 4,
+    m: 5, n: 5,
+    r: 6
+  };
+
+  let key = letters[0].toUpperCase();
+  let previous = codes[letters[0]] || 0;
+
+  for (let i = 1; i < letters.length && key.length < 4; i++) {
+    const letter = letters[i];
+    const code = codes[letter] || 0;
+
+    if (code && code !== previous) {
+      key += code;
+    }
+    // 'h' and 'w' do not separate letters with the same code
+    if (letter !== 'h' && letter !== 'w') {
+      previous = code;
+    }
+  }
+
+  return key.padEnd(4, '0');
+};
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+export const editDistance = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Score how well a spoken input matches one name
+ */
+const scoreName = (inputKey, name) => {
+  const nameKey = compactKey(name);
+  if (!inputKey || !nameKey) {
+    return { confidence: 0, matchType: 'none' };
+  }
+
+  if (inputKey === nameKey) {
+    return { confidence: 1, matchType: 'exact' };
+  }
+
+  const similarity = 1 - editDistance(inputKey, nameKey) / Math.max(inputKey.length, nameKey.length);
+  let best = { confidence: similarity, matchType: 'fuzzy' };
+
+  // Digits must agree - an F-250 is not an F-150 however close the spelling
+  const inputDigits = inputKey.replace(/\D/g, '');
+  const nameDigits = nameKey.replace(/\D/g, '');
+  const digitsConflict = inputDigits && nameDigits && inputDigits !== nameDigits;
+
+  if (!digitsConflict && inputKey.length >= 3 && nameKey.startsWith(inputKey)) {
+    const prefixScore = 0.75 + 0.2 * (inputKey.length / nameKey.length);
+    if (prefixScore > best.confidence) {
+      best = { confidence: prefixScore, matchType: 'prefix' };
+    }
+  }
+
+  if (!digitsConflict && inputKey.length >= 3 && soundex(inputKey) === soundex(nameKey) && similarity >= 0.5) {
+    const phoneticScore = Math.min(0.88, 0.7 + 0.2 * similarity);
+    if (phoneticScore > best.confidence) {
+      best = { confidence: phoneticScore, matchType: 'phonetic' };
+    }
+  }
+
+  if (digitsConflict) {
+    best.confidence = Math.min(best.confidence, 0.5);
+  }
+
+  return best;
+};
+
+/**
+ * Rank catalog names against what the caller said.
+ *
+ * @param {string} input - Transcribed text
+ * @param {string[]} candidates - Catalog names to match against
+ * @param {Object} options
+ * @param {Object<string, string[]>} options.aliases - Catalog name -> spoken aliases
+ * @param {number} options.limit - Maximum number of candidates returned
+ * @returns {{ input: string, normalized: string, best: Object|null, confidence: number, candidates: Object[] }}
+ */
+export const matchVehicleName = (input, candidates = [], { aliases = {}, limit = 3 } = {}) => {
+  const normalized = normalizeSpoken(input);
+  const inputKey = compactKey(input);
+
+  const ranked = candidates
+    .map(name => {
+      let best = scoreName(inputKey, name);
+
+      for (const alias of aliases[name] || []) {
+        if (compactKey(alias) === inputKey) {
+          best = best.confidence >= 1 ? best : { confidence: 0.98, matchType: 'alias' };
+          break;
+        }
+      }
+
+      return { name, confidence: round(best.confidence), matchType: best.matchType };
+    })
+    .filter(match => match.confidence >= SUGGEST_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence || a.name.localeCompare(b.name))
+    .slice(0, limit);
+
+  const best = ranked[0] || null;
+
+  return {
+    input,
+    normalized,
+    best,
+    confidence: best ? best.confidence : 0,
+    candidates: ranked
+  };
+};
+
+/**
+ * Match a spoken make against the makes for a year
+ */
+export const matchMake = (input, makes, options = {}) => {
+  return matchVehicleName(input, makes, {
+    aliases: loadAliases().makes,
+    ...options
+  });
+};
+
+/**
+ * Match a spoken model against the models of a make.
+ * A leading make name ("Toyota Camry") is ignored.
+ */
+export const matchModel = (input, models, make, options = {}) => {
+  const makeAliases = loadAliases().models[make] || {};
+  const makeWords = normalizeSpoken(make).split(' ');
+  const words = normalizeSpoken(input).split(' ');
+  const withoutMake = words.slice(0, makeWords.length).join(' ') === makeWords.join(' ') && words.length > makeWords.length
+    ? words.slice(makeWords.length).join(' ')
+    : input;
+
+  return matchVehicleName(withoutMake, models, {
+    aliases: makeAliases,
+    ...options
+  });
+};
+
+/**
+ * Match a spoken trim against the trims of a model
+ */
+export const matchTrim = (input, trims, options = {}) => {
+  return matchVehicleName(input, trims, options);
+};
+
+export default {
+  matchVehicleName,
+  matchMake,
+  matchModel,
+  matchTrim,
+  normalizeSpoken,
+  soundex,
+  ACCEPT_CONFIDENCE
+};
@@ -0,0 +1,294 @@
+import fs from 'fs';
+import { matchMake, ACCEPT_CONFIDENCE } from './vehicleMatcher.js';
+
+/**
+ * Offline VIN validation and decoding (ISO 3779 / 49 CFR 565).
+ *
+ * - Position 9 is the check digit, computed from the other 16 characters
+ * - Positions 1-3 (WMI) identify the manufacturer, decoded from data/vinWmi.json
+ * - Position 10 is the model year code, repeating every 30 years
+ * - Position 11 is the manufacturer's assembly plant code
+ *
+ * Model, body and engine (positions 4-8) are manufacturer specific and are not decoded.
+ */
+
+const DEFAULT_WMI_PATH = new URL('../../data/vinWmi.json', import.meta.url);
+
+let wmiData = null;
+
+const loadWmiData = () => {
+  if (!wmiData) {
+    wmiData = JSON.parse(fs.readFileSync(DEFAULT_WMI_PATH, 'utf8'));
+  }
+  return wmiData;
+};
+
+export const VIN_LENGTH = 17;
+
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Position 10 codes in order, starting with 1980 (and again with 2010)
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
+const charValue = (char) => (/[0-9]/.test(char) ? Number(char) : TRANSLITERATION[char]);
+
+const NATO_ALPHABET = {
+  alpha: 'A', alfa: 'A', bravo: 'B', charlie: 'C', delta: 'D', echo: 'E', foxtrot: 'F', fox: 'F',
+  golf: 'G', hotel: 'H', india: 'I', juliet: 'J', juliett: 'J', kilo: 'K', lima: 'L', mike: 'M',
+  november: 'N', oscar: 'O', papa: 'P', quebec: 'Q', romeo: 'R', sierra: 'S', tango: 'T',
+  uniform: 'U', victor: 'V', whiskey: 'W', whisky: 'W', xray: 'X', yankee: 'Y', zulu: 'Z'
+};
+
+// How letter names come back from speech-to-text
+const LETTER_NAMES = {
+  ay: 'A', bee: 'B', be: 'B', see: 'C', sea: 'C', dee: 'D', gee: 'G', aitch: 'H',
+  jay: 'J', kay: 'K', el: 'L', em: 'M', en: 'N', pee: 'P', are: 'R', ess: 'S',
+  tee: 'T', tea: 'T', vee: 'V', ex: 'X', why: 'Y', zee: 'Z', zed: 'Z'
+};
+
+// "oh" is always a zero - a VIN never contains the letter O
+const DIGIT_WORDS = {
+  zero: '0', oh: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9', niner: '9'
+};
+
+const FILLER_WORDS = new Set([
+  'uh', 'um', 'er', 'the', 'my', 'vin', 'is', 'its', 'it', 'and', 'then', 'dash',
+  'space', 'number', 'ok', 'okay', 'so', 'letter', 'capital'
+]);
+
+const REPEATS = { double: 2, triple: 3 };
+
+// Letter -> code word for reading characters back, e.g. 'H' -> 'Hotel'
+const NATO_WORDS = Object.fromEntries(
+  Object.entries(NATO_ALPHABET)
+    .filter(([word]) => !['alfa', 'fox', 'juliett', 'whisky'].includes(word))
+    .map(([word, letter]) => [letter, word === 'xray' ? 'X-ray' : word[0].toUpperCase() + word.slice(1)])
+);
+
+/**
+ * Turn a VIN read aloud into characters:
+ * "victor one hotel, double five, B as in bravo" -> "V1H55B".
+ * Characters that are already written out ("1HGCM8") are kept as-is.
+ */
+export const normalizeSpokenVin = (value) => {
+  const words = String(value || '')
+    .toLowerCase()
+    .replace(/x-ray/g, 'xray')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  let vin = '';
+  let repeat = 1;
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+
+    if (REPEATS[word]) {
+      repeat = REPEATS[word];
+      continue;
+    }
+
+    // "B as in bravo" - the letter was already taken, skip the clarification
+    if (word === 'as' && words[i + 1] === 'in') {
+      i += 2;
+      continue;
+    }
+
+    if (FILLER_WORDS.has(word)) {
+      continue;
+    }
+
+    const chars = NATO_ALPHABET[word] ?? DIGIT_WORDS[word] ?? LETTER_NAMES[word] ?? word.toUpperCase();
+    vin += chars.repeat(chars.length === 1 ? repeat : 1);
+    repeat = 1;
+  }
+
+  return vin;
+};
+
+// Symbols that appear in emails and license numbers, as they are said
+const SPOKEN_SYMBOLS = { '@': 'at', '.': 'dot', '-': 'dash', '_': 'underscore', '+': 'plus' };
+
+/**
+ * Spell characters out the way they should be read aloud:
+ * "V1H" -> "V as in Victor, 1, H as in Hotel", "j@x.io" -> "J as in Juliet, at, X as in X-ray, dot, ..."
+ */
+export const spellForSpeech = (value) => {
+  return String(value || '')
+    .toUpperCase()
+    .split('')
+    .filter(char => /[A-Z0-9]/.test(char) || SPOKEN_SYMBOLS[char])
+    .map(char => (NATO_WORDS[char] ? `${char} as in ${NATO_WORDS[char]}` : SPOKEN_SYMBOLS[char] ?? char))
+    .join(', ');
+};
+
+/**
+ * Compute the check digit (position 9) for a 17 character VIN
+ * @returns {string|null} '0'-'9' or 'X', or null if the VIN has invalid characters
+ */
+export const computeCheckDigit = (vin) => {
+  const chars = String(vin || '').toUpperCase();
+  if (chars.length !== VIN_LENGTH) {
+    return null;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < VIN_LENGTH; i++) {
+    const value = charValue(chars[i]);
+    if (value === undefined) {
+      return null;
+    }
+    sum += value * WEIGHTS[i];
+  }
+
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+};
+
+/**
+ * Check length, characters and check digit
+ * @returns {{ valid: boolean, vin: string, errors: string[] }}
+ */
+export const validateVin = (input) => {
+  const vin = String(input || '').toUpperCase().replace(/[\s-]/g, '');
+  const errors = [];
+
+  if (vin.length !== VIN_LENGTH) {
+    errors.push(`A VIN has ${VIN_LENGTH} characters, but ${vin.length} were given.`);
+  }
+
+  const forbidden = [...new Set(vin.match(/[IOQ]/g) || [])];
+  if (forbidden.length > 0) {
+    errors.push(`VINs never contain the letters I, O or Q (found ${forbidden.join(', ')}). An O is usually a zero and an I is usually a one.`);
+  }
+
+  const invalid = [...new Set(vin.match(/[^A-Z0-9]/g) || [])];
+  if (invalid.length > 0) {
+    errors.push(`VINs only contain letters and digits (found ${invalid.join(' ')}).`);
+  }
+
+  if (errors.length === 0) {
+    const expected = computeCheckDigit(vin);
+    if (expected !== vin[8]) {
+      errors.push(`The check digit (9th character) should be ${expected} but is ${vin[8]}, so at least one character was misheard.`);
+    }
+  }
+
+  return { valid: errors.length === 0, vin, errors };
+};
+
+/**
+ * Quick boolean check used by the session schema
+ */
+export const isValidVin = (vin) => validateVin(vin).valid;
+
+/**
+ * Model year from position 10. Codes repeat every 30 years; for North American
+ * vehicles position 7 tells the cycles apart (digit: 1980-2009, letter: 2010-2039).
+ * Elsewhere the most recent year that isn't in the future is picked.
+ */
+export const decodeModelYear = (vin, currentYear = new Date().getFullYear()) => {
+  const index = YEAR_CODES.indexOf(vin[9]);
+  if (index === -1) {
+    return { modelYear: null, modelYearCandidates: [] };
+  }
+
+  const candidates = [];
+  for (let year = 1980 + index; year <= currentYear + 1; year += 30) {
+    candidates.push(year);
+  }
+
+  const northAmerican = /[1-5]/.test(vin[0]);
+  if (northAmerican && candidates.length > 1) {
+    const modelYear = /[0-9]/.test(vin[6])
+      ? candidates.find(year => year < 2010)
+      : candidates.find(year => year >= 2010);
+    if (modelYear) {
+      return { modelYear, modelYearCandidates: [modelYear] };
+    }
+  }
+
+  return {
+    modelYear: candidates[candidates.length - 1] ?? null,
+    modelYearCandidates: candidates
+  };
+};
+
+/**
+ * Decode manufacturer, model year and plant from a VIN
+ */
+export const decodeVin = (input, { currentYear } = {}) => {
+  const validation = validateVin(input);
+  const { vin } = validation;
+
+  if (vin.length !== VIN_LENGTH) {
+    return { ...validation, decoded: false };
+  }
+
+  const data = loadWmiData();
+  const wmi = vin.slice(0, 3);
+  const manufacturer = data.wmi[wmi] || null;
+  const make = manufacturer?.make || null;
+  const plantCode = vin[10];
+
+  return {
+    ...validation,
+    decoded: true,
+    wmi,
+    make,
+    makes: manufacturer ? manufacturer.makes || [make] : [],
+    manufacturer: manufacturer?.manufacturer || null,
+    country: manufacturer?.country || null,
+    ...decodeModelYear(vin, currentYear),
+    plantCode,
+    plant: (make && data.plants[make]?.[plantCode]) || null,
+    serialNumber: vin.slice(11)
+  };
+};
+
+/**
+ * Compare a decoded VIN against what the caller said about the vehicle
+ * @param {Object} decoded - decodeVin() result
+ * @param {{ year?: number, make?: string }} vehicleInfo
+ * @returns {{ field: string, stated: *, decoded: * }[]}
+ */
+export const findVinConflicts = (decoded, vehicleInfo = {}) => {
+  const conflicts = [];
+
+  if (!decoded?.decoded) {
+    return conflicts;
+  }
+
+  if (vehicleInfo.year && decoded.modelYear && !decoded.modelYearCandidates.includes(Number(vehicleInfo.year))) {
+    conflicts.push({ field: 'year', stated: vehicleInfo.year, decoded: decoded.modelYear });
+  }
+
+  if (vehicleInfo.make && decoded.makes.length > 0) {
+    const match = matchMake(vehicleInfo.make, decoded.makes);
+    if (!match.best || match.confidence < ACCEPT_CONFIDENCE) {
+      conflicts.push({ field: 'make', stated: vehicleInfo.make, decoded: decoded.makes.join(' / ') });
+    }
+  }
+
+  return conflicts;
+};
+
+export default {
+  normalizeSpokenVin,
+  spellForSpeech,
+  computeCheckDigit,
+  validateVin,
+  isValidVin,
+  decodeModelYear,
+  decodeVin,
+  findVinConflicts
+};
@@ -1,18 +1,64 @@
 import { WebSocketServer } from 'ws';
 import { RealtimeSession } from '@openai/agents/realtime';
 import sessionManager from './sessionManager.js';
-import insuranceAgent from '../agents/insuranceAgent.js';
+import { getInsuranceAgent } from '../agents/insuranceAgent.js';
+import agentProfiles, { buildRealtimeSessionConfig } from '../agents/agentProfiles.js';
+import { buildSessionInstructions } from '../agents/sessionInstructions.js';
 import realtimeSessionLogger from './realtimeSessionLogger.js';
+import conversationLogger from './conversationLogger.js';
+import { screenUserInput, recordGuardrailMatches } from '../agents/guardrails.js';
+import { redactDeep } from './guardrailPolicy.js';
+import { experimentProfileId, experimentsForProfile, describeSessionOutcome } from './experiments.js';
+import { getConnectionTokens, readConnectionToken } from './connectionTokens.js';
+import { getResumeAttemptLimiter } from './resumeAttempts.js';
+import {
+  LEGACY_PROTOCOL_VERSION,
+  protocolName,
+  negotiateProtocolVersion,
+  protocolError,
+  errorCode,
+  parseClientMessage,
+  describeIssues,
+  ServerMessageSchema
+} from '../types/websocketProtocol.js';
+import { encodeAudioFrame, decodeAudioFrame, toPcm16Samples } from '../types/audioFrames.js';
+import { AudioOutputPipeline } from './audioOutputPipeline.js';
+import {
+  createInputConverter,
+  createOutputConverter,
+  describeAudioFormat,
+  REALTIME_AUDIO_FORMAT
+} from './audio/index.js';
+
+// Transport events carrying agent audio (the beta and GA names)
+const AUDIO_DELTA_EVENTS = ['response.audio.delta', 'response.output_audio.delta'];
+
+// Agent audio waits in the pipeline while this much is unsent on the socket (about 5s of PCM16)
+const AUDIO_OUTPUT_HIGH_WATER_MARK = 256 * 1024;
 
 class VoiceAgentWebSocketServer {
-  constructor(port = 3002) {
+  constructor(port = 3002, { autoStart = process.env.WS_AUTO_START === 'true' } = {}) {
     this.port = port;
     this.wss = null;
+    this.autoStart = autoStart; // start a session as soon as a client connects (manual testing)
     this.activeSessions = new Map(); // Map of WebSocket -> RealtimeSession
+    this.principals = new WeakMap(); // Map of WebSocket -> principal of its connection token
+    this.protocolVersions = new WeakMap(); // Map of WebSocket -> negotiated protocol version
+    this.audioSequences = new WeakMap(); // Map of WebSocket -> sequence number of the last binary audio frame received
+    this.audioOutputs = new WeakMap(); // Map of WebSocket -> AudioOutputPipeline of its session
+    this.audioFormats = new WeakMap(); // Map of WebSocket -> audio format the client declared in session:start
+    this.audioInputs = new WeakMap(); // Map of WebSocket -> converter of its audio to the realtime model's format
   }
 
   start() {
-    this.wss = new WebSocketServer({ port: this.port });
+    this.wss = new WebSocketServer({
+      port: this.port,
+      verifyClient: (info, done) => this.verifyClient(info, done),
+      handleProtocols: (protocols) => {
+        const version = negotiateProtocolVersion(protocols);
+        return version ? protocolName(version) : false;
+      }
+    });
     
     console.log(`WebSocket server starting on port ${this.port}`);
 
@@ -28,26 +74,62 @@ class VoiceAgentWebSocketServer {
     console.log(`Voice Agent WebSocket server running on ws://localhost:${this.port}`);
   }
 
+  /**
+   * Only accept upgrades with a valid connection token (see connectionTokens.js);
+   * the principal it was issued to owns the sessions the connection creates.
+   * Clients asking for protocol versions we don't speak are turned away too.
+   */
+  verifyClient({ req }, done) {
+    try {
+      req.principal = getConnectionTokens().verify(readConnectionToken(req)).principal;
+    } catch (error) {
+      console.warn(`Rejected WebSocket connection: ${error.message}`);
+      done(false, 401, 'Unauthorized');
+      return;
+    }
+
+    const offered = req.headers['sec-websocket-protocol'];
+    if (offered && !negotiateProtocolVersion(offered.split(',').map(name => name.trim()))) {
+      console.warn(`Rejected WebSocket connection asking for protocol ${offered}`);
+      done(false, 400, 'Unsupported protocol version');
+      return;
+    }
+    done(true);
+  }
+
   async handleConnection(ws, request) {
-    let sessionId = null;
-    let realtimeSession = null;
+    this.principals.set(ws, request.principal);
+    // Clients that didn't ask for a version predate binary audio
+    this.protocolVersions.set(ws, negotiateProtocolVersion([ws.protocol || '']) ?? LEGACY_PROTOCOL_VERSION);
 
     try {
       // Set up WebSocket event handlers
-      ws.on('message', async (data) => {
+      ws.on('message', async (data, isBinary) => {
+        if (isBinary) {
+          await this.handleAudioFrame(ws, data);
+          return;
+        }
+
+        let frame;
         try {
-          console.log('Received WebSocket message:', data.toString());
-          const message = JSON.parse(data.toString());
-          console.log('Parsed message:', message);
-          await this.handleMessage(ws, message);
+          frame = JSON.parse(data.toString());
+        } catch (error) {
+          console.error('Error parsing WebSocket message:', error);
+          this.sendError(ws, 'INVALID_JSON', 'Invalid message format');
+          return;
+        }
+
+        try {
+          await this.handleMessage(ws, frame);
         } catch (error) {
           console.error('Error handling WebSocket message:', error);
-          this.sendError(ws, 'Invalid message format');
+          this.sendError(ws, 'INTERNAL_ERROR', 'Error handling message', { correlationId: frame?.id ?? null });
         }
       });
 
       ws.on('close', () => {
         console.log('WebSocket connection closed');
+        this.closeAudio(ws);
         const sessionData = this.activeSessions.get(ws);
         if (sessionData) {
           console.log(`Cleaning up session ${sessionData.sessionId} on connection close`);
@@ -60,6 +142,7 @@ class VoiceAgentWebSocketServer {
 
       ws.on('error', (error) => {
         console.error('WebSocket connection error:', error);
+        this.closeAudio(ws);
         const sessionData = this.activeSessions.get(ws);
         if (sessionData) {
           console.log(`Cleaning up session ${sessionData.sessionId} on connection error`);
@@ -76,18 +159,21 @@ class VoiceAgentWebSocketServer {
         type: 'connection:established',
         payload: {
           message: 'Connected to Voice Agent WebSocket server',
+          protocolVersion: this.protocolVersions.get(ws),
           timestamp: new Date().toISOString()
         }
       });
       console.log('Connection confirmation sent');
 
-      // Auto-start session for testing
-      console.log('Auto-starting session for testing...');
-      setTimeout(() => {
-        this.handleSessionStart(ws, {}).catch(error => {
-          console.error('Auto session start failed:', error);
-        });
-      }, 1000);
+      // Clients normally send session:start or session:resume; auto-start is opt-in for testing
+      if (this.autoStart) {
+        console.log('Auto-starting session for testing...');
+        setTimeout(() => {
+          this.handleSessionStart(ws, {}).catch(error => {
+            console.error('Auto session start failed:', error);
+          });
+        }, 1000);
+      }
 
     } catch (error) {
       console.error('Error setting up WebSocket connection:', error);
@@ -95,188 +181,305 @@ class VoiceAgentWebSocketServer {
     }
   }
 
-  async handleMessage(ws, message) {
+  /**
+   * Route a client frame once it matches the protocol (see types/websocketProtocol.js);
+   * errors go back as error frames with the frame's id as correlationId
+   */
+  async handleMessage(ws, frame) {
+    const correlationId = typeof frame?.id === 'string' ? frame.id : null;
+
+    let message;
+    try {
+      message = parseClientMessage(frame);
+    } catch (error) {
+      console.warn(`Rejected frame: ${error.message}`, error.issues || '');
+      this.sendError(ws, errorCode(error), error.message, { correlationId, issues: error.issues });
+      return;
+    }
+
     const { type, payload } = message;
-    console.log(`Handling message type: ${type}`, payload);
+    // Payloads carry what the caller typed; only the type is logged
+    console.log(`Handling message type: ${type}`);
+
+    // A connection only ever talks about its own session; session:start may
+    // name the session to attach to until one is active
+    const ownSessionId = this.activeSessions.get(ws)?.sessionId;
+    if (payload.sessionId && payload.sessionId !== ownSessionId && (ownSessionId || type !== 'session:start')) {
+      console.warn(`Rejected ${type} for session ${payload.sessionId} on a connection with session ${ownSessionId || '(none)'}`);
+      this.sendError(ws, 'SESSION_FORBIDDEN', 'Session does not belong to this connection', { correlationId });
+      return;
+    }
 
     try {
       switch (type) {
         case 'session:start':
-          await this.handleSessionStart(ws, payload);
+          await this.handleSessionStart(ws, payload, correlationId);
+          break;
+
+        case 'session:resume':
+          await this.handleSessionResume(ws, payload, correlationId);
           break;
           
         case 'audio:input':
-          await this.handleAudioInput(ws, payload);
+          await this.handleAudioInput(ws, payload, correlationId);
           break;
           
         case 'text:input':
-          await this.handleTextInput(ws, payload);
+          await this.handleTextInput(ws, payload, correlationId);
           break;
           
         case 'session:end':
-          await this.handleSessionEnd(ws, payload);
+          await this.handleSessionEnd(ws, payload, correlationId);
           break;
           
         case 'session:status':
-          await this.handleSessionStatus(ws, payload);
+          await this.handleSessionStatus(ws, payload, correlationId);
           break;
 
         case 'test:message':
-          await this.handleTestMessage(ws, payload);
+          await this.handleTestMessage(ws, payload, correlationId);
           break;
-
-        default:
-          console.warn('Unknown message type:', type);
-          this.sendError(ws, `Unknown message type: ${type}`);
       }
     } catch (error) {
       console.error(`Error handling message type ${type}:`, error);
-      this.sendError(ws, `Error processing ${type}: ${error.message}`);
+      this.sendError(ws, errorCode(error), `Error processing ${type}: ${error.message}`, { correlationId });
     }
   }
 
-  async handleSessionStart(ws, payload) {
+  async handleSessionStart(ws, payload, correlationId = null) {
     try {
       console.log('Starting session with payload:', payload);
-      const { sessionId: existingSessionId, config = {} } = payload;
+      const { sessionId: existingSessionId, config = {}, audioFormat = REALTIME_AUDIO_FORMAT } = payload;
+      this.checkAudioFormat(ws, audioFormat);
 
       // Create or retrieve session
       let session;
       if (existingSessionId) {
         console.log('Retrieving existing session:', existingSessionId);
-        session = sessionManager.getSession(existingSessionId);
+        session = await this.getOwnedSession(ws, existingSessionId);
         if (!session) {
-          throw new Error('Session not found or expired');
+          throw protocolError('SESSION_NOT_FOUND', 'Session not found or expired');
         }
       } else {
         console.log('Creating new session...');
-        session = sessionManager.createSession();
+        session = await sessionManager.createSession(this.principals.get(ws));
         console.log('Session created:', session.id);
       }
 
-      // Create RealtimeSession with OpenAI WebSocket transport
-      console.log('Creating RealtimeSession...');
-      const realtimeSession = new RealtimeSession(insuranceAgent, {
-        model: 'gpt-4o-realtime-preview-2025-06-03',
-        config: {
-          inputAudioFormat: 'pcm16',
-          outputAudioFormat: 'pcm16',
-          inputAudioTranscription: {
-            model: 'whisper-1'
-          },
-          turnDetection: {
-            type: 'server_vad',
-            threshold: 0.3,
-            prefixPaddingMs: 300,
-            silenceDurationMs: 200
-          },
-          voice: 'alloy',
-          modalities: ['text', 'audio'], // Explicitly enable both text and audio
-          instructions: insuranceAgent.instructions, // Make sure instructions are passed
-          ...config
-        }
-      });
-      console.log('RealtimeSession created successfully');
-
-      // Setup conversation logging
-      console.log('Setting up conversation logging...');
-      realtimeSessionLogger.setupSessionLogging(realtimeSession, session.id, {
-        userAgent: 'WebSocket Client',
-        ipAddress: ws._socket?.remoteAddress || 'unknown',
-        sessionType: 'voice_call',
-        timestamp: new Date().toISOString()
-      });
-      console.log('Conversation logging setup complete');
+      await this.startRealtimeSession(ws, session, config, { audioFormat });
+    } catch (error) {
+      console.error('Error starting session:', error);
+      this.sendError(ws, errorCode(error, 'SESSION_START_FAILED'), `Failed to start session: ${error.message}`, { correlationId });
+    }
+  }
 
-      // Set up RealtimeSession event handlers
-      this.setupRealtimeSessionHandlers(ws, realtimeSession, session.id);
+  /**
+   * Pick an interrupted application back up from the resume code the customer
+   * was given; the agent is told what was collected and said so far. Failed
+   * attempts count against the connection's principal and IP address, so codes
+   * can't be guessed one after another.
+   */
+  async handleSessionResume(ws, payload, correlationId = null) {
+    try {
+      const { resumeCode, verification, config = {}, audioFormat = REALTIME_AUDIO_FORMAT } = payload;
+      this.checkAudioFormat(ws, audioFormat);
+
+      const limiter = getResumeAttemptLimiter();
+      const caller = { principal: this.principals.get(ws), ip: ws._socket?.remoteAddress };
+      const lockedUntil = limiter.lockedUntil(caller);
+      if (lockedUntil) {
+        throw protocolError('RESUME_RATE_LIMITED', `Too many resume attempts, try again after ${lockedUntil.toISOString()}`);
+      }
 
-      // Connect to OpenAI
-      console.log('Connecting to OpenAI...');
-      await realtimeSession.connect({
-        apiKey: process.env.OPENAI_API_KEY
+      // The resume code and the caller's answer prove the claim: the session moves to this connection's principal.
+      // One still open on another connection is refused like a wrong answer, so it can't be told apart either
+      const openElsewhere = candidate => Array.from(this.activeSessions.entries())
+        .some(([socket, { sessionId }]) => socket !== ws && sessionId === candidate.id);
+      const session = await sessionManager.resumeSession(resumeCode, {
+        userId: caller.principal,
+        verification,
+        isAvailable: candidate => !openElsewhere(candidate)
       });
-      console.log('Connected to OpenAI successfully');
+      if (!session) {
+        limiter.recordFailure(caller);
+        throw protocolError('SESSION_NOT_FOUND', 'Resume code not found or expired, or the details given don\'t match');
+      }
+      limiter.recordSuccess(caller);
+      console.log(`Resuming session ${session.id}`);
+
+      // A session may already be running on this connection (auto-start); switch it over
+      const current = this.activeSessions.get(ws);
+      if (current) {
+        this.activeSessions.delete(ws);
+        await this.cleanup(current.sessionId, current.realtimeSession);
+      }
 
-      // Store the session mapping
-      this.activeSessions.set(ws, { realtimeSession, sessionId: session.id });
+      await this.startRealtimeSession(ws, session, config, { resumed: true, audioFormat });
+      await this.sendDataUpdate(ws, session.id);
+    } catch (error) {
+      console.error('Error resuming session:', error);
+      this.sendError(ws, errorCode(error, 'SESSION_RESUME_FAILED'), `Failed to resume session: ${error.message}`, { correlationId });
+    }
+  }
 
-      // Send session started confirmation
-      this.sendMessage(ws, {
-        type: 'session:started',
-        payload: {
-          sessionId: session.id,
-          status: 'connected',
-          message: 'Voice session started successfully'
-        }
-      });
+  /**
+   * Connect a RealtimeSession for the application and attach it to the connection
+   */
+  async startRealtimeSession(ws, session, config = {}, { resumed = false, audioFormat = REALTIME_AUDIO_FORMAT } = {}) {
+    // The agent profile can be picked per connection, else the session's experiment variant picks it;
+    // everything else in config overrides the profile's session config
+    const { profileId, ...sessionConfig } = config;
+    const assignments = session.metadata?.experiments || [];
+    const profile = agentProfiles.get(profileId || experimentProfileId(assignments) || undefined);
+    const agent = getInsuranceAgent(profile.id);
+
+    const experiments = experimentsForProfile(assignments, profile.id);
+
+    // Create RealtimeSession with OpenAI WebSocket transport
+    console.log(`Creating RealtimeSession with agent profile ${profile.id}@${profile.version}...`);
+    const realtimeSession = new RealtimeSession(agent, {
+      model: profile.model,
+      // Tools read the sessionId from the run context to update sessionManager data
+      context: {
+        sessionId: session.id
+      },
+      config: {
+        ...buildRealtimeSessionConfig(profile),
+        instructions: buildSessionInstructions(agent.instructions, session, { resumed }),
+        ...sessionConfig
+      }
+    });
+    console.log('RealtimeSession created successfully');
+
+    // Setup conversation logging
+    console.log('Setting up conversation logging...');
+    realtimeSessionLogger.setupSessionLogging(realtimeSession, session.id, {
+      userAgent: 'WebSocket Client',
+      ipAddress: ws._socket?.remoteAddress || 'unknown',
+      sessionType: 'voice_call',
+      agentProfile: `${profile.id}@${profile.version}`,
+      experiments,
+      timestamp: new Date().toISOString()
+    });
+    console.log('Conversation logging setup complete');
 
-      // Add initial conversation item
-      sessionManager.addConversationItem(
-        session.id,
-        'system',
-        'Voice session started',
-        { event: 'session_start' }
-      );
+    // The client's audio is converted to and from the model's pcm16 at 24kHz
+    this.setAudioFormat(ws, audioFormat);
 
-      // Session is ready - waiting for user input
+    // Set up RealtimeSession event handlers
+    this.setupRealtimeSessionHandlers(ws, realtimeSession, session.id);
 
-      console.log(`Voice session started: ${session.id}`);
+    // Connect to OpenAI
+    console.log('Connecting to OpenAI...');
+    await realtimeSession.connect({
+      apiKey: process.env.OPENAI_API_KEY
+    });
+    console.log('Connected to OpenAI successfully');
 
-    } catch (error) {
-      console.error('Error starting session:', error);
-      this.sendError(ws, `Failed to start session: ${error.message}`);
-    }
+    // Store the session mapping
+    this.activeSessions.set(ws, { realtimeSession, sessionId: session.id });
+
+    // Send session started confirmation
+    this.sendMessage(ws, {
+      type: 'session:started',
+      payload: {
+        sessionId: session.id,
+        status: 'connected',
+        resumeCode: session.resumeCode,
+        resumed,
+        audioFormat,
+        message: resumed ? 'Voice session resumed successfully' : 'Voice session started successfully'
+      }
+    });
+
+    // Add initial conversation item
+    await sessionManager.addConversationItem(
+      session.id,
+      'system',
+      resumed ? 'Voice session resumed' : 'Voice session started',
+      { event: resumed ? 'session_resume' : 'session_start' }
+    );
+
+    // Session is ready - waiting for user input
+
+    console.log(`Voice session ${resumed ? 'resumed' : 'started'}: ${session.id}`);
   }
 
-  handleAudioOutput(ws, sessionId, audioData) {
-    if (!audioData || audioData.length === 0) {
-      console.log('No audio data to send');
+  /**
+   * Send a chunk of agent audio from the connection's AudioOutputPipeline, in
+   * the client's format: a binary frame, or an audio:output JSON frame for
+   * version 1 clients
+   */
+  sendAudioOutput(ws, sessionId, { data, sequence, responseId, itemId }) {
+    if (ws.readyState !== ws.OPEN) {
       return;
     }
 
-    try {
-      // Convert audio data properly - it should be base64 encoded PCM16 from OpenAI
-      let audioArray;
-
-      if (typeof audioData === 'string') {
-        // If it's base64 encoded, decode it
-        const buffer = Buffer.from(audioData, 'base64');
-        audioArray = Array.from(new Int16Array(buffer.buffer, buffer.byteOffset, buffer.length / 2));
-      } else if (audioData instanceof Int16Array) {
-        audioArray = Array.from(audioData);
-      } else if (audioData instanceof ArrayBuffer) {
-        audioArray = Array.from(new Int16Array(audioData));
-      } else if (audioData instanceof Uint8Array) {
-        const int16Array = new Int16Array(audioData.buffer, audioData.byteOffset, audioData.length / 2);
-        audioArray = Array.from(int16Array);
-      } else {
-        audioArray = Array.from(audioData);
-      }
-
-      console.log('Sending audio to frontend, samples:', audioArray.length);
+    const { encoding, sampleRate } = this.getAudioFormat(ws);
+    if (this.protocolVersions.get(ws) === LEGACY_PROTOCOL_VERSION) {
       this.sendMessage(ws, {
         type: 'audio:output',
         payload: {
           sessionId,
-          audioData: audioArray,
-          format: 'pcm16'
+          audioData: Array.from(toPcm16Samples(data)),
+          format: 'pcm16',
+          sampleRate,
+          sequence,
+          responseId,
+          itemId
         }
       });
-    } catch (error) {
-      console.error('Error processing audio output:', error);
+      return;
     }
+
+    ws.send(encodeAudioFrame({ sessionId, sequence, sampleRate, encoding, data }), { binary: true });
+  }
+
+  /**
+   * Version 1 clients send and get audio as JSON arrays of samples, so only pcm16
+   */
+  checkAudioFormat(ws, audioFormat) {
+    if (this.protocolVersions.get(ws) === LEGACY_PROTOCOL_VERSION && audioFormat.encoding !== 'pcm16') {
+      throw protocolError('INVALID_MESSAGE', `Protocol version 1 only carries pcm16 audio, not ${audioFormat.encoding}`);
+    }
+  }
+
+  getAudioFormat(ws) {
+    return this.audioFormats.get(ws) ?? REALTIME_AUDIO_FORMAT;
+  }
+
+  setAudioFormat(ws, audioFormat) {
+    this.audioInputs.get(ws)?.close();
+    this.audioInputs.delete(ws);
+    this.audioFormats.set(ws, audioFormat);
+    console.log(`Client audio is ${describeAudioFormat(audioFormat)}`);
+  }
+
+  getAudioInput(ws) {
+    if (!this.audioInputs.has(ws)) {
+      this.audioInputs.set(ws, createInputConverter(this.getAudioFormat(ws)));
+    }
+    return this.audioInputs.get(ws);
+  }
+
+  closeAudio(ws) {
+    this.audioOutputs.get(ws)?.close();
+    this.audioOutputs.delete(ws);
+    this.audioInputs.get(ws)?.close();
+    this.audioInputs.delete(ws);
   }
 
   handleConversationItemCreated(ws, sessionId, item) {
-    console.log(`📝 Conversation item created for session ${sessionId}:`, item);
+    // Typed messages reach the model with redacted data (license numbers) still in; audio items get their transcript later
+    const content = screenUserInput(this.extractContentFromItem(item)).text;
+    console.log(`📝 Conversation item created for session ${sessionId}:`, { id: item.id, type: item.type, role: item.role, content });
 
     // Add to session conversation history
     if (item.type === 'message') {
-      sessionManager.addConversationItem(
+      this.recordConversationItem(
         sessionId,
         item.role || 'unknown',
-        this.extractContentFromItem(item),
+        content,
         {
           event: 'conversation_item_created',
           itemId: item.id,
@@ -285,12 +488,17 @@ class VoiceAgentWebSocketServer {
         }
       );
 
+      // Guardrail notices to the agent aren't shown to the customer
+      if (item.role === 'system') {
+        return;
+      }
+
       // Send to frontend
       this.sendMessage(ws, {
         type: item.role === 'user' ? 'user:message' : 'agent:message',
         payload: {
           sessionId,
-          content: this.extractContentFromItem(item),
+          content,
           itemId: item.id,
           timestamp: new Date().toISOString()
         }
@@ -298,11 +506,12 @@ class VoiceAgentWebSocketServer {
     }
   }
 
-  handleUserTranscript(ws, sessionId, transcript, itemId) {
+  handleUserTranscript(ws, sessionId, rawTranscript, itemId) {
+    const { text: transcript } = this.applyInputGuardrail(ws, sessionId, rawTranscript, { itemId });
     console.log(`🎤 User transcript for session ${sessionId}:`, transcript);
 
     // Add to session conversation history
-    sessionManager.addConversationItem(
+    this.recordConversationItem(
       sessionId,
       'user',
       transcript,
@@ -335,7 +544,7 @@ class VoiceAgentWebSocketServer {
           const content = this.extractContentFromItem(output);
 
           // Add to session conversation history
-          sessionManager.addConversationItem(
+          this.recordConversationItem(
             sessionId,
             'assistant',
             content,
@@ -383,23 +592,18 @@ class VoiceAgentWebSocketServer {
     return JSON.stringify(item.content);
   }
 
-  async handleTestMessage(ws, payload) {
-    const { sessionId, message } = payload;
-    console.log(`📝 Test message for session ${sessionId}: ${message}`);
-
-    try {
-      const session = this.activeSessions.get(sessionId);
-      if (!session) {
-        console.error('Session not found for test message:', sessionId);
-        return;
-      }
+  async handleTestMessage(ws, payload, correlationId = null) {
+    const sessionData = this.activeSessions.get(ws);
+    if (!sessionData) {
+      this.sendError(ws, 'NO_ACTIVE_SESSION', 'No active session found', { correlationId });
+      return;
+    }
 
-      const { realtimeSession } = session;
-      if (!realtimeSession) {
-        console.error('RealtimeSession not found for test message:', sessionId);
-        return;
-      }
+    const { realtimeSession, sessionId } = sessionData;
+    const { message } = payload;
+    console.log(`📝 Test message for session ${sessionId}: ${redactDeep(message)}`);
 
+    try {
       // Send a text message to OpenAI to trigger conversation events
       console.log('Sending test message to OpenAI...');
       await realtimeSession.sendUserMessage(message);
@@ -407,54 +611,35 @@ class VoiceAgentWebSocketServer {
 
     } catch (error) {
       console.error('Error handling test message:', error);
-      this.sendError(ws, `Failed to send test message: ${error.message}`);
+      this.sendError(ws, 'INTERNAL_ERROR', `Failed to send test message: ${error.message}`, { correlationId });
     }
   }
 
   setupRealtimeSessionHandlers(ws, realtimeSession, sessionId) {
-    // Audio output from agent - try multiple event names
-    const audioEvents = ['audio', 'audio_output', 'response.audio', 'response.audio_transcript'];
-
-    audioEvents.forEach(eventName => {
-      realtimeSession.on(eventName, (event) => {
-        console.log(`Received ${eventName} event from OpenAI:`, {
-          type: event?.type,
-          hasAudioData: !!event?.audioData,
-          hasAudio: !!event?.audio,
-          audioDataLength: event?.audioData?.length,
-          audioLength: event?.audio?.length
+    // Agent audio: the session's 'audio' events and response.audio.delta
+    // transport events carry the same audio; the pipeline uses one per response
+    const audioOutput = new AudioOutputPipeline({
+      sendAudio: (chunk) => this.sendAudioOutput(ws, sessionId, chunk),
+      sendTruncate: (truncation) => {
+        console.log(`Agent audio truncated at ${truncation.audioEndMs}ms for session ${sessionId}`);
+        this.sendMessage(ws, {
+          type: 'audio:truncate',
+          payload: { sessionId, ...truncation, timestamp: new Date().toISOString() }
         });
+      },
+      isBackpressured: () => ws.bufferedAmount > AUDIO_OUTPUT_HIGH_WATER_MARK,
+      encoder: createOutputConverter(this.getAudioFormat(ws))
+    });
+    this.audioOutputs.get(ws)?.close();
+    this.audioOutputs.set(ws, audioOutput);
 
-        let audioData = event?.audioData || event?.audio;
-
-        if (audioData && audioData.length > 0) {
-          // Convert audio data properly - it should be Int16Array for PCM16
-          let audioArray;
-          if (audioData instanceof Int16Array) {
-            audioArray = Array.from(audioData);
-          } else if (audioData instanceof ArrayBuffer) {
-            audioArray = Array.from(new Int16Array(audioData));
-          } else if (audioData instanceof Uint8Array) {
-            // Convert Uint8Array to Int16Array for PCM16
-            const int16Array = new Int16Array(audioData.buffer);
-            audioArray = Array.from(int16Array);
-          } else {
-            audioArray = Array.from(audioData);
-          }
+    realtimeSession.on('audio', (event) => {
+      audioOutput.push({ source: 'session', responseId: event?.responseId, audio: event?.data });
+    });
 
-          console.log('Sending audio to frontend, samples:', audioArray.length);
-          this.sendMessage(ws, {
-            type: 'audio:output',
-            payload: {
-              sessionId,
-              audioData: audioArray,
-              format: 'pcm16'
-            }
-          });
-        } else {
-          console.log(`No audio data in ${eventName} event`);
-        }
-      });
+    // The caller barged in: the SDK cancels the response, the client stops playing it
+    realtimeSession.on('audio_interrupted', () => {
+      audioOutput.interrupt();
     });
 
     // Listen for transport events which contain the actual OpenAI responses
@@ -470,38 +655,31 @@ class VoiceAgentWebSocketServer {
         eventKeys: Object.keys(event)
       });
 
-      // Log the full event for debugging
-      if (event.type.includes('audio') || event.type.includes('response')) {
-        console.log('Full audio/response event:', JSON.stringify(event, null, 2));
-      }
-
-      // Handle audio output from response.audio_transcript.done events
-      if (event.type === 'response.audio_transcript.done' && event.audio) {
-        console.log('Found audio in response.audio_transcript.done event');
-        this.handleAudioOutput(ws, sessionId, event.audio);
-      }
-
-      // Handle audio output from response.audio.done events
-      if (event.type === 'response.audio.done' && event.audio) {
-        console.log('Found audio in response.audio.done event');
-        this.handleAudioOutput(ws, sessionId, event.audio);
+      // Log the full event for debugging; audio deltas are only worth their size
+      if (AUDIO_DELTA_EVENTS.includes(event.type)) {
+        audioOutput.push({
+          source: 'transport',
+          responseId: event.response_id,
+          itemId: event.item_id,
+          audio: event.delta
+        });
+      } else if (event.type.includes('audio') || event.type.includes('response')) {
+        console.log('Full audio/response event:', JSON.stringify(redactDeep(event), null, 2));
       }
 
-      // Handle audio delta events for streaming
-      if (event.type === 'response.audio.delta' && event.delta) {
-        console.log('Found audio delta in response.audio.delta event');
-        this.handleAudioOutput(ws, sessionId, event.delta);
+      // Caller speech also interrupts audio the SDK thinks has finished playing
+      // but the client may still have queued
+      if (event.type === 'input_audio_buffer.speech_started') {
+        audioOutput.interrupt();
       }
 
       // Handle conversation events for history extraction
       if (event.type === 'conversation.item.created') {
-        console.log('📝 Conversation item created:', event.item);
         this.handleConversationItemCreated(ws, sessionId, event.item);
       }
 
       // Handle user input transcription
       if (event.type === 'conversation.item.input_audio_transcription.completed') {
-        console.log('🎤 User transcript completed:', event.transcript);
         this.handleUserTranscript(ws, sessionId, event.transcript, event.item_id);
       }
 
@@ -510,17 +688,6 @@ class VoiceAgentWebSocketServer {
         console.log('✅ Response completed:', event.response);
         this.handleResponseDone(ws, sessionId, event.response);
       }
-
-      // Handle any other audio-related events
-      if (event.audio && event.audio.length > 0) {
-        console.log(`Found audio in ${event.type} event, length: ${event.audio.length}`);
-        this.handleAudioOutput(ws, sessionId, event.audio);
-      }
-
-      if (event.delta && typeof event.delta === 'string') {
-        console.log(`Found audio delta in ${event.type} event, length: ${event.delta.length}`);
-        this.handleAudioOutput(ws, sessionId, event.delta);
-      }
     });
 
     // Listen for all events to debug
@@ -545,12 +712,12 @@ class VoiceAgentWebSocketServer {
         payload: {
           sessionId,
           message: event.content,
-          type: 'response'
+          timestamp: new Date().toISOString()
         }
       });
 
       // Add to conversation history
-      sessionManager.addConversationItem(
+      this.recordConversationItem(
         sessionId,
         'agent',
         event.content,
@@ -561,38 +728,32 @@ class VoiceAgentWebSocketServer {
     // User input transcripts
     realtimeSession.on('transcript', (event) => {
       if (event.role === 'user') {
+        const transcript = screenUserInput(event.content).text;
         this.sendMessage(ws, {
           type: 'user:transcript',
           payload: {
             sessionId,
-            transcript: event.content
+            transcript,
+            timestamp: new Date().toISOString()
           }
         });
 
         // Add to conversation history
-        sessionManager.addConversationItem(
+        this.recordConversationItem(
           sessionId,
           'user',
-          event.content,
+          transcript,
           { event: 'user_transcript' }
         );
       }
     });
 
-    // Tool calls and data updates
-    realtimeSession.on('tool_call', (event) => {
-      // Send updated session data to client
-      const session = sessionManager.getSession(sessionId);
-      if (session) {
-        this.sendMessage(ws, {
-          type: 'data:updated',
-          payload: {
-            sessionId,
-            data: session.data,
-            completionStatus: session.data.completionStatus
-          }
-        });
-      }
+    // Tool calls and data updates - push the latest application data after every tool call
+    realtimeSession.on('agent_tool_end', (context, agent, tool, result) => {
+      console.log(`🔧 Tool ${tool?.name} completed for session ${sessionId}`);
+      this.sendDataUpdate(ws, sessionId, tool?.name).catch(error => {
+        console.error('Error sending data update:', error);
+      });
     });
 
     // Session status updates
@@ -632,38 +793,104 @@ class VoiceAgentWebSocketServer {
       console.log('RealtimeSession message event:', event.type);
     });
 
-    // Guardrail violations
-    realtimeSession.on('guardrail_tripped', (event) => {
-      console.warn('Guardrail tripped:', event);
+    // Output guardrail violations: the SDK interrupts the answer and asks for a new one
+    realtimeSession.on('guardrail_tripped', (context, agent, error, details) => {
+      const rules = error?.result?.output?.outputInfo?.rules || [];
+      console.warn(`Output guardrail tripped for session ${sessionId}:`, rules);
       this.sendMessage(ws, {
         type: 'guardrail:tripped',
         payload: {
           sessionId,
-          guardrail: event.name,
-          details: event.details
+          guardrail: error?.result?.guardrail?.name ?? 'guardrail_policy',
+          details: { role: 'assistant', rules, actions: ['block'], itemId: details?.itemId ?? null }
         }
       });
     });
   }
 
-  async handleAudioInput(ws, payload) {
+  async handleAudioInput(ws, payload, correlationId = null) {
+    const audioFormat = this.getAudioFormat(ws);
+    if (audioFormat.encoding !== 'pcm16') {
+      this.sendError(ws, 'INVALID_MESSAGE', `audio:input carries pcm16; send ${audioFormat.encoding} audio as binary frames`, { correlationId });
+      return;
+    }
+
+    const samples = Int16Array.from(payload.audioData);
+    await this.forwardAudio(ws, Buffer.from(samples.buffer), correlationId);
+  }
+
+  /**
+   * A binary audio frame (see types/audioFrames.js). Frames for another
+   * session or in another format than the client declared are rejected;
+   * repeated or out of order frames are dropped.
+   */
+  async handleAudioFrame(ws, data) {
+    let frame;
+    try {
+      frame = decodeAudioFrame(data);
+    } catch (error) {
+      console.warn(`Rejected audio frame: ${error.message}`);
+      this.sendError(ws, errorCode(error), error.message);
+      return;
+    }
+
+    const sessionData = this.activeSessions.get(ws);
+    if (!sessionData) {
+      this.sendError(ws, 'NO_ACTIVE_SESSION', 'No active session found');
+      return;
+    }
+    if (frame.sessionId !== sessionData.sessionId) {
+      console.warn(`Rejected audio frame for session ${frame.sessionId} on a connection with session ${sessionData.sessionId}`);
+      this.sendError(ws, 'SESSION_FORBIDDEN', 'Session does not belong to this connection');
+      return;
+    }
+
+    const audioFormat = this.getAudioFormat(ws);
+    if (frame.encoding !== audioFormat.encoding || frame.sampleRate !== audioFormat.sampleRate) {
+      const declared = describeAudioFormat(audioFormat);
+      console.warn(`Rejected ${describeAudioFormat(frame)} audio frame from a client that declared ${declared}`);
+      this.sendError(ws, 'INVALID_MESSAGE', `Audio frame is ${describeAudioFormat(frame)}, the session declared ${declared}`);
+      return;
+    }
+
+    const lastSequence = this.audioSequences.get(ws);
+    if (lastSequence !== undefined && frame.sequence <= lastSequence) {
+      console.warn(`Dropping audio frame ${frame.sequence}, already had ${lastSequence}`);
+      return;
+    }
+    if (lastSequence !== undefined && frame.sequence > lastSequence + 1) {
+      console.warn(`Missing audio frames ${lastSequence + 1}-${frame.sequence - 1} for session ${frame.sessionId}`);
+    }
+    this.audioSequences.set(ws, frame.sequence);
+
+    await this.forwardAudio(ws, frame.data);
+  }
+
+  /**
+   * Convert caller audio (bytes in the client's format) and send it to the
+   * connection's realtime session
+   */
+  async forwardAudio(ws, data, correlationId = null) {
     const sessionData = this.activeSessions.get(ws);
     if (!sessionData) {
-      this.sendError(ws, 'No active session found');
+      this.sendError(ws, 'NO_ACTIVE_SESSION', 'No active session found', { correlationId });
       return;
     }
 
     const { realtimeSession } = sessionData;
-    const { audioData } = payload;
 
     try {
-      // Convert array of 16-bit integers back to ArrayBuffer
-      const audioBuffer = new ArrayBuffer(audioData.length * 2); // 2 bytes per 16-bit sample
-      const view = new Int16Array(audioBuffer);
-      view.set(audioData);
+      const samples = this.getAudioInput(ws).convert(data);
+      if (samples.length === 0) {
+        return;
+      }
 
-      console.log(`Sending ${audioData.length} audio samples to OpenAI`);
-      // Send audio to RealtimeSession
+      // The realtime session takes the samples' own ArrayBuffer
+      const audioBuffer = samples.byteOffset === 0 && samples.byteLength === samples.buffer.byteLength
+        ? samples.buffer
+        : samples.slice().buffer;
+
+      console.log(`Sending ${samples.length} audio samples to OpenAI`);
       await realtimeSession.sendAudio(audioBuffer);
 
       // The RealtimeSession should automatically respond based on turn detection
@@ -671,26 +898,29 @@ class VoiceAgentWebSocketServer {
 
     } catch (error) {
       console.error('Error processing audio input:', error);
-      this.sendError(ws, 'Error processing audio input');
+      this.sendError(ws, 'AUDIO_INPUT_FAILED', 'Error processing audio input', { correlationId });
     }
   }
 
-  async handleTextInput(ws, payload) {
+  async handleTextInput(ws, payload, correlationId = null) {
     const sessionData = this.activeSessions.get(ws);
     if (!sessionData) {
-      this.sendError(ws, 'No active session found');
+      this.sendError(ws, 'NO_ACTIVE_SESSION', 'No active session found', { correlationId });
       return;
     }
 
     const { realtimeSession, sessionId } = sessionData;
-    const { message } = payload;
 
     try {
+      // Typed data the policy blocks never reaches the model either; redacted
+      // data (a license number) does, so the agent can record it
+      const { text: message, agentText } = this.applyInputGuardrail(ws, sessionId, payload.message, { respond: false });
+
       // Send text message to RealtimeSession
-      realtimeSession.sendMessage(message);
+      realtimeSession.sendMessage(agentText);
 
       // Add to conversation history
-      sessionManager.addConversationItem(
+      await sessionManager.addConversationItem(
         sessionId,
         'user',
         message,
@@ -698,14 +928,14 @@ class VoiceAgentWebSocketServer {
       );
     } catch (error) {
       console.error('Error processing text input:', error);
-      this.sendError(ws, 'Error processing text input');
+      this.sendError(ws, 'TEXT_INPUT_FAILED', 'Error processing text input', { correlationId });
     }
   }
 
-  async handleSessionEnd(ws, payload) {
+  async handleSessionEnd(ws, payload, correlationId = null) {
     const sessionData = this.activeSessions.get(ws);
     if (!sessionData) {
-      this.sendError(ws, 'No active session found');
+      this.sendError(ws, 'NO_ACTIVE_SESSION', 'No active session found', { correlationId });
       return;
     }
 
@@ -716,7 +946,8 @@ class VoiceAgentWebSocketServer {
       console.log('Ending conversation logging...');
       await realtimeSessionLogger.endSessionLogging(sessionId, {
         endReason: 'user_ended',
-        status: 'completed'
+        status: 'completed',
+        outcome: await this.getSessionOutcome(sessionId)
       });
       console.log('Conversation logging ended successfully');
 
@@ -724,10 +955,11 @@ class VoiceAgentWebSocketServer {
       await realtimeSession.disconnect();
 
       // Update session status
-      sessionManager.updateSession(sessionId, { status: 'completed' });
+      await sessionManager.updateSession(sessionId, { status: 'completed' });
 
       // Clean up
       this.activeSessions.delete(ws);
+      this.closeAudio(ws);
 
       this.sendMessage(ws, {
         type: 'session:ended',
@@ -740,19 +972,19 @@ class VoiceAgentWebSocketServer {
       console.log(`Voice session ended: ${sessionId}`);
     } catch (error) {
       console.error('Error ending session:', error);
-      this.sendError(ws, 'Error ending session');
+      this.sendError(ws, 'SESSION_END_FAILED', 'Error ending session', { correlationId });
     }
   }
 
-  async handleSessionStatus(ws, payload) {
+  async handleSessionStatus(ws, payload, correlationId = null) {
     const sessionData = this.activeSessions.get(ws);
     if (!sessionData) {
-      this.sendError(ws, 'No active session found');
+      this.sendError(ws, 'NO_ACTIVE_SESSION', 'No active session found', { correlationId });
       return;
     }
 
     const { sessionId } = sessionData;
-    const session = sessionManager.getSession(sessionId);
+    const session = await sessionManager.getSession(sessionId);
 
     if (session) {
       this.sendMessage(ws, {
@@ -762,30 +994,141 @@ class VoiceAgentWebSocketServer {
           status: session.status,
           data: session.data,
           completionStatus: session.data.completionStatus,
-          lastActivity: session.lastActivity
+          lastActivity: new Date(session.lastActivity).toISOString()
         }
       });
     } else {
-      this.sendError(ws, 'Session not found');
+      this.sendError(ws, 'SESSION_NOT_FOUND', 'Session not found', { correlationId });
+    }
+  }
+
+  /**
+   * Input guardrail for what the customer said or typed. Returns the text for
+   * the session and logs, with blocked and redacted matches replaced, and the
+   * agentText a typed message goes to the model as, with only blocked ones
+   * replaced; when they read out data we never take, the agent is told to say
+   * it doesn't need it. With respond false the notice is only added to the
+   * conversation, for a message that triggers a response itself.
+   */
+  applyInputGuardrail(ws, sessionId, text, { itemId = null, respond = true } = {}) {
+    const { text: screened, agentText, matches, notice } = screenUserInput(text);
+    if (matches.length === 0) {
+      return { text, agentText: text };
     }
+
+    recordGuardrailMatches(sessionId, 'user', matches).catch(error => {
+      console.error(`Error recording guardrail events for session ${sessionId}:`, error);
+    });
+    this.sendMessage(ws, {
+      type: 'guardrail:tripped',
+      payload: {
+        sessionId,
+        guardrail: 'guardrail_policy',
+        details: {
+          role: 'user',
+          rules: [...new Set(matches.map(match => match.ruleId))],
+          actions: [...new Set(matches.map(match => match.action))],
+          itemId
+        }
+      }
+    });
+
+    const realtimeSession = this.activeSessions.get(ws)?.realtimeSession;
+    if (notice && realtimeSession) {
+      const item = { type: 'message', role: 'system', content: [{ type: 'input_text', text: notice }] };
+      if (respond) {
+        // Like the SDK does for output guardrails: stop the current answer and respond to the notice
+        realtimeSession.interrupt();
+        realtimeSession.sendMessage(item);
+      } else {
+        realtimeSession.transport.sendEvent({ type: 'conversation.item.create', item });
+      }
+    }
+
+    return { text: screened, agentText };
   }
 
+  /**
+   * Record a conversation item from a realtime event handler; a failed write is
+   * logged rather than interrupting the conversation
+   */
+  recordConversationItem(sessionId, type, content, metadata) {
+    sessionManager.addConversationItem(sessionId, type, content, metadata).catch(error => {
+      console.error(`Error recording conversation item for session ${sessionId}:`, error);
+    });
+  }
+
+  async sendDataUpdate(ws, sessionId, toolName = null) {
+    const session = await sessionManager.getSession(sessionId);
+    if (!session) {
+      return;
+    }
+
+    this.sendMessage(ws, {
+      type: 'data:updated',
+      payload: {
+        sessionId,
+        data: session.data,
+        completionStatus: session.data.completionStatus,
+        toolName,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Send a server frame; frames that don't match the protocol are logged and dropped
+   */
   sendMessage(ws, message) {
+    const result = ServerMessageSchema.safeParse(message);
+    if (!result.success) {
+      console.error(`Not sending invalid ${message.type} frame:`, describeIssues(result.error));
+      return;
+    }
+
     if (ws.readyState === ws.OPEN) {
       ws.send(JSON.stringify(message));
     }
   }
 
-  sendError(ws, error) {
+  /**
+   * Send an error frame with one of PROTOCOL_ERROR_CODES
+   */
+  sendError(ws, code, error, { correlationId = null, issues } = {}) {
     this.sendMessage(ws, {
       type: 'error',
+      correlationId,
       payload: {
+        code,
         error,
+        ...(issues && { issues }),
         timestamp: new Date().toISOString()
       }
     });
   }
 
+  /**
+   * The session if the connection's principal owns it; other principals'
+   * sessions look the same as unknown ones
+   */
+  async getOwnedSession(ws, sessionId) {
+    const session = await sessionManager.getSession(sessionId);
+    return session && session.userId === this.principals.get(ws) ? session : null;
+  }
+
+  /**
+   * Completion and time to quote of the session, saved with its conversation for experiment reports
+   */
+  async getSessionOutcome(sessionId) {
+    try {
+      const session = await sessionManager.getSession(sessionId);
+      return session ? describeSessionOutcome(session) : null;
+    } catch (error) {
+      console.error('Error describing session outcome:', error);
+      return null;
+    }
+  }
+
   async cleanup(sessionId, realtimeSession) {
     try {
       console.log(`Starting cleanup for session: ${sessionId}`);
@@ -794,7 +1137,8 @@ class VoiceAgentWebSocketServer {
       try {
         const result = await realtimeSessionLogger.endSessionLogging(sessionId, {
           endReason: 'connection_closed',
-          status: 'completed'
+          status: 'completed',
+          outcome: await this.getSessionOutcome(sessionId)
         });
         console.log(`Conversation logging ended successfully for session ${sessionId}:`, result);
       } catch (error) {
@@ -811,10 +1155,11 @@ class VoiceAgentWebSocketServer {
         }
       }
 
-      // Update session status
+      // The connection dropped rather than being ended: keep the application so
+      // the customer can resume it with their code
       try {
-        sessionManager.updateSession(sessionId, { status: 'completed' });
-        console.log(`Session status updated for session ${sessionId}`);
+        await sessionManager.pauseSession(sessionId);
+        console.log(`Session ${sessionId} paused for resuming`);
       } catch (error) {
         console.error('Error updating session status:', error);
       }
@@ -0,0 +1,137 @@
+import { protocolError } from './websocketProtocol.js';
+import { AUDIO_ENCODINGS, REALTIME_SAMPLE_RATE } from '../services/audio/formats.js';
+
+/**
+ * Binary audio frames (protocol version 2). Audio travels as binary
+ * WebSocket messages instead of JSON arrays of samples; control messages stay
+ * JSON. A frame is a small little-endian header followed by the audio:
+ *
+ *   0   uint8   frame format version (AUDIO_FRAME_VERSION)
+ *   1   uint8   header length in bytes, always even so the samples stay 2-byte aligned
+ *   2   uint8   session id length n
+ *   3   uint8   encoding, its index in AUDIO_ENCODINGS (0 is pcm16)
+ *   4   uint32  sequence number, counted per connection and direction
+ *   8   uint32  sample rate in Hz
+ *   12  n bytes session id (UTF-8), padded with a zero byte to an even length
+ *   ..  the audio: PCM16 mono samples (little-endian), G.711 bytes or one Opus packet
+ *
+ * Audio is in the format the client declared in session:start.
+ * frontend/src/services/audioFrames.ts is the browser side of the same format.
+ */
+
+export const AUDIO_FRAME_VERSION = 1;
+export const AUDIO_FRAME_FIXED_HEADER_BYTES = 12;
+
+export { REALTIME_SAMPLE_RATE };
+
+const MAX_SESSION_ID_BYTES = 255;
+
+/**
+ * A binary frame (Buffer) for { sessionId, sequence, sampleRate, encoding,
+ * samples: Int16Array } (pcm16) or { ..., data } (the encoded bytes)
+ */
+export const encodeAudioFrame = ({ sessionId, sequence, sampleRate = REALTIME_SAMPLE_RATE, encoding = 'pcm16', samples, data }) => {
+  const id = Buffer.from(sessionId, 'utf8');
+  if (id.length > MAX_SESSION_ID_BYTES) {
+    throw new Error('Session id too long for an audio frame');
+  }
+  const encodingId = AUDIO_ENCODINGS.indexOf(encoding);
+  if (encodingId < 0) {
+    throw new Error(`Unsupported audio encoding: ${encoding}`);
+  }
+
+  const audio = data ?? Buffer.from(samples.buffer, samples.byteOffset, samples.length * 2);
+  const headerLength = AUDIO_FRAME_FIXED_HEADER_BYTES + id.length + (id.length % 2);
+  const frame = Buffer.alloc(headerLength + audio.length);
+  frame.writeUInt8(AUDIO_FRAME_VERSION, 0);
+  frame.writeUInt8(headerLength, 1);
+  frame.writeUInt8(id.length, 2);
+  frame.writeUInt8(encodingId, 3);
+  frame.writeUInt32LE(sequence >>> 0, 4);
+  frame.writeUInt32LE(sampleRate, 8);
+  id.copy(frame, AUDIO_FRAME_FIXED_HEADER_BYTES);
+  frame.set(audio, headerLength);
+  return frame;
+};
+
+/**
+ * { sessionId, sequence, sampleRate, encoding, data } of a binary frame, plus
+ * samples (Int16Array) for pcm16; a protocolError (INVALID_MESSAGE) when it isn't one
+ */
+export const decodeAudioFrame = (message) => {
+  const frame = Buffer.isBuffer(message) ? message : Buffer.from(message);
+  if (frame.length < AUDIO_FRAME_FIXED_HEADER_BYTES) {
+    throw protocolError('INVALID_MESSAGE', 'Audio frame too short');
+  }
+
+  const version = frame.readUInt8(0);
+  if (version !== AUDIO_FRAME_VERSION) {
+    throw protocolError('INVALID_MESSAGE', `Unsupported audio frame version ${version}`);
+  }
+
+  const headerLength = frame.readUInt8(1);
+  const idLength = frame.readUInt8(2);
+  if (headerLength % 2 !== 0 || headerLength < AUDIO_FRAME_FIXED_HEADER_BYTES + idLength || headerLength > frame.length) {
+    throw protocolError('INVALID_MESSAGE', 'Malformed audio frame header');
+  }
+  const encoding = AUDIO_ENCODINGS[frame.readUInt8(3)];
+  if (!encoding) {
+    throw protocolError('INVALID_MESSAGE', `Unknown audio encoding ${frame.readUInt8(3)}`);
+  }
+  if (encoding === 'pcm16' && (frame.length - headerLength) % 2 !== 0) {
+    throw protocolError('INVALID_MESSAGE', 'Audio frame samples must be 16-bit');
+  }
+
+  const sampleRate = frame.readUInt32LE(8);
+  if (sampleRate === 0) {
+    throw protocolError('INVALID_MESSAGE', 'Audio frame sample rate must be positive');
+  }
+
+  // Copied so the audio doesn't depend on the socket's buffer or its alignment
+  const data = Buffer.from(frame.subarray(headerLength));
+
+  return {
+    sessionId: frame.toString('utf8', AUDIO_FRAME_FIXED_HEADER_BYTES, AUDIO_FRAME_FIXED_HEADER_BYTES + idLength),
+    sequence: frame.readUInt32LE(4),
+    sampleRate,
+    encoding,
+    data,
+    ...(encoding === 'pcm16' && { samples: toPcm16Samples(data) })
+  };
+};
+
+/**
+ * PCM16 samples from whatever the realtime session hands out: base64 strings,
+ * typed arrays, ArrayBuffers or plain arrays of numbers
+ */
+export const toPcm16Samples = (audioData) => {
+  if (audioData instanceof Int16Array) {
+    return audioData;
+  }
+  if (Array.isArray(audioData)) {
+    return Int16Array.from(audioData);
+  }
+
+  let bytes;
+  if (typeof audioData === 'string') {
+    bytes = Buffer.from(audioData, 'base64');
+  } else if (audioData instanceof ArrayBuffer) {
+    bytes = new Uint8Array(audioData);
+  } else if (ArrayBuffer.isView(audioData)) {
+    bytes = new Uint8Array(audioData.buffer, audioData.byteOffset, audioData.byteLength);
+  } else {
+    return Int16Array.from(audioData);
+  }
+
+  const samples = new Int16Array(Math.floor(bytes.length / 2));
+  new Uint8Array(samples.buffer).set(bytes.subarray(0, samples.length * 2));
+  return samples;
+};
+
+export default {
+  AUDIO_FRAME_VERSION,
+  REALTIME_SAMPLE_RATE,
+  encodeAudioFrame,
+  decodeAudioFrame,
+  toPcm16Samples
+};
@@ -1,11 +1,22 @@
 import { z } from 'zod';
+import { isValidVin } from '../services/vehicleCatalog/vinDecoder.js';
 
-// Address schema
+export const MARITAL_STATUSES = ['single', 'married', 'divorced', 'widowed'];
+export const OWNERSHIP_STATUSES = ['owned', 'leased', 'financed'];
+export const PARKING_LOCATIONS = ['garage', 'driveway', 'street', 'lot'];
+export const VEHICLE_USES = ['commuting', 'pleasure', 'business'];
+
+const STATE_CODE = /^[A-Za-z]{2}$/;
+const LATEST_MODEL_YEAR = new Date().getFullYear() + 1;
+
+// Address schema - the parts arrive one at a time, so each is optional
+// (completion rules track which are still missing). Messages are read back
+// to the agent by the collect tools, so they say what a valid value looks like.
 export const AddressSchema = z.object({
-  street: z.string().min(1, 'Street address is required'),
-  city: z.string().min(1, 'City is required'),
-  state: z.string().min(2, 'State is required').max(2, 'State must be 2 characters'),
-  zipCode: z.string().regex(/^\d{5}(-\d{4})?$/, 'Invalid ZIP code format')
+  street: z.string().min(1, 'Street address is required').optional(),
+  city: z.string().min(1, 'City is required').optional(),
+  state: z.string().regex(STATE_CODE, 'State must be the 2-letter abbreviation, like TX').optional(),
+  zipCode: z.string().regex(/^\d{5}(-\d{4})?$/, 'ZIP code must be 5 digits, like 90210, or ZIP+4 like 90210-1234').optional()
 });
 
 // Personal Information schema
@@ -14,9 +25,9 @@ export const PersonalInfoSchema = z.object({
   lastName: z.string().min(1, 'Last name is required').optional(),
   dateOfBirth: z.string().optional(), // Will be parsed as date
   address: AddressSchema.optional(),
-  phone: z.string().regex(/^\+?[\d\s\-\(\)]+$/, 'Invalid phone number format').optional(),
-  email: z.string().email('Invalid email format').optional(),
-  maritalStatus: z.enum(['single', 'married', 'divorced', 'widowed']).optional(),
+  phone: z.string().regex(/^\+?[\d\s\-\(\)]+$/, 'Phone number can only contain digits, like 512-555-0100').optional(),
+  email: z.string().email('Email address must look like name@example.com').optional(),
+  maritalStatus: z.enum(MARITAL_STATUSES).optional(),
   occupation: z.string().optional(),
   previousInsurer: z.string().optional()
 });
@@ -25,22 +36,34 @@ export const PersonalInfoSchema = z.object({
 export const VehicleInfoSchema = z.object({
   make: z.string().min(1, 'Vehicle make is required').optional(),
   model: z.string().min(1, 'Vehicle model is required').optional(),
-  year: z.number().min(1900).max(new Date().getFullYear() + 1).optional(),
-  vin: z.string().length(17, 'VIN must be 17 characters').optional(),
-  currentMileage: z.number().min(0).optional(),
-  annualMileage: z.number().min(0).max(100000).optional(),
-  ownershipStatus: z.enum(['owned', 'leased', 'financed']).optional(),
+  year: z.number()
+    .int('Vehicle year must be a whole year, like 2019')
+    .min(1900, 'Vehicle year must be 1900 or later')
+    .max(LATEST_MODEL_YEAR, `Vehicle year can't be later than ${LATEST_MODEL_YEAR}`)
+    .optional(),
+  vin: z.string()
+    .length(17, 'VIN must be 17 characters')
+    .regex(/^[A-HJ-NPR-Z0-9]+$/, 'VIN must be uppercase letters and digits without I, O or Q')
+    .refine(isValidVin, 'VIN check digit does not match')
+    .optional(),
+  currentMileage: z.number().min(0, "Current mileage can't be negative").optional(),
+  annualMileage: z.number()
+    .min(0, "Annual mileage can't be negative")
+    .max(100000, 'Annual mileage must be at most 100,000 miles a year')
+    .optional(),
+  ownershipStatus: z.enum(OWNERSHIP_STATUSES).optional(),
+  lienholder: z.string().optional(),
   safetyFeatures: z.array(z.string()).default([]),
   modifications: z.array(z.string()).default([]),
-  parkingLocation: z.enum(['garage', 'driveway', 'street', 'lot']).optional(),
-  primaryUse: z.enum(['commuting', 'pleasure', 'business']).optional()
+  parkingLocation: z.enum(PARKING_LOCATIONS).optional(),
+  primaryUse: z.enum(VEHICLE_USES).optional()
 });
 
 // Coverage Preferences schema
 export const CoveragePrefsSchema = z.object({
   liabilityLimits: z.object({
-    bodilyInjury: z.number().min(25000).optional(),
-    propertyDamage: z.number().min(10000).optional()
+    bodilyInjury: z.number().min(25000, 'Bodily injury liability must be at least $25,000').optional(),
+    propertyDamage: z.number().min(10000, 'Property damage liability must be at least $10,000').optional()
   }).optional(),
   comprehensive: z.object({
     selected: z.boolean().default(false),
@@ -55,14 +78,18 @@ export const CoveragePrefsSchema = z.object({
     roadside: z.boolean().default(false),
     gapCoverage: z.boolean().default(false)
   }).optional(),
-  policyStartDate: z.string().optional() // Will be parsed as date
+  policyStartDate: z.string().optional(), // Will be parsed as date
+  payInFull: z.boolean().optional()
 });
 
 // Driving History schema
 export const DrivingHistorySchema = z.object({
   licenseNumber: z.string().optional(),
-  licenseState: z.string().min(2).max(2).optional(),
-  yearsLicensed: z.number().min(0).max(80).optional(),
+  licenseState: z.string().regex(STATE_CODE, 'License state must be the 2-letter abbreviation, like TX').optional(),
+  yearsLicensed: z.number()
+    .min(0, "Years licensed can't be negative")
+    .max(80, 'Years licensed must be at most 80')
+    .optional(),
   accidents: z.array(z.object({
     date: z.string(),
     description: z.string(),
@@ -78,41 +105,241 @@ export const DrivingHistorySchema = z.object({
     type: z.string(),
     amount: z.number()
   })).default([]),
+  incidentsReviewed: z.boolean().optional(), // accidents, violations and claims were asked about, even if there were none
   defensiveDriving: z.boolean().default(false)
 });
 
+export const BILLING_PERIODS = ['monthly', 'quarterly', 'semiannual', 'annual'];
+
+export const SWITCH_REASONS = [
+  'price',
+  'service',
+  'claims_experience',
+  'coverage',
+  'moving',
+  'new_vehicle',
+  'new_driver',
+  'policy_lapse',
+  'other'
+];
+
+// Current Policy schema - the policy the customer has today
+export const CurrentPolicySchema = z.object({
+  currentlyInsured: z.boolean().optional(),
+  insurer: z.string().min(1).optional(),
+  insurerRecognized: z.boolean().optional(),
+  premium: z.number().min(0, "Premium can't be negative").optional(),
+  billingPeriod: z.enum(BILLING_PERIODS).optional(),
+  expirationDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expiration date must be YYYY-MM-DD').optional(),
+  yearsWithInsurer: z.number()
+    .min(0, "Years with the insurer can't be negative")
+    .max(80, 'Years with the insurer must be at most 80')
+    .optional(),
+  liabilityLimits: z.object({
+    bodilyInjuryPerPerson: z.number().min(0),
+    bodilyInjuryPerAccident: z.number().min(0),
+    propertyDamage: z.number().min(0)
+  }).optional(),
+  switchReason: z.enum(SWITCH_REASONS).optional(),
+  switchReasonDetails: z.string().optional()
+});
+
+// Household vehicle: vehicle details plus who mainly drives it
+export const VehicleSchema = VehicleInfoSchema.extend({
+  id: z.string(),
+  primaryDriverId: z.string().optional()
+});
+
+export const DRIVER_RELATIONSHIPS = ['self', 'spouse', 'child', 'parent', 'sibling', 'other'];
+
+// Household driver: identity plus their driving history
+export const DriverSchema = DrivingHistorySchema.extend({
+  id: z.string(),
+  relationship: z.enum(DRIVER_RELATIONSHIPS).default('other'),
+  firstName: z.string().min(1).optional(),
+  lastName: z.string().min(1).optional(),
+  dateOfBirth: z.string().optional()
+});
+
+/**
+ * Convert a pre-household application (single vehicleInfo / drivingHistory)
+ * into vehicles[] / drivers[].
+ */
+const migrateHousehold = (data) => {
+  if (!('vehicleInfo' in data) && !('drivingHistory' in data)) {
+    return data;
+  }
+
+  const { vehicleInfo, drivingHistory, ...rest } = data;
+  const drivers = rest.drivers ? [...rest.drivers] : [];
+  const vehicles = rest.vehicles ? [...rest.vehicles] : [];
+
+  if (drivers.length === 0 && drivingHistory && Object.keys(drivingHistory).length > 0) {
+    drivers.push({ id: 'driver-1', relationship: 'self', ...drivingHistory });
+  }
+
+  if (vehicles.length === 0 && vehicleInfo && Object.keys(vehicleInfo).length > 0) {
+    vehicles.push({
+      id: 'vehicle-1',
+      ...vehicleInfo,
+      ...(drivers.length === 1 ? { primaryDriverId: drivers[0].id } : {})
+    });
+  }
+
+  const {
+    vehicleInfo: vehicleCompletion = 0,
+    drivingHistory: driverCompletion = 0,
+    ...sectionStatus
+  } = rest.completionStatus || {};
+
+  return {
+    ...rest,
+    vehicles,
+    drivers,
+    completionStatus: {
+      ...sectionStatus,
+      vehicles: vehicleCompletion,
+      drivers: driverCompletion,
+      byVehicle: vehicles[0] ? { [vehicles[0].id]: vehicleCompletion } : {},
+      byDriver: drivers[0] ? { [drivers[0].id]: driverCompletion } : {}
+    }
+  };
+};
+
+/**
+ * Carry the old free-text personalInfo.previousInsurer over into currentPolicy
+ */
+const migrateCurrentPolicy = (data) => {
+  if (data.currentPolicy || !data.personalInfo?.previousInsurer) {
+    return data;
+  }
+  return { ...data, currentPolicy: { currentlyInsured: true, insurer: data.personalInfo.previousInsurer } };
+};
+
+/**
+ * Bring application data saved by older versions up to the current shape.
+ * Already migrated data is returned unchanged.
+ */
+export const migrateApplicationData = (data) => {
+  if (!data || typeof data !== 'object') {
+    return data;
+  }
+  return migrateCurrentPolicy(migrateHousehold(data));
+};
+
+export const DISCOUNT_STATUSES = ['eligible', 'ineligible', 'unknown'];
+
+// Discount eligibility, recomputed from the application by the discount engine
+export const DiscountSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  percent: z.number().min(0).max(100),
+  status: z.enum(DISCOUNT_STATUSES),
+  explanation: z.string(),
+  vehicleIds: z.array(z.string()).default([])
+});
+
+// Read-back state of a recorded field: heard, read back to the customer, then confirmed or disputed
+export const CONFIRMATION_STATES = ['captured', 'read_back', 'confirmed', 'disputed'];
+
+// Confirmation of a field (or of a whole section or member) as it was when the customer was asked;
+// it stops applying once the value changes (see services/fieldConfirmation.js)
+export const FieldConfirmationSchema = z.object({
+  status: z.enum(CONFIRMATION_STATES),
+  value: z.any(),
+  source: z.string().optional(),
+  updatedAt: z.date()
+});
+
+// A field the completion rules still need (see data/completionRules.json); status is set
+// when a value was recorded but not confirmed yet
+export const MissingFieldSchema = z.object({
+  section: z.string(),
+  path: z.string(),
+  label: z.string(),
+  required: z.boolean(),
+  status: z.enum(CONFIRMATION_STATES).optional(),
+  memberId: z.string().optional(),
+  member: z.string().optional()
+});
+
 // Complete Insurance Application schema
-export const InsuranceApplicationSchema = z.object({
+export const InsuranceApplicationSchema = z.preprocess(migrateApplicationData, z.object({
   sessionId: z.string(),
   personalInfo: PersonalInfoSchema.default({}),
-  vehicleInfo: VehicleInfoSchema.default({}),
+  vehicles: z.array(VehicleSchema).default([]),
+  drivers: z.array(DriverSchema).default([]),
   coveragePrefs: CoveragePrefsSchema.default({}),
-  drivingHistory: DrivingHistorySchema.default({}),
+  currentPolicy: CurrentPolicySchema.default({}),
+  discounts: z.array(DiscountSchema).default([]),
+  confirmations: z.record(FieldConfirmationSchema).default({}), // keyed by field path, e.g. "personalInfo.email"
   completionStatus: z.object({
     personalInfo: z.number().min(0).max(100).default(0),
-    vehicleInfo: z.number().min(0).max(100).default(0),
+    vehicles: z.number().min(0).max(100).default(0),
     coveragePrefs: z.number().min(0).max(100).default(0),
-    drivingHistory: z.number().min(0).max(100).default(0),
-    overall: z.number().min(0).max(100).default(0)
+    drivers: z.number().min(0).max(100).default(0),
+    currentPolicy: z.number().min(0).max(100).default(0),
+    byVehicle: z.record(z.number().min(0).max(100)).default({}),
+    byDriver: z.record(z.number().min(0).max(100)).default({}),
+    overall: z.number().min(0).max(100).default(0),
+    missingFields: z.array(MissingFieldSchema).default([])
   }).default({}),
   createdAt: z.date().default(() => new Date()),
   updatedAt: z.date().default(() => new Date())
-});
+}));
 
 // Session schema
+// One recorded change to a field of the application (see services/applicationEvents.js)
+export const ApplicationEventSchema = z.object({
+  id: z.string(),
+  changeId: z.string(), // shared by the events written in one update
+  sequence: z.number().int().min(1),
+  op: z.enum(['set', 'unset']),
+  path: z.string(), // e.g. "vehicles.0.vin"
+  oldValue: z.any().optional(),
+  newValue: z.any().optional(),
+  source: z.string(), // tool name, 'api', 'undo', ...
+  transcriptItemId: z.string().nullable().optional(), // conversation item the change came from
+  revertsChangeId: z.string().optional(),
+  timestamp: z.date()
+});
+
+// Variant of an agent experiment a session was assigned to (see services/experiments.js)
+export const ExperimentAssignmentSchema = z.object({
+  experimentId: z.string(),
+  variantId: z.string(),
+  profileId: z.string().optional()
+});
+
+// A guardrail rule with the escalate action matched; the session needs a person to review it
+export const EscalationSchema = z.object({
+  ruleId: z.string(),
+  role: z.enum(['user', 'assistant']),
+  at: z.date()
+});
+
 export const VoiceSessionSchema = z.object({
   id: z.string(),
   userId: z.string().nullable().optional(),
   agentId: z.string(),
   status: z.enum(['active', 'paused', 'completed', 'error']).default('active'),
+  version: z.number().int().min(0).default(0), // bumped by the session store on every write
+  resumeCode: z.string().optional(), // spoken to the customer so they can pick the application back up
+  resumedAt: z.date().optional(),
   data: InsuranceApplicationSchema,
   conversationHistory: z.array(z.object({
     id: z.string(),
-    type: z.enum(['user', 'agent', 'system']),
+    type: z.enum(['user', 'agent', 'assistant', 'system']),
     content: z.string(),
     timestamp: z.date().default(() => new Date()),
     metadata: z.record(z.any()).optional()
   })).default([]),
+  events: z.array(ApplicationEventSchema).default([]),
+  metadata: z.object({
+    agentProfile: z.string().optional(), // profile of a browser session, whose tools run through the API
+    experiments: z.array(ExperimentAssignmentSchema).default([]),
+    escalations: z.array(EscalationSchema).default([])
+  }).default({}),
   createdAt: z.date().default(() => new Date()),
   lastActivity: z.date().default(() => new Date()),
   expiresAt: z.date()
@@ -122,15 +349,22 @@ export const VoiceSessionSchema = z.object({
 export const createEmptyApplication = (sessionId) => ({
   sessionId,
   personalInfo: {},
-  vehicleInfo: {},
+  vehicles: [],
+  drivers: [],
   coveragePrefs: {},
-  drivingHistory: {},
+  currentPolicy: {},
+  discounts: [],
+  confirmations: {},
   completionStatus: {
     personalInfo: 0,
-    vehicleInfo: 0,
+    vehicles: 0,
     coveragePrefs: 0,
-    drivingHistory: 0,
-    overall: 0
+    drivers: 0,
+    currentPolicy: 0,
+    byVehicle: {},
+    byDriver: {},
+    overall: 0,
+    missingFields: []
   },
   createdAt: new Date(),
   updatedAt: new Date()
@@ -0,0 +1,288 @@
+import { z } from 'zod';
+import { GUARDRAIL_ACTIONS } from '../services/guardrailPolicy.js';
+import { AUDIO_ENCODINGS, SUPPORTED_SAMPLE_RATES } from '../services/audio/formats.js';
+
+/**
+ * The voice WebSocket protocol: every frame the client sends and the server
+ * sends, as Zod schemas. The server validates both directions against them,
+ * and scripts/generateProtocolTypes.js generates the frontend's TypeScript
+ * types (frontend/src/types/websocketProtocol.ts) from them.
+ *
+ * The version is negotiated at connect with the WebSocket subprotocol
+ * ("insurance-voice.v2"). Client frames can carry an id, which the server
+ * echoes as correlationId on the error frames they cause.
+ *
+ * Version 1: everything is JSON, audio included (audio:input / audio:output).
+ * Version 2: audio travels as binary frames (see audioFrames.js) both ways;
+ *            audio:input is still accepted. Clients that don't ask for a
+ *            version are version 1 clients.
+ */
+
+export const PROTOCOL_VERSION = 2;
+export const SUPPORTED_PROTOCOL_VERSIONS = [1, 2];
+export const LEGACY_PROTOCOL_VERSION = 1;
+
+const SUBPROTOCOL_PREFIX = 'insurance-voice.v';
+
+export const protocolName = (version) => `${SUBPROTOCOL_PREFIX}${version}`;
+
+/**
+ * The newest supported version among the subprotocols a client offered, or null
+ */
+export const negotiateProtocolVersion = (offered) => {
+  const versions = Array.from(offered)
+    .filter(name => name.startsWith(SUBPROTOCOL_PREFIX))
+    .map(name => Number(name.slice(SUBPROTOCOL_PREFIX.length)))
+    .filter(version => SUPPORTED_PROTOCOL_VERSIONS.includes(version));
+  return versions.length > 0 ? Math.max(...versions) : null;
+};
+
+export const PROTOCOL_ERROR_CODES = [
+  'INVALID_JSON', // the frame isn't JSON
+  'INVALID_MESSAGE', // the frame doesn't match its schema; issues says where
+  'UNKNOWN_MESSAGE_TYPE',
+  'NO_ACTIVE_SESSION', // session:start or session:resume first
+  'SESSION_NOT_FOUND',
+  'SESSION_FORBIDDEN', // the frame names another connection's session
+  'SESSION_START_FAILED',
+  'SESSION_RESUME_FAILED',
+  'RESUME_RATE_LIMITED', // too many failed resume attempts from this principal or IP
+  'AUDIO_INPUT_FAILED',
+  'TEXT_INPUT_FAILED',
+  'SESSION_END_FAILED',
+  'INTERNAL_ERROR'
+];
+
+/**
+ * An error a handler throws to answer with a specific error code
+ */
+export const protocolError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * The error code of an error a handler threw, if it is a protocol code
+ */
+export const errorCode = (error, fallback = 'INTERNAL_ERROR') => {
+  return PROTOCOL_ERROR_CODES.includes(error?.code) ? error.code : fallback;
+};
+
+// Schemas the generated TypeScript refers to by name instead of spelling them out
+const ApplicationDataSchema = z.record(z.string(), z.any());
+const CompletionStatusSchema = z.record(z.string(), z.any());
+
+export const PROTOCOL_TYPE_REFERENCES = new Map([
+  [ApplicationDataSchema, 'InsuranceApplication'],
+  [CompletionStatusSchema, 'CompletionStatus']
+]);
+
+const SessionIdSchema = z.string().min(1);
+const TimestampSchema = z.string();
+const Pcm16SamplesSchema = z.array(z.number().int().min(-32768).max(32767));
+
+// The client's audio, both ways; the server converts to and from the realtime model's pcm16 at 24kHz.
+// Version 1 clients exchange JSON samples, so only pcm16.
+const AudioFormatSchema = z.object({
+  encoding: z.enum(AUDIO_ENCODINGS),
+  sampleRate: z.union(SUPPORTED_SAMPLE_RATES.map(rate => z.literal(rate)))
+});
+
+// profileId picks the agent profile; anything else overrides the realtime session config
+const SessionConfigSchema = z.object({
+  profileId: z.string().optional()
+}).passthrough();
+
+const clientMessage = (type, payload) => z.object({
+  type: z.literal(type),
+  id: z.string().min(1).max(128).optional(),
+  payload
+});
+
+const serverMessage = (type, payload) => z.object({
+  type: z.literal(type),
+  correlationId: z.string().nullable().optional(),
+  payload
+});
+
+// Frames from the client. sessionId is optional: a connection always talks
+// about its own session, and a sessionId that isn't it is rejected.
+export const CLIENT_MESSAGE_SCHEMAS = [
+  clientMessage('session:start', z.object({
+    sessionId: SessionIdSchema.optional(), // a session this principal started before
+    config: SessionConfigSchema.optional(),
+    audioFormat: AudioFormatSchema.optional() // pcm16 at 24kHz if not given
+  }).default({})),
+  clientMessage('session:resume', z.object({
+    resumeCode: z.string().min(1),
+    // Second factor: the ZIP code or date of birth on the application
+    verification: z.object({
+      zipCode: z.string().optional(),
+      dateOfBirth: z.string().optional()
+    }).optional(),
+    config: SessionConfigSchema.optional(),
+    audioFormat: AudioFormatSchema.optional()
+  })),
+  // Version 1 audio; version 2 clients send binary frames
+  clientMessage('audio:input', z.object({
+    sessionId: SessionIdSchema.optional(),
+    audioData: Pcm16SamplesSchema,
+    format: z.literal('pcm16').default('pcm16')
+  })),
+  clientMessage('text:input', z.object({
+    sessionId: SessionIdSchema.optional(),
+    message: z.string().min(1)
+  })),
+  clientMessage('session:end', z.object({
+    sessionId: SessionIdSchema.optional()
+  }).default({})),
+  clientMessage('session:status', z.object({
+    sessionId: SessionIdSchema.optional()
+  }).default({})),
+  clientMessage('test:message', z.object({
+    sessionId: SessionIdSchema.optional(),
+    message: z.string().min(1)
+  }))
+];
+
+// Frames from the server
+export const SERVER_MESSAGE_SCHEMAS = [
+  serverMessage('connection:established', z.object({
+    message: z.string(),
+    protocolVersion: z.number().int(),
+    timestamp: TimestampSchema
+  })),
+  serverMessage('session:started', z.object({
+    sessionId: SessionIdSchema,
+    status: z.literal('connected'),
+    resumeCode: z.string().optional(),
+    resumed: z.boolean(),
+    audioFormat: AudioFormatSchema,
+    message: z.string()
+  })),
+  serverMessage('session:ended', z.object({
+    sessionId: SessionIdSchema,
+    message: z.string()
+  })),
+  // Connection status updates, and the answer to a session:status request
+  serverMessage('session:status', z.object({
+    sessionId: SessionIdSchema,
+    status: z.string(),
+    message: z.string().optional(),
+    data: ApplicationDataSchema.optional(),
+    completionStatus: CompletionStatusSchema.optional(),
+    lastActivity: TimestampSchema.optional()
+  })),
+  serverMessage('session:error', z.object({
+    sessionId: SessionIdSchema,
+    error: z.string()
+  })),
+  // Audio for version 1 clients; version 2 clients get binary frames
+  serverMessage('audio:output', z.object({
+    sessionId: SessionIdSchema,
+    audioData: Pcm16SamplesSchema,
+    format: z.literal('pcm16'),
+    sampleRate: z.number().int().positive().optional(), // 24000 if not given
+    sequence: z.number().int().nonnegative().optional(),
+    responseId: z.string().nullable().optional(),
+    itemId: z.string().nullable().optional()
+  })),
+  // The caller barged in: stop playing the response's audio. Nothing after
+  // lastSequence was sent for it; audioEndMs is how much audio was.
+  serverMessage('audio:truncate', z.object({
+    sessionId: SessionIdSchema,
+    responseId: z.string().nullable(),
+    itemId: z.string().nullable(),
+    lastSequence: z.number().int().nonnegative().nullable(),
+    audioEndMs: z.number().int().nonnegative(),
+    timestamp: TimestampSchema
+  })),
+  serverMessage('agent:response', z.object({
+    sessionId: SessionIdSchema,
+    message: z.string(),
+    responseId: z.string().optional(),
+    timestamp: TimestampSchema
+  })),
+  serverMessage('agent:message', z.object({
+    sessionId: SessionIdSchema,
+    content: z.string(),
+    itemId: z.string(),
+    timestamp: TimestampSchema
+  })),
+  serverMessage('user:message', z.object({
+    sessionId: SessionIdSchema,
+    content: z.string(),
+    itemId: z.string(),
+    timestamp: TimestampSchema
+  })),
+  serverMessage('user:transcript', z.object({
+    sessionId: SessionIdSchema,
+    transcript: z.string(),
+    itemId: z.string().optional(),
+    timestamp: TimestampSchema
+  })),
+  serverMessage('data:updated', z.object({
+    sessionId: SessionIdSchema,
+    data: ApplicationDataSchema,
+    completionStatus: CompletionStatusSchema,
+    toolName: z.string().nullable(),
+    timestamp: TimestampSchema
+  })),
+  serverMessage('guardrail:tripped', z.object({
+    sessionId: SessionIdSchema,
+    guardrail: z.string(),
+    details: z.object({
+      role: z.enum(['user', 'assistant']),
+      rules: z.array(z.string()),
+      actions: z.array(z.enum(GUARDRAIL_ACTIONS)),
+      itemId: z.string().nullable()
+    })
+  })),
+  serverMessage('error', z.object({
+    code: z.enum(PROTOCOL_ERROR_CODES),
+    error: z.string(),
+    issues: z.array(z.object({ path: z.string(), message: z.string() })).optional(),
+    timestamp: TimestampSchema
+  }))
+];
+
+export const ClientMessageSchema = z.discriminatedUnion('type', CLIENT_MESSAGE_SCHEMAS);
+export const ServerMessageSchema = z.discriminatedUnion('type', SERVER_MESSAGE_SCHEMAS);
+
+/**
+ * Zod issues as { path, message } for an error frame
+ */
+export const describeIssues = (error) => error.issues.map(issue => ({
+  path: issue.path.join('.'),
+  message: issue.message
+}));
+
+/**
+ * A parsed client frame, or a protocolError (INVALID_MESSAGE or UNKNOWN_MESSAGE_TYPE) with issues
+ */
+export const parseClientMessage = (frame) => {
+  const type = frame?.type;
+  if (typeof type === 'string' && !CLIENT_MESSAGE_SCHEMAS.some(schema => schema.shape.type.value === type)) {
+    throw protocolError('UNKNOWN_MESSAGE_TYPE', `Unknown message type: ${type}`);
+  }
+
+  const result = ClientMessageSchema.safeParse(frame);
+  if (!result.success) {
+    throw Object.assign(protocolError('INVALID_MESSAGE', `Invalid ${type || 'message'} frame`), {
+      issues: describeIssues(result.error)
+    });
+  }
+  return result.data;
+};
+
+export default {
+  PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  LEGACY_PROTOCOL_VERSION,
+  PROTOCOL_ERROR_CODES,
+  protocolName,
+  negotiateProtocolVersion,
+  protocolError,
+  errorCode,
+  parseClientMessage,
+  describeIssues,
+  ClientMessageSchema,
+  ServerMessageSchema
+};
@@ -1,5 +1,7 @@
 import { ApiGatewayManagementApiClient, PostToConnectionCommand } from '@aws-sdk/client-apigatewaymanagementapi';
 import sessionManager from '../services/sessionManager.js';
+import { getConnectionTokens } from '../services/connectionTokens.js';
+import { getResumeAttemptLimiter } from '../services/resumeAttempts.js';
 
 // Store active WebSocket connections
 const connections = new Map();
@@ -65,6 +67,18 @@ async function broadcast(data, event) {
 async function handleConnect(event) {
   const connectionId = event.requestContext.connectionId;
   const queryParams = event.queryStringParameters || {};
+
+  // Only connections with a valid token from POST /api/connection-token; its principal owns the sessions
+  let principal;
+  try {
+    principal = getConnectionTokens().verify(queryParams.token).principal;
+  } catch (error) {
+    console.warn(`Rejected WebSocket connection ${connectionId}: ${error.message}`);
+    return {
+      statusCode: 401,
+      body: 'Unauthorized'
+    };
+  }
   
   console.log(`WebSocket connection established: ${connectionId}`);
   
@@ -72,8 +86,8 @@ async function handleConnect(event) {
   connections.set(connectionId, {
     connectionId,
     connectedAt: new Date().toISOString(),
-    sessionId: queryParams.sessionId || null,
-    userId: queryParams.userId || null
+    sessionId: null,
+    userId: principal
   });
   
   // Send welcome message
@@ -102,11 +116,11 @@ async function handleDisconnect(event) {
   // Remove connection
   const connection = connections.get(connectionId);
   if (connection && connection.sessionId) {
-    // Clean up any associated session
+    // Keep the application so the customer can resume it with their code
     try {
-      sessionManager.deleteSession(connection.sessionId);
+      await sessionManager.pauseSession(connection.sessionId);
     } catch (error) {
-      console.error('Error cleaning up session:', error);
+      console.error('Error pausing session:', error);
     }
   }
   
@@ -136,12 +150,30 @@ async function handleMessage(event) {
   try {
     const message = JSON.parse(event.body);
     console.log(`Received message from ${connectionId}:`, message.type);
+
+    // A connection only ever talks about its own session; session:start may
+    // name the session to attach to until one is active
+    const requestedSessionId = message.payload?.sessionId;
+    if (requestedSessionId && requestedSessionId !== connection.sessionId && (connection.sessionId || message.type !== 'session:start')) {
+      await sendToConnection(connectionId, {
+        type: 'error',
+        payload: { error: 'Session does not belong to this connection' }
+      }, event);
+      return {
+        statusCode: 403,
+        body: 'Forbidden'
+      };
+    }
     
     // Handle different message types
     switch (message.type) {
       case 'session:start':
         await handleSessionStart(connectionId, message, event);
         break;
+
+      case 'session:resume':
+        await handleSessionResume(connectionId, message, event);
+        break;
         
       case 'audio:input':
         await handleAudioInput(connectionId, message, event);
@@ -190,17 +222,18 @@ async function handleSessionStart(connectionId, message, event) {
     
     // Create or get session
     let session;
+    const connection = connections.get(connectionId);
     if (sessionId) {
-      session = sessionManager.getSession(sessionId);
-      if (!session) {
+      session = await sessionManager.getSession(sessionId);
+      // Other principals' sessions look the same as unknown ones
+      if (!session || session.userId !== connection.userId) {
         throw new Error('Session not found');
       }
     } else {
-      session = sessionManager.createSession();
+      session = await sessionManager.createSession(connection.userId);
     }
     
     // Update connection with session info
-    const connection = connections.get(connectionId);
     connection.sessionId = session.id;
     connections.set(connectionId, connection);
     
@@ -210,6 +243,7 @@ async function handleSessionStart(connectionId, message, event) {
       payload: {
         sessionId: session.id,
         status: session.status,
+        resumeCode: session.resumeCode,
         data: session.data
       }
     }, event);
@@ -223,6 +257,54 @@ async function handleSessionStart(connectionId, message, event) {
   }
 }
 
+/**
+ * Handle session resume from the code the customer was given; failed attempts
+ * count against the connection's principal and source IP
+ */
+async function handleSessionResume(connectionId, message, event) {
+  try {
+    const { resumeCode, verification } = message.payload || {};
+    
+    const connection = connections.get(connectionId);
+    const limiter = getResumeAttemptLimiter();
+    const caller = { principal: connection.userId, ip: event.requestContext.identity?.sourceIp };
+    const lockedUntil = limiter.lockedUntil(caller);
+    if (lockedUntil) {
+      throw new Error(`Too many resume attempts, try again after ${lockedUntil.toISOString()}`);
+    }
+
+    // The resume code and the caller's answer prove the claim: the session moves to this connection's principal
+    const session = await sessionManager.resumeSession(resumeCode, { userId: connection.userId, verification });
+    if (!session) {
+      limiter.recordFailure(caller);
+      throw new Error('Resume code not found or expired, or the details given don\'t match');
+    }
+    limiter.recordSuccess(caller);
+    
+    // Update connection with session info
+    connection.sessionId = session.id;
+    connections.set(connectionId, connection);
+    
+    await sendToConnection(connectionId, {
+      type: 'session:started',
+      payload: {
+        sessionId: session.id,
+        status: session.status,
+        resumeCode: session.resumeCode,
+        resumed: true,
+        data: session.data
+      }
+    }, event);
+    
+  } catch (error) {
+    console.error('Error resuming session:', error);
+    await sendToConnection(connectionId, {
+      type: 'session:error',
+      payload: { error: error.message }
+    }, event);
+  }
+}
+
 /**
  * Handle audio input (placeholder - real implementation would integrate with OpenAI)
  */
@@ -231,7 +313,7 @@ async function handleAudioInput(connectionId, message, event) {
     const { sessionId, audioData, format } = message.payload;
     
     // Validate session
-    const session = sessionManager.getSession(sessionId);
+    const session = await sessionManager.getSession(sessionId);
     if (!session) {
       throw new Error('Session not found');
     }
@@ -267,7 +349,7 @@ async function handleTextInput(connectionId, message, event) {
     const { sessionId, message: textMessage } = message.payload;
     
     // Validate session
-    const session = sessionManager.getSession(sessionId);
+    const session = await sessionManager.getSession(sessionId);
     if (!session) {
       throw new Error('Session not found');
     }
@@ -307,7 +389,7 @@ async function handleSessionEnd(connectionId, message, event) {
     const { sessionId } = message.payload;
     
     // Clean up session
-    sessionManager.deleteSession(sessionId);
+    await sessionManager.deleteSession(sessionId);
     
     // Update connection
     const connection = connections.get(connectionId);
@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import agentProfiles, {
+  REALTIME_MODEL,
+  findProhibitedDataRequests,
+  buildProfileInstructions,
+  buildRealtimeSessionConfig,
+  buildSessionTokenRequest
+} from '../src/agents/agentProfiles.js';
+import { createInsuranceAgent } from '../src/agents/insuranceAgent.js';
+
+async function testNoProfileAsksForProhibitedData() {
+  console.log('🧪 Testing agent profiles for prohibited data requests...');
+
+  const profiles = agentProfiles.list();
+  assert.ok(profiles.length >= 2);
+  for (const profile of profiles) {
+    assert.deepEqual(findProhibitedDataRequests(profile), [], `${profile.id} asks for prohibited data`);
+    assert.ok(profile.version, `${profile.id} has no version`);
+
+    // The shared rules rule it out for every profile
+    assert.match(buildProfileInstructions(profile), /NEVER ask for a Social Security Number/);
+  }
+
+  // A profile asking for an SSN or a credit score is caught, mentioning it to rule it out is not
+  const risky = {
+    id: 'risky',
+    version: '2026-01-01',
+    collects: ['name and address', 'credit score range'],
+    instructions: 'Ask for:\n- Social Security Number (for credit check and verification)\n- Never ask for a PIN'
+  };
+  const findings = findProhibitedDataRequests(risky);
+  assert.deepEqual(findings.map(finding => [finding.label, finding.where]), [
+    ['credit score', 'collects'],
+    ['Social Security Number', 'instructions'],
+    ['credit score', 'instructions']
+  ]);
+  assert.throws(() => agentProfiles.register(risky), { code: 'PROHIBITED_DATA' });
+
+  // The negation has to apply to the prohibited data itself
+  const labelsIn = (instructions) => findProhibitedDataRequests({ instructions }).map(finding => finding.label);
+  assert.deepEqual(labelsIn('Ask for the SSN if they do not have a license'), ['Social Security Number']);
+  assert.deepEqual(labelsIn("Don't forget to ask for the card number"), ['payment card number']);
+  assert.deepEqual(labelsIn('Ask for their password, not their email'), ['password or PIN']);
+  assert.deepEqual(labelsIn('No need for a license number. Ask for the PIN instead'), ['password or PIN']);
+  assert.deepEqual(labelsIn('Do not ask for the SSN, even if they offer it'), []);
+  assert.deepEqual(labelsIn('Never ask for credit card or bank account numbers - payment comes later'), []);
+  assert.equal(agentProfiles.has('risky'), false);
+
+  console.log('✅ Prohibited data test passed');
+}
+
+async function testProfileConfigs() {
+  console.log('🧪 Testing session configs built from a profile...');
+
+  const profile = agentProfiles.get('renewal-specialist');
+  assert.equal(agentProfiles.get().id, 'renewal-specialist');
+  assert.equal(profile.model, REALTIME_MODEL);
+  assert.throws(() => agentProfiles.get('nobody'), { code: 'UNKNOWN_PROFILE' });
+
+  // Backend sessions and browser tokens both get the tool instructions
+  const sessionConfig = buildRealtimeSessionConfig(profile);
+  assert.equal(sessionConfig.voice, profile.voice);
+  assert.deepEqual(sessionConfig.turnDetection, profile.turnDetection);
+  assert.match(sessionConfig.instructions, /collect_personal_info/);
+
+  const tokenRequest = buildSessionTokenRequest(profile);
+  assert.equal(tokenRequest.model, profile.model);
+  assert.equal(tokenRequest.voice, profile.voice);
+  assert.deepEqual(tokenRequest.turn_detection, {
+    type: 'server_vad',
+    threshold: profile.turnDetection.threshold,
+    prefix_padding_ms: profile.turnDetection.prefixPaddingMs,
+    silence_duration_ms: profile.turnDetection.silenceDurationMs
+  });
+  assert.match(tokenRequest.instructions, /collect_personal_info/);
+
+  // The agent takes its name, tools and guardrails from the profile
+  const agent = createInsuranceAgent({ profile });
+  assert.equal(agent.name, profile.name);
+  assert.deepEqual(agent.tools.map(tool => tool.name), profile.tools);
+  assert.deepEqual(agent.outputGuardrails.map(guardrail => guardrail.name), ['guardrail_policy']);
+
+  // Every persona can run a session with the tools
+  const sarah = agentProfiles.get('sarah');
+  assert.deepEqual(createInsuranceAgent({ profile: sarah }).tools.map(tool => tool.name), sarah.tools);
+  assert.match(buildSessionTokenRequest(sarah).instructions, /collect_personal_info/);
+
+  console.log('✅ Profile config test passed');
+}
+
+// Run tests
+async function runAllTests() {
+  try {
+    await testNoProfileAsksForProhibitedData();
+    await testProfileConfigs();
+
+    console.log('');
+    console.log('🎊 All Agent Profile Tests Passed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Test Suite Failed:', error);
+    process.exit(1);
+  }
+}
+
+// Check if this file is being run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testNoProfileAsksForProhibitedData, testProfileConfigs };
@@ -0,0 +1,177 @@
+import assert from 'node:assert/strict';
+import sessionManager from '../src/services/sessionManager.js';
+import { MemorySessionStore } from '../src/services/sessionStore/index.js';
+import { collectPersonalInfoTool } from '../src/agents/insuranceTools.js';
+import { mergeApplicationData } from '../src/services/mergePolicy.js';
+import {
+  diffApplication,
+  projectApplication,
+  applyEvent,
+  createEvents,
+  invertChange
+} from '../src/services/applicationEvents.js';
+
+const address = { street: '1 Main St', city: 'Austin', state: 'TX', zipCode: '78701' };
+
+async function testMergeAndDiff() {
+  console.log('🧪 Testing field-level merge and diff...');
+
+  const before = { personalInfo: { firstName: 'Jane', address }, vehicles: [{ id: 'vehicle-1', make: 'Honda' }] };
+  const after = mergeApplicationData(before, {
+    personalInfo: { address: null, phone: '512-555-0100' },
+    vehicles: [{ model: null, year: 2019 }]
+  });
+
+  // null means "not given" - the address and the vehicle's make survive
+  assert.deepEqual(after.personalInfo.address, address);
+  assert.deepEqual(after.vehicles[0], { id: 'vehicle-1', make: 'Honda', year: 2019 });
+
+  assert.deepEqual(diffApplication(before, after).map(({ op, path, newValue }) => [op, path, newValue]), [
+    ['set', 'personalInfo.phone', '512-555-0100'],
+    ['set', 'vehicles.0.year', 2019]
+  ]);
+
+  // New records are one change so undoing them leaves nothing behind; removed list items go last-first
+  const changes = diffApplication({ drivers: [{ id: 'a' }, { id: 'b' }, { id: 'c' }] }, { drivers: [{ id: 'a' }], personalInfo: { address } });
+  assert.deepEqual(changes.map(({ op, path }) => [op, path]), [
+    ['unset', 'drivers.2'],
+    ['unset', 'drivers.1'],
+    ['set', 'personalInfo']
+  ]);
+
+  // Applying a change and then its inverse gets back to where it started
+  const events = createEvents(changes);
+  const state = { drivers: [{ id: 'a' }, { id: 'b' }, { id: 'c' }] };
+  events.forEach(event => applyEvent(state, event));
+  assert.deepEqual(state, { drivers: [{ id: 'a' }], personalInfo: { address } });
+  createEvents(invertChange(events)).forEach(event => applyEvent(state, event));
+  assert.deepEqual(state, { drivers: [{ id: 'a' }, { id: 'b' }, { id: 'c' }] });
+
+  console.log('✅ Merge and diff test passed');
+}
+
+async function testEventsAndProvenance() {
+  console.log('🧪 Testing recorded events and provenance...');
+
+  sessionManager.setStore(new MemorySessionStore());
+  const session = await sessionManager.createSession();
+  const context = { context: { sessionId: session.id } };
+
+  const utterance = await sessionManager.addConversationItem(session.id, 'user', "I'm Jane Smith, 1 Main St, Austin Texas 78701");
+  await collectPersonalInfoTool.invoke(context, JSON.stringify({ firstName: 'Jane', lastName: 'Smith', address }));
+
+  // The model repeats the name with a null address - the address stays
+  await sessionManager.addConversationItem(session.id, 'user', 'Actually it is Janet');
+  await collectPersonalInfoTool.invoke(context, JSON.stringify({ firstName: 'Janet', address: null }));
+
+  await sessionManager.updateVehicle(session.id, 1, { year: 2019, make: 'Honda', model: 'Civic' }, { source: 'collect_vehicle_info' });
+
+  const stored = await sessionManager.getSession(session.id);
+  assert.deepEqual(stored.data.personalInfo.address, address);
+  assert.equal(stored.data.personalInfo.firstName, 'Janet');
+
+  // The stored application is the projection of its events
+  const projected = projectApplication(stored.events);
+  assert.deepEqual(projected.personalInfo, { firstName: 'Janet', lastName: 'Smith', address });
+  assert.equal(projected.vehicles[0].make, 'Honda');
+
+  const nameChange = stored.events.find(event => event.path === 'personalInfo.firstName' && event.newValue === 'Janet');
+  assert.equal(nameChange.oldValue, 'Jane');
+  assert.equal(nameChange.source, 'collect_personal_info');
+  assert.ok(stored.events.every((event, index) => event.sequence === index + 1));
+
+  const zip = await sessionManager.getFieldProvenance(session.id, 'personalInfo.address.zipCode');
+  assert.equal(zip.value, '78701');
+  assert.equal(zip.setBy.source, 'collect_personal_info');
+  assert.equal(zip.setBy.transcriptItemId, utterance.id);
+  assert.equal(zip.setBy.utterance, utterance.content);
+
+  const name = await sessionManager.getFieldProvenance(session.id, 'personalInfo.firstName');
+  assert.deepEqual(name.changes.map(change => change.newValue), ['Janet', 'Jane']);
+  assert.equal(name.setBy.utterance, 'Actually it is Janet');
+
+  assert.equal((await sessionManager.getApplicationEvents(session.id, { path: 'vehicles.0.model' })).length, 1);
+  console.log('✅ Events and provenance test passed');
+}
+
+async function testUndo() {
+  console.log('🧪 Testing undo...');
+
+  sessionManager.setStore(new MemorySessionStore());
+  const session = await sessionManager.createSession();
+  await sessionManager.updateSessionData(session.id, { personalInfo: { firstName: 'Jane', address } });
+  await sessionManager.updateSessionData(session.id, { personalInfo: { firstName: 'Janet', phone: '512-555-0100' } });
+  await sessionManager.updateVehicle(session.id, 1, { year: 2019, make: 'Honda' });
+
+  let result = await sessionManager.undoLastChange(session.id);
+  assert.deepEqual(result.session.data.vehicles, []);
+  assert.equal(result.session.data.completionStatus.vehicles, 0);
+
+  result = await sessionManager.undoLastChange(session.id);
+  assert.equal(result.session.data.personalInfo.firstName, 'Jane');
+  assert.equal(result.session.data.personalInfo.phone, undefined);
+  assert.deepEqual(result.session.data.personalInfo.address, address);
+  assert.ok(result.undone.events.some(event => event.path === 'personalInfo.phone'));
+
+  // Undoing is recorded too, and an undo is never itself undone
+  const undoEvents = result.session.events.filter(event => event.source === 'undo');
+  assert.ok(undoEvents.every(event => event.revertsChangeId));
+
+  result = await sessionManager.undoLastChange(session.id);
+  assert.deepEqual(result.session.data.personalInfo, {});
+
+  result = await sessionManager.undoLastChange(session.id);
+  assert.equal(result.undone, null);
+
+  // A stale copy is rejected like any other write
+  await assert.rejects(() => sessionManager.undoLastChange(session.id, { expectedVersion: session.version }), /modified concurrently/);
+
+  console.log('✅ Undo test passed');
+}
+
+async function testImportedAnswers() {
+  console.log('🧪 Testing answers stored without events...');
+
+  const store = new MemorySessionStore();
+  sessionManager.setStore(store);
+  const session = await sessionManager.createSession();
+
+  // Saved by an older version: answers (still a single vehicleInfo) but no events
+  const { vehicles, drivers, ...legacyData } = session.data;
+  await store.put({
+    ...session,
+    events: [],
+    data: { ...legacyData, personalInfo: { firstName: 'Jane', address }, vehicleInfo: { year: 2019, make: 'Honda', model: 'Civic' } }
+  }, { expectedVersion: session.version });
+
+  const updated = await sessionManager.updateSessionData(session.id, { personalInfo: { phone: '512-555-0100' } }, { source: 'api' });
+  assert.deepEqual(updated.data.personalInfo, { firstName: 'Jane', address, phone: '512-555-0100' });
+  assert.equal(updated.data.vehicles[0].make, 'Honda');
+  assert.deepEqual([...new Set(updated.events.map(event => event.source))], ['imported', 'api']);
+  assert.deepEqual(projectApplication(updated.events).personalInfo, updated.data.personalInfo);
+  console.log('✅ Imported answers test passed');
+}
+
+// Run tests
+async function runAllTests() {
+  try {
+    await testMergeAndDiff();
+    await testEventsAndProvenance();
+    await testUndo();
+    await testImportedAnswers();
+
+    console.log('');
+    console.log('🎊 All Application Event Tests Passed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Test Suite Failed:', error);
+    process.exit(1);
+  }
+}
+
+// Check if this file is being run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testMergeAndDiff, testEventsAndProvenance, testUndo, testImportedAnswers };
@@ -0,0 +1,205 @@
+import assert from 'node:assert/strict';
+import VoiceAgentWebSocketServer from '../src/services/websocketServer.js';
+import {
+  Resampler,
+  OpusCodec,
+  encodeMulaw,
+  decodeMulaw,
+  encodeAlaw,
+  decodeAlaw,
+  createInputConverter,
+  createOutputConverter
+} from '../src/services/audio/index.js';
+import { encodeAudioFrame, decodeAudioFrame } from '../src/types/audioFrames.js';
+
+const SESSION_ID = 'session-1';
+
+// A 440Hz tone at half volume
+const tone = (sampleRate, length, offset = 0) => Int16Array.from({ length }, (_, i) => {
+  return Math.round(16000 * Math.sin(2 * Math.PI * 440 * (i + offset) / sampleRate));
+});
+
+const peak = (samples) => samples.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+
+async function testG711() {
+  console.log('🧪 Testing G.711 μ-law and A-law...');
+
+  // Reference values from ITU-T G.711
+  assert.deepEqual(Array.from(encodeMulaw(Int16Array.from([0, -1, 32767, -32768]))), [0xff, 0x7f, 0x80, 0x00]);
+  assert.deepEqual(Array.from(decodeMulaw(Uint8Array.from([0xff, 0x80, 0x00]))), [0, 32124, -32124]);
+  assert.deepEqual(Array.from(encodeAlaw(Int16Array.from([0, -1, 32767, -32768]))), [0xd5, 0x55, 0xaa, 0x2a]);
+  assert.deepEqual(Array.from(decodeAlaw(Uint8Array.from([0xd5, 0x55, 0xaa]))), [8, -8, 32256]);
+
+  // Companding loses precision in proportion to the level, never the signal
+  const samples = tone(8000, 400);
+  for (const [encode, decode] of [[encodeMulaw, decodeMulaw], [encodeAlaw, decodeAlaw]]) {
+    const decoded = decode(encode(samples));
+    samples.forEach((sample, i) => {
+      assert.ok(Math.abs(decoded[i] - sample) <= Math.max(16, Math.abs(sample) / 16), `${sample} became ${decoded[i]}`);
+    });
+  }
+
+  console.log('✅ G.711 test passed');
+}
+
+async function testResampler() {
+  console.log('🧪 Testing resampling...');
+
+  assert.equal(new Resampler(16000, 24000).process(tone(16000, 160)).length, 240);
+  assert.equal(new Resampler(24000, 8000).process(tone(24000, 480)).length, 160);
+  assert.equal(new Resampler(48000, 24000).process(tone(48000, 960)).length, 480);
+
+  // Chunk by chunk is the same as all at once
+  const whole = new Resampler(16000, 24000).process(tone(16000, 1600));
+  const streaming = new Resampler(16000, 24000);
+  const chunks = [0, 1, 2, 3, 4].map(i => Array.from(streaming.process(tone(16000, 320, i * 320))));
+  assert.deepEqual(chunks.flat(), Array.from(whole));
+
+  // A tone keeps its level through up- and downsampling
+  for (const [from, to] of [[8000, 24000], [16000, 24000], [24000, 8000], [48000, 24000]]) {
+    const resampled = new Resampler(from, to).process(tone(from, from / 10));
+    assert.ok(Math.abs(peak(resampled) - 16000) < 1600, `${from}->${to}Hz peak ${peak(resampled)}`);
+  }
+
+  console.log('✅ Resampling test passed');
+}
+
+async function testOpus() {
+  console.log('🧪 Testing Opus...');
+
+  const codec = new OpusCodec(24000);
+  try {
+    // 20ms frames: 110ms of audio makes five packets and leaves 10ms for the next call
+    const packets = codec.encode(tone(24000, 2640));
+    assert.equal(packets.length, 5);
+    assert.equal(codec.pending.length, 240);
+    assert.equal(codec.encode(tone(24000, 240, 2640)).length, 1);
+
+    const decoded = packets.map(packet => codec.decode(packet));
+    assert.ok(decoded.every(samples => samples.length === 480));
+    assert.ok(peak(decoded[4]) > 8000, 'the tone survives the round trip');
+
+    codec.encode(tone(24000, 100));
+    codec.reset();
+    assert.equal(codec.pending.length, 0);
+  } finally {
+    codec.close();
+  }
+
+  console.log('✅ Opus test passed');
+}
+
+async function testConverters() {
+  console.log('🧪 Testing format conversion...');
+
+  // Telephony audio in, the model's pcm16 at 24kHz out
+  const phoneIn = createInputConverter({ encoding: 'mulaw', sampleRate: 8000 });
+  assert.equal(phoneIn.convert(Buffer.from(encodeMulaw(tone(8000, 160)))).length, 480);
+
+  const phoneOut = createOutputConverter({ encoding: 'alaw', sampleRate: 8000 });
+  const [alaw] = phoneOut.convert(tone(24000, 480));
+  assert.equal(alaw.length, 160);
+
+  // pcm16 at the model's rate goes through untouched
+  const passthrough = createOutputConverter();
+  const samples = tone(24000, 48);
+  assert.deepEqual(Array.from(new Int16Array(passthrough.convert(samples)[0].buffer.slice(0))), Array.from(samples));
+
+  const opusOut = createOutputConverter({ encoding: 'opus', sampleRate: 48000 });
+  const opusIn = createInputConverter({ encoding: 'opus', sampleRate: 48000 });
+  try {
+    const packets = opusOut.convert(tone(24000, 960));
+    assert.equal(packets.length, 2);
+    assert.equal(opusIn.convert(packets[0]).length, 480);
+  } finally {
+    opusOut.close();
+    opusIn.close();
+  }
+
+  assert.throws(() => createInputConverter({ encoding: 'mp3', sampleRate: 24000 }), /Unsupported audio encoding/);
+
+  console.log('✅ Format conversion test passed');
+}
+
+async function testDeclaredFormat() {
+  console.log('🧪 Testing the format declared in session:start...');
+
+  const sent = [];
+  const forwarded = [];
+  const ws = {
+    OPEN: 1,
+    readyState: 1,
+    bufferedAmount: 0,
+    send: (message, options) => sent.push(options?.binary ? decodeAudioFrame(message) : JSON.parse(message))
+  };
+  const server = new VoiceAgentWebSocketServer(0);
+  server.protocolVersions.set(ws, 2);
+  server.activeSessions.set(ws, {
+    sessionId: SESSION_ID,
+    realtimeSession: { sendAudio: async (buffer) => forwarded.push(new Int16Array(buffer)) }
+  });
+  server.setAudioFormat(ws, { encoding: 'mulaw', sampleRate: 8000 });
+
+  // Caller audio reaches the model as pcm16 at 24kHz
+  const frame = (encoding, sampleRate, sequence) => encodeAudioFrame({
+    sessionId: SESSION_ID,
+    sequence,
+    sampleRate,
+    encoding,
+    data: Buffer.from(encodeMulaw(tone(8000, 160)))
+  });
+  await server.handleAudioFrame(ws, frame('mulaw', 8000, 0));
+  assert.equal(forwarded.length, 1);
+  assert.equal(forwarded[0].length, 480);
+
+  // Frames in another format than the declared one are refused
+  await server.handleAudioFrame(ws, frame('alaw', 8000, 1));
+  await server.handleAudioFrame(ws, frame('mulaw', 16000, 2));
+  assert.equal(forwarded.length, 1);
+  assert.deepEqual(sent.splice(0).map(message => message.payload.code), ['INVALID_MESSAGE', 'INVALID_MESSAGE']);
+
+  await server.handleMessage(ws, { type: 'audio:input', id: 'a1', payload: { audioData: [1, 2] } });
+  assert.equal(sent.pop().payload.code, 'INVALID_MESSAGE');
+
+  // Agent audio goes out in the declared format
+  const sessionEvents = { on: () => {}, emit: () => {} };
+  server.setupRealtimeSessionHandlers(ws, sessionEvents, SESSION_ID);
+  server.audioOutputs.get(ws).push({ source: 'session', responseId: 'resp-1', audio: tone(24000, 480) });
+  assert.equal(sent[0].encoding, 'mulaw');
+  assert.equal(sent[0].sampleRate, 8000);
+  assert.equal(sent[0].data.length, 160);
+  server.closeAudio(ws);
+
+  // Version 1 clients can only exchange pcm16
+  const legacy = {};
+  server.protocolVersions.set(legacy, 1);
+  assert.throws(() => server.checkAudioFormat(legacy, { encoding: 'opus', sampleRate: 48000 }), error => error.code === 'INVALID_MESSAGE');
+  server.checkAudioFormat(legacy, { encoding: 'pcm16', sampleRate: 16000 });
+
+  console.log('✅ Declared format test passed');
+}
+
+// Run tests
+async function runAllTests() {
+  try {
+    await testG711();
+    await testResampler();
+    await testOpus();
+    await testConverters();
+    await testDeclaredFormat();
+
+    console.log('');
+    console.log('🎊 All Audio Conversion Tests Passed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Test Suite Failed:', error);
+    process.exit(1);
+  }
+}
+
+// Check if this file is being run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testG711, testResampler, testOpus, testConverters, testDeclaredFormat };
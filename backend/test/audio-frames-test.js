@@ -0,0 +1,151 @@
+import assert from 'node:assert/strict';
+import VoiceAgentWebSocketServer from '../src/services/websocketServer.js';
+import {
+  encodeAudioFrame,
+  decodeAudioFrame,
+  toPcm16Samples,
+  REALTIME_SAMPLE_RATE
+} from '../src/types/audioFrames.js';
+
+const SESSION_ID = '6f1c2a9e-0d1b-4c8e-9a57-3b2d1e0f4a6c';
+
+// A connection with an active session whose realtime session records the audio it gets
+const mockConnection = (protocolVersion) => {
+  const sent = [];
+  const forwarded = [];
+  const ws = {
+    OPEN: 1,
+    readyState: 1,
+    send: (message, options) => sent.push(options?.binary ? decodeAudioFrame(message) : JSON.parse(message))
+  };
+  const server = new VoiceAgentWebSocketServer(0);
+  server.protocolVersions.set(ws, protocolVersion);
+  server.activeSessions.set(ws, {
+    sessionId: SESSION_ID,
+    realtimeSession: { sendAudio: async (buffer) => forwarded.push(Array.from(new Int16Array(buffer))) }
+  });
+  return { server, ws, sent, forwarded };
+};
+
+async function testFrameFormat() {
+  console.log('🧪 Testing the binary audio frame format...');
+
+  const samples = Int16Array.from([0, 1, -1, 32767, -32768]);
+  const frame = encodeAudioFrame({ sessionId: SESSION_ID, sequence: 7, sampleRate: 16000, samples });
+
+  // 12 byte header + 36 byte session id, then 2 bytes a sample
+  assert.equal(frame.readUInt8(1), 48);
+  assert.equal(frame.length, 48 + samples.length * 2);
+  assert.equal(frame.readInt16LE(48 + 6), 32767);
+
+  const decoded = decodeAudioFrame(frame);
+  assert.equal(decoded.sessionId, SESSION_ID);
+  assert.equal(decoded.sequence, 7);
+  assert.equal(decoded.sampleRate, 16000);
+  assert.deepEqual(Array.from(decoded.samples), Array.from(samples));
+
+  // Odd length session ids are padded so samples stay aligned
+  const padded = encodeAudioFrame({ sessionId: 'abc', sequence: 0, samples });
+  assert.equal(padded.readUInt8(1), 16);
+  assert.equal(decodeAudioFrame(padded).sampleRate, REALTIME_SAMPLE_RATE);
+
+  // Misaligned socket buffers decode the same
+  const shifted = Buffer.concat([Buffer.from([0]), frame]).subarray(1);
+  assert.deepEqual(Array.from(decodeAudioFrame(shifted).samples), Array.from(samples));
+
+  const invalid = (data) => assert.throws(() => decodeAudioFrame(data), error => error.code === 'INVALID_MESSAGE');
+  invalid(Buffer.from('{"type":"audio:input"}'));
+  invalid(Buffer.alloc(4));
+  invalid(frame.subarray(0, frame.length - 1));
+  invalid(Buffer.concat([Buffer.from([1, 200]), frame.subarray(2)]));
+
+  // Everything the realtime session hands out becomes the same samples
+  const bytes = Buffer.from(samples.buffer);
+  for (const audio of [bytes.toString('base64'), samples, Array.from(samples), samples.buffer.slice(0), new Uint8Array(bytes)]) {
+    assert.deepEqual(Array.from(toPcm16Samples(audio)), Array.from(samples));
+  }
+
+  console.log('✅ Binary audio frame format test passed');
+}
+
+async function testBinaryInput() {
+  console.log('🧪 Testing binary audio input...');
+
+  const { server, ws, sent, forwarded } = mockConnection(2);
+  const frame = (sequence, sessionId = SESSION_ID) => encodeAudioFrame({
+    sessionId,
+    sequence,
+    sampleRate: 24000,
+    samples: Int16Array.from([sequence, -sequence])
+  });
+
+  await server.handleAudioFrame(ws, frame(0));
+  await server.handleAudioFrame(ws, frame(1));
+  assert.deepEqual(forwarded, [[0, 0], [1, -1]]);
+
+  // Repeated and late frames are dropped, gaps are tolerated
+  await server.handleAudioFrame(ws, frame(1));
+  await server.handleAudioFrame(ws, frame(0));
+  await server.handleAudioFrame(ws, frame(5));
+  assert.deepEqual(forwarded, [[0, 0], [1, -1], [5, -5]]);
+  assert.equal(sent.length, 0);
+
+  await server.handleAudioFrame(ws, frame(6, 'someone-elses-session'));
+  assert.equal(sent.pop().payload.code, 'SESSION_FORBIDDEN');
+  await server.handleAudioFrame(ws, Buffer.from([9, 9, 9]));
+  assert.equal(sent.pop().payload.code, 'INVALID_MESSAGE');
+  assert.equal(forwarded.length, 3);
+
+  // JSON audio still works for clients that haven't moved over
+  await server.handleMessage(ws, { type: 'audio:input', payload: { sessionId: SESSION_ID, audioData: [3, 4] } });
+  assert.deepEqual(forwarded.pop(), [3, 4]);
+
+  console.log('✅ Binary audio input test passed');
+}
+
+async function testOutputByProtocolVersion() {
+  console.log('🧪 Testing audio output by protocol version...');
+
+  const chunk = (sequence) => ({ data: Buffer.from(Int16Array.from([10, -10, 20]).buffer), sequence, responseId: 'resp-1', itemId: 'item-1' });
+
+  const current = mockConnection(2);
+  current.server.sendAudioOutput(current.ws, SESSION_ID, chunk(0));
+  current.server.sendAudioOutput(current.ws, SESSION_ID, chunk(1));
+  assert.deepEqual(current.sent.map(frame => frame.sequence), [0, 1]);
+  assert.equal(current.sent[0].sessionId, SESSION_ID);
+  assert.equal(current.sent[0].sampleRate, REALTIME_SAMPLE_RATE);
+  assert.deepEqual(Array.from(current.sent[0].samples), [10, -10, 20]);
+
+  const legacy = mockConnection(1);
+  legacy.server.sendAudioOutput(legacy.ws, SESSION_ID, chunk(4));
+  assert.equal(legacy.sent[0].type, 'audio:output');
+  assert.deepEqual(legacy.sent[0].payload.audioData, [10, -10, 20]);
+  assert.equal(legacy.sent[0].payload.sequence, 4);
+  assert.equal(legacy.sent[0].payload.sampleRate, REALTIME_SAMPLE_RATE);
+  assert.equal(legacy.sent[0].payload.responseId, 'resp-1');
+
+  console.log('✅ Audio output by protocol version test passed');
+}
+
+// Run tests
+async function runAllTests() {
+  try {
+    await testFrameFormat();
+    await testBinaryInput();
+    await testOutputByProtocolVersion();
+
+    console.log('');
+    console.log('🎊 All Audio Frame Tests Passed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Test Suite Failed:', error);
+    process.exit(1);
+  }
+}
+
+// Check if this file is being run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testFrameFormat, testBinaryInput, testOutputByProtocolVersion };
@@ -0,0 +1,151 @@
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import VoiceAgentWebSocketServer from '../src/services/websocketServer.js';
+import { AudioOutputPipeline } from '../src/services/audioOutputPipeline.js';
+import { decodeAudioFrame, toPcm16Samples } from '../src/types/audioFrames.js';
+
+const SESSION_ID = 'session-1';
+
+// 240 samples = 10ms at 24kHz, as base64 like the realtime API's deltas
+const delta = (value) => Buffer.from(Int16Array.from({ length: 240 }, () => value).buffer).toString('base64');
+
+const mockPipeline = (options = {}) => {
+  const audio = [];
+  const truncations = [];
+  const pipeline = new AudioOutputPipeline({
+    sendAudio: chunk => audio.push(chunk),
+    sendTruncate: truncation => truncations.push(truncation),
+    ...options
+  });
+  return { pipeline, audio, truncations };
+};
+
+async function testOneSourcePerResponse() {
+  console.log('🧪 Testing one audio source per response...');
+
+  const { pipeline, audio } = mockPipeline();
+
+  // Every delta arrives twice, once from each source
+  for (const value of [1, 2]) {
+    assert.equal(pipeline.push({ source: 'transport', responseId: 'resp-1', itemId: 'item-1', audio: delta(value) }), true);
+    assert.equal(pipeline.push({ source: 'session', responseId: 'resp-1', audio: Buffer.from(delta(value), 'base64') }), false);
+  }
+
+  // The next response can be claimed by the other source
+  assert.equal(pipeline.push({ source: 'session', responseId: 'resp-2', audio: Buffer.from(delta(3), 'base64') }), true);
+  assert.equal(pipeline.push({ source: 'transport', responseId: 'resp-2', itemId: 'item-2', audio: delta(3) }), false);
+
+  assert.deepEqual(audio.map(chunk => [chunk.sequence, chunk.responseId, chunk.itemId, toPcm16Samples(chunk.data)[0]]), [
+    [0, 'resp-1', 'item-1', 1],
+    [1, 'resp-1', 'item-1', 2],
+    [2, 'resp-2', null, 3]
+  ]);
+
+  // Empty chunks aren't sent
+  assert.equal(pipeline.push({ source: 'session', responseId: 'resp-2', audio: '' }), false);
+
+  console.log('✅ One audio source per response test passed');
+}
+
+async function testInterruption() {
+  console.log('🧪 Testing barge-in...');
+
+  let backedUp = true;
+  const { pipeline, audio, truncations } = mockPipeline({ isBackpressured: () => backedUp });
+
+  backedUp = false;
+  pipeline.push({ source: 'transport', responseId: 'resp-1', itemId: 'item-1', audio: delta(1) });
+  pipeline.push({ source: 'transport', responseId: 'resp-1', itemId: 'item-1', audio: delta(2) });
+
+  // With the socket backed up, chunks wait in the queue
+  backedUp = true;
+  pipeline.push({ source: 'transport', responseId: 'resp-1', itemId: 'item-1', audio: delta(3) });
+  assert.equal(audio.length, 2);
+  assert.equal(pipeline.queue.length, 1);
+
+  // Barging in drops the queue and tells the client where the audio stopped
+  assert.deepEqual(pipeline.interrupt(), { responseId: 'resp-1', itemId: 'item-1', lastSequence: 1, audioEndMs: 20 });
+  assert.equal(pipeline.queue.length, 0);
+  assert.equal(truncations.length, 1);
+
+  // Late deltas of the interrupted response are ignored, and it is only truncated once
+  backedUp = false;
+  assert.equal(pipeline.push({ source: 'transport', responseId: 'resp-1', itemId: 'item-1', audio: delta(4) }), false);
+  assert.equal(pipeline.interrupt(), null);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(audio.length, 2);
+
+  // Sequence numbers carry on with the next response
+  pipeline.push({ source: 'transport', responseId: 'resp-2', itemId: 'item-2', audio: delta(5) });
+  assert.equal(audio.pop().sequence, 2);
+
+  pipeline.close();
+
+  console.log('✅ Barge-in test passed');
+}
+
+async function testServerPipeline() {
+  console.log('🧪 Testing the server audio pipeline...');
+
+  const sent = [];
+  const ws = {
+    OPEN: 1,
+    readyState: 1,
+    bufferedAmount: 0,
+    send: (message, options) => sent.push(options?.binary ? decodeAudioFrame(message) : JSON.parse(message))
+  };
+  const server = new VoiceAgentWebSocketServer(0);
+  server.protocolVersions.set(ws, 2);
+  const realtimeSession = new EventEmitter();
+  server.setupRealtimeSessionHandlers(ws, realtimeSession, SESSION_ID);
+
+  // The same delta as a transport event and as the session's audio event
+  const audioDelta = { type: 'response.audio.delta', response_id: 'resp-1', item_id: 'item-1', content_index: 0, delta: delta(7) };
+  realtimeSession.emit('transport_event', audioDelta);
+  realtimeSession.emit('audio', { type: 'audio', data: Buffer.from(delta(7), 'base64').buffer, responseId: 'resp-1' });
+  realtimeSession.emit('transport_event', { ...audioDelta, delta: delta(8) });
+  realtimeSession.emit('audio', { type: 'audio', data: Buffer.from(delta(8), 'base64').buffer, responseId: 'resp-1' });
+  realtimeSession.emit('transport_event', { type: 'response.audio.done', response_id: 'resp-1', item_id: 'item-1' });
+
+  assert.deepEqual(sent.map(frame => [frame.sequence, frame.samples[0]]), [[0, 7], [1, 8]]);
+
+  // The caller starts talking
+  realtimeSession.emit('transport_event', { type: 'input_audio_buffer.speech_started', item_id: 'item-9' });
+  realtimeSession.emit('audio_interrupted');
+  realtimeSession.emit('transport_event', { ...audioDelta, delta: delta(9) });
+
+  assert.equal(sent.length, 3);
+  const truncate = sent[2];
+  assert.equal(truncate.type, 'audio:truncate');
+  assert.equal(truncate.payload.sessionId, SESSION_ID);
+  assert.equal(truncate.payload.itemId, 'item-1');
+  assert.equal(truncate.payload.lastSequence, 1);
+  assert.equal(truncate.payload.audioEndMs, 20);
+
+  server.audioOutputs.get(ws).close();
+
+  console.log('✅ Server audio pipeline test passed');
+}
+
+// Run tests
+async function runAllTests() {
+  try {
+    await testOneSourcePerResponse();
+    await testInterruption();
+    await testServerPipeline();
+
+    console.log('');
+    console.log('🎊 All Audio Output Pipeline Tests Passed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Test Suite Failed:', error);
+    process.exit(1);
+  }
+}
+
+// Check if this file is being run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testOneSourcePerResponse, testInterruption, testServerPipeline };
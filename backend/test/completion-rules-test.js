@@ -0,0 +1,178 @@
+import assert from 'node:assert/strict';
+import { calculateCompletion, describeMissingField } from '../src/services/completionRules.js';
+import { fieldPath } from '../src/services/applicationEvents.js';
+
+const createApplication = () => ({
+  personalInfo: {
+    firstName: 'Jane',
+    lastName: 'Smith',
+    dateOfBirth: '1985-04-12',
+    phone: '555-123-4567',
+    address: { street: '1 Main St', city: 'Columbus', state: 'OH', zipCode: '43215' }
+  },
+  vehicles: [
+    {
+      id: 'vehicle-1',
+      year: 2019,
+      make: 'Honda',
+      model: 'Civic',
+      vin: '1HGCM82633A004352',
+      primaryUse: 'commuting',
+      annualMileage: 9000,
+      ownershipStatus: 'owned'
+    }
+  ],
+  drivers: [
+    { id: 'driver-1', relationship: 'self', licenseNumber: 'D1234567', licenseState: 'OH', yearsLicensed: 20, incidentsReviewed: true }
+  ],
+  coveragePrefs: {
+    liabilityLimits: { bodilyInjury: 100000, propertyDamage: 50000 },
+    comprehensive: { selected: false },
+    collision: { selected: false },
+    policyStartDate: '2026-11-01'
+  },
+  currentPolicy: { currentlyInsured: false }
+});
+
+// Completion as if the customer confirmed every section as it stands now
+const SECTIONS = ['personalInfo', 'vehicles', 'drivers', 'coveragePrefs', 'currentPolicy'];
+const scoreConfirmed = (application) => calculateCompletion({
+  ...application,
+  confirmations: Object.fromEntries(SECTIONS.map(section => [
+    section,
+    { status: 'confirmed', value: JSON.parse(JSON.stringify(application[section] ?? null)), updatedAt: new Date() }
+  ]))
+});
+
+async function testCompleteApplication() {
+  console.log('🧪 Testing a quote-ready application...');
+
+  const status = scoreConfirmed(createApplication());
+  assert.equal(status.overall, 100);
+  assert.equal(status.byVehicle['vehicle-1'], 100);
+
+  // Optional fields are still offered as follow-up questions
+  assert.ok(status.missingFields.length > 0);
+  assert.ok(status.missingFields.every(field => !field.required));
+  assert.ok(status.missingFields.some(field => field.path === 'personalInfo.email'));
+  console.log('✅ Quote-ready application test passed');
+}
+
+async function testConditionalFields() {
+  console.log('🧪 Testing conditional requirements...');
+
+  // Financed vehicles need a lienholder
+  const financed = createApplication();
+  financed.vehicles[0].ownershipStatus = 'financed';
+  let status = scoreConfirmed(financed);
+  assert.ok(status.byVehicle['vehicle-1'] < 100);
+  const [lienholder] = status.missingFields;
+  assert.equal(lienholder.path, 'vehicles.0.lienholder');
+  assert.equal(describeMissingField(lienholder), 'lienholder or leasing company (vehicle 1)');
+
+  financed.vehicles[0].lienholder = 'Honda Financial Services';
+  assert.equal(scoreConfirmed(financed).byVehicle['vehicle-1'], 100);
+
+  // Choosing collision makes its deductible required
+  const collision = createApplication();
+  collision.coveragePrefs.collision = { selected: true };
+  status = scoreConfirmed(collision);
+  assert.equal(status.missingFields[0].path, 'coveragePrefs.collision.deductible');
+
+  // A second driver needs their own details, and each vehicle a primary driver
+  const household = createApplication();
+  household.drivers.push({ id: 'driver-2', relationship: 'spouse', firstName: 'Sam' });
+  status = scoreConfirmed(household);
+  const required = status.missingFields.filter(field => field.required).map(field => field.path);
+  assert.ok(required.includes('vehicles.0.primaryDriverId'));
+  assert.ok(required.includes('drivers.1.dateOfBirth'));
+  assert.ok(!required.includes('drivers.0.dateOfBirth'));
+
+  // Driving history counts only once incidents were asked about
+  const unasked = createApplication();
+  delete unasked.drivers[0].incidentsReviewed;
+  status = scoreConfirmed(unasked);
+  assert.equal(status.missingFields[0].label, 'accidents, tickets and claims in the last 5 years');
+  assert.equal(status.byDriver['driver-1'], 57);
+  console.log('✅ Conditional requirements test passed');
+}
+
+async function testWeights() {
+  console.log('🧪 Testing weighted completion...');
+
+  // Year, make and model outweigh the VIN
+  const withoutVin = createApplication();
+  delete withoutVin.vehicles[0].vin;
+  const withoutMake = createApplication();
+  delete withoutMake.vehicles[0].make;
+  assert.ok(scoreConfirmed(withoutVin).byVehicle['vehicle-1'] > scoreConfirmed(withoutMake).byVehicle['vehicle-1']);
+
+  // An empty application asks for a vehicle and the applicant's driving history
+  const empty = calculateCompletion({});
+  assert.equal(empty.overall, 0);
+  assert.ok(empty.missingFields.some(field => field.path === 'vehicles' && field.required));
+  assert.ok(empty.missingFields.some(field => field.path === 'drivers' && field.required));
+  console.log('✅ Weighted completion test passed');
+}
+
+async function testConfirmationRequired() {
+  console.log('🧪 Testing that only confirmed fields count...');
+
+  // Recorded but never read back: nothing counts yet, and every field waits on the customer
+  const heard = calculateCompletion(createApplication());
+  assert.equal(heard.byVehicle['vehicle-1'], 0);
+  assert.ok(heard.missingFields.some(field => field.path === 'vehicles.0.vin' && field.status === 'captured'));
+
+  // One field disputed - it is asked about before the ones only waiting on a read-back
+  const application = createApplication();
+  const confirmed = { status: 'confirmed', value: { ...application.vehicles[0] }, updatedAt: new Date() };
+  application.confirmations = {
+    'vehicles.0': confirmed,
+    'vehicles.0.vin': { status: 'disputed', value: application.vehicles[0].vin, updatedAt: new Date() }
+  };
+  let status = calculateCompletion(application);
+  assert.ok(status.byVehicle['vehicle-1'] < 100);
+  const [vin] = status.missingFields;
+  assert.equal(vin.path, 'vehicles.0.vin');
+  // Named the way confirm_fields takes it
+  assert.deepEqual([vin.section, vin.field, vin.number], ['vehicles', 'vin', 1]);
+  assert.equal(fieldPath(vin), vin.path);
+  assert.equal(describeMissingField(vin), 'VIN (vehicle 1) - disputed');
+  assert.equal(describeMissingField(status.missingFields.find(field => field.path === 'personalInfo.firstName')), 'first name - to confirm');
+
+  // A corrected VIN has to be confirmed again; the rest of the vehicle stays confirmed
+  application.vehicles[0].vin = '2HGFC2F59JH000000';
+  status = calculateCompletion(application);
+  assert.equal(status.missingFields.find(field => field.path === 'vehicles.0.vin').status, 'captured');
+  application.confirmations['vehicles.0.vin'] = { status: 'confirmed', value: application.vehicles[0].vin, updatedAt: new Date() };
+  assert.equal(calculateCompletion(application).byVehicle['vehicle-1'], 100);
+
+  // Changing a confirmed answer takes it back to captured
+  application.vehicles[0].annualMileage = 12000;
+  assert.ok(calculateCompletion(application).byVehicle['vehicle-1'] < 100);
+  console.log('✅ Confirmation requirement test passed');
+}
+
+// Run tests
+async function runAllTests() {
+  try {
+    await testCompleteApplication();
+    await testConditionalFields();
+    await testWeights();
+    await testConfirmationRequired();
+
+    console.log('');
+    console.log('🎊 All Completion Rules Tests Passed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Test Suite Failed:', error);
+    process.exit(1);
+  }
+}
+
+// Check if this file is being run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testCompleteApplication, testConditionalFields, testWeights, testConfirmationRequired };
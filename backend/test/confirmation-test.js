@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import sessionManager from '../src/services/sessionManager.js';
+import { MemorySessionStore } from '../src/services/sessionStore/index.js';
+import { fieldStatus, formatReadBack } from '../src/services/fieldConfirmation.js';
+import { spellForSpeech } from '../src/services/vehicleCatalog/vinDecoder.js';
+import { collectPersonalInfoTool, collectDrivingHistoryTool } from '../src/agents/insuranceTools.js';
+import { confirmFieldsTool } from '../src/agents/confirmationTools.js';
+
+async function testFieldStatus() {
+  console.log('🧪 Testing field confirmation states...');
+
+  const application = {
+    personalInfo: { email: 'jo@x.io', address: { city: 'Austin', zipCode: '78701' } },
+    confirmations: {
+      'personalInfo.address.city': { status: 'confirmed', value: 'Austin', updatedAt: new Date() },
+      'personalInfo.address.zipCode': { status: 'read_back', value: '78701', updatedAt: new Date() }
+    }
+  };
+  assert.equal(fieldStatus(application, 'personalInfo.email'), 'captured');
+  assert.equal(fieldStatus(application, 'personalInfo.phone'), null);
+  assert.equal(fieldStatus(application, 'personalInfo.address.city'), 'confirmed');
+
+  // An object is as far along as its least confirmed part
+  assert.equal(fieldStatus(application, 'personalInfo.address'), 'read_back');
+
+  assert.equal(spellForSpeech('jo@x.io'), 'J as in Juliet, O as in Oscar, at, X as in X-ray, dot, I as in India, O as in Oscar');
+  assert.equal(formatReadBack('personalInfo.email', 'jo@x.io'), `jo@x.io, spelled ${spellForSpeech('jo@x.io')}`);
+  assert.equal(formatReadBack('personalInfo.firstName', 'Jo'), 'Jo');
+  console.log('✅ Field confirmation states test passed');
+}
+
+async function testConfirmFieldsTool() {
+  console.log('🧪 Testing confirm_fields...');
+
+  sessionManager.setStore(new MemorySessionStore());
+  const session = await sessionManager.createSession();
+  const context = { context: { sessionId: session.id } };
+  const invoke = (tool, args) => tool.invoke(context, JSON.stringify(args));
+
+  await invoke(collectPersonalInfoTool, { firstName: 'Jane', email: 'jane@example.com' });
+  await invoke(collectDrivingHistoryTool, { licenseNumber: 'D1234567', licenseState: 'TX' });
+
+  // What was heard is recorded but doesn't count yet
+  let stored = await sessionManager.getSession(session.id);
+  assert.equal(stored.data.completionStatus.personalInfo, 0);
+
+  const readBack = await invoke(confirmFieldsTool, {
+    status: 'read_back',
+    fields: [{ section: 'personalInfo', field: 'email' }, { section: 'drivers', field: 'licenseNumber' }]
+  });
+  assert.match(readBack, /email address: jane@example\.com, spelled J as in Juliet, A as in Alpha, N as in November, E as in Echo, at, E as in Echo/);
+  assert.match(readBack, /license number \(driver 1\): D1234567, spelled D as in Delta, 1, 2/);
+  stored = await sessionManager.getSession(session.id);
+  assert.equal(fieldStatus(stored.data, 'personalInfo.email'), 'read_back');
+
+  // Confirming the name counts it; the disputed license number has to be asked again
+  const confirmed = await invoke(confirmFieldsTool, { status: 'confirmed', fields: [{ section: 'personalInfo', field: 'firstName' }] });
+  assert.match(confirmed, /^Confirmed: first name\. The application is now \d+% complete\./);
+  stored = await sessionManager.getSession(session.id);
+  assert.ok(stored.data.completionStatus.personalInfo > 0);
+
+  const disputed = await invoke(confirmFieldsTool, { status: 'disputed', fields: [{ section: 'drivers', field: 'licenseNumber', number: 1 }] });
+  assert.match(disputed, /Marked as wrong: license number \(driver 1\)/);
+  stored = await sessionManager.getSession(session.id);
+  const license = stored.data.completionStatus.missingFields.find(field => field.path === 'drivers.0.licenseNumber');
+  assert.equal(license.status, 'disputed');
+
+  // The corrected value starts over as captured
+  await invoke(collectDrivingHistoryTool, { licenseNumber: 'D7654321' });
+  stored = await sessionManager.getSession(session.id);
+  assert.equal(fieldStatus(stored.data, 'drivers.0.licenseNumber'), 'captured');
+
+  // A whole driver can be confirmed at once; fields nobody gave are reported
+  await invoke(confirmFieldsTool, { status: 'confirmed', fields: [{ section: 'drivers', number: 1 }] });
+  stored = await sessionManager.getSession(session.id);
+  assert.equal(fieldStatus(stored.data, 'drivers.0.licenseNumber'), 'confirmed');
+  assert.match(await invoke(confirmFieldsTool, { status: 'read_back', fields: [{ section: 'personalInfo', field: 'phone' }] }), /Nothing is recorded yet for phone number/);
+
+  // Typed in values are confirmed as they are saved
+  const typed = await sessionManager.updateSessionData(session.id, { personalInfo: { lastName: 'Smith' } }, { source: 'api', confirmed: true });
+  assert.equal(fieldStatus(typed.data, 'personalInfo.lastName'), 'confirmed');
+
+  console.log('✅ confirm_fields test passed');
+}
+
+// Run tests
+async function runAllTests() {
+  try {
+    await testFieldStatus();
+    await testConfirmFieldsTool();
+
+    console.log('');
+    console.log('🎊 All Confirmation Tests Passed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Test Suite Failed:', error);
+    process.exit(1);
+  }
+}
+
+// Check if this file is being run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testFieldStatus, testConfirmFieldsTool };
@@ -0,0 +1,183 @@
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import sessionManager from '../src/services/sessionManager.js';
+import { MemorySessionStore } from '../src/services/sessionStore/index.js';
+import VoiceAgentWebSocketServer from '../src/services/websocketServer.js';
+import {
+  createConnectionTokens,
+  readConnectionToken,
+  setConnectionTokens
+} from '../src/services/connectionTokens.js';
+import { createResumeAttemptLimiter, setResumeAttemptLimiter } from '../src/services/resumeAttempts.js';
+
+const tokens = createConnectionTokens({ WS_TOKEN_SECRET: 'test-secret', WS_TOKEN_TTL: '60000' });
+
+async function testTokens() {
+  console.log('🧪 Testing connection tokens...');
+
+  const { token, principal } = tokens.issue();
+  assert.equal(tokens.verify(token).principal, principal);
+  assert.equal(tokens.verify(tokens.issue('caller-1').token).principal, 'caller-1');
+
+  const expectCode = (code, fn) => assert.throws(fn, error => error.code === code);
+  expectCode('TOKEN_EXPIRED', () => tokens.verify(tokens.issue('caller-1', Date.now() - 120000).token));
+  expectCode('INVALID_TOKEN', () => tokens.verify(`${token}x`));
+  expectCode('INVALID_TOKEN', () => tokens.verify(createConnectionTokens({ WS_TOKEN_SECRET: 'other' }).issue('caller-1').token));
+  expectCode('INVALID_TOKEN', () => tokens.verify(undefined));
+
+  // Swapping in another principal breaks the signature
+  const [, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'caller-2', iat: Date.now(), exp: Date.now() + 60000 })).toString('base64url');
+  expectCode('INVALID_TOKEN', () => tokens.verify(`${forged}.${signature}`));
+
+  assert.throws(() => createConnectionTokens({ NODE_ENV: 'production' }), /WS_TOKEN_SECRET is required/);
+
+  assert.equal(readConnectionToken({ headers: { authorization: 'Bearer abc.def' }, url: '/' }), 'abc.def');
+  assert.equal(readConnectionToken({ headers: {}, url: '/?token=abc.def' }), 'abc.def');
+  assert.equal(readConnectionToken({ headers: {}, url: '/' }), null);
+
+  console.log('✅ Connection token test passed');
+}
+
+// Resolves with the status of a rejected upgrade, or 101 once connected
+const connect = (port, query = '') => new Promise((resolve, reject) => {
+  const client = new WebSocket(`ws://localhost:${port}${query}`);
+  client.on('unexpected-response', (request, response) => resolve({ status: response.statusCode }));
+  client.on('message', data => {
+    resolve({ status: 101, client, message: JSON.parse(data.toString()) });
+  });
+  client.on('error', reject);
+});
+
+async function testHandshake() {
+  console.log('🧪 Testing the WebSocket handshake...');
+
+  setConnectionTokens(tokens);
+  const server = new VoiceAgentWebSocketServer(0);
+  server.start();
+  await new Promise(resolve => server.wss.once('listening', resolve));
+  const { port } = server.wss.address();
+
+  try {
+    assert.equal((await connect(port)).status, 401);
+    assert.equal((await connect(port, '?token=nope')).status, 401);
+    assert.equal((await connect(port, `?token=${tokens.issue('caller-1', Date.now() - 120000).token}`)).status, 401);
+
+    const { status, client, message } = await connect(port, `?token=${tokens.issue('caller-1').token}`);
+    assert.equal(status, 101);
+    assert.equal(message.type, 'connection:established');
+
+    // Nothing starts until the client asks
+    assert.equal(server.autoStart, false);
+    await new Promise(resolve => setTimeout(resolve, 1200));
+    assert.equal(server.activeSessions.size, 0);
+    client.close();
+  } finally {
+    await server.stop();
+  }
+
+  console.log('✅ WebSocket handshake test passed');
+}
+
+async function testSessionOwnership() {
+  console.log('🧪 Testing session ownership...');
+
+  sessionManager.setStore(new MemorySessionStore());
+  const mine = await sessionManager.createSession('caller-1');
+  const theirs = await sessionManager.createSession('caller-2');
+
+  const sent = [];
+  const ws = { OPEN: 1, readyState: 1, send: message => sent.push(JSON.parse(message)) };
+  const server = new VoiceAgentWebSocketServer(0);
+  server.principals.set(ws, 'caller-1');
+
+  assert.equal((await server.getOwnedSession(ws, mine.id)).id, mine.id);
+  assert.equal(await server.getOwnedSession(ws, theirs.id), null);
+
+  // Another principal's session looks like an unknown one
+  await server.handleMessage(ws, { type: 'session:start', payload: { sessionId: theirs.id } });
+  assert.equal(sent.pop().payload.error, 'Failed to start session: Session not found or expired');
+
+  // Messages naming any session but the connection's own are rejected
+  await server.handleMessage(ws, { type: 'session:status', payload: { sessionId: mine.id } });
+  assert.equal(sent.pop().payload.error, 'Session does not belong to this connection');
+
+  server.activeSessions.set(ws, { sessionId: mine.id, realtimeSession: null });
+  await server.handleMessage(ws, { type: 'text:input', payload: { sessionId: theirs.id, message: 'hi' } });
+  assert.equal(sent.pop().payload.error, 'Session does not belong to this connection');
+  await server.handleMessage(ws, { type: 'session:start', payload: { sessionId: theirs.id } });
+  assert.equal(sent.pop().payload.error, 'Session does not belong to this connection');
+
+  await server.handleMessage(ws, { type: 'session:status', payload: { sessionId: mine.id } });
+  assert.equal(sent.pop().type, 'session:status');
+
+  // A resume code moves a paused session to whoever presents it
+  assert.equal(await sessionManager.resumeSession(theirs.resumeCode, { userId: 'caller-1' }), null);
+  await sessionManager.pauseSession(theirs.id);
+  const resumed = await sessionManager.resumeSession(theirs.resumeCode, { userId: 'caller-1' });
+  assert.equal(resumed.userId, 'caller-1');
+
+  console.log('✅ Session ownership test passed');
+}
+
+async function testResumeLockout() {
+  console.log('🧪 Testing resume lockout...');
+
+  sessionManager.setStore(new MemorySessionStore());
+  setResumeAttemptLimiter(createResumeAttemptLimiter({ RESUME_MAX_ATTEMPTS: '3' }));
+  const session = await sessionManager.createSession('caller-2');
+  await sessionManager.updateSessionData(session.id, { personalInfo: { address: { zipCode: '90210' } } });
+  await sessionManager.pauseSession(session.id);
+
+  const sent = [];
+  const ws = { OPEN: 1, readyState: 1, send: message => sent.push(JSON.parse(message)), _socket: { remoteAddress: '203.0.113.7' } };
+  const server = new VoiceAgentWebSocketServer(0);
+  server.principals.set(ws, 'caller-1');
+
+  // A guessed code and a right code with the wrong ZIP fail alike
+  await server.handleMessage(ws, { type: 'session:resume', payload: { resumeCode: 'ZZZZZZ' } });
+  const { code, error } = sent.pop().payload;
+  assert.equal(code, 'SESSION_NOT_FOUND');
+  const refusal = ({ payload }) => [payload.code, payload.error];
+  await server.handleMessage(ws, { type: 'session:resume', payload: { resumeCode: session.resumeCode, verification: { zipCode: '10001' } } });
+  assert.deepEqual(refusal(sent.pop()), [code, error]);
+
+  // So does a session still open on another connection, even with the right ZIP
+  const otherWs = { OPEN: 1, readyState: 1, send: () => {} };
+  server.activeSessions.set(otherWs, { sessionId: session.id, realtimeSession: null });
+  await server.handleMessage(ws, { type: 'session:resume', payload: { resumeCode: session.resumeCode, verification: { zipCode: '90210' } } });
+  assert.deepEqual(refusal(sent.pop()), [code, error]);
+  server.activeSessions.delete(otherWs);
+
+  // Locked out now, even with the right answer
+  await server.handleMessage(ws, { type: 'session:resume', payload: { resumeCode: session.resumeCode, verification: { zipCode: '90210' } } });
+  assert.equal(sent.pop().payload.code, 'RESUME_RATE_LIMITED');
+  assert.equal((await sessionManager.getSession(session.id)).userId, 'caller-2');
+
+  setResumeAttemptLimiter(null);
+  console.log('✅ Resume lockout test passed');
+}
+
+// Run tests
+async function runAllTests() {
+  try {
+    await testTokens();
+    await testHandshake();
+    await testSessionOwnership();
+    await testResumeLockout();
+
+    console.log('');
+    console.log('🎊 All Connection Auth Tests Passed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Test Suite Failed:', error);
+    process.exit(1);
+  }
+}
+
+// Check if this file is being run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testTokens, testHandshake, testSessionOwnership, testResumeLockout };
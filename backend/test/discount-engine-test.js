@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import sessionManager from '../src/services/sessionManager.js';
+import { rateApplication } from '../src/services/rating/ratingEngine.js';
+import { loadDiscountRules, evaluateDiscounts, applyDiscountsToQuote } from '../src/services/rating/discountEngine.js';
+
+const AS_OF = new Date('2026-10-19T00:00:00Z');
+
+const createApplication = () => ({
+  personalInfo: {
+    dateOfBirth: '1985-04-12',
+    address: { street: '1 Main St', city: 'Columbus', state: 'OH', zipCode: '43215' }
+  },
+  vehicles: [
+    { id: 'vehicle-1', year: 2019, make: 'Honda', model: 'Civic', primaryUse: 'pleasure', safetyFeatures: [] }
+  ],
+  drivers: [
+    { id: 'driver-1', relationship: 'self', yearsLicensed: 20, accidents: [], violations: [], claims: [] }
+  ],
+  coveragePrefs: {
+    liabilityLimits: { bodilyInjury: 100000, propertyDamage: 50000 }
+  }
+});
+
+const byId = (evaluation) => Object.fromEntries(evaluation.discounts.map(discount => [discount.id, discount]));
+
+async function testStateRules() {
+  console.log('🧪 Testing per-state discount rules...');
+
+  const defaults = loadDiscountRules('OH');
+  assert.equal(defaults.state, 'default');
+  assert.equal(defaults.rules.find(rule => rule.id === 'good_driver').percent, 10);
+
+  const california = loadDiscountRules('ca');
+  assert.equal(california.state, 'CA');
+  assert.equal(california.rules.find(rule => rule.id === 'good_driver').percent, 20);
+  assert.equal(california.rules.length, defaults.rules.length);
+
+  assert.equal(loadDiscountRules('NY').rules.find(rule => rule.id === 'defensive_driving').percent, 10);
+  console.log('✅ Per-state discount rules test passed');
+}
+
+async function testEligibility() {
+  console.log('🧪 Testing discount eligibility...');
+
+  let discounts = byId(evaluateDiscounts(createApplication(), { asOf: AS_OF }));
+  assert.equal(discounts.good_driver.status, 'eligible');
+  assert.equal(discounts.multi_car.status, 'ineligible');
+  assert.equal(discounts.low_mileage.status, 'unknown');
+  assert.equal(discounts.low_mileage.explanation, 'Ask roughly how many miles a year each vehicle is driven');
+  assert.equal(discounts.paid_in_full.status, 'unknown');
+
+  const household = createApplication();
+  household.vehicles[0].safetyFeatures = ['Automatic Emergency Braking', 'heated seats'];
+  household.vehicles[0].parkingLocation = 'garage';
+  household.vehicles.push({ id: 'vehicle-2', year: 2024, make: 'Toyota', model: 'RAV4', annualMileage: 5000, primaryDriverId: 'driver-2' });
+  household.drivers.push({
+    id: 'driver-2',
+    relationship: 'spouse',
+    dateOfBirth: '1960-01-01',
+    yearsLicensed: 40,
+    defensiveDriving: true,
+    accidents: [{ date: '2025-02-01', description: 'Backed into a pole', atFault: true }]
+  });
+  household.coveragePrefs.payInFull = true;
+
+  discounts = byId(evaluateDiscounts(household, { asOf: AS_OF }));
+  assert.equal(discounts.multi_car.status, 'eligible');
+  assert.equal(discounts.multi_car.explanation, '2 vehicles insured on one policy');
+  assert.deepEqual(discounts.good_driver.vehicleIds, ['vehicle-1']);
+  assert.equal(discounts.safety_features.explanation, 'Automatic Emergency Braking on 2019 Honda Civic');
+  assert.deepEqual(discounts.garage_parking.vehicleIds, ['vehicle-1']);
+  assert.deepEqual(discounts.low_mileage.vehicleIds, ['vehicle-2']);
+  assert.deepEqual(discounts.defensive_driving.vehicleIds, ['vehicle-2']);
+  assert.equal(discounts.paid_in_full.status, 'eligible');
+
+  // Florida only gives the course discount to drivers 55 and older
+  household.personalInfo.address.state = 'FL';
+  household.drivers[1].dateOfBirth = '1990-01-01';
+  discounts = byId(evaluateDiscounts(household, { asOf: AS_OF }));
+  assert.equal(discounts.defensive_driving.status, 'ineligible');
+  console.log('✅ Discount eligibility test passed');
+}
+
+async function testQuoteSavings() {
+  console.log('🧪 Testing discount savings on a quote...');
+
+  const application = createApplication();
+  application.coveragePrefs.payInFull = true;
+  const quote = rateApplication(application, { asOf: AS_OF });
+  const savings = applyDiscountsToQuote(quote, evaluateDiscounts(application, { asOf: AS_OF }));
+
+  // Good driver 10% then paid in full 7% on BI 231.26 and PD 99.11
+  const [goodDriver, paidInFull] = savings.discounts;
+  assert.equal(goodDriver.id, 'good_driver');
+  assert.equal(goodDriver.savings, 33.04);
+  assert.equal(paidInFull.savings, 20.81);
+  assert.equal(savings.totalSavings, 53.85);
+  assert.equal(savings.discountedPremium, Math.round((quote.totalPremium - 53.85) * 100) / 100);
+
+  // Stacked discounts never exceed the cap on a coverage
+  const capped = applyDiscountsToQuote(quote, {
+    maxTotalPercent: 40,
+    discounts: [
+      { id: 'a', name: 'A', percent: 30, status: 'eligible', vehicleIds: ['vehicle-1'], coverages: 'all' },
+      { id: 'b', name: 'B', percent: 30, status: 'eligible', vehicleIds: ['vehicle-1'], coverages: 'all' }
+    ]
+  });
+  // 40% of 330.37, shared in proportion to what each discount would have saved
+  assert.equal(capped.discounts[0].savings, 77.73);
+  assert.equal(capped.discounts[1].savings, 54.41);
+  assert.equal(capped.totalSavings, 132.14);
+  console.log('✅ Discount savings test passed');
+}
+
+async function testSessionDiscounts() {
+  console.log('🧪 Testing discounts stored on the session...');
+
+  const session = await sessionManager.createSession();
+  await sessionManager.updateVehicle(session.id, 1, { make: 'Honda', model: 'Civic', year: 2019, annualMileage: 6000 });
+  const updated = await sessionManager.updateSessionData(session.id, { coveragePrefs: { payInFull: false } });
+
+  const discounts = byId({ discounts: updated.data.discounts });
+  assert.equal(discounts.low_mileage.status, 'eligible');
+  assert.equal(discounts.paid_in_full.status, 'ineligible');
+  assert.equal(discounts.paid_in_full.explanation, 'Paying in installments');
+
+  await sessionManager.deleteSession(session.id);
+  console.log('✅ Session discounts test passed');
+}
+
+// Run tests
+async function runAllTests() {
+  try {
+    await testStateRules();
+    await testEligibility();
+    await testQuoteSavings();
+    await testSessionDiscounts();
+
+    console.log('');
+    console.log('🎊 All Discount Engine Tests Passed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Test Suite Failed:', error);
+    process.exit(1);
+  }
+}
+
+// Check if this file is being run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testStateRules, testEligibility, testQuoteSavings, testSessionDiscounts };
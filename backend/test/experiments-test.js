@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import sessionManager from '../src/services/sessionManager.js';
+import { MemorySessionStore } from '../src/services/sessionStore/index.js';
+import agentProfiles from '../src/agents/agentProfiles.js';
+import {
+  loadExperiments,
+  assignVariant,
+  assignExperiments,
+  experimentProfileId,
+  experimentsForProfile,
+  describeSessionOutcome,
+  buildExperimentReport
+} from '../src/services/experiments.js';
+
+const experiment = {
+  id: 'persona-test',
+  active: true,
+  variants: [
+    { id: 'a', profileId: 'renewal-specialist', weight: 50 },
+    { id: 'b', profileId: 'sarah', weight: 50 },
+    { id: 'off', weight: 0 }
+  ]
+};
+
+async function testAssignment() {
+  console.log('🧪 Testing experiment variant assignment...');
+
+  // The same session always lands in the same variant
+  assert.equal(assignVariant(experiment, 'session-1').id, assignVariant(experiment, 'session-1').id);
+
+  const counts = { a: 0, b: 0, off: 0 };
+  for (let index = 0; index < 1000; index++) {
+    counts[assignVariant(experiment, `session-${index}`).id]++;
+  }
+  assert.equal(counts.off, 0);
+  assert.ok(counts.a > 400 && counts.b > 400, `uneven split ${JSON.stringify(counts)}`);
+
+  const inactive = { experiments: [{ ...experiment, active: false }] };
+  assert.deepEqual(assignExperiments('session-1', inactive), []);
+
+  // Every variant runs a registered profile
+  for (const configured of loadExperiments().experiments) {
+    for (const variant of configured.variants.filter(candidate => candidate.profileId)) {
+      assert.ok(agentProfiles.has(variant.profileId), `${configured.id}/${variant.id} uses unknown profile ${variant.profileId}`);
+    }
+  }
+
+  // New sessions are assigned when they are created
+  sessionManager.setStore(new MemorySessionStore());
+  const session = await sessionManager.createSession();
+  assert.deepEqual(session.metadata.experiments, assignExperiments(session.id));
+  const [assignment] = session.metadata.experiments;
+  assert.equal(experimentProfileId(session.metadata.experiments), assignment.profileId);
+
+  // A session run with another profile than its variant's doesn't measure that variant
+  const assignments = [
+    { experimentId: 'persona-test', variantId: 'b', profileId: 'sarah' },
+    { experimentId: 'greeting-test', variantId: 'short' }
+  ];
+  assert.deepEqual(experimentsForProfile(assignments, 'sarah'), assignments);
+  assert.deepEqual(experimentsForProfile(assignments, 'renewal-specialist'), [assignments[1]]);
+
+  console.log('✅ Variant assignment test passed');
+}
+
+async function testOutcomeAndReport() {
+  console.log('🧪 Testing experiment report...');
+
+  const createdAt = new Date('2026-10-19T10:00:00Z');
+  const outcome = describeSessionOutcome({
+    createdAt,
+    data: { completionStatus: { overall: 100 } },
+    conversationHistory: [
+      { type: 'user', content: 'Hi', timestamp: new Date('2026-10-19T10:00:05Z') },
+      { type: 'system', content: 'Indicative quote generated', metadata: { tool: 'generate_quote' }, timestamp: new Date('2026-10-19T10:04:00Z') },
+      { type: 'system', content: 'Indicative quote generated', metadata: { tool: 'generate_quote' }, timestamp: new Date('2026-10-19T10:09:00Z') }
+    ]
+  });
+  assert.deepEqual(outcome, { completion: 100, quoted: true, timeToQuoteMs: 240000 });
+
+  const inVariant = variantId => [{ experimentId: 'persona-test', variantId }];
+  const minutes = count => ({ milliseconds: count * 60000 });
+  const conversations = [
+    // Session 1 dropped and was resumed: both conversations count towards it
+    { sessionId: 's1', startTime: '2026-10-19T10:00:00Z', duration: minutes(3), experiments: inVariant('a'), outcome: { completion: 40, quoted: false, timeToQuoteMs: null }, guardrailTrips: 1 },
+    { sessionId: 's1', startTime: '2026-10-19T11:00:00Z', duration: minutes(5), experiments: inVariant('a'), outcome, guardrailTrips: 0 },
+    { sessionId: 's2', startTime: '2026-10-19T10:30:00Z', duration: minutes(4), experiments: inVariant('a'), outcome: { completion: 60, quoted: false, timeToQuoteMs: null }, guardrailTrips: 2 },
+    { sessionId: 's3', startTime: '2026-10-19T10:30:00Z', duration: minutes(6), experiments: inVariant('b'), outcome: { completion: 100, quoted: true, timeToQuoteMs: 120000 }, guardrailTrips: 0 },
+    // Not part of the experiment
+    { sessionId: 's4', startTime: '2026-10-19T10:30:00Z', duration: minutes(1), experiments: [], outcome: null, guardrailTrips: 5 }
+  ];
+
+  const report = buildExperimentReport(conversations, { version: 'test', experiments: [experiment] });
+  assert.equal(report.conversationsAnalyzed, 5);
+  const [a, b, off] = report.experiments[0].variants;
+  assert.deepEqual(a, {
+    id: 'a',
+    profileId: 'renewal-specialist',
+    sessions: 2,
+    completed: 1,
+    completionRate: 50,
+    averageCompletion: 80,
+    quoted: 1,
+    averageTimeToQuoteMs: 240000,
+    averageDurationMs: 360000,
+    guardrailTrips: 3,
+    guardrailTripsPerSession: 1.5
+  });
+  assert.equal(b.completionRate, 100);
+  assert.equal(b.averageTimeToQuoteMs, 120000);
+  assert.equal(off.sessions, 0);
+  assert.equal(off.completionRate, null);
+
+  console.log('✅ Experiment report test passed');
+}
+
+// Run tests
+async function runAllTests() {
+  try {
+    await testAssignment();
+    await testOutcomeAndReport();
+
+    console.log('');
+    console.log('🎊 All Experiment Tests Passed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Test Suite Failed:', error);
+    process.exit(1);
+  }
+}
+
+// Check if this file is being run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testAssignment, testOutcomeAndReport };
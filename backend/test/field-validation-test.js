@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import sessionManager from '../src/services/sessionManager.js';
+import { MemorySessionStore } from '../src/services/sessionStore/index.js';
+import { VehicleSchema } from '../src/types/insurance.js';
+import {
+  validateFields,
+  validateSectionUpdate,
+  withoutFields,
+  problemsFromZodError,
+  describeProblems
+} from '../src/services/applicationValidation.js';
+import {
+  collectPersonalInfoTool,
+  collectVehicleInfoTool,
+  collectCoveragePreferencesTool
+} from '../src/agents/insuranceTools.js';
+
+async function testFieldProblems() {
+  console.log('🧪 Testing field-level validation...');
+
+  // Only the fields given are checked, so a partial address is fine
+  assert.deepEqual(validateSectionUpdate('personalInfo', { address: { zipCode: '78701' } }), []);
+
+  const problems = validateSectionUpdate('personalInfo', {
+    firstName: 'Jane',
+    address: { street: '1 Main St', zipCode: '9021', state: 'Texas' },
+    email: 'jane at example'
+  });
+  assert.deepEqual(problems.map(problem => [problem.field, problem.heard]), [
+    ['address.zipCode', '9021'],
+    ['address.state', 'Texas'],
+    ['email', 'jane at example']
+  ]);
+  assert.match(describeProblems(problems.slice(0, 1)), /^ZIP code must be 5 digits.*; I heard "9021"$/);
+
+  // Dropping the bad fields keeps the rest of the answer
+  assert.deepEqual(withoutFields({ firstName: 'Jane', address: { zipCode: '9021' } }, ['address.zipCode']), { firstName: 'Jane' });
+  assert.deepEqual(
+    withoutFields({ address: { street: '1 Main St', zipCode: '9021' } }, ['address.zipCode']),
+    { address: { street: '1 Main St' } }
+  );
+
+  const [year] = validateFields(VehicleSchema, { year: 1850, make: 'Ford' });
+  assert.deepEqual(year, { field: 'year', message: 'Vehicle year must be 1900 or later', heard: 1850 });
+  assert.equal(validateSectionUpdate('coveragePrefs', { liabilityLimits: { bodilyInjury: 5000 } })[0].field, 'liabilityLimits.bodilyInjury');
+
+  // A whole-session parse failure points at the field inside its section
+  const parsed = VehicleSchema.safeParse({ id: 'vehicle-1', annualMileage: 250000 });
+  const [mileage] = problemsFromZodError({ issues: parsed.error.issues.map(issue => ({ ...issue, path: ['data', 'vehicles', 0, ...issue.path] })) });
+  assert.deepEqual(mileage, { path: 'vehicles.0.annualMileage', field: 'annualMileage', message: 'Annual mileage must be at most 100,000 miles a year' });
+
+  console.log('✅ Field-level validation test passed');
+}
+
+async function testToolFeedback() {
+  console.log('🧪 Testing validation feedback from tools...');
+
+  sessionManager.setStore(new MemorySessionStore());
+  const session = await sessionManager.createSession();
+  const context = { context: { sessionId: session.id } };
+  const invoke = (tool, args) => tool.invoke(context, JSON.stringify(args));
+
+  // The good fields are saved and only the bad one is asked again
+  const reply = await invoke(collectPersonalInfoTool, {
+    firstName: 'Jane',
+    address: { street: '1 Main St', city: 'Austin', zipCode: '9021' }
+  });
+  assert.match(reply, /I've recorded your personal information/);
+  assert.match(reply, /ZIP code must be 5 digits, like 90210, or ZIP\+4 like 90210-1234; I heard "9021"/);
+  assert.match(reply, /Ask the customer again for only address\.zipCode/);
+
+  let stored = await sessionManager.getSession(session.id);
+  assert.equal(stored.data.personalInfo.firstName, 'Jane');
+  assert.deepEqual(stored.data.personalInfo.address, { street: '1 Main St', city: 'Austin' });
+
+  const log = stored.conversationHistory.findLast(item => item.metadata?.tool === 'collect_personal_info');
+  assert.deepEqual(log.metadata.rejected.map(problem => problem.field), ['address.zipCode']);
+
+  // A ZIP code on its own is a valid partial address
+  await invoke(collectPersonalInfoTool, { address: { zipCode: '78701' } });
+  stored = await sessionManager.getSession(session.id);
+  assert.equal(stored.data.personalInfo.address.zipCode, '78701');
+
+  // Nothing valid to save - no vehicle is added
+  const yearReply = await invoke(collectVehicleInfoTool, { year: 2090 });
+  assert.match(yearReply, /^I couldn't save that\. Vehicle year can't be later than \d{4}; I heard 2090\. Ask the customer again for only year/);
+  stored = await sessionManager.getSession(session.id);
+  assert.equal(stored.data.vehicles.length, 0);
+
+  const limitsReply = await invoke(collectCoveragePreferencesTool, { liabilityLimits: { bodilyInjury: 5000, propertyDamage: 25000 } });
+  assert.match(limitsReply, /Bodily injury liability must be at least \$25,000; I heard 5000/);
+  stored = await sessionManager.getSession(session.id);
+  assert.deepEqual(stored.data.coveragePrefs.liabilityLimits, { propertyDamage: 25000 });
+
+  // Nested nulls mean "not given" - they are neither problems nor saved
+  const cityReply = await invoke(collectPersonalInfoTool, { address: { street: '2 Oak Ave', city: null } });
+  assert.doesNotMatch(cityReply, /couldn't save/);
+  const nestedReply = await invoke(collectCoveragePreferencesTool, { liabilityLimits: { bodilyInjury: 50000, propertyDamage: null } });
+  assert.doesNotMatch(nestedReply, /couldn't save/);
+  stored = await sessionManager.getSession(session.id);
+  assert.deepEqual(stored.data.personalInfo.address, { street: '2 Oak Ave', city: 'Austin', zipCode: '78701' });
+  assert.deepEqual(stored.data.coveragePrefs.liabilityLimits, { bodilyInjury: 50000, propertyDamage: 25000 });
+
+  console.log('✅ Validation feedback test passed');
+}
+
+// Run tests
+async function runAllTests() {
+  try {
+    await testFieldProblems();
+    await testToolFeedback();
+
+    console.log('');
+    console.log('🎊 All Field Validation Tests Passed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Test Suite Failed:', error);
+    process.exit(1);
+  }
+}
+
+// Check if this file is being run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testFieldProblems, testToolFeedback };
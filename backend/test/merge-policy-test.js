@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import sessionManager from '../src/services/sessionManager.js';
+import { MemorySessionStore } from '../src/services/sessionStore/index.js';
+import { CLEAR, mergeApplicationData, withCleared, replaceWith } from '../src/services/mergePolicy.js';
+import {
+  collectCoveragePreferencesTool,
+  collectDrivingHistoryTool,
+  collectPersonalInfoTool,
+  collectVehicleInfoTool
+} from '../src/agents/insuranceTools.js';
+
+const accident = { date: '2024-05-01', description: 'Rear-ended at a light', atFault: false };
+
+async function testMergePolicy() {
+  console.log('🧪 Testing merge policy...');
+
+  const stored = {
+    personalInfo: { address: { street: '1 Main St', city: 'Austin', state: 'TX', zipCode: '78701' }, phone: '512-555-0100' },
+    coveragePrefs: { additionalCoverage: { rental: true }, liabilityLimits: { bodilyInjury: 100000 } },
+    vehicles: [{ id: 'vehicle-1', safetyFeatures: ['ABS'] }, { id: 'vehicle-2', make: 'Toyota' }],
+    drivers: [{ id: 'driver-1', accidents: [accident] }]
+  };
+
+  // Nested objects are merged, not replaced; null is "not provided"
+  const merged = mergeApplicationData(stored, {
+    personalInfo: { address: { zipCode: '78702' }, phone: null },
+    coveragePrefs: { additionalCoverage: { roadside: true }, liabilityLimits: { propertyDamage: 50000 } }
+  });
+  assert.deepEqual(merged.personalInfo.address, { street: '1 Main St', city: 'Austin', state: 'TX', zipCode: '78702' });
+  assert.equal(merged.personalInfo.phone, '512-555-0100');
+  assert.deepEqual(merged.coveragePrefs.additionalCoverage, { rental: true, roadside: true });
+  assert.deepEqual(merged.coveragePrefs.liabilityLimits, { bodilyInjury: 100000, propertyDamage: 50000 });
+
+  // Explicit clear, and replace when a cleared field is also given a value
+  const cleared = mergeApplicationData(stored, { personalInfo: withCleared({ address: { zipCode: '10001' } }, ['address', 'phone']) });
+  assert.deepEqual(cleared.personalInfo, { address: { zipCode: '10001' } });
+  assert.equal(mergeApplicationData(stored, { personalInfo: { phone: CLEAR } }).personalInfo.phone, undefined);
+
+  // Household members merge by position; incident lists skip repeats of the same incident
+  const listed = mergeApplicationData(stored, {
+    vehicles: [{ safetyFeatures: ['abs', 'Lane Assist'] }, { model: 'RAV4' }],
+    drivers: [{ accidents: [{ ...accident, description: ' rear-ended at a light ' }, { date: '2025-01-10', description: 'Hail damage', atFault: false }] }]
+  });
+  assert.deepEqual(listed.vehicles[0].safetyFeatures, ['ABS', 'Lane Assist']);
+  assert.deepEqual(listed.vehicles[1], { id: 'vehicle-2', make: 'Toyota', model: 'RAV4' });
+  assert.equal(listed.drivers[0].accidents.length, 2);
+
+  // Replacing a list drops what was there; unlisted lists are replaced by default
+  const replaced = mergeApplicationData(stored, { drivers: [{ accidents: replaceWith([]) }] });
+  assert.deepEqual(replaced.drivers[0].accidents, []);
+  assert.deepEqual(mergeApplicationData({ tags: ['a'] }, { tags: ['b'] }), { tags: ['b'] });
+  assert.deepEqual(mergeApplicationData({ tags: ['a'] }, { tags: ['a', 'b'] }, { tags: { mode: 'append' } }), { tags: ['a', 'a', 'b'] });
+
+  // A member can be removed explicitly
+  assert.deepEqual(mergeApplicationData(stored, { vehicles: [undefined, CLEAR] }).vehicles.map(v => v.id), ['vehicle-1']);
+
+  console.log('✅ Merge policy test passed');
+}
+
+async function testCollectTools() {
+  console.log('🧪 Testing collect tools...');
+
+  sessionManager.setStore(new MemorySessionStore());
+  const session = await sessionManager.createSession();
+  const context = { context: { sessionId: session.id } };
+  const invoke = (tool, args) => tool.invoke(context, JSON.stringify(args));
+
+  await invoke(collectPersonalInfoTool, { address: { street: '1 Main St', city: 'Austin', state: 'TX', zipCode: '78701' } });
+  await invoke(collectPersonalInfoTool, { address: { zipCode: '78702' }, phone: null });
+  await invoke(collectCoveragePreferencesTool, { additionalCoverage: { rental: true } });
+  await invoke(collectCoveragePreferencesTool, { additionalCoverage: { roadside: true } });
+
+  await invoke(collectDrivingHistoryTool, { accidents: [accident] });
+  await invoke(collectDrivingHistoryTool, { accidents: [accident], violations: [{ date: '2023-03-01', type: 'speeding', description: '15 over' }] });
+
+  await invoke(collectVehicleInfoTool, { make: 'Honda', ownershipStatus: 'financed', lienholder: 'Honda Financial' });
+  const reply = await invoke(collectVehicleInfoTool, { ownershipStatus: 'owned', clearFields: ['lienholder'] });
+  assert.match(reply, /vehicle 1 \(Honda\)/);
+
+  let stored = await sessionManager.getSession(session.id);
+  assert.deepEqual(stored.data.personalInfo.address, { street: '1 Main St', city: 'Austin', state: 'TX', zipCode: '78702' });
+  assert.equal(stored.data.coveragePrefs.additionalCoverage.rental, true);
+  assert.equal(stored.data.coveragePrefs.additionalCoverage.roadside, true);
+  assert.equal(stored.data.drivers[0].accidents.length, 1);
+  assert.equal(stored.data.drivers[0].violations.length, 1);
+  assert.equal(stored.data.vehicles[0].lienholder, undefined);
+
+  // A wrongly recorded accident is replaced by clearing the list and giving the right one
+  await invoke(collectDrivingHistoryTool, { accidents: [{ ...accident, atFault: true }], clearFields: ['accidents'] });
+  stored = await sessionManager.getSession(session.id);
+  assert.deepEqual(stored.data.drivers[0].accidents.map(a => a.atFault), [true]);
+
+  assert.match(await invoke(collectVehicleInfoTool, { clearFields: ['paint'] }), /can't clear paint/);
+
+  await invoke(collectVehicleInfoTool, { vehicleNumber: 2, make: 'Toyota' });
+  assert.match(await invoke(collectVehicleInfoTool, { model: 'RAV4' }), /There are 2 vehicles/);
+
+  const log = stored.conversationHistory.find(item => item.metadata?.cleared?.includes('lienholder'));
+  assert.equal(log.content, 'Vehicle 1 information updated: ownershipStatus; cleared: lienholder');
+  assert.equal(log.metadata.vehicleId, 'vehicle-1');
+
+  console.log('✅ Collect tools test passed');
+}
+
+// Run tests
+async function runAllTests() {
+  try {
+    await testMergePolicy();
+    await testCollectTools();
+
+    console.log('');
+    console.log('🎊 All Merge Policy Tests Passed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Test Suite Failed:', error);
+    process.exit(1);
+  }
+}
+
+// Check if this file is being run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testMergePolicy, testCollectTools };
@@ -0,0 +1,126 @@
+import assert from 'node:assert/strict';
+import { rateApplication, findMissingRatingInputs, loadRateTable } from '../src/services/rating/ratingEngine.js';
+import { describeMissingInput } from '../src/agents/quoteTools.js';
+
+const AS_OF = new Date('2026-10-19T00:00:00Z');
+
+const createApplication = () => ({
+  personalInfo: {
+    dateOfBirth: '1985-04-12',
+    address: { street: '1 Main St', city: 'Columbus', state: 'OH', zipCode: '43215' }
+  },
+  vehicles: [
+    { id: 'vehicle-1', year: 2019, make: 'Honda', model: 'Civic', primaryUse: 'pleasure' }
+  ],
+  drivers: [
+    { id: 'driver-1', relationship: 'self', yearsLicensed: 20, accidents: [], violations: [], claims: [] }
+  ],
+  coveragePrefs: {
+    liabilityLimits: { bodilyInjury: 100000, propertyDamage: 50000 }
+  }
+});
+
+async function testMissingInputs() {
+  console.log('🧪 Testing missing rating inputs...');
+
+  const result = rateApplication({ personalInfo: {}, vehicles: [{ id: 'vehicle-1' }], drivers: [] }, { asOf: AS_OF });
+  assert.equal(result.quotable, false);
+  assert.deepEqual(result.missing, ['personalInfo.address.zipCode', 'vehicles.0.year', 'personalInfo.dateOfBirth']);
+
+  const child = createApplication();
+  child.drivers.push({ id: 'driver-2', relationship: 'child' });
+  child.vehicles[0].primaryDriverId = 'driver-2';
+  assert.deepEqual(findMissingRatingInputs(child), ['drivers.1.dateOfBirth']);
+  assert.equal(describeMissingInput('drivers.1.dateOfBirth'), 'the date of birth of driver 2');
+  console.log('✅ Missing inputs test passed');
+}
+
+async function testLiabilityOnlyQuote() {
+  console.log('🧪 Testing liability-only quote...');
+
+  const quote = rateApplication(createApplication(), { asOf: AS_OF });
+  const table = loadRateTable(quote.rateTableVersion);
+
+  assert.equal(quote.quotable, true);
+  assert.equal(quote.rateTableVersion, '2026-10-01');
+  assert.equal(quote.territory, 'OH');
+
+  // 210 x OH 0.84 x pleasure 0.95 x $100k limit 1.38
+  const [bodilyInjury, propertyDamage] = quote.vehicles[0].lineItems;
+  assert.equal(bodilyInjury.premium, 231.26);
+  assert.equal(bodilyInjury.factors.limit, table.factors.bodilyInjuryLimit['100000']);
+  // 115 x 0.84 x 0.95 x $50k limit 1.08
+  assert.equal(propertyDamage.premium, 99.11);
+  assert.equal(quote.vehicles[0].lineItems.length, 2);
+  assert.equal(quote.totalPremium, 231.26 + 99.11 + table.policyFee);
+  console.log('✅ Liability-only quote test passed');
+}
+
+async function testRatingFactors() {
+  console.log('🧪 Testing rating factors...');
+
+  const base = rateApplication(createApplication(), { asOf: AS_OF });
+
+  // Same inputs, same quote
+  assert.deepEqual(rateApplication(createApplication(), { asOf: AS_OF }), base);
+
+  // Physical damage with a higher deductible costs less
+  const withCollision = (deductible) => {
+    const application = createApplication();
+    application.coveragePrefs.collision = { selected: true, deductible };
+    return rateApplication(application, { asOf: AS_OF }).vehicles[0].lineItems.find(item => item.coverage === 'collision');
+  };
+  assert.ok(withCollision(1000).premium < withCollision(250).premium);
+  assert.equal(withCollision(1000).factors.vehicleAge, 0.9);
+
+  // Urban ZIP territory overrides the state factor
+  const urban = createApplication();
+  urban.personalInfo.address = { ...urban.personalInfo.address, state: 'NY', zipCode: '10001' };
+  assert.equal(rateApplication(urban, { asOf: AS_OF }).territory, 'ZIP 100xx');
+
+  // A young primary driver with an at-fault accident drives the price up
+  const household = createApplication();
+  household.drivers.push({
+    id: 'driver-2',
+    relationship: 'child',
+    dateOfBirth: '2008-06-01',
+    yearsLicensed: 1,
+    accidents: [{ date: '2025-02-01', description: 'Rear-ended a car', atFault: true }],
+    violations: [{ date: '2019-01-01', type: 'speeding', description: 'Outside the lookback window' }]
+  });
+  household.vehicles.push({ id: 'vehicle-2', year: 2024, make: 'Toyota', model: 'RAV4', primaryDriverId: 'driver-2' });
+
+  const quote = rateApplication(household, { asOf: AS_OF });
+  const [adult, teen] = quote.vehicles;
+  assert.equal(teen.ratedDriverId, 'driver-2');
+  assert.equal(teen.driverAge, 18);
+  assert.equal(teen.accidents, 1);
+  assert.equal(teen.violations, 0);
+  assert.equal(teen.lineItems[0].factors.incidents, 1.35);
+  assert.ok(teen.subtotal > adult.subtotal * 3);
+  assert.ok(quote.assumptions.some(assumption => assumption.includes('vehicle 2')));
+  console.log('✅ Rating factors test passed');
+}
+
+// Run tests
+async function runAllTests() {
+  try {
+    await testMissingInputs();
+    await testLiabilityOnlyQuote();
+    await testRatingFactors();
+
+    console.log('');
+    console.log('🎊 All Rating Engine Tests Passed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Test Suite Failed:', error);
+    process.exit(1);
+  }
+}
+
+// Check if this file is being run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testMissingInputs, testLiabilityOnlyQuote, testRatingFactors };
@@ -0,0 +1,212 @@
+import assert from 'node:assert/strict';
+import sessionManager from '../src/services/sessionManager.js';
+import { MemorySessionStore } from '../src/services/sessionStore/index.js';
+import {
+  generateResumeCode,
+  normalizeResumeCode,
+  isValidResumeCode,
+  formatResumeCodeForSpeech,
+  verifyResumeCaller,
+  RESUME_CODE_LENGTH
+} from '../src/services/resumeCodes.js';
+import { createResumeAttemptLimiter } from '../src/services/resumeAttempts.js';
+import { buildSessionInstructions, summarizeConversation } from '../src/agents/sessionInstructions.js';
+
+async function testResumeCodes() {
+  console.log('🧪 Testing resume codes...');
+
+  for (let i = 0; i < 50; i++) {
+    const code = generateResumeCode();
+    assert.equal(code.length, RESUME_CODE_LENGTH);
+    assert.ok(isValidResumeCode(code), code);
+    assert.doesNotMatch(code, /[01ILO]/);
+  }
+
+  // Spoken and typed codes come back to the same characters
+  assert.equal(normalizeResumeCode('kilo seven, double x-ray, bee as in bravo, nine'), 'K7XXB9');
+  assert.equal(normalizeResumeCode('k7x-xb9'), 'K7XXB9');
+  assert.equal(isValidResumeCode(normalizeResumeCode('kilo oh one')), false);
+
+  assert.equal(formatResumeCodeForSpeech('K7XXB9'), 'K as in Kilo, 7, X as in X-ray, X as in X-ray, B as in Bravo, 9');
+  console.log('✅ Resume code test passed');
+}
+
+async function testPauseAndResume() {
+  console.log('🧪 Testing pause and resume...');
+
+  sessionManager.setStore(new MemorySessionStore());
+  const session = await sessionManager.createSession();
+  assert.ok(isValidResumeCode(session.resumeCode));
+
+  await sessionManager.updateSessionData(session.id, { personalInfo: { firstName: 'Jane', lastName: 'Smith' } });
+
+  // A dropped conversation is kept far longer than the normal timeout
+  const paused = await sessionManager.pauseSession(session.id);
+  assert.equal(paused.status, 'paused');
+  assert.ok(paused.expiresAt.getTime() - Date.now() > sessionManager.sessionTimeout * 10);
+
+  const spoken = formatResumeCodeForSpeech(session.resumeCode);
+  const found = await sessionManager.findSessionByResumeCode(spoken);
+  assert.equal(found.id, session.id);
+
+  const resumed = await sessionManager.resumeSession(session.resumeCode.toLowerCase());
+  assert.equal(resumed.id, session.id);
+  assert.equal(resumed.status, 'active');
+  assert.ok(resumed.resumedAt instanceof Date);
+  assert.equal(resumed.data.personalInfo.firstName, 'Jane');
+
+  // Only a paused session can be resumed; the active one is already in use
+  assert.equal(await sessionManager.resumeSession(session.resumeCode), null);
+  assert.equal(await sessionManager.resumeSession('ZZZZZZ'), null);
+  assert.equal(await sessionManager.resumeSession('not a code'), null);
+
+  // Paused sessions don't hold a concurrent slot
+  const maxSessions = sessionManager.maxSessions;
+  sessionManager.maxSessions = 1;
+  await assert.rejects(() => sessionManager.createSession(), /Maximum concurrent sessions/);
+  await sessionManager.pauseSession(session.id);
+  const next = await sessionManager.createSession();
+  assert.notEqual(next.resumeCode, session.resumeCode);
+  sessionManager.maxSessions = maxSessions;
+
+  console.log('✅ Pause and resume test passed');
+}
+
+async function testResumeVerification() {
+  console.log('🧪 Testing resume verification...');
+
+  const application = {
+    personalInfo: { dateOfBirth: '1985-03-07', address: { zipCode: '90210-1234' } }
+  };
+  assert.equal(verifyResumeCaller(application, { zipCode: '90210' }), true);
+  assert.equal(verifyResumeCaller(application, { dateOfBirth: '3/7/1985' }), true);
+  assert.equal(verifyResumeCaller(application, { dateOfBirth: '03-07-1985', zipCode: '10001' }), true);
+  assert.equal(verifyResumeCaller(application, { zipCode: '10001' }), false);
+  assert.equal(verifyResumeCaller(application, { dateOfBirth: 'March 7th' }), false);
+  assert.equal(verifyResumeCaller(application), false);
+  // Nothing on file yet: the code alone resumes
+  assert.equal(verifyResumeCaller({ personalInfo: {} }), true);
+
+  sessionManager.setStore(new MemorySessionStore());
+  const session = await sessionManager.createSession('first-principal');
+  await sessionManager.updateSessionData(session.id, { personalInfo: { firstName: 'Jane', dateOfBirth: '1985-03-07' } });
+  await sessionManager.pauseSession(session.id);
+
+  assert.equal(await sessionManager.resumeSession(session.resumeCode, { userId: 'second-principal' }), null);
+  assert.equal(await sessionManager.resumeSession(session.resumeCode, {
+    userId: 'second-principal',
+    verification: { dateOfBirth: '1990-01-01' }
+  }), null);
+  assert.equal((await sessionManager.getSession(session.id)).userId, 'first-principal');
+
+  const resumed = await sessionManager.resumeSession(session.resumeCode, {
+    userId: 'second-principal',
+    verification: { dateOfBirth: '3/7/1985' }
+  });
+  assert.equal(resumed.userId, 'second-principal');
+
+  console.log('✅ Resume verification test passed');
+}
+
+async function testResumeAttemptLimits() {
+  console.log('🧪 Testing resume attempt limits...');
+
+  const limiter = createResumeAttemptLimiter({
+    RESUME_MAX_ATTEMPTS: '3',
+    RESUME_MAX_ATTEMPTS_PER_IP: '5',
+    RESUME_ATTEMPT_WINDOW: '60000',
+    RESUME_LOCKOUT: '120000'
+  });
+  const now = Date.now();
+  const guesser = { principal: 'guesser', ip: '203.0.113.7' };
+
+  limiter.recordFailure(guesser, now);
+  limiter.recordFailure(guesser, now);
+  assert.equal(limiter.lockedUntil(guesser, now), null);
+  limiter.recordFailure(guesser, now);
+  assert.equal(limiter.lockedUntil(guesser, now).getTime(), now + 120000);
+
+  // A fresh principal from the same address still counts against the IP
+  const sameAddress = { principal: 'new-token', ip: guesser.ip };
+  assert.equal(limiter.lockedUntil(sameAddress, now), null);
+  limiter.recordFailure(sameAddress, now);
+  limiter.recordFailure(sameAddress, now);
+  assert.ok(limiter.lockedUntil({ principal: 'another-token', ip: guesser.ip }, now));
+  assert.equal(limiter.lockedUntil({ principal: 'elsewhere', ip: '198.51.100.1' }, now), null);
+
+  // The lockout ends, and failures outside the window don't add up
+  assert.equal(limiter.lockedUntil(guesser, now + 120001), null);
+  const patient = { principal: 'patient' };
+  limiter.recordFailure(patient, now);
+  limiter.recordFailure(patient, now);
+  limiter.recordFailure(patient, now + 60001);
+  assert.equal(limiter.lockedUntil(patient, now + 60001), null);
+
+  // A successful resume clears the caller's failures
+  limiter.recordFailure(patient, now + 60001);
+  limiter.recordSuccess(patient);
+  limiter.recordFailure(patient, now + 60001);
+  assert.equal(limiter.lockedUntil(patient, now + 60001), null);
+
+  console.log('✅ Resume attempt limits test passed');
+}
+
+async function testResumeInstructions() {
+  console.log('🧪 Testing resume instructions...');
+
+  sessionManager.setStore(new MemorySessionStore());
+  const session = await sessionManager.createSession();
+  await sessionManager.updateSessionData(session.id, { personalInfo: { firstName: 'Jane', lastName: 'Smith' } });
+  await sessionManager.updateVehicle(session.id, 1, { year: 2019, make: 'Honda', model: 'Civic' });
+  await sessionManager.addConversationItem(session.id, 'system', 'Voice session started');
+  await sessionManager.addConversationItem(session.id, 'user', 'My name is Jane Smith and I drive a 2019 Honda Civic');
+  await sessionManager.addConversationItem(session.id, 'assistant', 'Thanks Jane! What is your date of birth?');
+  const stored = await sessionManager.getSession(session.id);
+
+  const fresh = buildSessionInstructions('Base instructions', stored);
+  assert.ok(fresh.startsWith('Base instructions'));
+  assert.ok(fresh.includes(formatResumeCodeForSpeech(stored.resumeCode)));
+  assert.ok(!fresh.includes('Resuming An Earlier Conversation'));
+
+  const resumed = buildSessionInstructions('Base instructions', stored, { resumed: true });
+  assert.ok(resumed.includes('Resuming An Earlier Conversation'));
+  assert.ok(resumed.includes('Jane Smith'));
+  assert.ok(resumed.includes('vehicle 1 (2019 Honda Civic)'));
+  assert.ok(resumed.includes('Still needed next: date of birth'), resumed);
+  assert.ok(resumed.includes('You: Thanks Jane! What is your date of birth?'));
+  assert.ok(!resumed.includes('Voice session started'));
+
+  const condensed = summarizeConversation([
+    { type: 'user', content: 'x'.repeat(300) },
+    { type: 'agent', content: 'Got it' }
+  ], { maxTurns: 1, maxLength: 50 });
+  assert.deepEqual(condensed, ['You: Got it']);
+  assert.equal(summarizeConversation([{ type: 'user', content: 'x'.repeat(300) }], { maxLength: 50 })[0].length, 'Customer: '.length + 50);
+
+  console.log('✅ Resume instructions test passed');
+}
+
+// Run tests
+async function runAllTests() {
+  try {
+    await testResumeCodes();
+    await testPauseAndResume();
+    await testResumeVerification();
+    await testResumeAttemptLimits();
+    await testResumeInstructions();
+
+    console.log('');
+    console.log('🎊 All Resume Tests Passed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Test Suite Failed:', error);
+    process.exit(1);
+  }
+}
+
+// Check if this file is being run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testResumeCodes, testPauseAndResume, testResumeVerification, testResumeAttemptLimits, testResumeInstructions };
@@ -0,0 +1,185 @@
+import assert from 'node:assert/strict';
+import sessionManager from '../src/services/sessionManager.js';
+import { MemorySessionStore } from '../src/services/sessionStore/index.js';
+import toolRegistry from '../src/agents/toolRegistry.js';
+import agentProfiles from '../src/agents/agentProfiles.js';
+import { createConnectionTokens, setConnectionTokens } from '../src/services/connectionTokens.js';
+import { requireConnectionToken, requireSessionOwner } from '../src/services/sessionAccess.js';
+import { isAdminRequest, requireAdmin } from '../src/services/adminAccess.js';
+
+const tokens = createConnectionTokens({ WS_TOKEN_SECRET: 'test-secret', WS_TOKEN_TTL: '60000' });
+
+// Runs the middleware like Express would; resolves with the response or 'next'
+const runMiddleware = (middleware, { token, params = {} } = {}) => new Promise((resolve, reject) => {
+  const req = { headers: token ? { authorization: `Bearer ${token}` } : {}, url: '/', params };
+  const res = {
+    locals: {},
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, body });
+    }
+  };
+  middleware(req, res, (error) => (error ? reject(error) : resolve({ status: 'next', locals: res.locals })));
+});
+
+async function testBrowserSessionTools() {
+  console.log('🧪 Testing agent tools run for a browser session...');
+
+  sessionManager.setStore(new MemorySessionStore());
+  setConnectionTokens(tokens);
+
+  // /api/session-token: an owned backend session and the profile's tool definitions
+  const profile = agentProfiles.get('sarah');
+  const { token, principal } = tokens.issue();
+  const session = await sessionManager.createSession(principal, { agentProfile: profile.id });
+  assert.equal(session.metadata.agentProfile, 'sarah');
+
+  const definitions = toolRegistry.describeTools(profile.tools);
+  assert.deepEqual(definitions.map(definition => definition.name), profile.tools);
+  const personalInfo = definitions.find(definition => definition.name === 'collect_personal_info');
+  assert.equal(personalInfo.parameters.type, 'object');
+  assert.ok(personalInfo.parameters.properties.firstName);
+  assert.equal(JSON.parse(JSON.stringify(definitions)).length, definitions.length, 'definitions are plain JSON');
+
+  // The tools route: only the owner gets through, then the tool updates the application
+  const allowed = await runMiddleware(requireSessionOwner, { token, params: { sessionId: session.id } });
+  assert.equal(allowed.status, 'next');
+  assert.equal(allowed.locals.session.id, session.id);
+
+  const output = await toolRegistry.invoke('collect_personal_info', { firstName: 'Jane', lastName: 'Doe' }, { sessionId: session.id });
+  assert.match(output, /recorded your personal information/);
+  const updated = await sessionManager.getSession(session.id);
+  assert.equal(updated.data.personalInfo.firstName, 'Jane');
+
+  await assert.rejects(() => toolRegistry.invoke('no_such_tool', {}, { sessionId: session.id }), /Unknown agent tool/);
+
+  console.log('✅ Browser session tools test passed');
+}
+
+async function testSessionOwnership() {
+  console.log('🧪 Testing session routes are limited to their owner...');
+
+  sessionManager.setStore(new MemorySessionStore());
+  setConnectionTokens(tokens);
+
+  const owner = tokens.issue();
+  const session = await sessionManager.createSession(owner.principal);
+  const params = { sessionId: session.id };
+
+  assert.equal((await runMiddleware(requireSessionOwner, { params })).status, 401);
+  assert.equal((await runMiddleware(requireSessionOwner, { token: 'forged.token', params })).status, 401);
+
+  const expired = tokens.issue(owner.principal, Date.now() - 120000).token;
+  assert.equal((await runMiddleware(requireSessionOwner, { token: expired, params })).status, 401);
+
+  // Someone else's session looks the same as one that doesn't exist
+  const stranger = await runMiddleware(requireSessionOwner, { token: tokens.issue().token, params });
+  assert.equal(stranger.status, 404);
+  assert.equal((await runMiddleware(requireSessionOwner, { token: owner.token, params: { sessionId: 'unknown' } })).status, 404);
+
+  assert.equal((await runMiddleware(requireSessionOwner, { token: owner.token, params })).status, 'next');
+
+  // New sessions belong to the token's principal, never to one named in the request
+  assert.equal((await runMiddleware(requireConnectionToken)).status, 401);
+  const creator = await runMiddleware(requireConnectionToken, { token: owner.token });
+  assert.equal(creator.status, 'next');
+  assert.equal(creator.locals.principal, owner.principal);
+
+  console.log('✅ Session ownership test passed');
+}
+
+async function testAdminAccess() {
+  console.log('🧪 Testing the admin routes need the admin token...');
+
+  const request = token => ({ headers: token ? { authorization: `Bearer ${token}` } : {} });
+  const env = { ADMIN_API_TOKEN: 'admin-secret' };
+  assert.equal(isAdminRequest(request('admin-secret'), env), true);
+  assert.equal(isAdminRequest(request('admin-secre'), env), false);
+  assert.equal(isAdminRequest(request(), env), false);
+  // A session's connection token is no admin token, and without ADMIN_API_TOKEN nothing is
+  assert.equal(isAdminRequest(request(tokens.issue().token), env), false);
+  assert.equal(isAdminRequest(request('admin-secret'), {}), false);
+
+  const previous = process.env.ADMIN_API_TOKEN;
+  process.env.ADMIN_API_TOKEN = 'admin-secret';
+  try {
+    assert.equal((await runMiddleware(requireAdmin, { token: 'admin-secret' })).status, 'next');
+    const denied = await runMiddleware(requireAdmin, { token: tokens.issue().token });
+    assert.equal(denied.status, 401);
+    assert.equal(denied.body.success, false);
+  } finally {
+    if (previous === undefined) {
+      delete process.env.ADMIN_API_TOKEN;
+    } else {
+      process.env.ADMIN_API_TOKEN = previous;
+    }
+  }
+
+  console.log('✅ Admin access test passed');
+}
+
+async function testConversationRoutes() {
+  console.log('🧪 Testing the saved conversation routes need the admin token...');
+
+  // Imported the way Lambda loads it, so no servers are started
+  process.env.AWS_LAMBDA_FUNCTION_NAME = 'session-access-test';
+  const { default: app } = await import('../src/server.js');
+  delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+
+  const previous = process.env.ADMIN_API_TOKEN;
+  process.env.ADMIN_API_TOKEN = 'admin-secret';
+  const server = app.listen(0);
+  const get = (path, token) => fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+
+  try {
+    const routes = ['/api/conversations', '/api/conversations/c-1', '/api/conversations/c-1/summary', '/api/conversations/c-1/insurance-data'];
+    for (const route of routes) {
+      assert.equal((await get(route)).status, 401, route);
+      assert.equal((await get(route, tokens.issue().token)).status, 401, route);
+    }
+
+    const listed = await get('/api/conversations', 'admin-secret');
+    assert.equal(listed.status, 200);
+    assert.equal((await listed.json()).success, true);
+    assert.equal((await get('/api/conversations/c-1', 'admin-secret')).status, 404);
+  } finally {
+    server.close();
+    if (previous === undefined) {
+      delete process.env.ADMIN_API_TOKEN;
+    } else {
+      process.env.ADMIN_API_TOKEN = previous;
+    }
+  }
+
+  console.log('✅ Conversation routes access test passed');
+}
+
+// Run tests
+async function runAllTests() {
+  try {
+    await testBrowserSessionTools();
+    await testSessionOwnership();
+    await testAdminAccess();
+    await testConversationRoutes();
+
+    console.log('');
+    console.log('🎊 All Session Access Tests Passed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Test Suite Failed:', error);
+    process.exit(1);
+  }
+}
+
+// Check if this file is being run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testBrowserSessionTools, testSessionOwnership, testAdminAccess, testConversationRoutes };
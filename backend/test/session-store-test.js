@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sessionManager from '../src/services/sessionManager.js';
+import {
+  MemorySessionStore,
+  FileSessionStore,
+  KvSessionStore,
+  LocalKvClient,
+  isVersionConflict,
+  createSessionStore
+} from '../src/services/sessionStore/index.js';
+
+const createStores = async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'sessions-'));
+  return { directory, stores: [new MemorySessionStore(), new FileSessionStore({ directory }), new KvSessionStore({ client: new LocalKvClient() })] };
+};
+
+async function testStoreContract() {
+  console.log('🧪 Testing session store contract...');
+
+  const { directory, stores } = await createStores();
+  const expiresAt = new Date(Date.now() + 60000);
+
+  for (const store of stores) {
+    const created = await store.put({ id: 'abc-123', data: { expirationDate: '2026-12-01' }, expiresAt });
+    assert.equal(created.version, 1, store.name);
+
+    const loaded = await store.get('abc-123');
+    assert.ok(loaded.expiresAt instanceof Date, store.name);
+    assert.equal(loaded.data.expirationDate, '2026-12-01', store.name);
+
+    // Writing over a version someone else already replaced is rejected
+    await store.put({ ...loaded, data: { step: 'first' } }, { expectedVersion: 1 });
+    await assert.rejects(
+      () => store.put({ ...loaded, data: { step: 'stale' } }, { expectedVersion: 1 }),
+      error => isVersionConflict(error)
+    );
+    assert.equal((await store.get('abc-123')).data.step, 'first', store.name);
+
+    assert.equal(await store.count(), 1, store.name);
+    assert.equal(await store.delete('abc-123'), true, store.name);
+    assert.equal(await store.get('abc-123'), null, store.name);
+  }
+
+  await fs.rm(directory, { recursive: true, force: true });
+  console.log('✅ Session store contract test passed');
+}
+
+async function testKvExpiry() {
+  console.log('🧪 Testing key-value TTL...');
+
+  let now = Date.now();
+  const clock = () => now;
+  const store = new KvSessionStore({ client: new LocalKvClient({ now: clock }), now: clock });
+
+  await store.put({ id: 'short', expiresAt: new Date(now + 1000) });
+  assert.ok(await store.get('short'));
+
+  now += 1001;
+  assert.equal(await store.get('short'), null);
+  assert.deepEqual(await store.list(), []);
+
+  // Only usable with a real client, so it can't be picked from the environment
+  assert.throws(() => new KvSessionStore(), /requires a key-value client/);
+  assert.throws(() => createSessionStore({ SESSION_STORE: 'kv' }), /Unknown SESSION_STORE: kv/);
+  console.log('✅ Key-value TTL test passed');
+}
+
+async function testSessionManagerOverFileStore() {
+  console.log('🧪 Testing session manager persistence...');
+
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'sessions-'));
+  sessionManager.setStore(new FileSessionStore({ directory }));
+
+  const session = await sessionManager.createSession();
+  await sessionManager.updateSessionData(session.id, { personalInfo: { firstName: 'Jane' } });
+
+  // A second instance reading the same directory sees the application
+  const restarted = new FileSessionStore({ directory });
+  assert.equal((await restarted.get(session.id)).data.personalInfo.firstName, 'Jane');
+
+  // Concurrent writers are retried instead of overwriting each other
+  await Promise.all([
+    sessionManager.addConversationItem(session.id, 'user', 'My name is Jane'),
+    sessionManager.addConversationItem(session.id, 'agent', 'Thanks, Jane'),
+    sessionManager.updateVehicle(session.id, 1, { make: 'Honda' }),
+    sessionManager.updateDriver(session.id, 1, { yearsLicensed: 12 })
+  ]);
+  const merged = await sessionManager.getSession(session.id);
+  assert.equal(merged.conversationHistory.length, 2);
+  assert.equal(merged.data.vehicles[0].make, 'Honda');
+  assert.equal(merged.data.drivers[0].yearsLicensed, 12);
+
+  // A caller holding a stale copy is told so
+  await assert.rejects(
+    () => sessionManager.updateSessionData(session.id, { personalInfo: { firstName: 'Janet' } }, { expectedVersion: session.version }),
+    error => isVersionConflict(error)
+  );
+
+  const extended = await sessionManager.extendSession(session.id, 3600000);
+  assert.ok(extended.expiresAt > merged.expiresAt);
+
+  await sessionManager.deleteSession(session.id);
+  await fs.rm(directory, { recursive: true, force: true });
+  console.log('✅ Session manager persistence test passed');
+}
+
+// Run tests
+async function runAllTests() {
+  try {
+    await testStoreContract();
+    await testKvExpiry();
+    await testSessionManagerOverFileStore();
+
+    console.log('');
+    console.log('🎊 All Session Store Tests Passed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Test Suite Failed:', error);
+    process.exit(1);
+  }
+}
+
+// Check if this file is being run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testStoreContract, testKvExpiry, testSessionManagerOverFileStore };
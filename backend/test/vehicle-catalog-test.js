@@ -0,0 +1,226 @@
+import assert from 'node:assert/strict';
+import {
+  SnapshotCatalogProvider,
+  CachedCatalogProvider,
+  VehicleCatalogProvider,
+  createVehicleCatalogProvider,
+  setVehicleCatalogProvider
+} from '../src/services/vehicleCatalog/index.js';
+import { matchMake, matchModel, normalizeSpoken, ACCEPT_CONFIDENCE } from '../src/services/vehicleCatalog/vehicleMatcher.js';
+import { normalizeSpokenVin, validateVin, decodeVin, findVinConflicts } from '../src/services/vehicleCatalog/vinDecoder.js';
+import { VehicleInfoSchema } from '../src/types/insurance.js';
+import { validateVehicleMake, validateVehicleModel, getValidVehicleTrims, validateZipCode } from '../src/agents/validationTools.js';
+
+// Fake provider that counts calls and can be switched into a failing state
+class CountingProvider extends VehicleCatalogProvider {
+  constructor(name, makes) {
+    super(name);
+    this.makes = makes;
+    this.calls = 0;
+    this.failing = false;
+  }
+
+  async getMakes() {
+    this.calls++;
+    if (this.failing) {
+      throw new Error(`${this.name} offline`);
+    }
+    return this.makes;
+  }
+}
+
+async function testSnapshotProvider() {
+  console.log('🧪 Testing snapshot catalog provider');
+  const provider = new SnapshotCatalogProvider();
+
+  const makes = await provider.getMakes(2019);
+  assert.ok(makes.includes('Honda'));
+  assert.deepEqual(makes, [...makes].sort());
+
+  const models = await provider.getModels(2019, 'honda');
+  assert.ok(models.includes('Civic'));
+  assert.ok(!models.includes('Integra'), 'Integra was not sold in 2019');
+
+  const trims = await provider.getTrims(2019, 'Honda', 'civic');
+  assert.ok(trims.includes('EX'));
+
+  assert.equal((await provider.lookupZipCode('90210')).state, 'CA');
+  assert.equal(await provider.lookupZipCode('00000'), null);
+  console.log('✅ Snapshot provider test passed');
+}
+
+async function testCachedProvider() {
+  console.log('🧪 Testing cached catalog provider (TTL + stale-while-revalidate)');
+  let now = 0;
+  const primary = new CountingProvider('primary', ['Ford']);
+  const fallback = new CountingProvider('fallback', ['Toyota']);
+  const provider = new CachedCatalogProvider({
+    providers: [primary, fallback],
+    ttlMs: 1000,
+    staleTtlMs: 1000,
+    fallbackTtlMs: 200,
+    now: () => now
+  });
+
+  // Concurrent lookups share one request
+  const [first, second] = await Promise.all([provider.getMakes(2020), provider.getMakes(2020)]);
+  assert.deepEqual(first, ['Ford']);
+  assert.deepEqual(second, ['Ford']);
+  assert.equal(primary.calls, 1);
+
+  // Fresh entry comes from cache
+  now = 500;
+  await provider.getMakes(2020);
+  assert.equal(primary.calls, 1);
+
+  // Stale entry is served immediately and refreshed in the background
+  now = 1500;
+  primary.makes = ['Ford', 'Lincoln'];
+  assert.deepEqual(await provider.getMakes(2020), ['Ford']);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(primary.calls, 2);
+  assert.deepEqual(await provider.getMakes(2020), ['Ford', 'Lincoln']);
+
+  // Primary failure falls through to the next provider
+  primary.failing = true;
+  assert.deepEqual(await provider.getMakes(2021), ['Toyota']);
+
+  // A fallback answer is only cached for fallbackTtlMs, then the primary is asked again
+  const fallbackCalls = fallback.calls;
+  now = 1600;
+  assert.deepEqual(await provider.getMakes(2021), ['Toyota']);
+  assert.equal(fallback.calls, fallbackCalls);
+  primary.failing = false;
+  const primaryCalls = primary.calls;
+  now = 2000;
+  assert.deepEqual(await provider.getMakes(2021), ['Ford', 'Lincoln']);
+  assert.equal(primary.calls, primaryCalls + 1);
+  primary.failing = true;
+
+  // When everything fails an expired entry is still served
+  fallback.failing = true;
+  now = 10000;
+  assert.deepEqual(await provider.getMakes(2020), ['Ford', 'Lincoln']);
+  await assert.rejects(() => provider.getMakes(2022));
+  console.log('✅ Cached provider test passed');
+}
+
+async function testValidationToolsOffline() {
+  console.log('🧪 Testing validation tools against the snapshot');
+  setVehicleCatalogProvider(createVehicleCatalogProvider({ VEHICLE_CATALOG_PROVIDER: 'snapshot' }));
+
+  const make = await validateVehicleMake(2019, 'honda');
+  assert.equal(make.valid, true);
+  assert.equal(make.make, 'Honda');
+
+  const trims = await getValidVehicleTrims(2019, 'Honda', 'Civic');
+  assert.equal(trims.valid, true);
+  assert.ok(trims.trims.includes('EX'));
+
+  const model = await validateVehicleModel(2019, 'Toyota', 'Camery');
+  assert.equal(model.valid, false);
+  assert.match(model.error, /Did you mean the Toyota Camry\?/);
+  assert.equal(model.suggestions[0].name, 'Camry');
+
+  const zip = await validateZipCode('90210-1234');
+  assert.equal(zip.valid, true);
+  assert.equal(zip.zipcode, '90210');
+  console.log('✅ Validation tools test passed');
+}
+
+async function testVehicleMatcher() {
+  console.log('🧪 Testing spoken make/model matching');
+  const provider = new SnapshotCatalogProvider();
+  const makes = await provider.getMakes(2019);
+
+  assert.equal(normalizeSpoken('F one fifty'), 'f 150');
+  assert.equal(normalizeSpoken('twenty five hundred'), '2500');
+  assert.equal(normalizeSpoken('one hundred fifty'), '150');
+
+  // Aliases are accepted outright
+  for (const [heard, expected] of [['Chevy', 'Chevrolet'], ['Merc', 'Mercedes-Benz'], ['VW', 'Volkswagen']]) {
+    const match = matchMake(heard, makes);
+    assert.equal(match.best.name, expected);
+    assert.ok(match.confidence >= ACCEPT_CONFIDENCE);
+  }
+
+  // Sound-alikes are suggested, not accepted
+  const camry = matchModel('Camery', await provider.getModels(2019, 'Toyota'), 'Toyota');
+  assert.equal(camry.best.name, 'Camry');
+  assert.ok(camry.confidence < ACCEPT_CONFIDENCE);
+
+  // Spoken numbers and a leading make name are normalized away
+  const fordModels = await provider.getModels(2019, 'Ford');
+  assert.equal(matchModel('F one fifty', fordModels, 'Ford').best.name, 'F-150');
+  assert.equal(matchModel('Ford F one fifty', fordModels, 'Ford').confidence, 1);
+  assert.notEqual(matchModel('F one fifty', fordModels, 'Ford').candidates[1]?.name, 'F-250 Super Duty');
+  assert.equal(matchModel('four runner', await provider.getModels(2019, 'Toyota'), 'Toyota').best.name, '4Runner');
+  console.log('✅ Vehicle matcher test passed');
+}
+
+async function testVinDecoder() {
+  console.log('🧪 Testing VIN decoder...');
+
+  const vin = '1HGCM82633A004352';
+  assert.equal(validateVin(vin).valid, true);
+  assert.equal(validateVin(vin.toLowerCase()).vin, vin);
+
+  // Check digit, forbidden letters and length
+  assert.match(validateVin('1HGCM82643A004352').errors[0], /check digit/);
+  assert.match(validateVin('1HGCM82633AOO4352').errors[0], /I, O or Q/);
+  assert.match(validateVin('1HGCM8263').errors[0], /17 characters/);
+
+  const decoded = decodeVin(vin);
+  assert.equal(decoded.make, 'Honda');
+  assert.equal(decoded.country, 'United States');
+  assert.equal(decoded.modelYear, 2003);
+  assert.deepEqual(decoded.modelYearCandidates, [2003]);
+  assert.equal(decoded.plant, 'Marysville, OH, USA');
+
+  // Position 7 is a letter from 2010 on; outside North America both cycles stay possible
+  assert.equal(decodeVin('5YJ3E1EA2KF317000').modelYear, 2019);
+  assert.deepEqual(decodeVin('WBA3A5C53CF256551', { currentYear: 2026 }).modelYearCandidates, [1982, 2012]);
+
+  // Spoken VINs
+  assert.equal(
+    normalizeSpokenVin('one hotel golf charlie mike eight two six three three alpha zero zero four three five two'),
+    vin
+  );
+  assert.equal(normalizeSpokenVin('It\'s 1HG, C as in charlie, M, 8 2, six double three, A, oh oh 4352'), vin);
+
+  // Conflicts with what the caller said
+  assert.deepEqual(findVinConflicts(decoded, { year: 2003, make: 'honda' }), []);
+  assert.deepEqual(
+    findVinConflicts(decoded, { year: 2013, make: 'Toyota' }).map(conflict => conflict.field),
+    ['year', 'make']
+  );
+
+  // The session schema enforces the check digit
+  assert.equal(VehicleInfoSchema.safeParse({ vin }).success, true);
+  assert.equal(VehicleInfoSchema.safeParse({ vin: '1HGCM82643A004352' }).success, false);
+  console.log('✅ VIN decoder test passed');
+}
+
+// Run tests
+async function runAllTests() {
+  try {
+    await testSnapshotProvider();
+    await testCachedProvider();
+    await testVehicleMatcher();
+    await testValidationToolsOffline();
+    await testVinDecoder();
+
+    console.log('');
+    console.log('🎊 All Vehicle Catalog Tests Passed!');
+  } catch (error) {
+    console.error('💥 Test Suite Failed:', error);
+    process.exit(1);
+  }
+}
+
+// Check if this file is being run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testSnapshotProvider, testCachedProvider, testVehicleMatcher, testValidationToolsOffline, testVinDecoder };
@@ -0,0 +1,154 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import WebSocket from 'ws';
+import VoiceAgentWebSocketServer from '../src/services/websocketServer.js';
+import { createConnectionTokens, setConnectionTokens } from '../src/services/connectionTokens.js';
+import {
+  PROTOCOL_VERSION,
+  protocolName,
+  negotiateProtocolVersion,
+  parseClientMessage
+} from '../src/types/websocketProtocol.js';
+import { renderProtocolTypes, PROTOCOL_TYPES_PATH } from '../scripts/generateProtocolTypes.js';
+
+const mockSocket = () => {
+  const sent = [];
+  return { sent, ws: { OPEN: 1, readyState: 1, send: message => sent.push(JSON.parse(message)) } };
+};
+
+async function testInboundFrames() {
+  console.log('🧪 Testing inbound frame validation...');
+
+  assert.deepEqual(parseClientMessage({ type: 'session:start' }), { type: 'session:start', payload: {} });
+  assert.equal(parseClientMessage({ type: 'audio:input', id: 'a1', payload: { audioData: [0, -32768, 32767] } }).payload.format, 'pcm16');
+
+  assert.throws(() => parseClientMessage({ type: 'session:hijack', payload: {} }), error => error.code === 'UNKNOWN_MESSAGE_TYPE');
+  assert.throws(() => parseClientMessage({ payload: {} }), error => error.code === 'INVALID_MESSAGE');
+  assert.throws(
+    () => parseClientMessage({ type: 'audio:input', payload: { audioData: [0, 0.5] } }),
+    error => error.code === 'INVALID_MESSAGE' && error.issues[0].path === 'payload.audioData.1'
+  );
+  assert.throws(() => parseClientMessage({ type: 'text:input', payload: { message: '' } }), error => error.code === 'INVALID_MESSAGE');
+
+  // Errors are typed and carry the id of the frame that caused them
+  const server = new VoiceAgentWebSocketServer(0);
+  const { sent, ws } = mockSocket();
+
+  await server.handleMessage(ws, { type: 'text:input', id: 'req-1', payload: {} });
+  assert.equal(sent[0].type, 'error');
+  assert.equal(sent[0].correlationId, 'req-1');
+  assert.equal(sent[0].payload.code, 'INVALID_MESSAGE');
+  assert.deepEqual(sent[0].payload.issues.map(issue => issue.path), ['payload.message']);
+
+  await server.handleMessage(ws, { type: 'text:input', id: 'req-2', payload: { message: 'hello' } });
+  assert.equal(sent[1].correlationId, 'req-2');
+  assert.equal(sent[1].payload.code, 'NO_ACTIVE_SESSION');
+
+  await server.handleMessage(ws, { type: 'nope' });
+  assert.equal(sent[2].correlationId, null);
+  assert.equal(sent[2].payload.code, 'UNKNOWN_MESSAGE_TYPE');
+
+  console.log('✅ Inbound frame validation test passed');
+}
+
+async function testOutboundFrames() {
+  console.log('🧪 Testing outbound frame validation...');
+
+  const server = new VoiceAgentWebSocketServer(0);
+  const { sent, ws } = mockSocket();
+
+  server.sendMessage(ws, {
+    type: 'agent:response',
+    payload: { sessionId: 'session-1', message: 'Hi', timestamp: new Date().toISOString() }
+  });
+  assert.equal(sent.length, 1);
+
+  // Frames that don't match the protocol never reach the client
+  server.sendMessage(ws, { type: 'agent:response', payload: { sessionId: 'session-1', message: 'Hi', type: 'question' } });
+  server.sendMessage(ws, { type: 'session:debug', payload: {} });
+  server.sendError(ws, 'SOMETHING_ELSE', 'Not a protocol error code');
+  assert.equal(sent.length, 1);
+
+  console.log('✅ Outbound frame validation test passed');
+}
+
+// Resolves with the status of a rejected upgrade, or the socket and its first frame once connected
+const connect = (port, token, protocols) => new Promise((resolve, reject) => {
+  const client = new WebSocket(`ws://localhost:${port}?token=${token}`, protocols);
+  client.on('unexpected-response', (request, response) => resolve({ status: response.statusCode }));
+  client.on('message', data => resolve({ status: 101, client, message: JSON.parse(data.toString()) }));
+  client.on('error', reject);
+});
+
+async function testVersionNegotiation() {
+  console.log('🧪 Testing protocol version negotiation...');
+
+  assert.equal(negotiateProtocolVersion(['insurance-voice.v1', 'insurance-voice.v9']), 1);
+  assert.equal(negotiateProtocolVersion(['insurance-voice.v1', 'insurance-voice.v2']), 2);
+  assert.equal(negotiateProtocolVersion(['insurance-voice.v9', 'chat']), null);
+
+  const tokens = createConnectionTokens({ WS_TOKEN_SECRET: 'test-secret' });
+  setConnectionTokens(tokens);
+  const server = new VoiceAgentWebSocketServer(0);
+  server.start();
+  await new Promise(resolve => server.wss.once('listening', resolve));
+  const { port } = server.wss.address();
+  const token = () => tokens.issue('caller-1').token;
+
+  try {
+    const negotiated = await connect(port, token(), ['insurance-voice.v9', 'insurance-voice.v1']);
+    assert.equal(negotiated.client.protocol, 'insurance-voice.v1');
+    assert.equal(negotiated.message.payload.protocolVersion, 1);
+    negotiated.client.close();
+
+    // Clients that don't ask predate binary audio
+    const legacy = await connect(port, token());
+    assert.equal(legacy.message.payload.protocolVersion, 1);
+    legacy.client.close();
+
+    const current = await connect(port, token(), [protocolName(PROTOCOL_VERSION)]);
+    assert.equal(current.message.payload.protocolVersion, PROTOCOL_VERSION);
+    current.client.close();
+
+    assert.equal((await connect(port, token(), ['insurance-voice.v9'])).status, 400);
+  } finally {
+    await server.stop();
+  }
+
+  console.log('✅ Protocol version negotiation test passed');
+}
+
+async function testGeneratedTypes() {
+  console.log('🧪 Testing generated TypeScript types...');
+
+  const generated = fs.readFileSync(PROTOCOL_TYPES_PATH, 'utf8');
+  assert.equal(generated, renderProtocolTypes(), 'frontend types are out of date: run npm run generate:protocol-types');
+  assert.match(generated, /export interface AgentResponseServerMessage \{/);
+  assert.doesNotMatch(generated, /'question'/);
+
+  console.log('✅ Generated types test passed');
+}
+
+// Run tests
+async function runAllTests() {
+  try {
+    await testInboundFrames();
+    await testOutboundFrames();
+    await testVersionNegotiation();
+    await testGeneratedTypes();
+
+    console.log('');
+    console.log('🎊 All WebSocket Protocol Tests Passed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Test Suite Failed:', error);
+    process.exit(1);
+  }
+}
+
+// Check if this file is being run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testInboundFrames, testOutboundFrames, testVersionNegotiation, testGeneratedTypes };
@@ -1,9 +1,98 @@
 import React from 'react';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
 import App from './App';
 
+// The browser session: agents record their config, sessions connect right away.
+// Virtual because jest can't resolve the SDK's subpath exports.
+const mockAgents: any[] = [];
+jest.mock('@openai/agents/realtime', () => ({
+  tool: (options: any) => options,
+  RealtimeAgent: class {
+    constructor(config: any) {
+      mockAgents.push(config);
+    }
+  },
+  RealtimeSession: class {
+    on() {}
+    async connect() {}
+    async sendMessage() {}
+    async close() {}
+  }
+}), { virtual: true });
+
 test('renders learn react link', () => {
   render(<App />);
   const linkElement = screen.getByText(/learn react/i);
   expect(linkElement).toBeInTheDocument();
 });
+
+test('fills in the form from the tools of a browser session', async () => {
+  const completionStatus = {
+    personalInfo: 50, vehicles: 0, coveragePrefs: 0, drivers: 0, currentPolicy: 0,
+    byVehicle: {}, byDriver: {}, overall: 10, missingFields: []
+  };
+  const data = {
+    sessionId: 'backend-session',
+    personalInfo: { firstName: 'Jane', lastName: 'Doe' },
+    vehicles: [],
+    drivers: [],
+    coveragePrefs: {},
+    currentPolicy: {},
+    completionStatus
+  };
+  const requests: { url: string; init: any }[] = [];
+  const respond = (body: any) => Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+  global.fetch = jest.fn((url: string, init: any) => {
+    requests.push({ url, init });
+    if (url.endsWith('/api/session-token')) {
+      return respond({
+        success: true,
+        token: 'ek_test',
+        backendSession: {
+          sessionId: 'backend-session',
+          connectionToken: 'connection-token',
+          expiresAt: new Date(Date.now() + 300000).toISOString()
+        },
+        profile: {
+          name: 'Sarah',
+          instructions: 'Collect the application',
+          model: 'gpt-realtime',
+          voice: 'alloy',
+          turnDetection: { type: 'server_vad', threshold: 0.3, prefixPaddingMs: 300, silenceDurationMs: 200 },
+          tools: [{ name: 'collect_personal_info', description: 'Collect personal info', parameters: {}, strict: true }]
+        }
+      });
+    }
+    return respond({ success: true, toolName: 'collect_personal_info', output: 'Recorded', data, completionStatus });
+  }) as any;
+
+  (window as any).AudioContext = class {
+    state = 'running';
+    close() {}
+  };
+
+  render(<App />);
+  fireEvent.click(screen.getByText(/Connect & Start Talking/i));
+  await screen.findByText('Disconnect');
+
+  const [personalInfoTool] = mockAgents[0].tools;
+  let output;
+  await act(async () => {
+    output = await personalInfoTool.execute({ firstName: 'Jane', lastName: 'Doe' });
+  });
+
+  // The tool ran in the backend session and its result is on the form
+  expect(output).toBe('Recorded');
+  const toolRequest = requests.find(request => request.url.endsWith('/api/sessions/backend-session/tools/collect_personal_info'));
+  expect(toolRequest?.init.headers.Authorization).toBe('Bearer connection-token');
+  expect(JSON.parse(toolRequest?.init.body).arguments).toEqual({ firstName: 'Jane', lastName: 'Doe' });
+  expect(screen.getByText('Jane Doe')).toBeInTheDocument();
+  expect(screen.getByText('10%')).toBeInTheDocument();
+
+  // The conversation is saved under the backend session, for its owner only
+  fireEvent.click(screen.getByText('Disconnect'));
+  await screen.findByText('Disconnected');
+  const saveRequest = requests.find(request => request.url.endsWith('/api/conversations/save'));
+  expect(saveRequest?.init.headers.Authorization).toBe('Bearer connection-token');
+  expect(JSON.parse(saveRequest?.init.body).sessionId).toBe('backend-session');
+});
@@ -3,21 +3,28 @@ import './App.css';
 import InsuranceForm from './components/InsuranceForm';
 import {
   InsuranceApplication,
-  CompletionStatus
+  CompletionStatus,
+  AgentProfile,
+  BackendSession
 } from './types/insurance';
-import { apiUrl } from './config/environment';
+import { apiUrl, agentProfile } from './config/environment';
+import { BackendToolClient, ToolDataUpdate } from './services/backendTools';
 
 // Simple conversation logger for frontend
 class FrontendConversationLogger {
   private sessionId: string | null = null;
+  private backendTools: BackendToolClient | null = null;
   private conversationData: any[] = [];
   private events: any[] = [];
   private startTime: string | null = null;
   public loggedMessageIds: Set<string> = new Set();
   public lastHistoryLength: number = 0;
 
-  startLogging(sessionId: string) {
+  // The conversation is saved with the backend session's connection token
+  startLogging(backendTools: BackendToolClient) {
+    const { sessionId } = backendTools;
     this.sessionId = sessionId;
+    this.backendTools = backendTools;
     this.conversationData = [];
     this.events = [];
     this.startTime = new Date().toISOString();
@@ -69,7 +76,7 @@ class FrontendConversationLogger {
   }
 
   async saveConversation() {
-    if (!this.sessionId || !this.startTime) return;
+    if (!this.sessionId || !this.startTime || !this.backendTools) return;
 
     const uniqueConversationData = this.getUniqueConversationData();
 
@@ -93,7 +100,8 @@ class FrontendConversationLogger {
       const response = await fetch(`${apiUrl}/api/conversations/save`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${await this.backendTools.getConnectionToken()}`
         },
         body: JSON.stringify(conversationSummary)
       });
@@ -151,12 +159,15 @@ function App() {
   };
 
   // Get session token from backend
-  const getSessionToken = async () => {
+  // The token comes with the agent profile the session was created for and the
+  // backend session its tools record the application in
+  const getSessionToken = async (): Promise<{ token: string; profile: AgentProfile; backendSession: BackendSession }> => {
     const response = await fetch(`${apiUrl}/api/session-token`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
-      }
+      },
+      body: JSON.stringify(agentProfile ? { profileId: agentProfile } : {})
     });
 
     if (!response.ok) {
@@ -170,7 +181,13 @@ function App() {
       throw new Error(data.error || 'Failed to get session token');
     }
 
-    return data.token;
+    return { token: data.token, profile: data.profile, backendSession: data.backendSession };
+  };
+
+  // The form shows the application as the backend has it after each tool call
+  const applyDataUpdate = ({ data, completionStatus }: ToolDataUpdate) => {
+    setInsuranceData(data);
+    setCompletionStatus(completionStatus);
   };
 
   // Play audio from OpenAI Realtime API
@@ -280,7 +297,7 @@ function App() {
         // Initialize audio context with user interaction
         initializeAudioContext();
 
-        const token = await getSessionToken();
+        const { token, profile, backendSession } = await getSessionToken();
         console.log('Got token:', token ? token.substring(0, 20) + '...' : 'undefined');
 
         if (!token) {
@@ -290,76 +307,29 @@ function App() {
         setStatus('Creating session...');
 
         // Import the RealtimeAgent and RealtimeSession dynamically
-        const { RealtimeAgent, RealtimeSession } = await import('@openai/agents/realtime');
+        const { RealtimeAgent, RealtimeSession, tool } = await import('@openai/agents/realtime');
 
-        // Create the insurance agent
+        // Create the insurance agent from the profile the backend issued the token for;
+        // its tools run in the backend session and fill in the form
+        const backendTools = new BackendToolClient(backendSession);
         const insuranceAgent = new RealtimeAgent({
-          name: 'Sarah - Insurance Specialist',
-          instructions: `You are Sarah, a friendly and experienced auto insurance specialist specializing in helping customers with renewals, new policies, and adding vehicles. You have a warm, conversational style and make insurance feel approachable.
-
-Your personality:
-- Warm, friendly, and genuinely interested in helping with their specific insurance needs
-- Great at building rapport and making people feel comfortable
-- Excellent at explaining complex insurance concepts in simple terms
-- Patient and never pushy - you let conversations flow naturally
-- Professional but personable, with a focus on cost savings and value
-
-CRITICAL FIRST PRIORITY - Insurance Purpose:
-After your greeting, IMMEDIATELY ask about their insurance purpose. This is the most important information:
-- "Are you looking to renew your current policy?"
-- "Do you need a brand new insurance policy?"
-- "Are you adding a car to your existing coverage?"
-- "Are you trying to lower your current premium?"
-- "Are you removing a vehicle from your policy?"
-
-Emphasize benefits based on their purpose:
-- RENEWAL: "Great! I can help you find better rates and coverage for your renewal"
-- NEW POLICY: "Perfect! Let's get you set up with comprehensive coverage at a great price"
-- ADDING CAR: "Excellent! Adding a vehicle often comes with multi-car discounts"
-- LOWERING PREMIUM: "I love helping people save money! Let's find ways to reduce your costs"
-
-Your conversational approach:
-1. Start with warm greeting
-2. IMMEDIATELY ask about insurance purpose (renewal/new/adding car/lowering premium)
-3. Show enthusiasm about helping with their specific need
-4. Then naturally collect other information
-5. Emphasize cost savings and value throughout
-
-Information you need to collect naturally through conversation:
-- INSURANCE PURPOSE (renewal, new policy, adding car, lowering premium) - ASK FIRST!
-- Current insurance company and expiration date (if renewal)
-- Personal details (name, age, address, contact info)
-- Vehicle information (make, model, year, usage) - up to 2 vehicles
-- Driving history and experience
-- Coverage preferences and budget
-
-IMPORTANT: You should START the conversation immediately when connected. Don't wait for the customer to speak first!
-
-Start with: "Hi there! I'm Sarah, and I'm here to help you with your auto insurance needs. How's your day going? And tell me, are you looking to renew your current policy, get a brand new one, or maybe add a car to your existing coverage?"
-
-Remember:
-- START TALKING FIRST - don't wait for the customer
-- ALWAYS ask about their insurance purpose first - this drives the entire conversation and helps you provide the most relevant assistance!`,
+          name: profile.name,
+          instructions: profile.instructions,
+          tools: backendTools.createTools(tool, profile.tools, applyDataUpdate)
         });
 
         sessionRef.current = new RealtimeSession(insuranceAgent, {
-          model: 'gpt-4o-realtime-preview-2025-06-03',
+          model: profile.model,
           config: {
-            voice: 'alloy',
+            voice: profile.voice,
             inputAudioFormat: 'pcm16',
             outputAudioFormat: 'pcm16',
-            turnDetection: {
-              type: 'server_vad',
-              threshold: 0.3,
-              prefixPaddingMs: 300,
-              silenceDurationMs: 200
-            }
+            turnDetection: profile.turnDetection
           }
         });
 
-        // Start conversation logging
-        const sessionId = 'frontend_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-        frontendLogger.startLogging(sessionId);
+        // Start conversation logging under the backend session's id
+        frontendLogger.startLogging(backendTools);
 
         // Set up event listeners for audio and conversation
         sessionRef.current.on('transport_event', (event: any) => {
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import JsonViewer from './JsonViewer';
 import './ConversationHistoryTab.css';
 
@@ -78,7 +78,12 @@ interface InsuranceData {
   extractedAt: string;
 }
 
+// Saved conversations span every caller, so the backend serves them only with its ADMIN_API_TOKEN
+const ADMIN_TOKEN_KEY = 'adminApiToken';
+
 const ConversationHistoryTab: React.FC = () => {
+  const [adminToken, setAdminToken] = useState(() => sessionStorage.getItem(ADMIN_TOKEN_KEY) || '');
+  const [tokenInput, setTokenInput] = useState('');
   const [conversations, setConversations] = useState<ConversationSummary[]>([]);
   const [selectedConversation, setSelectedConversation] = useState<ConversationDetails | null>(null);
   const [insuranceData, setInsuranceData] = useState<InsuranceData | null>(null);
@@ -86,17 +91,34 @@ const ConversationHistoryTab: React.FC = () => {
   const [error, setError] = useState<string | null>(null);
   const [view, setView] = useState<'list' | 'details'>('list');
 
-  useEffect(() => {
-    loadConversations();
-  }, []);
+  const fetchAsAdmin = useCallback((url: string) => fetch(url, {
+    headers: { Authorization: `Bearer ${adminToken}` }
+  }), [adminToken]);
 
-  const loadConversations = async () => {
+  const saveAdminToken = (event: React.FormEvent) => {
+    event.preventDefault();
+    sessionStorage.setItem(ADMIN_TOKEN_KEY, tokenInput.trim());
+    setTokenInput('');
+    setError(null);
+    setAdminToken(tokenInput.trim());
+  };
+
+  const loadConversations = useCallback(async () => {
+    if (!adminToken) {
+      setLoading(false);
+      return;
+    }
     try {
       setLoading(true);
-      const response = await fetch('/api/conversations');
+      const response = await fetchAsAdmin('/api/conversations');
       const data = await response.json();
       
-      if (data.success) {
+      if (response.status === 401) {
+        // Wrong or outdated token: ask for it again
+        sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+        setAdminToken('');
+        setError(data.error || 'The admin token is required');
+      } else if (data.success) {
         setConversations(data.conversations);
       } else {
         setError(data.error || 'Failed to load conversations');
@@ -107,14 +129,18 @@ const ConversationHistoryTab: React.FC = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [adminToken, fetchAsAdmin]);
+
+  useEffect(() => {
+    loadConversations();
+  }, [loadConversations]);
 
   const loadConversationDetails = async (conversationId: string) => {
     try {
       setLoading(true);
       
       // Load conversation details
-      const detailsResponse = await fetch(`/api/conversations/${conversationId}`);
+      const detailsResponse = await fetchAsAdmin(`/api/conversations/${conversationId}`);
       const detailsData = await detailsResponse.json();
       
       if (detailsData.success) {
@@ -122,7 +148,7 @@ const ConversationHistoryTab: React.FC = () => {
         
         // Load insurance data
         try {
-          const insuranceResponse = await fetch(`/api/conversations/${conversationId}/insurance-data`);
+          const insuranceResponse = await fetchAsAdmin(`/api/conversations/${conversationId}/insurance-data`);
           const insuranceData = await insuranceResponse.json();
           
           if (insuranceData.success) {
@@ -176,10 +202,25 @@ const ConversationHistoryTab: React.FC = () => {
         </button>
       </div>
       
+      {!adminToken && (
+        <form className="admin-token-form" onSubmit={saveAdminToken}>
+          <p>Conversation history needs the backend's admin token (ADMIN_API_TOKEN).</p>
+          <input
+            type="password"
+            value={tokenInput}
+            onChange={(event) => setTokenInput(event.target.value)}
+            placeholder="Admin token"
+          />
+          <button type="submit" className="refresh-btn" disabled={!tokenInput.trim()}>
+            Show history
+          </button>
+        </form>
+      )}
+
       {loading && <div className="loading">Loading conversations...</div>}
       {error && <div className="error">Error: {error}</div>}
       
-      {!loading && !error && conversations.length === 0 && (
+      {adminToken && !loading && !error && conversations.length === 0 && (
         <div className="empty-state">
           <p>No conversations found. Start a voice call to see history here!</p>
         </div>
@@ -1,5 +1,5 @@
 import React from 'react';
-import { InsuranceApplication, CompletionStatus } from '../types/insurance';
+import { InsuranceApplication, CompletionStatus, Driver, CurrentPolicy } from '../types/insurance';
 
 interface InsuranceFormProps {
   data: InsuranceApplication | null;
@@ -45,7 +45,16 @@ const InsuranceForm: React.FC<InsuranceFormProps> = ({ data, completionStatus })
 
   const formatAddress = (address: any) => {
     if (!address) return 'Not provided';
-    return `${address.street}, ${address.city}, ${address.state} ${address.zipCode}`;
+    const { street, city, state, zipCode } = address;
+    return [street, city, [state, zipCode].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+  };
+
+  const formatDriver = (driver: Driver | undefined, index: number) => {
+    if (!driver) return 'Not assigned';
+    const firstName = driver.firstName || (driver.relationship === 'self' ? data.personalInfo.firstName : undefined);
+    const lastName = driver.lastName || (driver.relationship === 'self' ? data.personalInfo.lastName : undefined);
+    const name = [firstName, lastName].filter(Boolean).join(' ');
+    return `${name || `Driver ${index + 1}`} (${driver.relationship})`;
   };
 
   const formatCurrency = (amount: number | undefined) => {
@@ -53,6 +62,22 @@ const InsuranceForm: React.FC<InsuranceFormProps> = ({ data, completionStatus })
     return `$${amount.toLocaleString()}`;
   };
 
+  const PAYMENTS_PER_YEAR: Record<string, number> = { monthly: 12, quarterly: 4, semiannual: 2, annual: 1 };
+
+  const formatPremium = (policy: CurrentPolicy) => {
+    if (policy.premium === undefined) return 'Not provided';
+    if (!policy.billingPeriod) return formatCurrency(policy.premium);
+    const annual = Math.round(policy.premium * PAYMENTS_PER_YEAR[policy.billingPeriod]);
+    return `${formatCurrency(policy.premium)} ${policy.billingPeriod} (${formatCurrency(annual)}/year)`;
+  };
+
+  const formatLimits = (limits: CurrentPolicy['liabilityLimits']) => {
+    if (!limits) return 'Not provided';
+    return [limits.bodilyInjuryPerPerson, limits.bodilyInjuryPerAccident, limits.propertyDamage]
+      .map(amount => Math.round(amount / 1000))
+      .join('/');
+  };
+
   return (
     <div className="insurance-form">
       <div className="form-header">
@@ -62,6 +87,15 @@ const InsuranceForm: React.FC<InsuranceFormProps> = ({ data, completionStatus })
             <ProgressBar label="Overall Completion" percentage={completionStatus.overall} />
           </div>
         )}
+        {completionStatus?.missingFields && completionStatus.missingFields.some(field => field.required) && (
+          <div className="next-fields">
+            Still needed: {completionStatus.missingFields
+              .filter(field => field.required)
+              .slice(0, 5)
+              .map(field => (field.member ? `${field.label} (${field.member})` : field.label))
+              .join(', ')}
+          </div>
+        )}
       </div>
 
       <div className="form-sections">
@@ -109,51 +143,77 @@ const InsuranceForm: React.FC<InsuranceFormProps> = ({ data, completionStatus })
           </div>
         </div>
 
-        {/* Vehicle Information Section */}
+        {/* Vehicles Section */}
         <div className="form-section">
           <div className="section-header">
-            <h4>Vehicle Information</h4>
+            <h4>Vehicles</h4>
             {completionStatus && (
-              <ProgressBar label="" percentage={completionStatus.vehicleInfo} />
+              <ProgressBar label="" percentage={completionStatus.vehicles} />
             )}
           </div>
           <div className="section-content">
-            <div className="field-group">
-              <div className="field">
-                <label>Vehicle:</label>
-                <span>{data.vehicleInfo.year && data.vehicleInfo.make && data.vehicleInfo.model
-                  ? `${data.vehicleInfo.year} ${data.vehicleInfo.make} ${data.vehicleInfo.model}`
-                  : 'Not provided'}</span>
-              </div>
-              <div className="field">
-                <label>VIN:</label>
-                <span>{data.vehicleInfo.vin || 'Not provided'}</span>
-              </div>
-              <div className="field">
-                <label>Current Mileage:</label>
-                <span>{data.vehicleInfo.currentMileage 
-                  ? data.vehicleInfo.currentMileage.toLocaleString() 
-                  : 'Not provided'}</span>
-              </div>
-              <div className="field">
-                <label>Annual Mileage:</label>
-                <span>{data.vehicleInfo.annualMileage 
-                  ? data.vehicleInfo.annualMileage.toLocaleString() 
-                  : 'Not provided'}</span>
-              </div>
-              <div className="field">
-                <label>Ownership:</label>
-                <span>{data.vehicleInfo.ownershipStatus || 'Not provided'}</span>
+            {data.vehicles.length === 0 && (
+              <div className="field-group">
+                <div className="field">
+                  <label>Vehicle:</label>
+                  <span>Not provided</span>
+                </div>
               </div>
-              <div className="field">
-                <label>Parking:</label>
-                <span>{data.vehicleInfo.parkingLocation || 'Not provided'}</span>
-              </div>
-              <div className="field">
-                <label>Primary Use:</label>
-                <span>{data.vehicleInfo.primaryUse || 'Not provided'}</span>
-              </div>
-            </div>
+            )}
+            {data.vehicles.map((vehicle, index) => {
+              const driverIndex = data.drivers.findIndex(driver => driver.id === vehicle.primaryDriverId);
+              return (
+                <div className="field-group household-member" key={vehicle.id}>
+                  {completionStatus && (
+                    <ProgressBar label={`Vehicle ${index + 1}`} percentage={completionStatus.byVehicle[vehicle.id] ?? 0} />
+                  )}
+                  <div className="field">
+                    <label>Vehicle:</label>
+                    <span>{vehicle.year && vehicle.make && vehicle.model
+                      ? `${vehicle.year} ${vehicle.make} ${vehicle.model}`
+                      : 'Not provided'}</span>
+                  </div>
+                  <div className="field">
+                    <label>VIN:</label>
+                    <span>{vehicle.vin || 'Not provided'}</span>
+                  </div>
+                  <div className="field">
+                    <label>Current Mileage:</label>
+                    <span>{vehicle.currentMileage 
+                      ? vehicle.currentMileage.toLocaleString() 
+                      : 'Not provided'}</span>
+                  </div>
+                  <div className="field">
+                    <label>Annual Mileage:</label>
+                    <span>{vehicle.annualMileage 
+                      ? vehicle.annualMileage.toLocaleString() 
+                      : 'Not provided'}</span>
+                  </div>
+                  <div className="field">
+                    <label>Ownership:</label>
+                    <span>{vehicle.ownershipStatus || 'Not provided'}</span>
+                  </div>
+                  {(vehicle.ownershipStatus === 'financed' || vehicle.ownershipStatus === 'leased') && (
+                    <div className="field">
+                      <label>Lienholder:</label>
+                      <span>{vehicle.lienholder || 'Not provided'}</span>
+                    </div>
+                  )}
+                  <div className="field">
+                    <label>Parking:</label>
+                    <span>{vehicle.parkingLocation || 'Not provided'}</span>
+                  </div>
+                  <div className="field">
+                    <label>Primary Use:</label>
+                    <span>{vehicle.primaryUse || 'Not provided'}</span>
+                  </div>
+                  <div className="field">
+                    <label>Primary Driver:</label>
+                    <span>{formatDriver(data.drivers[driverIndex], driverIndex)}</span>
+                  </div>
+                </div>
+              );
+            })}
           </div>
         </div>
 
@@ -206,48 +266,148 @@ const InsuranceForm: React.FC<InsuranceFormProps> = ({ data, completionStatus })
                 <label>Policy Start Date:</label>
                 <span>{data.coveragePrefs.policyStartDate || 'Not specified'}</span>
               </div>
+              <div className="field">
+                <label>Pay in Full:</label>
+                <span>{data.coveragePrefs.payInFull === undefined
+                  ? 'Not specified'
+                  : (data.coveragePrefs.payInFull ? 'Yes' : 'No')}</span>
+              </div>
             </div>
           </div>
         </div>
 
-        {/* Driving History Section */}
+        {/* Current Insurance Section */}
         <div className="form-section">
           <div className="section-header">
-            <h4>Driving History</h4>
+            <h4>Current Insurance</h4>
             {completionStatus && (
-              <ProgressBar label="" percentage={completionStatus.drivingHistory} />
+              <ProgressBar label="" percentage={completionStatus.currentPolicy} />
             )}
           </div>
           <div className="section-content">
             <div className="field-group">
+              {data.currentPolicy.currentlyInsured === false ? (
+                <div className="field">
+                  <label>Insurer:</label>
+                  <span>Not currently insured</span>
+                </div>
+              ) : (
+                <>
+                  <div className="field">
+                    <label>Insurer:</label>
+                    <span>{data.currentPolicy.insurer || 'Not provided'}</span>
+                  </div>
+                  <div className="field">
+                    <label>Premium:</label>
+                    <span>{formatPremium(data.currentPolicy)}</span>
+                  </div>
+                  <div className="field">
+                    <label>Expiration Date:</label>
+                    <span>{data.currentPolicy.expirationDate || 'Not provided'}</span>
+                  </div>
+                  <div className="field">
+                    <label>Years with Insurer:</label>
+                    <span>{data.currentPolicy.yearsWithInsurer ?? 'Not provided'}</span>
+                  </div>
+                  <div className="field">
+                    <label>Liability Limits:</label>
+                    <span>{formatLimits(data.currentPolicy.liabilityLimits)}</span>
+                  </div>
+                </>
+              )}
               <div className="field">
-                <label>License Number:</label>
-                <span>{data.drivingHistory.licenseNumber || 'Not provided'}</span>
-              </div>
-              <div className="field">
-                <label>License State:</label>
-                <span>{data.drivingHistory.licenseState || 'Not provided'}</span>
-              </div>
-              <div className="field">
-                <label>Years Licensed:</label>
-                <span>{data.drivingHistory.yearsLicensed || 'Not provided'}</span>
-              </div>
-              <div className="field">
-                <label>Accidents:</label>
-                <span>{data.drivingHistory.accidents?.length || 0} reported</span>
-              </div>
-              <div className="field">
-                <label>Violations:</label>
-                <span>{data.drivingHistory.violations?.length || 0} reported</span>
+                <label>Reason for Shopping:</label>
+                <span>{data.currentPolicy.switchReason
+                  ? data.currentPolicy.switchReason.replace(/_/g, ' ')
+                  : 'Not provided'}</span>
               </div>
-              <div className="field">
-                <label>Claims:</label>
-                <span>{data.drivingHistory.claims?.length || 0} reported</span>
+            </div>
+          </div>
+        </div>
+
+        {/* Drivers Section */}
+        <div className="form-section">
+          <div className="section-header">
+            <h4>Drivers</h4>
+            {completionStatus && (
+              <ProgressBar label="" percentage={completionStatus.drivers} />
+            )}
+          </div>
+          <div className="section-content">
+            {data.drivers.length === 0 && (
+              <div className="field-group">
+                <div className="field">
+                  <label>Driver:</label>
+                  <span>Not provided</span>
+                </div>
               </div>
-              <div className="field">
-                <label>Defensive Driving:</label>
-                <span>{data.drivingHistory.defensiveDriving ? 'Yes' : 'No'}</span>
+            )}
+            {data.drivers.map((driver, index) => (
+              <div className="field-group household-member" key={driver.id}>
+                {completionStatus && (
+                  <ProgressBar label={formatDriver(driver, index)} percentage={completionStatus.byDriver[driver.id] ?? 0} />
+                )}
+                {driver.relationship !== 'self' && (
+                  <div className="field">
+                    <label>Date of Birth:</label>
+                    <span>{driver.dateOfBirth || 'Not provided'}</span>
+                  </div>
+                )}
+                <div className="field">
+                  <label>License Number:</label>
+                  <span>{driver.licenseNumber || 'Not provided'}</span>
+                </div>
+                <div className="field">
+                  <label>License State:</label>
+                  <span>{driver.licenseState || 'Not provided'}</span>
+                </div>
+                <div className="field">
+                  <label>Years Licensed:</label>
+                  <span>{driver.yearsLicensed || 'Not provided'}</span>
+                </div>
+                <div className="field">
+                  <label>Accidents:</label>
+                  <span>{driver.accidents?.length || 0} reported</span>
+                </div>
+                <div className="field">
+                  <label>Violations:</label>
+                  <span>{driver.violations?.length || 0} reported</span>
+                </div>
+                <div className="field">
+                  <label>Claims:</label>
+                  <span>{driver.claims?.length || 0} reported</span>
+                </div>
+                <div className="field">
+                  <label>Defensive Driving:</label>
+                  <span>{driver.defensiveDriving ? 'Yes' : 'No'}</span>
+                </div>
               </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Discounts Section */}
+        <div className="form-section">
+          <div className="section-header">
+            <h4>Discounts</h4>
+          </div>
+          <div className="section-content">
+            <div className="field-group">
+              {(data.discounts ?? []).length === 0 && (
+                <div className="field">
+                  <label>Discounts:</label>
+                  <span>Not checked yet</span>
+                </div>
+              )}
+              {(data.discounts ?? []).map(discount => (
+                <div className={`field discount-${discount.status}`} key={discount.id}>
+                  <label>{discount.name} ({discount.percent}%):</label>
+                  <span>
+                    {discount.status === 'eligible' ? 'Eligible' : discount.status === 'ineligible' ? 'Not eligible' : 'Need more info'}
+                    {' - '}{discount.explanation}
+                  </span>
+                </div>
+              ))}
             </div>
           </div>
         </div>
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import audioService from '../services/audioService';
-import websocketService from '../services/websocketService';
+import websocketService, { AUDIO_FRAME_EVENT } from '../services/websocketService';
+import { AudioFrame } from '../services/audioFrames';
 
 interface VoiceControlsProps {
   sessionId: string | null;
@@ -25,6 +26,22 @@ const VoiceControls: React.FC<VoiceControlsProps> = ({
     };
   }, []);
 
+  // Play the agent's audio as it arrives, and drop what's left when the caller barges in
+  useEffect(() => {
+    const playFrame = (frame: AudioFrame) => {
+      audioService.playAudio(frame.samples, frame.sampleRate);
+    };
+    const truncate = () => {
+      audioService.stopPlayback();
+    };
+    websocketService.on(AUDIO_FRAME_EVENT, playFrame);
+    websocketService.on('audio:truncate', truncate);
+    return () => {
+      websocketService.off(AUDIO_FRAME_EVENT, playFrame);
+      websocketService.off('audio:truncate', truncate);
+    };
+  }, []);
+
   const initializeAudio = async () => {
     try {
       // Check microphone permission first
@@ -52,9 +69,9 @@ const VoiceControls: React.FC<VoiceControlsProps> = ({
     }
 
     try {
-      await audioService.startRecording((audioData) => {
+      await audioService.startRecording((samples, sampleRate) => {
         // Send audio data to backend via WebSocket
-        websocketService.sendAudio(sessionId, audioData);
+        websocketService.sendAudio(sessionId, samples, sampleRate);
       });
       
       setIsRecording(true);
@@ -5,7 +5,7 @@ interface EnvironmentConfig {
   wsUrl: string;
   environment: 'development' | 'staging' | 'production';
   debug: boolean;
-  openaiModel: string;
+  agentProfile: string; // agent profile id for browser sessions, empty to let the session's experiment variant pick
 }
 
 // Get environment variables with fallbacks
@@ -29,7 +29,7 @@ const environments: Record<string, EnvironmentConfig> = {
     wsUrl: getEnvVar('REACT_APP_WS_URL', 'ws://localhost:3002'),
     environment: 'development',
     debug: true,
-    openaiModel: 'gpt-4o-realtime-preview-2025-06-03'
+    agentProfile: getEnvVar('REACT_APP_AGENT_PROFILE', '')
   },
   
   staging: {
@@ -37,7 +37,7 @@ const environments: Record<string, EnvironmentConfig> = {
     wsUrl: getEnvVar('REACT_APP_WS_URL', ''),
     environment: 'staging',
     debug: true,
-    openaiModel: 'gpt-4o-realtime-preview-2025-06-03'
+    agentProfile: getEnvVar('REACT_APP_AGENT_PROFILE', '')
   },
   
   production: {
@@ -45,7 +45,7 @@ const environments: Record<string, EnvironmentConfig> = {
     wsUrl: getEnvVar('REACT_APP_WS_URL', ''),
     environment: 'production',
     debug: false,
-    openaiModel: 'gpt-4o-realtime-preview-2025-06-03'
+    agentProfile: getEnvVar('REACT_APP_AGENT_PROFILE', '')
   }
 };
 
@@ -71,7 +71,7 @@ export const {
   wsUrl,
   environment: environmentName,
   debug,
-  openaiModel
+  agentProfile
 } = config;
 
 // Helper functions
@@ -0,0 +1,60 @@
+import { AUDIO_FRAME_VERSION, AUDIO_FRAME_FIXED_HEADER_BYTES, AUDIO_ENCODINGS } from '../types/websocketProtocol';
+
+// Binary audio frames; the layout is documented in backend/src/types/audioFrames.js.
+// The browser only sends and plays pcm16.
+export interface AudioFrame {
+  sessionId: string;
+  sequence: number;
+  sampleRate: number;
+  samples: Int16Array;
+}
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export const encodeAudioFrame = ({ sessionId, sequence, sampleRate, samples }: AudioFrame): ArrayBuffer => {
+  const id = encoder.encode(sessionId);
+  const headerLength = AUDIO_FRAME_FIXED_HEADER_BYTES + id.length + (id.length % 2);
+  const frame = new ArrayBuffer(headerLength + samples.length * 2);
+  const view = new DataView(frame);
+
+  view.setUint8(0, AUDIO_FRAME_VERSION);
+  view.setUint8(1, headerLength);
+  view.setUint8(2, id.length);
+  view.setUint8(3, AUDIO_ENCODINGS.indexOf('pcm16'));
+  view.setUint32(4, sequence >>> 0, true);
+  view.setUint32(8, sampleRate, true);
+  new Uint8Array(frame, AUDIO_FRAME_FIXED_HEADER_BYTES, id.length).set(id);
+  for (let i = 0; i < samples.length; i++) {
+    view.setInt16(headerLength + i * 2, samples[i], true);
+  }
+  return frame;
+};
+
+export const decodeAudioFrame = (frame: ArrayBuffer): AudioFrame => {
+  const view = new DataView(frame);
+  if (frame.byteLength < AUDIO_FRAME_FIXED_HEADER_BYTES || view.getUint8(0) !== AUDIO_FRAME_VERSION) {
+    throw new Error('Not an audio frame');
+  }
+
+  const headerLength = view.getUint8(1);
+  const idLength = view.getUint8(2);
+  if (headerLength < AUDIO_FRAME_FIXED_HEADER_BYTES + idLength || headerLength > frame.byteLength) {
+    throw new Error('Malformed audio frame header');
+  }
+  if (AUDIO_ENCODINGS[view.getUint8(3)] !== 'pcm16') {
+    throw new Error(`Can't play ${AUDIO_ENCODINGS[view.getUint8(3)] ?? 'unknown'} audio frames`);
+  }
+
+  const samples = new Int16Array((frame.byteLength - headerLength) >> 1);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = view.getInt16(headerLength + i * 2, true);
+  }
+
+  return {
+    sessionId: decoder.decode(new Uint8Array(frame, AUDIO_FRAME_FIXED_HEADER_BYTES, idLength)),
+    sequence: view.getUint32(4, true),
+    sampleRate: view.getUint32(8, true),
+    samples
+  };
+};
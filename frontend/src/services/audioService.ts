@@ -1,19 +1,26 @@
+// Microphone audio is sent at this rate, whatever rate the browser captures it
+// at; session:start declares it and the server converts it for the model
+export const CAPTURE_SAMPLE_RATE = 16000;
+
 class AudioService {
   private mediaRecorder: MediaRecorder | null = null;
   private audioContext: AudioContext | null = null;
   private stream: MediaStream | null = null;
   private isRecording = false;
   private audioChunks: Blob[] = [];
-  private onAudioDataCallback: ((audioData: number[]) => void) | null = null;
+  private onAudioDataCallback: ((samples: Int16Array, sampleRate: number) => void) | null = null;
   private accumulatedChunks: Blob[] = [];
   private chunkProcessingTimeout: NodeJS.Timeout | null = null;
+  // Agent audio scheduled back to back, so it can be stopped when the caller barges in
+  private playbackSources: AudioBufferSourceNode[] = [];
+  private nextPlaybackTime = 0;
 
   async initialize(): Promise<void> {
     try {
       // Request microphone access
       this.stream = await navigator.mediaDevices.getUserMedia({ 
         audio: {
-          sampleRate: 16000,
+          sampleRate: CAPTURE_SAMPLE_RATE,
           channelCount: 1,
           echoCancellation: true,
           noiseSuppression: true,
@@ -23,7 +30,7 @@ class AudioService {
 
       // Create audio context
       this.audioContext = new (window.AudioContext || (window as any).webkitAudioContext)({
-        sampleRate: 16000
+        sampleRate: CAPTURE_SAMPLE_RATE
       });
 
       console.log('Audio service initialized successfully');
@@ -33,7 +40,7 @@ class AudioService {
     }
   }
 
-  async startRecording(onAudioData: (audioData: number[]) => void): Promise<void> {
+  async startRecording(onAudioData: (samples: Int16Array, sampleRate: number) => void): Promise<void> {
     if (!this.stream) {
       throw new Error('Audio service not initialized');
     }
@@ -144,26 +151,45 @@ class AudioService {
       const arrayBuffer = await audioBlob.arrayBuffer();
 
       // Try to decode audio data - skip if it fails (common with small chunks)
+      let decoded: AudioBuffer;
       try {
-        const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-
-        // Get PCM data (16-bit)
-        const pcmData = this.convertToPCM16(audioBuffer);
-
-        // Send to callback
-        this.onAudioDataCallback(Array.from(pcmData));
+        decoded = await this.audioContext.decodeAudioData(arrayBuffer);
       } catch (decodeError) {
         // Skip chunks that can't be decoded (usually too small or incomplete)
         // This is normal behavior for streaming audio chunks
         // console.debug('Skipping audio chunk that cannot be decoded:', decodeError instanceof Error ? decodeError.message : 'Unknown decode error');
+        return;
       }
 
+      // Get PCM data (16-bit) at the rate session:start declared
+      const audioBuffer = await this.toCaptureRate(decoded);
+      const pcmData = this.convertToPCM16(audioBuffer);
+
+      // Send to callback
+      this.onAudioDataCallback(pcmData, CAPTURE_SAMPLE_RATE);
+
     } catch (error) {
       console.error('Error processing audio chunk:', error);
     }
   }
 
-  private convertToPCM16(audioBuffer: AudioBuffer): Int16Array {
+  // Browsers may run the context at another rate than the one asked for (and
+  // decode to the context's rate), so chunks are resampled to CAPTURE_SAMPLE_RATE
+  private async toCaptureRate(audioBuffer: AudioBuffer): Promise<AudioBuffer> {
+    if (audioBuffer.sampleRate === CAPTURE_SAMPLE_RATE) {
+      return audioBuffer;
+    }
+
+    const OfflineContext = window.OfflineAudioContext || (window as any).webkitOfflineAudioContext;
+    const offlineContext = new OfflineContext(1, Math.ceil(audioBuffer.duration * CAPTURE_SAMPLE_RATE), CAPTURE_SAMPLE_RATE);
+    const source = offlineContext.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(offlineContext.destination);
+    source.start();
+    return offlineContext.startRendering();
+  }
+
+    private convertToPCM16(audioBuffer: AudioBuffer): Int16Array {
     const channelData = audioBuffer.getChannelData(0); // Get first channel
     const pcm16 = new Int16Array(channelData.length);
     
@@ -176,16 +202,16 @@ class AudioService {
     return pcm16;
   }
 
-  async playAudio(audioData: number[], format: string = 'pcm16'): Promise<void> {
+  async playAudio(samples: Int16Array, sampleRate: number): Promise<void> {
     if (!this.audioContext) {
       console.error('Audio context not initialized');
       return;
     }
 
     console.log('Playing audio:', {
-      dataLength: audioData.length,
-      format,
-      sampleRate: this.audioContext.sampleRate,
+      dataLength: samples.length,
+      sampleRate,
+      contextSampleRate: this.audioContext.sampleRate,
       contextState: this.audioContext.state
     });
 
@@ -197,13 +223,13 @@ class AudioService {
       }
 
       // Convert PCM16 data back to float32
-      const float32Data = new Float32Array(audioData.length);
-      for (let i = 0; i < audioData.length; i++) {
-        float32Data[i] = audioData[i] / (audioData[i] < 0 ? 0x8000 : 0x7FFF);
+      const float32Data = new Float32Array(samples.length);
+      for (let i = 0; i < samples.length; i++) {
+        float32Data[i] = samples[i] / (samples[i] < 0 ? 0x8000 : 0x7FFF);
       }
 
-      // Create audio buffer
-      const audioBuffer = this.audioContext.createBuffer(1, float32Data.length, 16000);
+      // Create audio buffer at the samples' own rate; the context resamples on playback
+      const audioBuffer = this.audioContext.createBuffer(1, float32Data.length, sampleRate);
       audioBuffer.getChannelData(0).set(float32Data);
 
       // Create and play audio source
@@ -211,22 +237,38 @@ class AudioService {
       source.buffer = audioBuffer;
       source.connect(this.audioContext.destination);
 
-      // Add event listeners for debugging
       source.onended = () => {
-        console.log('Audio playback ended');
+        this.playbackSources = this.playbackSources.filter(playing => playing !== source);
       };
 
       // AudioBufferSourceNode doesn't have onerror, but we can catch errors in the try/catch
 
-      console.log('Starting audio playback...');
-      source.start();
-      console.log('Audio playback started successfully');
+      // Chunks play one after the other rather than on top of each other
+      const startTime = Math.max(this.audioContext.currentTime, this.nextPlaybackTime);
+      source.start(startTime);
+      this.nextPlaybackTime = startTime + audioBuffer.duration;
+      this.playbackSources.push(source);
 
     } catch (error) {
       console.error('Error playing audio:', error);
     }
   }
 
+  /**
+   * Stop the agent's audio, including chunks scheduled but not yet playing
+   */
+  stopPlayback(): void {
+    this.playbackSources.forEach(source => {
+      try {
+        source.stop();
+      } catch (error) {
+        // Already stopped
+      }
+    });
+    this.playbackSources = [];
+    this.nextPlaybackTime = 0;
+  }
+
   private getSupportedMimeType(): string {
     const types = [
       'audio/webm;codecs=opus',
@@ -260,6 +302,7 @@ class AudioService {
 
   cleanup(): void {
     this.stopRecording();
+    this.stopPlayback();
 
     // Clear any pending timeouts
     if (this.chunkProcessingTimeout) {
@@ -0,0 +1,89 @@
+import { apiUrl } from '../config/environment';
+import {
+  AgentToolDefinition,
+  BackendSession,
+  CompletionStatus,
+  InsuranceApplication
+} from '../types/insurance';
+
+// What the backend sends back after a tool ran, like a data:updated frame
+export interface ToolDataUpdate {
+  sessionId: string;
+  toolName: string;
+  output: unknown;
+  data: InsuranceApplication;
+  completionStatus: CompletionStatus;
+}
+
+// tool() from @openai/agents/realtime, passed in so this module doesn't load the SDK
+type ToolFactory = (options: any) => any;
+
+// Renew the connection token when it has less than this left
+const TOKEN_RENEWAL_MARGIN_MS = 30000;
+
+// Runs the agent's tools in the backend session of a browser call, so the
+// application is recorded (and the form filled) while the browser talks to
+// OpenAI directly
+export class BackendToolClient {
+  private session: BackendSession;
+
+  constructor(session: BackendSession) {
+    this.session = session;
+  }
+
+  get sessionId(): string {
+    return this.session.sessionId;
+  }
+
+  // The connection token, renewed for the same principal before it runs out
+  async getConnectionToken(): Promise<string> {
+    if (new Date(this.session.expiresAt).getTime() - Date.now() > TOKEN_RENEWAL_MARGIN_MS) {
+      return this.session.connectionToken;
+    }
+
+    const response = await fetch(`${apiUrl}/api/connection-token`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${this.session.connectionToken}` }
+    });
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.error || 'Could not renew the connection token');
+    }
+    this.session = { ...this.session, connectionToken: result.token, expiresAt: result.expiresAt };
+    return result.token;
+  }
+
+  async runTool(toolName: string, args: unknown): Promise<ToolDataUpdate> {
+    const response = await fetch(`${apiUrl}/api/sessions/${this.session.sessionId}/tools/${toolName}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${await this.getConnectionToken()}`
+      },
+      body: JSON.stringify({ arguments: args })
+    });
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.error || `Tool ${toolName} failed`);
+    }
+    return result;
+  }
+
+  // RealtimeAgent tools for the definitions from /api/session-token; every
+  // result is handed to onDataUpdated before the model gets the tool's output
+  createTools(tool: ToolFactory, definitions: AgentToolDefinition[], onDataUpdated: (update: ToolDataUpdate) => void) {
+    return definitions.map(({ name, description, parameters, strict }) => tool({
+      name,
+      description,
+      parameters,
+      strict,
+      execute: async (args: unknown) => {
+        const update = await this.runTool(name, args);
+        onDataUpdated(update);
+        return update.output;
+      }
+    }));
+  }
+}
+
+export default BackendToolClient;
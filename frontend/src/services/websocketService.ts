@@ -1,15 +1,39 @@
 import {
-  WebSocketMessage,
-  SessionStartMessage,
-  AudioInputMessage,
-  TextInputMessage,
-  InsuranceApplication,
-  CompletionStatus
-} from '../types/insurance';
-import { wsUrl } from '../config/environment';
+  PROTOCOL_VERSION,
+  PROTOCOL_SUBPROTOCOL,
+  ClientMessage,
+  ServerMessage,
+  ServerMessageType,
+  ServerPayload,
+  SessionStartClientMessage,
+  SessionResumeClientMessage
+} from '../types/websocketProtocol';
+import { apiUrl, wsUrl } from '../config/environment';
+import { AudioFrame, encodeAudioFrame, decodeAudioFrame } from './audioFrames';
+import { CAPTURE_SAMPLE_RATE } from './audioService';
 
 export type WebSocketEventHandler = (data: any) => void;
 
+// Events about the connection itself, emitted by the service rather than sent by the server
+export type ConnectionEvent = 'connection:closed' | 'connection:error' | 'connection:failed';
+
+// Agent audio, from binary frames or (older servers) audio:output frames
+export const AUDIO_FRAME_EVENT = 'audio:frame';
+
+// Older servers' audio:output frames don't say; the realtime API's pcm16 is 24kHz
+const LEGACY_OUTPUT_SAMPLE_RATE = 24000;
+
+// A client frame without its id; send() assigns one
+type WithoutId<M> = M extends ClientMessage ? Omit<M, 'id'> : never;
+type OutgoingMessage = WithoutId<ClientMessage>;
+
+type SessionConfig = NonNullable<SessionStartClientMessage['payload']>['config'];
+export type AudioFormat = NonNullable<NonNullable<SessionStartClientMessage['payload']>['audioFormat']>;
+export type ResumeVerification = NonNullable<SessionResumeClientMessage['payload']['verification']>;
+
+// What this client sends and wants back: the microphone's pcm16
+const CLIENT_AUDIO_FORMAT: AudioFormat = { encoding: 'pcm16', sampleRate: CAPTURE_SAMPLE_RATE };
+
 class WebSocketService {
   private ws: WebSocket | null = null;
   private url: string;
@@ -18,39 +42,63 @@ class WebSocketService {
   private maxReconnectAttempts = 5;
   private reconnectDelay = 1000;
   private isConnecting = false;
+  private nextMessageId = 1;
+  private nextAudioSequence = 0;
+  private protocolVersion = PROTOCOL_VERSION;
 
   constructor(url: string = wsUrl) {
     this.url = url;
   }
 
-  connect(): Promise<void> {
-    return new Promise((resolve, reject) => {
-      if (this.ws?.readyState === WebSocket.OPEN) {
-        resolve();
-        return;
-      }
+  // Short-lived token the server checks when the connection opens
+  private async getConnectionToken(): Promise<string> {
+    const response = await fetch(`${apiUrl}/api/connection-token`, { method: 'POST' });
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.error || 'Could not get a connection token');
+    }
+    return result.token;
+  }
 
-      if (this.isConnecting) {
-        reject(new Error('Connection already in progress'));
-        return;
-      }
+  async connect(): Promise<void> {
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      return;
+    }
 
-      this.isConnecting = true;
+    if (this.isConnecting) {
+      throw new Error('Connection already in progress');
+    }
 
+    this.isConnecting = true;
+    let token: string;
+    try {
+      token = await this.getConnectionToken();
+    } catch (error) {
+      this.isConnecting = false;
+      throw error;
+    }
+
+    return new Promise((resolve, reject) => {
       try {
-        this.ws = new WebSocket(this.url);
+        // The subprotocol asks for the protocol version these types were generated for
+        this.ws = new WebSocket(`${this.url}?token=${encodeURIComponent(token)}`, PROTOCOL_SUBPROTOCOL);
+        this.ws.binaryType = 'arraybuffer';
 
         this.ws.onopen = () => {
           console.log('WebSocket connected');
+          this.nextAudioSequence = 0;
           this.isConnecting = false;
           this.reconnectAttempts = 0;
-          this.emit('connection:established', { connected: true });
           resolve();
         };
 
         this.ws.onmessage = (event) => {
+          if (event.data instanceof ArrayBuffer) {
+            this.handleAudioFrame(event.data);
+            return;
+          }
           try {
-            const message: WebSocketMessage = JSON.parse(event.data);
+            const message: ServerMessage = JSON.parse(event.data);
             this.handleMessage(message);
           } catch (error) {
             console.error('Error parsing WebSocket message:', error);
@@ -98,58 +146,111 @@ class WebSocketService {
     }, delay);
   }
 
-  private handleMessage(message: WebSocketMessage) {
-    const { type, payload } = message;
-    this.emit(type, payload);
+  private handleMessage(message: ServerMessage) {
+    if (message.type === 'connection:established') {
+      this.protocolVersion = message.payload.protocolVersion;
+    }
+    if (message.type === 'audio:output') {
+      const { sessionId, audioData, sequence = 0, sampleRate = LEGACY_OUTPUT_SAMPLE_RATE } = message.payload;
+      this.emit(AUDIO_FRAME_EVENT, { sessionId, sequence, sampleRate, samples: Int16Array.from(audioData) });
+    }
+    if (message.type === 'error') {
+      // correlationId is the id send() returned for the frame that failed
+      this.emit('error', { ...message.payload, correlationId: message.correlationId ?? null });
+      return;
+    }
+    this.emit(message.type, message.payload);
   }
 
-  send(message: WebSocketMessage) {
+  private handleAudioFrame(data: ArrayBuffer) {
+    try {
+      this.emit(AUDIO_FRAME_EVENT, decodeAudioFrame(data));
+    } catch (error) {
+      console.error('Error decoding audio frame:', error);
+    }
+  }
+
+  /**
+   * Send a frame; returns its id, which error frames it causes carry as correlationId
+   */
+  send(message: OutgoingMessage): string {
     if (this.ws?.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(message));
+      const id = `msg-${this.nextMessageId++}`;
+      this.ws.send(JSON.stringify({ ...message, id }));
+      return id;
     } else {
       console.error('WebSocket is not connected');
       throw new Error('WebSocket is not connected');
     }
   }
 
-  startSession(sessionId?: string, config?: any) {
-    const message: SessionStartMessage = {
+  startSession(sessionId?: string, config?: SessionConfig, audioFormat: AudioFormat = CLIENT_AUDIO_FORMAT) {
+    return this.send({
       type: 'session:start',
-      payload: { sessionId, config }
-    };
-    this.send(message);
+      payload: { sessionId, config, audioFormat }
+    });
   }
 
-  sendAudio(sessionId: string, audioData: number[], format: string = 'pcm16') {
-    const message: AudioInputMessage = {
-      type: 'audio:input',
-      payload: { sessionId, audioData, format }
-    };
-    this.send(message);
+  /**
+   * Resume a paused application; verification is the ZIP code or date of
+   * birth on it, which the backend asks for once the application has either
+   */
+  resumeSession(
+    resumeCode: string,
+    verification?: ResumeVerification,
+    config?: SessionConfig,
+    audioFormat: AudioFormat = CLIENT_AUDIO_FORMAT
+  ) {
+    return this.send({
+      type: 'session:resume',
+      payload: { resumeCode, verification, config, audioFormat }
+    });
+  }
+
+  /**
+   * Send caller audio as a binary frame; servers that only speak protocol
+   * version 1 get an audio:input frame instead, and only that has an id
+   */
+  sendAudio(sessionId: string, samples: Int16Array, sampleRate: number) {
+    if (this.protocolVersion < 2) {
+      return this.send({
+        type: 'audio:input',
+        payload: { sessionId, audioData: Array.from(samples), format: 'pcm16' }
+      });
+    }
+
+    if (this.ws?.readyState !== WebSocket.OPEN) {
+      console.error('WebSocket is not connected');
+      throw new Error('WebSocket is not connected');
+    }
+    this.ws.send(encodeAudioFrame({ sessionId, sequence: this.nextAudioSequence++, sampleRate, samples }));
+    return null;
   }
 
   sendText(sessionId: string, message: string) {
-    const textMessage: TextInputMessage = {
+    return this.send({
       type: 'text:input',
       payload: { sessionId, message }
-    };
-    this.send(textMessage);
+    });
   }
 
   endSession(sessionId: string) {
-    this.send({
+    return this.send({
       type: 'session:end',
       payload: { sessionId }
     });
   }
 
   getSessionStatus(sessionId: string) {
-    this.send({
+    return this.send({
       type: 'session:status',
       payload: { sessionId }
     });
   }
 
+  on<T extends ServerMessageType>(event: T, handler: (payload: ServerPayload<T>) => void): void;
+  on(event: typeof AUDIO_FRAME_EVENT, handler: (frame: AudioFrame) => void): void;
+  on(event: ConnectionEvent, handler: WebSocketEventHandler): void;
   on(event: string, handler: WebSocketEventHandler) {
     if (!this.eventHandlers.has(event)) {
       this.eventHandlers.set(event, []);
@@ -157,6 +258,9 @@ class WebSocketService {
     this.eventHandlers.get(event)!.push(handler);
   }
 
+  off<T extends ServerMessageType>(event: T, handler: (payload: ServerPayload<T>) => void): void;
+  off(event: typeof AUDIO_FRAME_EVENT, handler: (frame: AudioFrame) => void): void;
+  off(event: ConnectionEvent, handler: WebSocketEventHandler): void;
   off(event: string, handler: WebSocketEventHandler) {
     const handlers = this.eventHandlers.get(event);
     if (handlers) {
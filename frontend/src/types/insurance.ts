@@ -1,9 +1,9 @@
 // Insurance application types
 export interface Address {
-  street: string;
-  city: string;
-  state: string;
-  zipCode: string;
+  street?: string;
+  city?: string;
+  state?: string;
+  zipCode?: string;
 }
 
 export interface PersonalInfo {
@@ -15,6 +15,7 @@ export interface PersonalInfo {
   email?: string;
   maritalStatus?: 'single' | 'married' | 'divorced' | 'widowed';
   occupation?: string;
+  /** @deprecated migrated to currentPolicy.insurer */
   previousInsurer?: string;
 }
 
@@ -26,6 +27,7 @@ export interface VehicleInfo {
   currentMileage?: number;
   annualMileage?: number;
   ownershipStatus?: 'owned' | 'leased' | 'financed';
+  lienholder?: string;
   safetyFeatures?: string[];
   modifications?: string[];
   parkingLocation?: 'garage' | 'driveway' | 'street' | 'lot';
@@ -51,6 +53,7 @@ export interface CoveragePrefs {
     gapCoverage?: boolean;
   };
   policyStartDate?: string;
+  payInFull?: boolean;
 }
 
 export interface DrivingHistory {
@@ -72,23 +75,108 @@ export interface DrivingHistory {
     type: string;
     amount: number;
   }>;
+  incidentsReviewed?: boolean;
   defensiveDriving?: boolean;
 }
 
+export type BillingPeriod = 'monthly' | 'quarterly' | 'semiannual' | 'annual';
+
+export type SwitchReason =
+  | 'price'
+  | 'service'
+  | 'claims_experience'
+  | 'coverage'
+  | 'moving'
+  | 'new_vehicle'
+  | 'new_driver'
+  | 'policy_lapse'
+  | 'other';
+
+export interface CurrentPolicy {
+  currentlyInsured?: boolean;
+  insurer?: string;
+  insurerRecognized?: boolean;
+  premium?: number;
+  billingPeriod?: BillingPeriod;
+  expirationDate?: string;
+  yearsWithInsurer?: number;
+  liabilityLimits?: {
+    bodilyInjuryPerPerson: number;
+    bodilyInjuryPerAccident: number;
+    propertyDamage: number;
+  };
+  switchReason?: SwitchReason;
+  switchReasonDetails?: string;
+}
+
+export type DriverRelationship = 'self' | 'spouse' | 'child' | 'parent' | 'sibling' | 'other';
+
+export interface Vehicle extends VehicleInfo {
+  id: string;
+  primaryDriverId?: string;
+}
+
+export interface Driver extends DrivingHistory {
+  id: string;
+  relationship: DriverRelationship;
+  firstName?: string;
+  lastName?: string;
+  dateOfBirth?: string;
+}
+
+export type DiscountStatus = 'eligible' | 'ineligible' | 'unknown';
+
+export interface Discount {
+  id: string;
+  name: string;
+  percent: number;
+  status: DiscountStatus;
+  explanation: string;
+  vehicleIds: string[];
+}
+
+export type ConfirmationStatus = 'captured' | 'read_back' | 'confirmed' | 'disputed';
+
+export interface FieldConfirmation {
+  status: ConfirmationStatus;
+  value: unknown;
+  source?: string;
+  updatedAt: Date;
+}
+
+export interface MissingField {
+  section: string;
+  field?: string;
+  number?: number;
+  path: string;
+  label: string;
+  required: boolean;
+  status?: ConfirmationStatus;
+  memberId?: string;
+  member?: string;
+}
+
 export interface CompletionStatus {
   personalInfo: number;
-  vehicleInfo: number;
+  vehicles: number;
   coveragePrefs: number;
-  drivingHistory: number;
+  drivers: number;
+  currentPolicy: number;
+  byVehicle: Record<string, number>;
+  byDriver: Record<string, number>;
   overall: number;
+  missingFields?: MissingField[];
 }
 
 export interface InsuranceApplication {
   sessionId: string;
   personalInfo: PersonalInfo;
-  vehicleInfo: VehicleInfo;
+  vehicles: Vehicle[];
+  drivers: Driver[];
   coveragePrefs: CoveragePrefs;
-  drivingHistory: DrivingHistory;
+  currentPolicy: CurrentPolicy;
+  discounts?: Discount[];
+  confirmations?: Record<string, FieldConfirmation>;
   completionStatus: CompletionStatus;
   createdAt: Date;
   updatedAt: Date;
@@ -96,95 +184,91 @@ export interface InsuranceApplication {
 
 export interface ConversationItem {
   id: string;
-  type: 'user' | 'agent' | 'system';
+  type: 'user' | 'agent' | 'assistant' | 'system';
   content: string;
   timestamp: Date;
   metadata?: Record<string, any>;
 }
 
+// One recorded change to a field of the application
+export interface ApplicationEvent {
+  id: string;
+  changeId: string;
+  sequence: number;
+  op: 'set' | 'unset';
+  path: string;
+  oldValue?: any;
+  newValue?: any;
+  source: string;
+  transcriptItemId?: string | null;
+  revertsChangeId?: string;
+  timestamp: Date;
+}
+
+export interface ExperimentAssignment {
+  experimentId: string;
+  variantId: string;
+  profileId?: string;
+}
+
+export interface Escalation {
+  ruleId: string;
+  role: 'user' | 'assistant';
+  at: Date;
+}
+
 export interface VoiceSession {
   id: string;
   userId?: string;
   agentId: string;
   status: 'active' | 'paused' | 'completed' | 'error';
+  version: number;
+  resumeCode?: string;
+  resumedAt?: Date;
   data: InsuranceApplication;
   conversationHistory: ConversationItem[];
+  events: ApplicationEvent[];
+  metadata: {
+    agentProfile?: string;
+    experiments: ExperimentAssignment[];
+    escalations: Escalation[];
+  };
   createdAt: Date;
   lastActivity: Date;
   expiresAt: Date;
 }
 
-// WebSocket message types
-export interface WebSocketMessage {
-  type: string;
-  payload: any;
-}
-
-export interface SessionStartMessage extends WebSocketMessage {
-  type: 'session:start';
-  payload: {
-    sessionId?: string;
-    config?: any;
-  };
-}
-
-export interface AudioInputMessage extends WebSocketMessage {
-  type: 'audio:input';
-  payload: {
-    sessionId: string;
-    audioData: number[];
-    format: string;
-  };
-}
-
-export interface TextInputMessage extends WebSocketMessage {
-  type: 'text:input';
-  payload: {
-    sessionId: string;
-    message: string;
-  };
-}
-
-export interface SessionStatusMessage extends WebSocketMessage {
-  type: 'session:status';
-  payload: {
-    sessionId: string;
-    status: string;
-    message?: string;
-  };
-}
-
-export interface AudioOutputMessage extends WebSocketMessage {
-  type: 'audio:output';
-  payload: {
-    sessionId: string;
-    audioData: number[];
-    format: string;
+// Agent profile the backend returns with a session token
+export interface AgentProfile {
+  id: string;
+  version: string;
+  name: string;
+  model: string;
+  voice: string;
+  instructions: string;
+  turnDetection: {
+    type: 'server_vad';
+    threshold: number;
+    prefixPaddingMs: number;
+    silenceDurationMs: number;
   };
+  tools: AgentToolDefinition[];
 }
 
-export interface DataUpdatedMessage extends WebSocketMessage {
-  type: 'data:updated';
-  payload: {
-    sessionId: string;
-    data: InsuranceApplication;
-    completionStatus: CompletionStatus;
-  };
+// A backend agent tool the browser's RealtimeAgent declares and runs through the API
+export interface AgentToolDefinition {
+  name: string;
+  description: string;
+  parameters: Record<string, any>;
+  strict: boolean;
 }
 
-export interface AgentResponseMessage extends WebSocketMessage {
-  type: 'agent:response';
-  payload: {
-    sessionId: string;
-    message: string;
-    type: 'question' | 'confirmation' | 'error' | 'completion';
-  };
+// The backend session a browser call records the application in
+export interface BackendSession {
+  sessionId: string;
+  resumeCode?: string;
+  connectionToken: string;
+  expiresAt: string;
 }
 
-export interface UserTranscriptMessage extends WebSocketMessage {
-  type: 'user:transcript';
-  payload: {
-    sessionId: string;
-    transcript: string;
-  };
-}
+// WebSocket message types are generated from the backend's protocol schemas: see websocketProtocol.ts
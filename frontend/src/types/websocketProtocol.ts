@@ -0,0 +1,306 @@
+// Generated by backend/scripts/generateProtocolTypes.js from backend/src/types/websocketProtocol.js.
+// Do not edit: change the schemas and run `npm run generate:protocol-types` in backend.
+import { CompletionStatus, InsuranceApplication } from './insurance';
+
+export const PROTOCOL_VERSION = 2;
+export const PROTOCOL_SUBPROTOCOL = 'insurance-voice.v2';
+
+// Binary audio frames (backend/src/types/audioFrames.js)
+export const AUDIO_FRAME_VERSION = 1;
+export const AUDIO_FRAME_FIXED_HEADER_BYTES = 12;
+export const AUDIO_ENCODINGS = ['pcm16', 'mulaw', 'alaw', 'opus'] as const;
+
+export type ProtocolErrorCode =
+  | 'INVALID_JSON'
+  | 'INVALID_MESSAGE'
+  | 'UNKNOWN_MESSAGE_TYPE'
+  | 'NO_ACTIVE_SESSION'
+  | 'SESSION_NOT_FOUND'
+  | 'SESSION_FORBIDDEN'
+  | 'SESSION_START_FAILED'
+  | 'SESSION_RESUME_FAILED'
+  | 'RESUME_RATE_LIMITED'
+  | 'AUDIO_INPUT_FAILED'
+  | 'TEXT_INPUT_FAILED'
+  | 'SESSION_END_FAILED'
+  | 'INTERNAL_ERROR';
+
+// Frames the client sends
+export interface SessionStartClientMessage {
+  type: 'session:start';
+  id?: string;
+  payload?: {
+    sessionId?: string;
+    config?: {
+      profileId?: string;
+      [key: string]: unknown;
+    };
+    audioFormat?: {
+      encoding: 'pcm16' | 'mulaw' | 'alaw' | 'opus';
+      sampleRate: 8000 | 16000 | 24000 | 48000;
+    };
+  };
+}
+
+export interface SessionResumeClientMessage {
+  type: 'session:resume';
+  id?: string;
+  payload: {
+    resumeCode: string;
+    verification?: {
+      zipCode?: string;
+      dateOfBirth?: string;
+    };
+    config?: {
+      profileId?: string;
+      [key: string]: unknown;
+    };
+    audioFormat?: {
+      encoding: 'pcm16' | 'mulaw' | 'alaw' | 'opus';
+      sampleRate: 8000 | 16000 | 24000 | 48000;
+    };
+  };
+}
+
+export interface AudioInputClientMessage {
+  type: 'audio:input';
+  id?: string;
+  payload: {
+    sessionId?: string;
+    audioData: number[];
+    format?: 'pcm16';
+  };
+}
+
+export interface TextInputClientMessage {
+  type: 'text:input';
+  id?: string;
+  payload: {
+    sessionId?: string;
+    message: string;
+  };
+}
+
+export interface SessionEndClientMessage {
+  type: 'session:end';
+  id?: string;
+  payload?: {
+    sessionId?: string;
+  };
+}
+
+export interface SessionStatusClientMessage {
+  type: 'session:status';
+  id?: string;
+  payload?: {
+    sessionId?: string;
+  };
+}
+
+export interface TestMessageClientMessage {
+  type: 'test:message';
+  id?: string;
+  payload: {
+    sessionId?: string;
+    message: string;
+  };
+}
+
+// Frames the server sends
+export interface ConnectionEstablishedServerMessage {
+  type: 'connection:established';
+  correlationId?: string | null;
+  payload: {
+    message: string;
+    protocolVersion: number;
+    timestamp: string;
+  };
+}
+
+export interface SessionStartedServerMessage {
+  type: 'session:started';
+  correlationId?: string | null;
+  payload: {
+    sessionId: string;
+    status: 'connected';
+    resumeCode?: string;
+    resumed: boolean;
+    audioFormat: {
+      encoding: 'pcm16' | 'mulaw' | 'alaw' | 'opus';
+      sampleRate: 8000 | 16000 | 24000 | 48000;
+    };
+    message: string;
+  };
+}
+
+export interface SessionEndedServerMessage {
+  type: 'session:ended';
+  correlationId?: string | null;
+  payload: {
+    sessionId: string;
+    message: string;
+  };
+}
+
+export interface SessionStatusServerMessage {
+  type: 'session:status';
+  correlationId?: string | null;
+  payload: {
+    sessionId: string;
+    status: string;
+    message?: string;
+    data?: InsuranceApplication;
+    completionStatus?: CompletionStatus;
+    lastActivity?: string;
+  };
+}
+
+export interface SessionErrorServerMessage {
+  type: 'session:error';
+  correlationId?: string | null;
+  payload: {
+    sessionId: string;
+    error: string;
+  };
+}
+
+export interface AudioOutputServerMessage {
+  type: 'audio:output';
+  correlationId?: string | null;
+  payload: {
+    sessionId: string;
+    audioData: number[];
+    format: 'pcm16';
+    sampleRate?: number;
+    sequence?: number;
+    responseId?: string | null;
+    itemId?: string | null;
+  };
+}
+
+export interface AudioTruncateServerMessage {
+  type: 'audio:truncate';
+  correlationId?: string | null;
+  payload: {
+    sessionId: string;
+    responseId: string | null;
+    itemId: string | null;
+    lastSequence: number | null;
+    audioEndMs: number;
+    timestamp: string;
+  };
+}
+
+export interface AgentResponseServerMessage {
+  type: 'agent:response';
+  correlationId?: string | null;
+  payload: {
+    sessionId: string;
+    message: string;
+    responseId?: string;
+    timestamp: string;
+  };
+}
+
+export interface AgentMessageServerMessage {
+  type: 'agent:message';
+  correlationId?: string | null;
+  payload: {
+    sessionId: string;
+    content: string;
+    itemId: string;
+    timestamp: string;
+  };
+}
+
+export interface UserMessageServerMessage {
+  type: 'user:message';
+  correlationId?: string | null;
+  payload: {
+    sessionId: string;
+    content: string;
+    itemId: string;
+    timestamp: string;
+  };
+}
+
+export interface UserTranscriptServerMessage {
+  type: 'user:transcript';
+  correlationId?: string | null;
+  payload: {
+    sessionId: string;
+    transcript: string;
+    itemId?: string;
+    timestamp: string;
+  };
+}
+
+export interface DataUpdatedServerMessage {
+  type: 'data:updated';
+  correlationId?: string | null;
+  payload: {
+    sessionId: string;
+    data: InsuranceApplication;
+    completionStatus: CompletionStatus;
+    toolName: string | null;
+    timestamp: string;
+  };
+}
+
+export interface GuardrailTrippedServerMessage {
+  type: 'guardrail:tripped';
+  correlationId?: string | null;
+  payload: {
+    sessionId: string;
+    guardrail: string;
+    details: {
+      role: 'user' | 'assistant';
+      rules: string[];
+      actions: Array<'block' | 'redact' | 'warn' | 'escalate'>;
+      itemId: string | null;
+    };
+  };
+}
+
+export interface ErrorServerMessage {
+  type: 'error';
+  correlationId?: string | null;
+  payload: {
+    code: 'INVALID_JSON' | 'INVALID_MESSAGE' | 'UNKNOWN_MESSAGE_TYPE' | 'NO_ACTIVE_SESSION' | 'SESSION_NOT_FOUND' | 'SESSION_FORBIDDEN' | 'SESSION_START_FAILED' | 'SESSION_RESUME_FAILED' | 'RESUME_RATE_LIMITED' | 'AUDIO_INPUT_FAILED' | 'TEXT_INPUT_FAILED' | 'SESSION_END_FAILED' | 'INTERNAL_ERROR';
+    error: string;
+    issues?: {
+      path: string;
+      message: string;
+    }[];
+    timestamp: string;
+  };
+}
+
+export type ClientMessage =
+  | SessionStartClientMessage
+  | SessionResumeClientMessage
+  | AudioInputClientMessage
+  | TextInputClientMessage
+  | SessionEndClientMessage
+  | SessionStatusClientMessage
+  | TestMessageClientMessage;
+
+export type ServerMessage =
+  | ConnectionEstablishedServerMessage
+  | SessionStartedServerMessage
+  | SessionEndedServerMessage
+  | SessionStatusServerMessage
+  | SessionErrorServerMessage
+  | AudioOutputServerMessage
+  | AudioTruncateServerMessage
+  | AgentResponseServerMessage
+  | AgentMessageServerMessage
+  | UserMessageServerMessage
+  | UserTranscriptServerMessage
+  | DataUpdatedServerMessage
+  | GuardrailTrippedServerMessage
+  | ErrorServerMessage;
+
+export type ClientMessageType = ClientMessage['type'];
+export type ServerMessageType = ServerMessage['type'];
+export type ServerPayload<T extends ServerMessageType> = Extract<ServerMessage, { type: T }>['payload'];